@@ -0,0 +1,159 @@
+/**
+ * attachments.js — Receipts and documents attached to transactions and purchases.
+ *
+ * Rows hold the metadata; files go to attachment storage (./storage) under a
+ * key built here from the user and the attachment id, never from the upload's
+ * filename. The file type is read from the file's first bytes rather than
+ * trusted from the client, and only images and PDFs are accepted.
+ *
+ * Deleting a transaction or purchase unlinks its attachments (ON DELETE SET
+ * NULL); callers then run removeDetachedAttachments so the files go too.
+ */
+
+const crypto = require('crypto');
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_FILENAME_LENGTH = 200;
+
+class InvalidAttachmentError extends Error {
+  constructor(message, code = 'invalid_attachment', status = 400) {
+    super(message);
+    this.name = 'InvalidAttachmentError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const startsWith = (buf, bytes, offset = 0) =>
+  buf.length >= offset + bytes.length && bytes.every((b, i) => buf[offset + i] === b);
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+
+// Accepted types by file signature
+const SIGNATURES = [
+  { type: 'image/jpeg', test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { type: 'image/png', test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/gif', test: (b) => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  { type: 'image/webp', test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  // Phone cameras: ISO-BMFF "ftyp" box with a HEIF brand
+  {
+    type: 'image/heic',
+    test: (b) => startsWith(b, ascii('ftyp'), 4) && ['heic', 'heix', 'mif1', 'msf1'].some((brand) => startsWith(b, ascii(brand), 8)),
+  },
+  { type: 'application/pdf', test: (b) => startsWith(b, ascii('%PDF-')) },
+];
+
+/** The file's content type from its signature, or null if it isn't one we accept. */
+function detectContentType(buffer) {
+  return SIGNATURES.find((s) => s.test(buffer))?.type ?? null;
+}
+
+/** A display filename: no directories or control characters, bounded length. */
+function sanitizeFilename(name) {
+  const base = String(name || '').split(/[\\/]/).pop();
+  const clean = base.replace(/[\p{Cc}"]/gu, '').trim().slice(-MAX_FILENAME_LENGTH);
+  return clean || 'attachment';
+}
+
+// Users' ids (e.g. "auth0|abc") aren't safe path segments, so keys use a hash
+function storageKey(userId, attachmentId) {
+  const userDir = crypto.createHash('sha256').update(userId).digest('hex').slice(0, 16);
+  return `${userDir}/${attachmentId}`;
+}
+
+/** Columns the API returns (never storage_key). */
+const ATTACHMENT_SELECT = {
+  id: true,
+  transaction_id: true,
+  purchase_id: true,
+  filename: true,
+  content_type: true,
+  size_bytes: true,
+  created_at: true,
+};
+
+// Relation arguments for loading a row's attachments, oldest first:
+// prisma.transaction.findMany({ select: { attachments: ATTACHMENTS_QUERY } })
+const ATTACHMENTS_QUERY = { orderBy: { created_at: 'asc' }, select: ATTACHMENT_SELECT };
+
+/**
+ * Store an uploaded file and attach it to one of the user's transactions or purchases.
+ * @param {{ transactionId?: string, purchaseId?: string, filename?: string, body: Buffer }} upload
+ * @throws {InvalidAttachmentError}
+ */
+async function createAttachment(prisma, storage, userId, { transactionId, purchaseId, filename, body }) {
+  if (Boolean(transactionId) === Boolean(purchaseId)) {
+    throw new InvalidAttachmentError('attach to exactly one of transactionId or purchaseId', 'invalid_payload');
+  }
+  if (!Buffer.isBuffer(body) || body.length === 0) throw new InvalidAttachmentError('the file is empty', 'empty_file');
+  if (body.length > MAX_FILE_BYTES) {
+    throw new InvalidAttachmentError(`files can be at most ${MAX_FILE_BYTES / (1024 * 1024)} MB`, 'file_too_large', 413);
+  }
+  const contentType = detectContentType(body);
+  if (!contentType) {
+    throw new InvalidAttachmentError('only images (JPEG, PNG, GIF, WebP, HEIC) and PDFs can be attached', 'unsupported_type', 415);
+  }
+
+  const owner = transactionId
+    ? await prisma.transaction.findFirst({ where: { id: String(transactionId), user_id: userId }, select: { id: true } })
+    : await prisma.purchase.findFirst({ where: { id: String(purchaseId), user_id: userId }, select: { id: true } });
+  if (!owner) throw new InvalidAttachmentError(`${transactionId ? 'transaction' : 'purchase'} not found`, 'not_found', 404);
+
+  const id = crypto.randomUUID();
+  const key = storageKey(userId, id);
+  await storage.put(key, body, { contentType });
+  try {
+    return await prisma.attachment.create({
+      data: {
+        id,
+        user_id: userId,
+        transaction_id: transactionId ? owner.id : null,
+        purchase_id: purchaseId ? owner.id : null,
+        filename: sanitizeFilename(filename),
+        content_type: contentType,
+        size_bytes: body.length,
+        storage_key: key,
+      },
+      select: ATTACHMENT_SELECT,
+    });
+  } catch (err) {
+    await storage.remove(key).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Delete the attachments matching `where` (always scope it to a user) and
+ * their files. A file that fails to delete is logged, not retried: the row is
+ * already gone, so it can no longer be served.
+ * @returns {Promise<number>} attachments removed
+ */
+async function removeAttachments(prisma, storage, where) {
+  const rows = await prisma.attachment.findMany({ where, select: { id: true, storage_key: true } });
+  if (rows.length === 0) return 0;
+  await prisma.attachment.deleteMany({ where: { id: { in: rows.map((r) => r.id) } } });
+  for (const row of rows) {
+    try {
+      await storage.remove(row.storage_key);
+    } catch (err) {
+      console.error(`[Attachments] Failed to remove file ${row.storage_key}:`, err.message);
+    }
+  }
+  return rows.length;
+}
+
+/** Remove the user's attachments whose transaction or purchase was deleted. */
+function removeDetachedAttachments(prisma, storage, userId) {
+  return removeAttachments(prisma, storage, { user_id: userId, transaction_id: null, purchase_id: null });
+}
+
+module.exports = {
+  MAX_FILE_BYTES,
+  InvalidAttachmentError,
+  ATTACHMENT_SELECT,
+  ATTACHMENTS_QUERY,
+  detectContentType,
+  sanitizeFilename,
+  createAttachment,
+  removeAttachments,
+  removeDetachedAttachments,
+};
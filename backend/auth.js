@@ -0,0 +1,213 @@
+/**
+ * auth.js — JWT verification for every /api route.
+ *
+ * Production: RS256 access tokens issued by Auth0, verified against the
+ * tenant's JWKS (AUTH0_ISSUER_BASE_URL + AUTH0_AUDIENCE).
+ *
+ * Local dev (AUTH_DEV_MODE=true): tokens are signed by this backend with a
+ * locally generated RSA key pair and verified against a JWKS it serves
+ * itself, so the whole API can be exercised without an Auth0 tenant.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { expressjwt, UnauthorizedError } = require('express-jwt');
+const jwksRsa = require('jwks-rsa');
+const jsonwebtoken = require('jsonwebtoken');
+
+const ROLE_CLAIM = 'https://walletwarden.app/role';
+const EMAIL_CLAIM = 'https://walletwarden.app/email';
+
+// Routes that are called by third parties (OAuth redirects, webhooks) or that
+// hand out dev tokens, and therefore never carry a user's Bearer token.
+const PUBLIC_PATHS = [
+  '/health',
+  '/api/banks/truelayer/callback',
+  '/api/subscription/stripe-webhook',
+  /^\/api\/auth\/dev\//,
+];
+
+// ── Local dev signing keys ──────────────────────────────────────────────
+const DEV_ISSUER = 'urn:walletwarden:dev';
+const DEV_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const DEV_KEY_DIR = path.join(__dirname, '.dev-auth');
+const DEV_KEY_FILE = path.join(DEV_KEY_DIR, 'private.pem');
+
+let devKeys = null;
+
+function isDevAuthEnabled() {
+  return process.env.AUTH_DEV_MODE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+function getAudience() {
+  return process.env.AUTH0_AUDIENCE || (isDevAuthEnabled() ? 'walletwarden-dev-api' : undefined);
+}
+
+/**
+ * Load (or generate on first run) the dev RSA key pair.
+ * The private key is persisted under backend/.dev-auth/ so tokens issued
+ * to the browser survive a backend restart.
+ */
+function getDevKeys() {
+  if (devKeys) return devKeys;
+
+  let privateKey;
+  if (fs.existsSync(DEV_KEY_FILE)) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(DEV_KEY_FILE));
+  } else {
+    ({ privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+    fs.mkdirSync(DEV_KEY_DIR, { recursive: true });
+    fs.writeFileSync(DEV_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`[Auth] Generated dev signing key at ${DEV_KEY_FILE}`);
+  }
+
+  const publicJwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const kid = crypto.createHash('sha256').update(publicJwk.n).digest('base64url').slice(0, 16);
+
+  devKeys = {
+    privateKey,
+    kid,
+    jwk: { ...publicJwk, kid, alg: 'RS256', use: 'sig' },
+  };
+  return devKeys;
+}
+
+/**
+ * Sign a dev access token shaped like the ones Auth0 issues.
+ * @param {object} claims
+ * @param {string} claims.sub    — user id
+ * @param {string} [claims.email]
+ * @param {string} [claims.role] — written to the namespaced role claim
+ * @returns {string} RS256-signed JWT
+ */
+function signDevToken({ sub, email, role }) {
+  const { privateKey, kid } = getDevKeys();
+  const payload = { sub };
+  if (email) payload.email = email;
+  if (role) payload[ROLE_CLAIM] = role;
+
+  return jsonwebtoken.sign(payload, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: DEV_ISSUER,
+    audience: getAudience(),
+    expiresIn: DEV_TOKEN_TTL_SECONDS,
+  });
+}
+
+// ── Verification middleware ─────────────────────────────────────────────
+/**
+ * Creates the JWT check for all routes except PUBLIC_PATHS.
+ * On success express-jwt sets `req.auth` to the token payload.
+ *
+ * Usage: app.use(createAuthCheck());
+ */
+function createAuthCheck() {
+  let secret;
+  let issuer;
+
+  if (isDevAuthEnabled()) {
+    const { jwk } = getDevKeys();
+    const port = process.env.PORT || 4000;
+    secret = jwksRsa.expressJwtSecret({
+      jwksUri: `http://localhost:${port}/api/auth/dev/jwks.json`,
+      // Serve the key from memory so verification never loops back over HTTP
+      getKeysInterceptor: () => [jwk],
+    });
+    issuer = DEV_ISSUER;
+    console.warn('[Auth] AUTH_DEV_MODE enabled — accepting locally signed tokens');
+  } else {
+    const issuerBase = process.env.AUTH0_ISSUER_BASE_URL;
+    if (!issuerBase || !process.env.AUTH0_AUDIENCE) {
+      throw new Error('AUTH0_ISSUER_BASE_URL and AUTH0_AUDIENCE must be set (or AUTH_DEV_MODE=true for local dev)');
+    }
+    secret = jwksRsa.expressJwtSecret({
+      cache: true,
+      rateLimit: true,
+      jwksRequestsPerMinute: 5,
+      jwksUri: `${issuerBase.replace(/\/$/, '')}/.well-known/jwks.json`,
+    });
+    // Auth0 always issues `iss` with a trailing slash
+    issuer = `${issuerBase.replace(/\/$/, '')}/`;
+  }
+
+  return expressjwt({
+    secret,
+    audience: getAudience(),
+    issuer,
+    algorithms: ['RS256'],
+  }).unless({ path: PUBLIC_PATHS });
+}
+
+/**
+ * Copies the email claim onto `req.auth.email` when Auth0 only provides it
+ * under the namespaced custom claim (access tokens omit `email` by default).
+ * The role claim is read by admin.js directly from `req.auth[ROLE_CLAIM]`.
+ */
+function normalizeClaims(req, res, next) {
+  if (req.auth && !req.auth.email && req.auth[EMAIL_CLAIM]) {
+    req.auth.email = req.auth[EMAIL_CLAIM];
+  }
+  next();
+}
+
+/**
+ * Error handler for failed verification — must be mounted directly after
+ * createAuthCheck() so downstream routes never see an unauthenticated request.
+ */
+function handleAuthError(err, req, res, next) {
+  if (err instanceof UnauthorizedError) {
+    console.error(`[${new Date().toISOString()}] JWT Error on ${req.method} ${req.path}:`, err.message);
+    console.error('Authorization header:', req.headers.authorization ? 'present but invalid' : 'missing');
+    return res.status(401).json({ error: 'unauthorized', message: err.message });
+  }
+  next(err);
+}
+
+// ── Dev token routes ────────────────────────────────────────────────────
+/**
+ * Routes for local development only (mounted at /api/auth/dev):
+ *   GET  /jwks.json — public key set used to verify dev tokens
+ *   POST /token     — body { sub, email?, role? } → { access_token, ... }
+ */
+function devAuthRoutes() {
+  const router = express.Router();
+
+  router.get('/jwks.json', (req, res) => {
+    return res.json({ keys: [getDevKeys().jwk] });
+  });
+
+  router.post('/token', (req, res) => {
+    try {
+      const { sub, email, role } = req.body || {};
+      if (!sub || typeof sub !== 'string') {
+        return res.status(400).json({ error: 'invalid_payload', message: 'sub is required' });
+      }
+
+      const accessToken = signDevToken({ sub, email, role });
+      return res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: DEV_TOKEN_TTL_SECONDS,
+      });
+    } catch (err) {
+      console.error('[Auth] Error signing dev token:', err.message);
+      return res.status(500).json({ error: 'internal_error', message: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ROLE_CLAIM,
+  EMAIL_CLAIM,
+  isDevAuthEnabled,
+  createAuthCheck,
+  normalizeClaims,
+  handleAuthError,
+  devAuthRoutes,
+  signDevToken,
+};
@@ -0,0 +1,165 @@
+/**
+ * balance-history.js — Every bank account's balance over time.
+ *
+ * Each sync records every account's balance on that day's row of
+ * bank_balance_history (recordBalance); a later sync on the same day
+ * updates the row, so the series keeps one balance per account per day, the
+ * day's last. Nothing is overwritten across days.
+ *
+ * Reading a range gives a point for every day from `from` to `to`: days
+ * without a sync carry the previous recorded balance forward (`recorded`
+ * false), starting from the last balance before the range. Days before an
+ * account's first balance are left out. The API returns major units.
+ */
+
+const { fromMinor } = require('../shared/money.js');
+const { isDay, toDay, addDays, daysBetween } = require('../shared/periods.js');
+
+const DEFAULT_DAYS = 90;
+// Five years of days
+const MAX_DAYS = 1830;
+
+class InvalidBalanceHistoryError extends Error {
+  constructor(message, code = 'invalid_query', status = 400) {
+    super(message);
+    this.name = 'InvalidBalanceHistoryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const toDate = (day) => new Date(`${day}T00:00:00Z`);
+
+/**
+ * `?from=&to=` → days; `to` defaults to today and `from` to DEFAULT_DAYS
+ * before it.
+ * @throws {InvalidBalanceHistoryError}
+ */
+function parseRange({ from, to } = {}) {
+  const end = to ? String(to) : toDay();
+  if (!isDay(end)) throw new InvalidBalanceHistoryError('to must be YYYY-MM-DD');
+  const start = from ? String(from) : addDays(end, 1 - DEFAULT_DAYS);
+  if (!isDay(start)) throw new InvalidBalanceHistoryError('from must be YYYY-MM-DD');
+  if (start > end) throw new InvalidBalanceHistoryError('from must not be after to');
+  if (daysBetween(start, end) >= MAX_DAYS) {
+    throw new InvalidBalanceHistoryError(`the range can be at most ${MAX_DAYS} days`);
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Record a bank account's stored balance as its balance for `today`.
+ * Accounts without a balance (the balance fetch failed) are skipped.
+ * @param {{ id: string, user_id: string, currency: string, balance_minor: number|null,
+ *   available_balance_minor: number|null }} account — a bank_accounts row
+ */
+async function recordBalance(prisma, account, { today = toDay() } = {}) {
+  if (account.balance_minor === null || account.balance_minor === undefined) return;
+  const balance = {
+    balance_minor: account.balance_minor,
+    available_balance_minor: account.available_balance_minor ?? null,
+    currency: account.currency,
+    recorded_at: new Date(),
+  };
+  await prisma.bankBalanceHistory.upsert({
+    where: { bank_account_id_balance_date: { bank_account_id: account.id, balance_date: toDate(today) } },
+    update: balance,
+    create: { ...balance, user_id: account.user_id, bank_account_id: account.id, balance_date: toDate(today) },
+  });
+}
+
+const ROW_SELECT = { bank_account_id: true, balance_date: true, balance_minor: true, available_balance_minor: true, currency: true };
+
+/**
+ * Recorded balances of `accountIds` from `from` to `to`, each account's
+ * preceded by its last one before `from`.
+ * @returns {Promise<Map<string, object[]>>} account id → rows, oldest first
+ */
+async function loadBalanceRows(prisma, accountIds, from, to) {
+  const [rows, openings] = await Promise.all([
+    prisma.bankBalanceHistory.findMany({
+      where: { bank_account_id: { in: accountIds }, balance_date: { gte: toDate(from), lte: toDate(to) } },
+      orderBy: { balance_date: 'asc' },
+      select: ROW_SELECT,
+    }),
+    prisma.bankBalanceHistory.findMany({
+      where: { bank_account_id: { in: accountIds }, balance_date: { lt: toDate(from) } },
+      orderBy: [{ bank_account_id: 'asc' }, { balance_date: 'desc' }],
+      distinct: ['bank_account_id'],
+      select: ROW_SELECT,
+    }),
+  ]);
+  const byAccount = new Map(accountIds.map((id) => [id, []]));
+  for (const row of [...openings, ...rows]) byAccount.get(row.bank_account_id).push(row);
+  return byAccount;
+}
+
+/** An account's recorded rows → a point per day from `from` to `to`. */
+function dailyPoints(rows, from, to) {
+  const points = [];
+  let i = 0;
+  let last = null;
+  // Rows before the range only give the opening balance
+  while (i < rows.length && toDay(rows[i].balance_date) < from) last = rows[i++];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const recorded = i < rows.length && toDay(rows[i].balance_date) === day;
+    if (recorded) last = rows[i++];
+    if (!last) continue;
+    points.push({
+      date: day,
+      balance: fromMinor(last.balance_minor, last.currency),
+      available_balance: fromMinor(last.available_balance_minor, last.currency),
+      recorded,
+    });
+  }
+  return points;
+}
+
+/**
+ * The user's bank accounts with their daily balances over a range.
+ * @param {{ from: string, to: string, accountId?: string|null }} range — from parseRange
+ * @returns {Promise<{ id, account_name, currency, first_recorded, points: object[] }[]>}
+ *   in the balance endpoints' account order (oldest first); accounts with
+ *   nothing recorded up to `to` are left out
+ */
+async function loadBalanceHistory(prisma, userId, { from, to, accountId = null }) {
+  const where = { user_id: userId };
+  if (accountId) where.id = accountId;
+  const accounts = await prisma.bankAccount.findMany({
+    where,
+    orderBy: [{ created_at: 'asc' }, { provider_account_id: 'asc' }],
+    select: { id: true, account_name: true, currency: true },
+  });
+  if (!accounts.length) return [];
+
+  const ids = accounts.map((a) => a.id);
+  const [byAccount, firsts] = await Promise.all([
+    loadBalanceRows(prisma, ids, from, to),
+    prisma.bankBalanceHistory.groupBy({
+      by: ['bank_account_id'],
+      where: { bank_account_id: { in: ids } },
+      _min: { balance_date: true },
+    }),
+  ]);
+  const firstRecorded = new Map(firsts.map((f) => [f.bank_account_id, toDay(f._min.balance_date)]));
+
+  return accounts
+    .map((a) => ({
+      id: a.id,
+      account_name: a.account_name,
+      currency: a.currency,
+      first_recorded: firstRecorded.get(a.id) || null,
+      points: dailyPoints(byAccount.get(a.id), from, to),
+    }))
+    .filter((a) => a.points.length > 0);
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  InvalidBalanceHistoryError,
+  parseRange,
+  recordBalance,
+  loadBalanceRows,
+  loadBalanceHistory,
+};
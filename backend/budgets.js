@@ -0,0 +1,449 @@
+/**
+ * budgets.js — Per-category spending limits and how much of them is used.
+ *
+ * A budget caps one category per period (see ../shared/periods.js):
+ *   - a split budget (split_id set) counts that split's purchases, the way
+ *     the tracker does;
+ *   - a standalone budget (split_id null) counts the user's expense
+ *     transactions.
+ * A row counts when its category is the budget's, or a subcategory of it
+ * when the budget is on a group. Rows split into line items count per line,
+ * each line's share of the row's amount under the line's own category.
+ *
+ * Payday periods step from the next_payday of the split's income setting,
+ * or, for standalone budgets, of the most recently saved one. Without one
+ * the budget falls back to calendar months and says so (`payday_missing`).
+ *
+ * A rollover budget carries each period's leftover, or overspend, into the
+ * next, limited to ±rollover_cap when one is set, starting from the period
+ * containing rollover_since (when rollover was switched on or the period
+ * changed). Reading progress never writes: a closed period stored in
+ * budget_periods is taken as stored (limit, spending and carry), and only the
+ * ones not stored yet are worked out from the current limit and rows. Before
+ * a budget changes, settleBudgetPeriods() stores the closed periods that
+ * aren't yet, so going back to an old period shows what was available then,
+ * and an old row recategorised later doesn't move the carry after it.
+ *
+ * Progress is in the budget's currency; rows in other currencies are
+ * converted at their own date and counted as `unconverted` when no rate
+ * links them. The API sends and receives major units.
+ */
+
+const { toMinor, fromMinor, normalizeCurrency, isCurrencyCode } = require('../shared/money.js');
+const { BUDGET_PERIODS, isDay, toDay, addDays, daysBetween, periodBounds } = require('../shared/periods.js');
+const { cleanName } = require('./categories');
+const { loadFxConverter } = require('./fx');
+
+// Longest rollover run walked (20 years of weeks); older carries are dropped
+const MAX_ROLLOVER_PERIODS = 1040;
+
+class InvalidBudgetError extends Error {
+  constructor(message, code = 'invalid_budget', status = 400) {
+    super(message);
+    this.name = 'InvalidBudgetError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const BUDGET_SELECT = {
+  id: true,
+  split_id: true,
+  category: true,
+  amount_minor: true,
+  currency: true,
+  period: true,
+  rollover: true,
+  rollover_cap_minor: true,
+  rollover_since: true,
+  created_at: true,
+  updated_at: true,
+};
+
+/**
+ * Validate a create/update payload ({ category, amount, currency, period,
+ * rollover, rollover_cap }). split_id is checked against the user's splits
+ * by the route, which also sets rollover_since.
+ * @throws {InvalidBudgetError}
+ */
+function parseBudgetInput(body = {}, { partial = false } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+  if (!partial || has('category')) {
+    data.category = cleanName(body.category);
+    if (!data.category) throw new InvalidBudgetError('category is required');
+  }
+  if (!partial || has('currency')) {
+    if (body.currency !== undefined && body.currency !== null && !isCurrencyCode(body.currency)) {
+      throw new InvalidBudgetError('currency must be a three-letter code like GBP');
+    }
+    data.currency = normalizeCurrency(body.currency);
+  }
+  if (!partial || has('amount')) {
+    const amount = Number(body.amount);
+    const minor = Number.isFinite(amount) ? toMinor(amount, data.currency) : null;
+    if (!(minor > 0)) throw new InvalidBudgetError('amount must be a positive number');
+    data.amount_minor = minor;
+  }
+  if (!partial || has('period')) {
+    const period = body.period ?? 'monthly';
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new InvalidBudgetError(`period must be one of ${BUDGET_PERIODS.join(', ')}`);
+    }
+    data.period = period;
+  }
+  if (!partial || has('rollover')) data.rollover = body.rollover === true;
+  if (!partial || has('rollover_cap')) {
+    const cap = body.rollover_cap;
+    if (cap === undefined || cap === null || cap === '') {
+      data.rollover_cap_minor = null;
+    } else {
+      const minor = Number.isFinite(Number(cap)) ? toMinor(Number(cap), data.currency) : null;
+      if (!(minor > 0)) throw new InvalidBudgetError('rollover_cap must be a positive number, or null for no cap');
+      data.rollover_cap_minor = minor;
+    }
+  }
+  return data;
+}
+
+/** `?date=` → a day, defaulting to today. */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return toDay();
+  if (!isDay(String(value))) throw new InvalidBudgetError('date must be YYYY-MM-DD', 'invalid_query');
+  return String(value);
+}
+
+/**
+ * Payday anchors ({ next_payday, frequency }) for the user's splits, plus
+ * `standalone` for budgets outside a split.
+ */
+async function loadPaydays(prisma, userId) {
+  const settings = await prisma.incomeSetting.findMany({
+    where: { user_id: userId, next_payday: { not: null } },
+    orderBy: { updated_at: 'desc' },
+    select: { split_id: true, next_payday: true, frequency: true },
+  });
+  const bySplit = new Map(settings.filter((s) => isDay(s.next_payday)).map((s) => [s.split_id, s]));
+  return { bySplit, standalone: settings.find((s) => isDay(s.next_payday)) || null };
+}
+
+function paydayFor(paydays, budget) {
+  return budget.split_id ? paydays.bySplit.get(budget.split_id) || null : paydays.standalone;
+}
+
+/**
+ * The period containing `day` for a budget, falling back to the calendar
+ * month when a payday budget has no payday to step from.
+ */
+function budgetBounds(budget, day, payday) {
+  const bounds = periodBounds(budget.period, day, payday);
+  if (bounds) return { ...bounds, payday_missing: false };
+  return { ...periodBounds('monthly', day), payday_missing: true };
+}
+
+/**
+ * The lower-cased category names that count towards each budget (or goal)
+ * category: the name itself and, for a group, its subcategories.
+ */
+async function loadCategoryMatchers(prisma, userId, budgets) {
+  const groups = await prisma.category.findMany({
+    where: { user_id: userId, parent_id: null, children: { some: {} } },
+    select: { name: true, children: { select: { name: true } } },
+  });
+  const childrenOf = new Map(groups.map((g) => [g.name.toLowerCase(), g.children.map((c) => c.name.toLowerCase())]));
+  const matchers = new Map();
+  for (const { category } of budgets) {
+    const key = category.toLowerCase();
+    if (!matchers.has(key)) matchers.set(key, new Set([key, ...(childrenOf.get(key) || [])]));
+  }
+  return matchers;
+}
+
+/**
+ * A row's { minor, category } parts: each line's share of the row (the last
+ * line takes the remainder), or the row itself when it isn't split.
+ */
+function rowParts(row, lines = []) {
+  if (lines.length === 0) return [{ minor: row.amount_minor, category: row.category }];
+  const total = lines.reduce((sum, l) => sum + l.amount_minor, 0);
+  let assigned = 0;
+  return lines.map((line, i) => {
+    const minor = i === lines.length - 1
+      ? row.amount_minor - assigned
+      : total ? Math.round((row.amount_minor * line.amount_minor) / total) : 0;
+    assigned += minor;
+    return { minor, category: line.category || row.category };
+  });
+}
+
+const LINE_SELECT = { select: { amount_minor: true, category: true }, orderBy: { sort_order: 'asc' } };
+
+/**
+ * Spending rows ({ day, currency, parts }) for one scope between two days:
+ * a split's purchases, or the user's expense transactions.
+ */
+async function loadSpending(prisma, userId, splitId, from, to) {
+  const date = { gte: new Date(`${from}T00:00:00Z`), lt: new Date(`${addDays(to, 1)}T00:00:00Z`) };
+  if (splitId) {
+    const purchases = await prisma.purchase.findMany({
+      where: { user_id: userId, split_id: splitId, date },
+      select: { amount_minor: true, currency: true, category: true, date: true, transaction: { select: { line_items: LINE_SELECT } } },
+    });
+    return purchases.map((p) => ({
+      day: toDay(p.date),
+      currency: p.currency,
+      parts: rowParts(p, p.transaction?.line_items),
+    }));
+  }
+  const transactions = await prisma.transaction.findMany({
+    where: { user_id: userId, type: 'expense', date },
+    select: { amount_minor: true, currency: true, category: true, date: true, line_items: LINE_SELECT },
+  });
+  return transactions.map((t) => ({ day: toDay(t.date), currency: t.currency, parts: rowParts(t, t.line_items) }));
+}
+
+/** Spending in `category` (with its subcategories) between two days, in the budget's currency. */
+function spentBetween(budget, rows, names, fx, start, end) {
+  let spent = 0;
+  let unconverted = 0;
+  for (const row of rows) {
+    if (row.day < start || row.day > end) continue;
+    for (const part of row.parts) {
+      if (!names.has(String(part.category || '').toLowerCase())) continue;
+      const minor = row.currency === budget.currency
+        ? part.minor
+        : fx.convertMinor(part.minor, row.currency, budget.currency, row.day);
+      if (minor === null) unconverted++;
+      else spent += minor;
+    }
+  }
+  return { spent, unconverted };
+}
+
+/**
+ * The periods a rollover budget carries through to reach `bounds`: from the
+ * one containing rollover_since up to and including `bounds`. Null for other
+ * budgets and for periods before rollover started.
+ */
+function rolloverChain(budget, bounds, payday) {
+  if (!budget.rollover || !budget.rollover_since) return null;
+  const first = budgetBounds(budget, toDay(budget.rollover_since), payday);
+  if (bounds.end < first.start) return null;
+  const chain = [first];
+  while (chain[chain.length - 1].end < bounds.start) {
+    if (chain.length === MAX_ROLLOVER_PERIODS) chain.shift();
+    chain.push(budgetBounds(budget, addDays(chain[chain.length - 1].end, 1), payday));
+  }
+  return chain;
+}
+
+// What's left over at the end of a period, limited to ±rollover_cap
+function carryOut(budget, left) {
+  const cap = budget.rollover_cap_minor;
+  return cap ? Math.max(-cap, Math.min(cap, left)) : left;
+}
+
+/**
+ * Walk a rollover budget's periods, carrying each one's leftover (or
+ * overspend) into the next. A closed period that is stored is taken as it
+ * was stored, carry included; the rest are worked out from `rows`.
+ * @returns {{ last: { amount: number, carried_in: number, spent: number, unconverted: number },
+ *   unsettled: { start: string, end: string, amount_minor: number, carried_in_minor: number,
+ *     spent_minor: number, carried_out_minor: number }[] }}
+ *   the last period of `chain` and the closed ones not stored yet, in minor units
+ */
+function walkRollover(budget, chain, { rows, names, fx, stored, today }) {
+  let carry = 0;
+  let last = null;
+  const unsettled = [];
+  for (const period of chain) {
+    const closed = period.end < today;
+    const previous = stored.get(period.start);
+    if (closed && previous && toDay(previous.period_end) === period.end) {
+      last = { amount: previous.amount_minor, carried_in: previous.carried_in_minor, spent: previous.spent_minor, unconverted: 0 };
+      carry = previous.carried_out_minor;
+      continue;
+    }
+    const amount = budget.amount_minor;
+    const { spent, unconverted } = spentBetween(budget, rows, names, fx, period.start, period.end);
+    const out = carryOut(budget, amount + carry - spent);
+    last = { amount, carried_in: carry, spent, unconverted };
+    if (closed) {
+      unsettled.push({ start: period.start, end: period.end, amount_minor: amount, carried_in_minor: carry, spent_minor: spent, carried_out_minor: out });
+    }
+    carry = out;
+  }
+  return { last, unsettled };
+}
+
+/**
+ * Everything progress is worked out from: each budget's period bounds and
+ * rollover chain, the spending rows per scope, category matchers, FX rates
+ * and the stored rollover periods.
+ */
+async function loadProgressInputs(prisma, userId, budgets, day) {
+  const paydays = await loadPaydays(prisma, userId);
+  const matchers = await loadCategoryMatchers(prisma, userId, budgets);
+  const chained = budgets.map((b) => {
+    const payday = paydayFor(paydays, b);
+    const bounds = budgetBounds(b, day, payday);
+    return { budget: b, bounds, chain: rolloverChain(b, bounds, payday) };
+  });
+
+  // One load per scope, covering every period in it
+  const scopes = new Map();
+  for (const { budget, bounds, chain } of chained) {
+    const key = budget.split_id || '';
+    const from = chain ? chain[0].start : bounds.start;
+    const scope = scopes.get(key) || { from, to: bounds.end };
+    if (from < scope.from) scope.from = from;
+    if (bounds.end > scope.to) scope.to = bounds.end;
+    scopes.set(key, scope);
+  }
+  const rowsByScope = new Map();
+  for (const [key, { from, to }] of scopes) {
+    rowsByScope.set(key, await loadSpending(prisma, userId, key || null, from, to));
+  }
+
+  const currencies = new Set(budgets.map((b) => b.currency));
+  for (const rows of rowsByScope.values()) rows.forEach((r) => currencies.add(r.currency));
+  const fx = currencies.size > 1 ? await loadFxConverter(prisma, userId, [...currencies]) : null;
+
+  const rolling = chained.filter(({ chain }) => chain).map(({ budget }) => budget.id);
+  const storedRows = rolling.length ? await prisma.budgetPeriod.findMany({ where: { budget_id: { in: rolling } } }) : [];
+  const storedByBudget = new Map();
+  for (const row of storedRows) {
+    if (!storedByBudget.has(row.budget_id)) storedByBudget.set(row.budget_id, new Map());
+    storedByBudget.get(row.budget_id).set(toDay(row.period_start), row);
+  }
+
+  return chained.map(({ budget, bounds, chain }) => ({
+    budget,
+    bounds,
+    chain,
+    rows: rowsByScope.get(budget.split_id || ''),
+    names: matchers.get(budget.category.toLowerCase()),
+    fx,
+    stored: storedByBudget.get(budget.id) || new Map(),
+  }));
+}
+
+/**
+ * Budget rows → API shape with the progress of the period containing `day`:
+ * spent, remaining (negative when over) and projected end-of-period spend
+ * (spending so far carried on at the same daily rate). For rollover budgets
+ * `available` is the limit plus what the previous periods carried in.
+ * Read-only; see settleBudgetPeriods() for what gets stored.
+ * @param {object[]} budgets — rows with BUDGET_SELECT
+ * @param {{ day?: string, today?: string }} [options]
+ */
+async function budgetProgress(prisma, userId, budgets, { day = toDay(), today = toDay() } = {}) {
+  if (budgets.length === 0) return [];
+  const inputs = await loadProgressInputs(prisma, userId, budgets, day);
+
+  const results = [];
+  for (const { budget, bounds, chain, rows, names, fx, stored } of inputs) {
+    const { amount, carried_in: carriedIn, spent, unconverted } = chain
+      ? walkRollover(budget, chain, { rows, names, fx, stored, today }).last
+      : { amount: budget.amount_minor, carried_in: 0, ...spentBetween(budget, rows, names, fx, bounds.start, bounds.end) };
+
+    const available = amount + carriedIn;
+    const totalDays = daysBetween(bounds.start, bounds.end) + 1;
+    const elapsedDays = Math.min(Math.max(daysBetween(bounds.start, today) + 1, 0), totalDays);
+    // A past period is final; a future one has nothing to project from yet
+    const projected = elapsedDays > 0 ? Math.round((spent * totalDays) / elapsedDays) : spent;
+
+    results.push(toBudgetResponse(budget, {
+      period_start: bounds.start,
+      period_end: bounds.end,
+      payday_missing: bounds.payday_missing,
+      period_amount: fromMinor(amount, budget.currency),
+      carried_in: fromMinor(carriedIn, budget.currency),
+      available: fromMinor(available, budget.currency),
+      spent: fromMinor(spent, budget.currency),
+      remaining: fromMinor(available - spent, budget.currency),
+      projected: fromMinor(projected, budget.currency),
+      percent_used: available > 0 ? Math.round((spent / available) * 1000) / 10 : 100,
+      over_budget: spent > available,
+      projected_over: projected > available,
+      unconverted,
+    }));
+  }
+  return results;
+}
+
+/**
+ * Store the closed periods of the given rollover budgets that aren't in
+ * budget_periods yet, with the limit and carry they had, so a change to the
+ * budget leaves them as they were. Stored periods are left alone; ones that
+ * no longer line up (a payday that moved) are dropped. Run before the
+ * change, in the same transaction.
+ */
+async function settleBudgetPeriods(tx, userId, budgets, { today = toDay() } = {}) {
+  const rolling = budgets.filter((b) => b.rollover);
+  if (rolling.length === 0) return;
+  const inputs = await loadProgressInputs(tx, userId, rolling, today);
+
+  for (const { budget, chain, rows, names, fx, stored } of inputs) {
+    if (!chain) continue;
+    const { unsettled } = walkRollover(budget, chain, { rows, names, fx, stored, today });
+    for (const { start, end, ...amounts } of unsettled) {
+      const values = { period_end: new Date(`${end}T00:00:00Z`), ...amounts };
+      await tx.budgetPeriod.upsert({
+        where: { budget_period_start: { budget_id: budget.id, period_start: new Date(`${start}T00:00:00Z`) } },
+        update: values,
+        create: { ...values, budget_id: budget.id, user_id: userId, period_start: new Date(`${start}T00:00:00Z`) },
+      });
+    }
+
+    // A stored period whose end moved was rewritten above; other strays go
+    const starts = new Set(chain.filter((p) => p.end < today).map((p) => p.start));
+    const orphans = [...stored.keys()].filter((start) => start >= chain[0].start && !starts.has(start));
+    if (orphans.length) {
+      await tx.budgetPeriod.deleteMany({
+        where: { budget_id: budget.id, period_start: { in: orphans.map((d) => new Date(`${d}T00:00:00Z`)) } },
+      });
+    }
+  }
+}
+
+/**
+ * Delete a split's budgets on categories it no longer has, after its lines
+ * change. Run in the same transaction as replaceSplitCategories().
+ * @returns {Promise<number>} how many were deleted
+ */
+async function removeStaleSplitBudgets(tx, splitId, names) {
+  const keep = new Set(names.map((n) => n.toLowerCase()));
+  const budgets = await tx.budget.findMany({ where: { split_id: splitId }, select: { id: true, category: true } });
+  const stale = budgets.filter((b) => !keep.has(b.category.toLowerCase())).map((b) => b.id);
+  if (stale.length === 0) return 0;
+  const { count } = await tx.budget.deleteMany({ where: { id: { in: stale } } });
+  return count;
+}
+
+/** A budgets row → API shape, in major units, plus any progress fields. */
+function toBudgetResponse(row, progress = {}) {
+  const { user_id: _userId, amount_minor, rollover_cap_minor, rollover_since, ...rest } = row;
+  return {
+    ...rest,
+    amount: fromMinor(amount_minor, row.currency),
+    rollover_cap: rollover_cap_minor === null ? null : fromMinor(rollover_cap_minor, row.currency),
+    rollover_since: rollover_since ? toDay(rollover_since) : null,
+    ...progress,
+  };
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  InvalidBudgetError,
+  BUDGET_SELECT,
+  parseBudgetInput,
+  parseDate,
+  loadCategoryMatchers,
+  rowParts,
+  loadSpending,
+  budgetProgress,
+  settleBudgetPeriods,
+  removeStaleSplitBudgets,
+  toBudgetResponse,
+};
@@ -0,0 +1,204 @@
+/**
+ * categories.js — Per-user Category list with one level of grouping.
+ *
+ * Every view reads categories from /api/categories (routes/categories.js).
+ * A user's list is seeded from DEFAULT_CATEGORIES on first read, so
+ * existing users get the same names the keyword fallback and split presets use.
+ *
+ * Hierarchy rules:
+ *   - a category is either a group (top level, parent_id null) or a child of one
+ *   - groups can't be nested, so a category with children can't get a parent
+ *   - deleting a group promotes its children to the top level
+ *
+ * Transactions, purchases and rules reference categories by name, so
+ * names are unique per user (case-insensitive) and only change through
+ * category-rename.js, which rewrites every copy at once.
+ */
+
+const { DEFAULT_CATEGORIES } = require('./category-defaults');
+
+const MAX_NAME_LENGTH = 60;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const MAX_ICON_LENGTH = 16;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class InvalidCategoryError extends Error {
+  constructor(message, code = 'invalid_category', status = 400) {
+    super(message);
+    this.name = 'InvalidCategoryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** Trim and collapse whitespace; names compare case-insensitively. */
+function cleanName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+function optionalColor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!COLOR_RE.test(String(value))) throw new InvalidCategoryError('color must be a hex colour like #A1B2C3');
+  return String(value).toUpperCase();
+}
+
+function optionalIcon(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const icon = String(value).trim();
+  if (icon.length > MAX_ICON_LENGTH) throw new InvalidCategoryError(`icon must be at most ${MAX_ICON_LENGTH} characters`);
+  return icon || null;
+}
+
+/**
+ * Validate a create/update payload and map it onto Category columns.
+ * Parent checks that need the database are done by checkParent().
+ * @throws {InvalidCategoryError}
+ */
+function parseCategoryInput(body = {}, { partial = false } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+
+  if (partial && has('name')) {
+    throw new InvalidCategoryError('use /api/categories/rename to change a name');
+  }
+  if (!partial) {
+    const name = cleanName(body.name);
+    if (!name) throw new InvalidCategoryError('name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new InvalidCategoryError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    data.name = name;
+  }
+  if (!partial || has('parent_id')) {
+    const parentId = body.parent_id || null;
+    if (parentId && !UUID_RE.test(parentId)) throw new InvalidCategoryError('parent_id must be a category id');
+    data.parent_id = parentId;
+  }
+  if (!partial || has('color')) data.color = optionalColor(body.color);
+  if (!partial || has('icon')) data.icon = optionalIcon(body.icon);
+  if (has('archived')) data.archived = Boolean(body.archived);
+  if (has('sort_order')) {
+    const sortOrder = Number(body.sort_order);
+    if (!Number.isInteger(sortOrder)) throw new InvalidCategoryError('sort_order must be an integer');
+    data.sort_order = sortOrder;
+  }
+
+  return data;
+}
+
+/**
+ * Make sure `parentId` can hold `category` (null for a new category):
+ * it must be one of the user's top-level categories, and `category`
+ * must not be a group itself.
+ * @throws {InvalidCategoryError}
+ */
+async function checkParent(prisma, userId, parentId, category = null) {
+  if (!parentId) return;
+  if (category && parentId === category.id) throw new InvalidCategoryError('a category cannot be its own parent');
+
+  const parent = await prisma.category.findFirst({
+    where: { id: parentId, user_id: userId },
+    select: { parent_id: true },
+  });
+  if (!parent) throw new InvalidCategoryError('parent category not found');
+  if (parent.parent_id) throw new InvalidCategoryError('categories can only be grouped one level deep');
+
+  if (category) {
+    const children = await prisma.category.count({ where: { user_id: userId, parent_id: category.id } });
+    if (children > 0) throw new InvalidCategoryError('a category with subcategories cannot be moved under another');
+  }
+}
+
+/** Find one of the user's categories by name, ignoring case. */
+function findByName(prisma, userId, name) {
+  return prisma.category.findFirst({
+    where: { user_id: userId, name: { equals: cleanName(name), mode: 'insensitive' } },
+  });
+}
+
+/**
+ * Create the default tree for a user who has no categories yet.
+ * Safe to race: duplicates are skipped by the (user_id, lower(name)) index.
+ */
+async function seedDefaultCategories(prisma, userId) {
+  await prisma.category.createMany({
+    data: DEFAULT_CATEGORIES.map(({ name, color, icon }, i) => ({
+      user_id: userId, name, color, icon, sort_order: i,
+    })),
+    skipDuplicates: true,
+  });
+
+  const groups = await prisma.category.findMany({
+    where: { user_id: userId, parent_id: null, name: { in: DEFAULT_CATEGORIES.map((c) => c.name) } },
+    select: { id: true, name: true },
+  });
+  const groupId = new Map(groups.map((g) => [g.name, g.id]));
+
+  const children = DEFAULT_CATEGORIES.flatMap((group) => (group.children || [])
+    .filter(() => groupId.has(group.name))
+    .map(({ name, color, icon }, i) => ({
+      user_id: userId, name, color, icon, sort_order: i, parent_id: groupId.get(group.name),
+    })));
+  if (children.length) await prisma.category.createMany({ data: children, skipDuplicates: true });
+}
+
+/**
+ * The user's categories, seeding the defaults on first use.
+ * Ordered groups first, each followed by its children.
+ */
+async function listCategories(prisma, userId) {
+  let rows = await prisma.category.findMany({ where: { user_id: userId } });
+  if (rows.length === 0) {
+    await seedDefaultCategories(prisma, userId);
+    console.log(`[Categories] Seeded default categories for ${userId}`);
+    rows = await prisma.category.findMany({ where: { user_id: userId } });
+  }
+
+  const byOrder = (a, b) => (a.sort_order - b.sort_order) || a.name.localeCompare(b.name);
+  const ids = new Set(rows.map((r) => r.id));
+  const childrenOf = new Map();
+  for (const row of rows) {
+    if (!row.parent_id || !ids.has(row.parent_id)) continue;
+    if (!childrenOf.has(row.parent_id)) childrenOf.set(row.parent_id, []);
+    childrenOf.get(row.parent_id).push(row);
+  }
+  return rows
+    .filter((r) => !r.parent_id || !ids.has(r.parent_id))
+    .sort(byOrder)
+    .flatMap((group) => [group, ...(childrenOf.get(group.id) || []).sort(byOrder)]);
+}
+
+/**
+ * Create any of `names` the user doesn't have yet (case-insensitive) as
+ * top-level categories. Used for legacy custom categories and split names.
+ * @returns {Promise<number>} categories created
+ * @throws {InvalidCategoryError} for a name that is too long
+ */
+async function ensureCategories(prisma, userId, names) {
+  // Seed first so these names never stand in for the defaults
+  const existing = await listCategories(prisma, userId);
+  const known = new Set(existing.map((c) => c.name.toLowerCase()));
+
+  const data = [];
+  for (const raw of names) {
+    const name = cleanName(raw);
+    if (!name || known.has(name.toLowerCase())) continue;
+    parseCategoryInput({ name });
+    known.add(name.toLowerCase());
+    data.push({ user_id: userId, name, sort_order: existing.length + data.length });
+  }
+  if (!data.length) return 0;
+
+  const result = await prisma.category.createMany({ data, skipDuplicates: true });
+  return result.count;
+}
+
+module.exports = {
+  UUID_RE,
+  InvalidCategoryError,
+  cleanName,
+  parseCategoryInput,
+  checkParent,
+  findByName,
+  seedDefaultCategories,
+  listCategories,
+  ensureCategories,
+};
@@ -0,0 +1,204 @@
+/**
+ * categorization.js — CategoryRule engine shared by every import path
+ * (manual /transactions/bulk, TrueLayer sync, import previews).
+ *
+ * A rule matches when ALL of its conditions hold:
+ *   match_type + pattern  — description condition:
+ *       contains        case-insensitive substring
+ *       regex           case-insensitive JavaScript regex
+ *       exact_merchant  whole description, case/whitespace-insensitive
+ *   min_amount / max_amount — inclusive bounds on the positive amount
+ *   tx_type               — income | expense
+ *   source                — bank | manual
+ *
+ * Rules run in ascending priority (ties: oldest first); the first match wins.
+ * When nothing matches, the built-in keyword list in category-defaults.js applies.
+ */
+
+const { defaultCategory, isUncategorized } = require('./category-defaults');
+
+const MATCH_TYPES = ['contains', 'regex', 'exact_merchant'];
+const TX_TYPES = ['income', 'expense'];
+const SOURCES = ['bank', 'manual'];
+const MAX_PATTERN_LENGTH = 200;
+
+// Quantified groups that are themselves quantified — "(a+)+", "(\w*)*" — can
+// backtrack catastrophically, and rules run against every imported row.
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*](?:[^()\\]|\\.)*\)\s*(?:[+*]|\{\d)/;
+
+class InvalidRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRuleError';
+  }
+}
+
+/** Lower-case, trim and collapse whitespace so merchant names compare reliably. */
+function normalizeMerchant(description) {
+  return String(description || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function optionalAmount(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new InvalidRuleError(`${name} must be a non-negative number`);
+  return n;
+}
+
+function optionalEnum(value, allowed, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const v = String(value).toLowerCase();
+  if (!allowed.includes(v)) throw new InvalidRuleError(`${name} must be one of: ${allowed.join(', ')}`);
+  return v;
+}
+
+/**
+ * Validate a create/update payload and map it onto CategoryRule columns.
+ * With `partial`, only the fields present in `body` are returned (PATCH);
+ * `existing` supplies the current row so cross-field checks still apply.
+ * @throws {InvalidRuleError}
+ */
+function parseRuleInput(body = {}, { partial = false, existing = null } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+
+  if (!partial || has('category')) {
+    const category = typeof body.category === 'string' ? body.category.trim() : '';
+    if (!category) throw new InvalidRuleError('category is required');
+    data.category = category;
+  }
+  if (!partial || has('match_type') || has('pattern')) {
+    const matchType = optionalEnum(has('match_type') ? body.match_type : existing?.match_type, MATCH_TYPES, 'match_type');
+    const rawPattern = has('pattern') ? body.pattern : existing?.pattern;
+    const pattern = rawPattern === undefined || rawPattern === null ? '' : String(rawPattern).trim();
+
+    if (matchType && !pattern) throw new InvalidRuleError('pattern is required when match_type is set');
+    if (!matchType && pattern) throw new InvalidRuleError('match_type is required when pattern is set');
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new InvalidRuleError(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (matchType === 'regex') {
+      if (NESTED_QUANTIFIER.test(pattern)) throw new InvalidRuleError('regex must not contain nested quantifiers');
+      try {
+        new RegExp(pattern, 'i');
+      } catch (err) {
+        throw new InvalidRuleError(`regex is invalid: ${err.message}`);
+      }
+    }
+    data.match_type = matchType;
+    data.pattern = matchType === 'exact_merchant' ? normalizeMerchant(pattern) : (pattern || null);
+  }
+  if (!partial || has('min_amount')) data.min_amount = optionalAmount(body.min_amount, 'min_amount');
+  if (!partial || has('max_amount')) data.max_amount = optionalAmount(body.max_amount, 'max_amount');
+  if (!partial || has('tx_type')) data.tx_type = optionalEnum(body.tx_type, TX_TYPES, 'tx_type');
+  if (!partial || has('source')) data.source = optionalEnum(body.source, SOURCES, 'source');
+  if (!partial || has('priority')) {
+    const priority = body.priority === undefined || body.priority === null ? 100 : Number(body.priority);
+    if (!Number.isInteger(priority)) throw new InvalidRuleError('priority must be an integer');
+    data.priority = priority;
+  }
+  if (has('enabled')) data.enabled = Boolean(body.enabled);
+
+  const min = has('min_amount') || !partial ? data.min_amount : existing?.min_amount;
+  const max = has('max_amount') || !partial ? data.max_amount : existing?.max_amount;
+  if (min != null && max != null && min > max) {
+    throw new InvalidRuleError('min_amount must not be greater than max_amount');
+  }
+
+  const merged = { ...existing, ...data };
+  if (!merged.match_type && merged.min_amount == null && merged.max_amount == null) {
+    throw new InvalidRuleError('a rule needs a description pattern or an amount range');
+  }
+
+  return data;
+}
+
+/**
+ * Turn a CategoryRule row into a predicate over { description, amount, type, source }.
+ * Returns null for rules that can't run (e.g. a regex that no longer compiles).
+ */
+function compileRule(rule) {
+  let testDescription = () => true;
+
+  if (rule.match_type === 'contains') {
+    const needle = String(rule.pattern).toLowerCase();
+    testDescription = (desc) => desc.toLowerCase().includes(needle);
+  } else if (rule.match_type === 'regex') {
+    let re;
+    try {
+      re = new RegExp(rule.pattern, 'i');
+    } catch {
+      console.warn(`[Categorize] Skipping rule ${rule.id}: invalid regex`);
+      return null;
+    }
+    testDescription = (desc) => re.test(desc);
+  } else if (rule.match_type === 'exact_merchant') {
+    const merchant = normalizeMerchant(rule.pattern);
+    testDescription = (desc) => normalizeMerchant(desc) === merchant;
+  }
+
+  return (tx) => {
+    if (rule.tx_type && tx.type !== rule.tx_type) return false;
+    if (rule.source && (tx.source || 'manual') !== rule.source) return false;
+    const amount = Math.abs(Number(tx.amount) || 0);
+    if (rule.min_amount != null && amount < rule.min_amount) return false;
+    if (rule.max_amount != null && amount > rule.max_amount) return false;
+    return testDescription(String(tx.description || ''));
+  };
+}
+
+/**
+ * Build an engine from a user's rules (any order; disabled rules are ignored).
+ * @returns {{ match(tx): object|null, categorize(tx, opts?): { category: string, ruleId: string|null } }}
+ */
+function createRuleEngine(rules = []) {
+  const compiled = rules
+    .filter((r) => r.enabled !== false)
+    .sort((a, b) => (a.priority - b.priority) || (new Date(a.created_at) - new Date(b.created_at)))
+    .map((rule) => ({ rule, test: compileRule(rule) }))
+    .filter((c) => c.test);
+
+  const match = (tx) => compiled.find((c) => c.test(tx))?.rule || null;
+
+  return {
+    match,
+    /**
+     * @param {object} tx — { description, amount, type, source }
+     * @param {object} [opts]
+     * @param {string} [opts.bankCategory] — raw provider category, used by the fallback
+     */
+    categorize(tx, { bankCategory } = {}) {
+      const rule = match(tx);
+      if (rule) return { category: rule.category, ruleId: rule.id };
+      return { category: defaultCategory({ description: tx.description, bankCategory }), ruleId: null };
+    },
+  };
+}
+
+/** Load a user's enabled rules and build an engine. */
+async function loadRuleEngine(prisma, userId) {
+  const rules = await prisma.categoryRule.findMany({
+    where: { user_id: userId, enabled: true },
+    orderBy: [{ priority: 'asc' }, { created_at: 'asc' }],
+  });
+  return createRuleEngine(rules);
+}
+
+/**
+ * Category for a manually imported row: the client's choice is kept unless
+ * it is missing, "Other" or a raw bank code, in which case the engine decides.
+ */
+function categorizeImported(engine, tx) {
+  if (!isUncategorized(tx.category)) return tx.category;
+  return engine.categorize(tx).category;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  InvalidRuleError,
+  normalizeMerchant,
+  parseRuleInput,
+  createRuleEngine,
+  loadRuleEngine,
+  categorizeImported,
+};
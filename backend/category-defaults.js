@@ -0,0 +1,88 @@
+/**
+ * category-defaults.js — Built-in categorization used when none of a user's
+ * CategoryRules match (see categorization.js).
+ *
+ * The keyword list lives in ../shared/categories.js, which the frontend
+ * also uses for instant hints before the server answers.
+ *
+ * DEFAULT_CATEGORIES is the tree every user's Category list is seeded with
+ * (see categories.js). It covers every name the keyword list can produce,
+ * plus the split presets (Food, Bills, Savings, ...) so all three line up.
+ */
+
+const { keywordCategory } = require('../shared/categories.js');
+
+// Seeded Category tree: top-level groups with at most one level of children.
+// Colours follow CATEGORY_COLORS in src/utils/categories.js.
+const DEFAULT_CATEGORIES = [
+  { name: 'Food',          color: '#95E1D3', icon: '🍽️', children: [
+    { name: 'Groceries',     color: '#95E1D3', icon: '🛒' },
+    { name: 'Restaurants',   color: '#F38181', icon: '🍔' },
+  ]},
+  { name: 'Bills',         color: '#FFE66D', icon: '🧾', children: [
+    { name: 'Rent',          color: '#FF8B94', icon: '🏠' },
+    { name: 'Utilities',     color: '#FFE66D', icon: '💡' },
+    { name: 'Insurance',     color: '#8AC6D1', icon: '🛡️' },
+    { name: 'Subscriptions', color: '#4ECDC4', icon: '🔁' },
+  ]},
+  { name: 'Transport',     color: '#A8D8EA', icon: '🚗', children: [
+    { name: 'Petrol',        color: '#FF6B6B', icon: '⛽' },
+  ]},
+  { name: 'Shopping',      color: '#FCBAD3', icon: '🛍️' },
+  { name: 'Entertainment', color: '#AA96DA', icon: '🎬' },
+  { name: 'Healthcare',    color: '#95E1D3', icon: '🩺' },
+  { name: 'Education',     color: '#F9C74F', icon: '🎓' },
+  { name: 'Gifts',         color: '#F4A261', icon: '🎁' },
+  { name: 'Charity',       color: '#E76F51', icon: '💝' },
+  { name: 'Income',        color: '#38ADA9', icon: '💰', children: [
+    { name: 'Salary',        color: '#38ADA9', icon: '💼' },
+    { name: 'Freelance',     color: '#78C850', icon: '🧑‍💻' },
+    { name: 'Bonus',         color: '#B4E197', icon: '🎉' },
+  ]},
+  { name: 'Savings',       color: '#6C9BD2', icon: '🏦' },
+  { name: 'Investing',     color: '#5B8E7D', icon: '📈' },
+  { name: 'Transfer',      color: '#9D84B7', icon: '↔️' },
+  { name: 'Fees',          color: '#FF6B9D', icon: '💸' },
+  { name: 'Other',         color: '#CCCCCC', icon: '📦' },
+];
+
+// TrueLayer `transaction_category` values that carry enough meaning on their own.
+// Everything else (PURCHASE, DEBIT, DIRECT_DEBIT, ...) says how money moved,
+// not what it was for, so those fall through to the keyword list.
+const TRUELAYER_CATEGORY_MAP = {
+  FEE: 'Fees',
+  INTEREST: 'Fees',
+  TRANSFER: 'Transfer',
+  ATM: 'Transfer',
+  CASH: 'Transfer',
+};
+
+// Raw bank categories that should never be shown as a spending category
+const RAW_BANK_CATEGORIES = new Set([
+  'ATM', 'BILL_PAYMENT', 'CASH', 'CASHBACK', 'CHEQUE', 'CORRECTION', 'CREDIT',
+  'DIRECT_DEBIT', 'DIVIDEND', 'DEBIT', 'FEE', 'INTEREST', 'OTHER', 'PURCHASE',
+  'STANDING_ORDER', 'TRANSFER', 'UNKNOWN',
+]);
+
+/** True for a missing category, "Other", or a raw bank category code. */
+function isUncategorized(category) {
+  const value = String(category || '').trim();
+  return !value || value.toLowerCase() === 'other' || RAW_BANK_CATEGORIES.has(value);
+}
+
+/**
+ * Keyword / bank-category fallback for a transaction no user rule matched.
+ * @param {{ description?: string, bankCategory?: string }} tx
+ * @returns {string} category name ('Other' when nothing fits)
+ */
+function defaultCategory({ description, bankCategory }) {
+  return keywordCategory(description)
+    || TRUELAYER_CATEGORY_MAP[String(bankCategory || '').toUpperCase()]
+    || 'Other';
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  isUncategorized,
+  defaultCategory,
+};
@@ -0,0 +1,187 @@
+/**
+ * category-rename.js — Rename a category, or merge it into another, across
+ * everything that stores the name:
+ *   transactions.category, transaction_line_items.category,
+ *   purchases.category, category_rules.category,
+ *   budgets.category, envelope allocations and moves, goals.category, each
+ *   split's category list, and the Category row itself.
+ *
+ * Names match case-insensitively. When the new name belongs to a different
+ * existing category this is a merge: the old Category row is removed (its
+ * subcategories move to the target, or to the top level if the target is a
+ * subcategory itself), and split entries that end up with the same name are
+ * combined by adding their percent and amount. A budget on the old name is
+ * dropped when the target already has one in the same split (or standalone).
+ *
+ * planCategoryRename() is the dry run; applyCategoryRename() writes the
+ * same changes in one database transaction.
+ */
+
+const { InvalidCategoryError, cleanName, parseCategoryInput, findByName } = require('./categories');
+const { SPLIT_CATEGORIES_QUERY, replaceSplitCategories } = require('./splits');
+const { addMoney } = require('../shared/money.js');
+
+// Names the app writes itself (tracker income rows, the categorization fallback)
+const RESERVED_NAMES = ['income', 'other'];
+
+const sameName = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+/**
+ * Rewrite a split's SplitCategory rows, combining lines that collide on `to`.
+ * @returns {{ name, percent, amount, sort_order }[]} rows for replaceSplitCategories()
+ */
+function renameSplitCategories(rows, from, to) {
+  const out = [];
+  for (const row of rows) {
+    const name = sameName(row.name, from) ? to : row.name;
+    const existing = sameName(name, to) && out.find((c) => sameName(c.name, to));
+    if (existing) {
+      existing.percent += row.percent;
+      if (existing.amount != null || row.amount != null) {
+        existing.amount = addMoney(existing.amount, row.amount);
+      }
+    } else {
+      out.push({ name, percent: row.percent, amount: row.amount, sort_order: out.length });
+    }
+  }
+  return out;
+}
+
+/**
+ * Move budgets from `from` to `to`, dropping the ones whose split (or
+ * standalone scope) already has a budget on `to`.
+ * @returns {Promise<number>} budgets renamed
+ */
+async function renameBudgets(tx, userId, from, to) {
+  const sources = await tx.budget.findMany({
+    where: { user_id: userId, category: { equals: from, mode: 'insensitive' } },
+    select: { id: true, split_id: true },
+  });
+  if (sources.length === 0) return 0;
+  const sourceIds = new Set(sources.map((b) => b.id));
+  const targets = await tx.budget.findMany({
+    where: { user_id: userId, category: { equals: to, mode: 'insensitive' } },
+    select: { id: true, split_id: true },
+  });
+  const taken = new Set(targets.filter((b) => !sourceIds.has(b.id)).map((b) => b.split_id || ''));
+  const dropped = sources.filter((b) => taken.has(b.split_id || '')).map((b) => b.id);
+  if (dropped.length) await tx.budget.deleteMany({ where: { id: { in: dropped } } });
+  const { count } = await tx.budget.updateMany({
+    where: { id: { in: sources.map((b) => b.id).filter((id) => !dropped.includes(id)) } },
+    data: { category: to },
+  });
+  return count;
+}
+
+/**
+ * Work out what renaming `from` to `to` would change, without writing anything.
+ *
+ * @param {object} prisma — client or interactive transaction
+ * @param {string} userId
+ * @param {{ from: string, to: string }} input
+ * @returns {Promise<{
+ *   from: string, to: string, merge: boolean,
+ *   source: object|null, target: object|null,
+ *   counts: {
+ *     transactions: number, lineItems: number, purchases: number,
+ *     rules: number, budgets: number, splits: number
+ *   },
+ *   splits: { id: string, name: string, categories: object[] }[]
+ * }>}
+ * @throws {InvalidCategoryError}
+ */
+async function planCategoryRename(prisma, userId, input = {}) {
+  const from = cleanName(input.from);
+  if (!from) throw new InvalidCategoryError('from is required');
+  const to = parseCategoryInput({ name: input.to }).name;
+  if (from === to) throw new InvalidCategoryError('the new name is the same as the old one');
+  if (RESERVED_NAMES.includes(from.toLowerCase())) {
+    throw new InvalidCategoryError(`"${from}" is used by the app and cannot be renamed`);
+  }
+
+  const source = await findByName(prisma, userId, from);
+  const existingTarget = await findByName(prisma, userId, to);
+  const target = existingTarget && existingTarget.id !== source?.id ? existingTarget : null;
+  // Keep the target's spelling when merging into an existing category
+  const newName = target ? target.name : to;
+
+  // Sequential on purpose: this also runs inside an interactive transaction
+  const where = { user_id: userId, category: { equals: from, mode: 'insensitive' } };
+  const transactions = await prisma.transaction.count({ where });
+  const lineItems = await prisma.transactionLineItem.count({ where });
+  const purchases = await prisma.purchase.count({ where });
+  const rules = await prisma.categoryRule.count({ where });
+  const budgets = await prisma.budget.count({ where });
+  const splitRows = await prisma.split.findMany({
+    where: { user_id: userId, categories: { some: { name: { equals: from, mode: 'insensitive' } } } },
+    select: { id: true, name: true, categories: SPLIT_CATEGORIES_QUERY },
+  });
+  const splits = splitRows.map((split) => ({
+    id: split.id,
+    name: split.name,
+    categories: renameSplitCategories(split.categories, from, newName),
+  }));
+
+  return {
+    from,
+    to: newName,
+    merge: Boolean(target),
+    source,
+    target,
+    counts: { transactions, lineItems, purchases, rules, budgets, splits: splits.length },
+    splits,
+  };
+}
+
+/**
+ * Apply a rename/merge. The plan is rebuilt inside the transaction so the
+ * counts written match the data at that moment.
+ * @returns {Promise<object>} the plan that was applied (see planCategoryRename)
+ */
+async function applyCategoryRename(prisma, userId, input) {
+  return prisma.$transaction(async (tx) => {
+    const plan = await planCategoryRename(tx, userId, input);
+    const where = { user_id: userId, category: { equals: plan.from, mode: 'insensitive' } };
+    const data = { category: plan.to };
+
+    const transactions = await tx.transaction.updateMany({ where, data });
+    const lineItems = await tx.transactionLineItem.updateMany({ where, data });
+    const purchases = await tx.purchase.updateMany({ where, data });
+    const rules = await tx.categoryRule.updateMany({ where, data });
+    const budgets = await renameBudgets(tx, userId, plan.from, plan.to);
+    await tx.envelopeAllocation.updateMany({ where, data });
+    await tx.envelopeMove.updateMany({ where: { user_id: userId, from_category: where.category }, data: { from_category: plan.to } });
+    await tx.envelopeMove.updateMany({ where: { user_id: userId, to_category: where.category }, data: { to_category: plan.to } });
+    await tx.goal.updateMany({ where, data });
+    for (const split of plan.splits) {
+      await replaceSplitCategories(tx, split.id, split.categories);
+    }
+
+    if (plan.merge && plan.source) {
+      await tx.category.updateMany({
+        where: { user_id: userId, parent_id: plan.source.id },
+        data: { parent_id: plan.target.parent_id ? null : plan.target.id },
+      });
+      await tx.category.delete({ where: { id: plan.source.id } });
+    } else if (plan.source) {
+      await tx.category.update({ where: { id: plan.source.id }, data: { name: plan.to } });
+    } else if (!plan.target) {
+      await tx.category.create({ data: { user_id: userId, name: plan.to } });
+    }
+
+    plan.counts = {
+      transactions: transactions.count,
+      lineItems: lineItems.count,
+      purchases: purchases.count,
+      rules: rules.count,
+      budgets,
+      splits: plan.splits.length,
+    };
+    return plan;
+  });
+}
+
+module.exports = {
+  planCategoryRename,
+  applyCategoryRename,
+};
@@ -15,18 +15,19 @@ async function main() {
 
   // Check split categories
   const splits = await pool.query(
-    'SELECT id, name, categories FROM splits WHERE user_id=$1',
+    `SELECT s.id, s.name, string_agg(sc.name, ', ' ORDER BY sc.sort_order) AS categories
+     FROM splits s LEFT JOIN split_categories sc ON sc.split_id = s.id
+     WHERE s.user_id=$1 GROUP BY s.id, s.name`,
     [userId]
   );
   console.log('\n=== Splits ===');
   splits.rows.forEach(r => {
-    const parsed = JSON.parse(r.categories);
-    console.log(`  ${r.name} (${r.id}): ${parsed.map(c => c.name).join(', ')}`);
+    console.log(`  ${r.name} (${r.id}): ${r.categories || ''}`);
   });
 
   // Check recent purchases
   const recent = await pool.query(
-    "SELECT date, amount, category, description FROM purchases WHERE user_id=$1 AND category != 'Income' ORDER BY date DESC LIMIT 10",
+    "SELECT date, amount_minor / 100.0 AS amount, category, description FROM purchases WHERE user_id=$1 AND category != 'Income' ORDER BY date DESC LIMIT 10",
     [userId]
   );
   console.log('\n=== Recent purchases ===');
@@ -0,0 +1,332 @@
+/**
+ * debts.js — Loans and credit cards, and a plan to pay them all off.
+ *
+ * A debt is what is owed now, its APR, the minimum monthly payment and the
+ * day of the month it is due. The planner pays every debt month by month
+ * from next month: interest is added first (APR / 12 on what is owed), then
+ * each debt gets its minimum, and the rest of the monthly budget goes to one
+ * debt at a time in the strategy's order:
+ *   - snowball: smallest balance first;
+ *   - avalanche: highest APR first.
+ * The monthly budget is every debt's minimum plus the extra, and stays the
+ * same as debts are paid off, so a cleared debt's minimum rolls on to the
+ * next. The extra is either an amount or what a split sets aside for one of
+ * its categories each month (its percentage of the split's expected income,
+ * see shared/periods.js for pay frequencies).
+ *
+ * Plans are in one currency; debts in others are converted at today's rate
+ * and left out as `unconverted` when no rate links them. A plan that hasn't
+ * cleared everything after MAX_MONTHS stops there (`complete` false). The
+ * API sends and receives major units.
+ */
+
+const { toMinor, fromMinor, normalizeCurrency, isCurrencyCode } = require('../shared/money.js');
+const { PAY_PERIODS_PER_YEAR, toDay, addMonths, monthBounds } = require('../shared/periods.js');
+const { cleanName } = require('./categories');
+const { SPLIT_CATEGORIES_QUERY } = require('./splits');
+const { loadFxConverter } = require('./fx');
+
+const STRATEGIES = ['snowball', 'avalanche'];
+const MAX_NAME_LENGTH = 100;
+// 50 years of months
+const MAX_MONTHS = 600;
+
+class InvalidDebtError extends Error {
+  constructor(message, code = 'invalid_debt', status = 400) {
+    super(message);
+    this.name = 'InvalidDebtError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const DEBT_SELECT = {
+  id: true,
+  name: true,
+  balance_minor: true,
+  currency: true,
+  apr: true,
+  minimum_payment_minor: true,
+  due_day: true,
+  created_at: true,
+  updated_at: true,
+};
+
+/**
+ * Validate a create/update payload ({ name, balance, currency, apr,
+ * minimum_payment, due_day }).
+ * @throws {InvalidDebtError}
+ */
+function parseDebtInput(body = {}, { partial = false } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+  if (!partial || has('name')) {
+    data.name = cleanName(body.name);
+    if (!data.name) throw new InvalidDebtError('name is required');
+    if (data.name.length > MAX_NAME_LENGTH) throw new InvalidDebtError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!partial || has('currency')) {
+    if (body.currency !== undefined && body.currency !== null && !isCurrencyCode(body.currency)) {
+      throw new InvalidDebtError('currency must be a three-letter code like GBP');
+    }
+    data.currency = normalizeCurrency(body.currency);
+  }
+  const amount = (key) => {
+    const value = Number(body[key]);
+    const minor = body[key] !== '' && body[key] !== null && Number.isFinite(value) ? toMinor(value, data.currency) : null;
+    if (minor === null || minor < 0) throw new InvalidDebtError(`${key} must be a number, zero or more`);
+    return minor;
+  };
+  if (!partial || has('balance')) data.balance_minor = amount('balance');
+  if (!partial || has('minimum_payment')) data.minimum_payment_minor = amount('minimum_payment');
+  if (!partial || has('apr')) {
+    const apr = Number(body.apr ?? 0);
+    if (body.apr === '' || !Number.isFinite(apr) || apr < 0 || apr > 100) {
+      throw new InvalidDebtError('apr must be a percentage from 0 to 100');
+    }
+    data.apr = apr;
+  }
+  if (!partial || has('due_day')) {
+    const day = Number(body.due_day);
+    if (!Number.isInteger(day) || day < 1 || day > 31) throw new InvalidDebtError('due_day must be a day of the month from 1 to 31');
+    data.due_day = day;
+  }
+  return data;
+}
+
+/** A debts row → API shape, in major units. */
+function toDebtResponse(row) {
+  const { balance_minor, minimum_payment_minor, ...rest } = row;
+  return {
+    ...rest,
+    balance: fromMinor(balance_minor, row.currency),
+    minimum_payment: fromMinor(minimum_payment_minor, row.currency),
+  };
+}
+
+/**
+ * `?strategy=&extra=&splitId=&category=&currency=` → planner options. The
+ * extra is `extra`, or what the split sets aside for `category` when
+ * splitId is given.
+ * @throws {InvalidDebtError}
+ */
+function parsePlanQuery(query = {}) {
+  const currency = normalizeCurrency(query.currency);
+  if (query.currency && !isCurrencyCode(query.currency)) {
+    throw new InvalidDebtError('currency must be a three-letter code like GBP', 'invalid_query');
+  }
+  const options = { currency, extraMinor: 0, splitId: null, category: null };
+  if (query.splitId) {
+    options.splitId = String(query.splitId);
+    options.category = cleanName(query.category);
+    if (!options.category) throw new InvalidDebtError('category is required with splitId', 'invalid_query');
+  } else if (query.extra !== undefined && query.extra !== '') {
+    const extra = Number(query.extra);
+    if (!Number.isFinite(extra) || extra < 0) throw new InvalidDebtError('extra must be a number, zero or more', 'invalid_query');
+    options.extraMinor = toMinor(extra, currency);
+  }
+  return options;
+}
+
+/**
+ * What a split sets aside for one of its categories each month, in
+ * `currency`: the line's percentage of the split's expected income, taken
+ * to a monthly amount by the pay frequency.
+ * @returns {Promise<{ minor: number, split_name: string, category: string }>}
+ * @throws {InvalidDebtError} when the split, the line or its expected income is missing
+ */
+async function splitMonthlyAmount(prisma, userId, splitId, category, currency, today) {
+  const split = await prisma.split.findFirst({
+    where: { id: splitId, user_id: userId },
+    select: {
+      name: true,
+      frequency: true,
+      categories: SPLIT_CATEGORIES_QUERY,
+      income_setting: { select: { expected_amount_minor: true, currency: true, frequency: true } },
+    },
+  });
+  if (!split) throw new InvalidDebtError('splitId does not match one of your splits', 'invalid_query');
+  const line = split.categories.find((c) => c.name.toLowerCase() === category.toLowerCase());
+  if (!line) throw new InvalidDebtError(`the split has no "${category}" category`, 'invalid_query');
+  const income = split.income_setting;
+  if (!income || !(income.expected_amount_minor > 0)) {
+    throw new InvalidDebtError('set the split\'s expected income to plan from one of its categories', 'invalid_query');
+  }
+
+  const perYear = PAY_PERIODS_PER_YEAR[income.frequency] || PAY_PERIODS_PER_YEAR[split.frequency] || 12;
+  let minor = Math.round((income.expected_amount_minor * perYear * (Number(line.percent) || 0)) / 12 / 100);
+  if (normalizeCurrency(income.currency) !== currency) {
+    const fx = await loadFxConverter(prisma, userId, [income.currency, currency]);
+    minor = fx.convertMinor(minor, income.currency, currency, today);
+    if (minor === null) throw new InvalidDebtError(`no FX rate links ${income.currency} to ${currency}`, 'invalid_query');
+  }
+  return { minor, split_name: split.name, category: line.name };
+}
+
+/** Debt ids in the order the strategy pays them off. */
+function payoffOrder(debts, strategy) {
+  const byBalance = (a, b) => a.balance - b.balance;
+  const byApr = (a, b) => b.apr - a.apr;
+  const tieBreak = (a, b) => a.name.localeCompare(b.name);
+  const compare =
+    strategy === 'avalanche'
+      ? (a, b) => byApr(a, b) || byBalance(a, b) || tieBreak(a, b)
+      : (a, b) => byBalance(a, b) || byApr(a, b) || tieBreak(a, b);
+  return [...debts].sort(compare).map((d) => d.id);
+}
+
+/**
+ * Simulate paying off `debts` month by month (everything in minor units of
+ * one currency).
+ * @param {{ id, name, balance, apr, minimum, due_day }[]} debts
+ * @param {{ strategy: string, extraMinor: number, start: string }} options
+ *   start is the first of the first month paid
+ * @returns {{ strategy, complete, months, order, total_interest, total_paid,
+ *   debts: { id, payoff_date, interest, paid }[], schedule: object[] }}
+ */
+function simulatePayoff(debts, { strategy, extraMinor, start }) {
+  const order = payoffOrder(debts, strategy);
+  const state = new Map(debts.map((d) => [d.id, { ...d, interest: 0, paid: 0, payoff_date: d.balance === 0 ? null : undefined }]));
+  const budget = debts.reduce((sum, d) => sum + d.minimum, 0) + extraMinor;
+  const owed = () => [...state.values()].reduce((sum, d) => sum + d.balance, 0);
+
+  const schedule = [];
+  let month = 0;
+  while (owed() > 0 && month < MAX_MONTHS) {
+    const first = addMonths(start, month);
+    const active = order.map((id) => state.get(id)).filter((d) => d.balance > 0);
+    const rows = new Map(active.map((d) => [d.id, { interest: 0, payment: 0 }]));
+
+    for (const d of active) {
+      const interest = Math.round((d.balance * d.apr) / 1200);
+      d.balance += interest;
+      d.interest += interest;
+      rows.get(d.id).interest = interest;
+    }
+    let left = budget;
+    const pay = (d, amount) => {
+      const payment = Math.min(amount, d.balance, left);
+      d.balance -= payment;
+      d.paid += payment;
+      left -= payment;
+      rows.get(d.id).payment += payment;
+    };
+    for (const d of active) pay(d, d.minimum);
+    // What is left goes down the order, one debt at a time
+    for (const d of active) {
+      if (left <= 0) break;
+      pay(d, left);
+    }
+
+    const payments = active.map((d) => {
+      const date = addMonths(first, 0, d.due_day);
+      if (d.balance === 0) d.payoff_date = date;
+      return { debt_id: d.id, date, ...rows.get(d.id), balance: d.balance };
+    });
+    schedule.push({
+      month: first.slice(0, 7),
+      payments,
+      payment: payments.reduce((sum, p) => sum + p.payment, 0),
+      interest: payments.reduce((sum, p) => sum + p.interest, 0),
+      balance: owed(),
+    });
+    month++;
+  }
+
+  const all = [...state.values()];
+  return {
+    strategy,
+    complete: owed() === 0,
+    months: schedule.length,
+    order,
+    total_interest: all.reduce((sum, d) => sum + d.interest, 0),
+    total_paid: all.reduce((sum, d) => sum + d.paid, 0),
+    debts: all.map((d) => ({ id: d.id, payoff_date: d.payoff_date ?? null, interest: d.interest, paid: d.paid })),
+    schedule,
+  };
+}
+
+/**
+ * Snowball and avalanche plans for the user's debts.
+ * @param {{ currency: string, extraMinor: number, splitId: string|null, category: string|null, today?: string }} options
+ *   from parsePlanQuery
+ */
+async function buildPayoffPlan(prisma, userId, { currency, extraMinor, splitId, category, today = toDay() }) {
+  const rows = await prisma.debt.findMany({
+    where: { user_id: userId },
+    orderBy: { created_at: 'asc' },
+    select: DEBT_SELECT,
+  });
+
+  let extra = { minor: extraMinor, split_id: null, split_name: null, category: null };
+  if (splitId) {
+    const fromSplit = await splitMonthlyAmount(prisma, userId, splitId, category, currency, today);
+    extra = { ...fromSplit, split_id: splitId };
+  }
+
+  const currencies = new Set([currency, ...rows.map((r) => r.currency)]);
+  const fx = currencies.size > 1 ? await loadFxConverter(prisma, userId, [...currencies]) : null;
+  const convert = (minor, rowCurrency) =>
+    normalizeCurrency(rowCurrency) === currency ? minor : fx.convertMinor(minor, rowCurrency, currency, today);
+
+  const debts = [];
+  let unconverted = 0;
+  for (const row of rows) {
+    const balance = convert(row.balance_minor, row.currency);
+    const minimum = convert(row.minimum_payment_minor, row.currency);
+    if (balance === null || minimum === null) {
+      unconverted++;
+      continue;
+    }
+    debts.push({ id: row.id, name: row.name, balance, apr: row.apr, minimum, due_day: row.due_day });
+  }
+
+  const start = addMonths(monthBounds(today).start, 1);
+  const major = (minor) => fromMinor(minor, currency);
+  const toPlanResponse = (plan) => {
+    const payoffDates = plan.debts.map((d) => d.payoff_date).filter(Boolean).sort();
+    return {
+      strategy: plan.strategy,
+      complete: plan.complete,
+      months: plan.months,
+      payoff_date: plan.complete ? payoffDates[payoffDates.length - 1] || null : null,
+      order: plan.order,
+      total_interest: major(plan.total_interest),
+      total_paid: major(plan.total_paid),
+      debts: plan.debts.map((d) => ({ ...d, interest: major(d.interest), paid: major(d.paid) })),
+      schedule: plan.schedule.map((m) => ({
+        ...m,
+        payments: m.payments.map((p) => ({ ...p, payment: major(p.payment), interest: major(p.interest), balance: major(p.balance) })),
+        payment: major(m.payment),
+        interest: major(m.interest),
+        balance: major(m.balance),
+      })),
+    };
+  };
+
+  const plans = Object.fromEntries(
+    STRATEGIES.map((strategy) => [strategy, toPlanResponse(simulatePayoff(debts, { strategy, extraMinor: extra.minor, start }))])
+  );
+  return {
+    currency,
+    start_month: start.slice(0, 7),
+    total_balance: major(debts.reduce((sum, d) => sum + d.balance, 0)),
+    monthly_minimums: major(debts.reduce((sum, d) => sum + d.minimum, 0)),
+    extra: { amount: major(extra.minor), split_id: extra.split_id, split_name: extra.split_name, category: extra.category },
+    unconverted,
+    debts: debts.map((d) => ({ id: d.id, name: d.name, balance: major(d.balance), apr: d.apr, minimum_payment: major(d.minimum), due_day: d.due_day })),
+    plans,
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  MAX_MONTHS,
+  InvalidDebtError,
+  DEBT_SELECT,
+  parseDebtInput,
+  toDebtResponse,
+  parsePlanQuery,
+  simulatePayoff,
+  buildPayoffPlan,
+};
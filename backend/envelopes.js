@@ -0,0 +1,430 @@
+/**
+ * envelopes.js — Zero-based envelope budgeting on a split.
+ *
+ * In envelope mode (splits.envelope_mode) every income purchase of the split
+ * (category Income) dated from envelopes_since on is shared out into one
+ * envelope per split category: by the split's percentages, unless the user
+ * allocates it by hand. The split's purchases draw their category's envelope
+ * down (split transactions per line, as budgets.js counts them), and money
+ * moved from one envelope to another is kept as an envelope_moves row.
+ *
+ * An envelope's balance is allocated + moved in − moved out − spent, from
+ * envelopes_since to today. Income not shared out yet is `unallocated`: the
+ * aim is to give all of it a job. Allocations made from the percentages are
+ * made again when their income's amount or currency changes (not when the
+ * percentages do, so past envelopes keep what they were given); ones set by
+ * hand are left for the user to fix.
+ *
+ * Reading never writes: an income without current allocations is shown
+ * shared out by today's percentages. allocateIncomes() stores those shares
+ * when income purchases are saved, when envelope mode is switched on and
+ * before the split's percentages change.
+ *
+ * Balances are in the currency of the split's income setting; rows in other
+ * currencies are converted at their own date and counted as `unconverted`
+ * when no rate links them. The API sends and receives major units.
+ */
+
+const { toMinor, fromMinor, normalizeCurrency } = require('../shared/money.js');
+const { isDay, toDay, addDays } = require('../shared/periods.js');
+const { cleanName } = require('./categories');
+const { SPLIT_CATEGORIES_QUERY } = require('./splits');
+const { loadSpending } = require('./budgets');
+const { loadFxConverter } = require('./fx');
+
+const MAX_NOTE_LENGTH = 200;
+const DEFAULT_MOVES_LIMIT = 50;
+const MAX_MOVES_LIMIT = 200;
+
+class InvalidEnvelopeError extends Error {
+  constructor(message, code = 'invalid_envelope', status = 400) {
+    super(message);
+    this.name = 'InvalidEnvelopeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const ENVELOPE_SPLIT_SELECT = {
+  id: true,
+  envelope_mode: true,
+  envelopes_since: true,
+  categories: SPLIT_CATEGORIES_QUERY,
+  income_setting: { select: { currency: true } },
+};
+
+const ALLOCATION_SELECT = { id: true, category: true, amount_minor: true, currency: true, income_minor: true, manual: true };
+
+const isIncomeCategory = (name) => String(name || '').toLowerCase() === 'income';
+
+const dayStart = (day) => new Date(`${day}T00:00:00Z`);
+
+// The first day envelope mode counts; null before it is first switched on
+const sinceDay = (split) => (split.envelopes_since ? toDay(split.envelopes_since) : null);
+
+/** The user's split with what envelope mode needs, or null. */
+function loadEnvelopeSplit(prisma, userId, splitId) {
+  return prisma.split.findFirst({ where: { id: String(splitId), user_id: userId }, select: ENVELOPE_SPLIT_SELECT });
+}
+
+function envelopeCurrency(split) {
+  return normalizeCurrency(split.income_setting?.currency);
+}
+
+/**
+ * An income's shares by the split's percentages: floored, with the minor
+ * units left over going to the largest remainders. Lines adding up to under
+ * 100% leave the rest unallocated; over 100% are scaled down to fit.
+ * @returns {{ category: string, amount_minor: number }[]}
+ */
+function percentShares(minor, lines) {
+  const weighted = lines.filter((l) => l.percent > 0 && !isIncomeCategory(l.name));
+  const totalPercent = weighted.reduce((sum, l) => sum + l.percent, 0);
+  if (minor <= 0 || totalPercent === 0) return [];
+
+  const exact = weighted.map((l) => (minor * l.percent) / Math.max(totalPercent, 100));
+  const shares = exact.map(Math.floor);
+  let left = Math.round((minor * Math.min(totalPercent, 100)) / 100) - shares.reduce((sum, s) => sum + s, 0);
+  const byRemainder = exact.map((x, i) => [x - shares[i], i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) {
+    if (left <= 0) break;
+    shares[i]++;
+    left--;
+  }
+  return weighted
+    .map((l, i) => ({ category: l.name, amount_minor: shares[i] }))
+    .filter((s) => s.amount_minor > 0);
+}
+
+/**
+ * Validate a hand-made allocation of one income ([{ category, amount }]) and
+ * map it onto { category, amount_minor } rows. Categories must be the split's
+ * lines; zero amounts are dropped; the total can't be more than the income.
+ * @param {{ amount_minor: number, currency: string }} income
+ * @throws {InvalidEnvelopeError}
+ */
+function parseAllocationInput(items, income, lines) {
+  if (!Array.isArray(items)) throw new InvalidEnvelopeError('allocations must be an array, or null to use the percentages');
+  const seen = new Set();
+  const rows = [];
+  for (const [i, item] of items.entries()) {
+    const line = lines.find((l) => l.name.toLowerCase() === cleanName(item?.category).toLowerCase());
+    if (!line || isIncomeCategory(line.name)) {
+      throw new InvalidEnvelopeError(`allocation ${i + 1}: category must be one of the split's categories`);
+    }
+    if (seen.has(line.name.toLowerCase())) throw new InvalidEnvelopeError(`"${line.name}" is allocated twice`);
+    seen.add(line.name.toLowerCase());
+
+    const amount = Number(item?.amount);
+    const minor = Number.isFinite(amount) ? toMinor(amount, income.currency) : null;
+    if (minor === null || minor < 0) throw new InvalidEnvelopeError(`allocation ${i + 1}: amount must be zero or more`);
+    if (minor > 0) rows.push({ category: line.name, amount_minor: minor });
+  }
+
+  const total = rows.reduce((sum, r) => sum + r.amount_minor, 0);
+  if (total > income.amount_minor) {
+    throw new InvalidEnvelopeError(
+      `allocations add up to ${fromMinor(total, income.currency)} but the income is ${fromMinor(income.amount_minor, income.currency)}`,
+      'over_allocated'
+    );
+  }
+  return rows;
+}
+
+/**
+ * Validate a move ({ from, to, amount, note }) between two envelopes.
+ * `from` can be any envelope with money in it; `to` must be a split line.
+ * @param {object[]} envelopes — from envelopeBalances (minor units)
+ * @throws {InvalidEnvelopeError}
+ */
+function parseMoveInput(body = {}, envelopes, currency) {
+  const find = (name) => envelopes.find((e) => e.category.toLowerCase() === cleanName(name).toLowerCase());
+  const from = find(body.from);
+  const to = find(body.to);
+  if (!from) throw new InvalidEnvelopeError('from must be one of the envelopes');
+  if (!to || !to.in_split) throw new InvalidEnvelopeError("to must be one of the split's categories");
+  if (from === to) throw new InvalidEnvelopeError('from and to must be different envelopes');
+
+  const amount = Number(body.amount);
+  const minor = Number.isFinite(amount) ? toMinor(amount, currency) : null;
+  if (!(minor > 0)) throw new InvalidEnvelopeError('amount must be a positive number');
+  if (minor > from.balance_minor) {
+    throw new InvalidEnvelopeError(
+      `${from.category} only has ${fromMinor(Math.max(from.balance_minor, 0), currency)} to move`,
+      'insufficient_funds'
+    );
+  }
+
+  const note = body.note ? String(body.note).trim() : '';
+  if (note.length > MAX_NOTE_LENGTH) throw new InvalidEnvelopeError(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  return { from_category: from.category, to_category: to.category, amount_minor: minor, currency, note: note || null };
+}
+
+/** `?limit=` for the move history. */
+function parseMovesLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_MOVES_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw new InvalidEnvelopeError('limit must be a positive whole number', 'invalid_query');
+  return Math.min(limit, MAX_MOVES_LIMIT);
+}
+
+/** `{ since }` for switching envelope mode on: a day, or null to keep the current one. */
+function parseSince(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!isDay(String(value))) throw new InvalidEnvelopeError('since must be YYYY-MM-DD');
+  return String(value);
+}
+
+/**
+ * The split's incomes from envelopes_since (up to and including `until`,
+ * when given) with their stored allocations, newest first.
+ */
+function loadIncomes(prisma, userId, split, until = null) {
+  const date = { gte: dayStart(sinceDay(split) || until || toDay()) };
+  if (until) date.lt = dayStart(addDays(until, 1));
+  return prisma.purchase.findMany({
+    where: {
+      user_id: userId,
+      split_id: split.id,
+      category: { equals: 'income', mode: 'insensitive' },
+      date,
+    },
+    orderBy: { date: 'desc' },
+    select: {
+      id: true,
+      date: true,
+      amount_minor: true,
+      currency: true,
+      description: true,
+      envelope_allocations: { select: ALLOCATION_SELECT, orderBy: { created_at: 'asc' } },
+    },
+  });
+}
+
+/**
+ * The percentage shares an income should have, or null when its stored
+ * allocations stand (set by hand, or made for its current amount).
+ */
+function pendingShares(income, lines) {
+  const current = income.envelope_allocations;
+  if (current.some((a) => a.manual)) return null;
+  const upToDate = current.length > 0
+    && current.every((a) => a.currency === income.currency && a.income_minor === income.amount_minor);
+  if (upToDate) return null;
+  const shares = percentShares(income.amount_minor, lines);
+  if (current.length === 0 && shares.length === 0) return null;
+  return shares;
+}
+
+/**
+ * The split's incomes from envelopes_since to `today` with their
+ * allocations. Ones with none stored (or whose percentage allocation no
+ * longer adds up) show the split's percentages; nothing is written.
+ */
+async function incomeAllocations(prisma, userId, split, today) {
+  const incomes = await loadIncomes(prisma, userId, split, today);
+  for (const income of incomes) {
+    const shares = pendingShares(income, split.categories);
+    if (!shares) continue;
+    income.envelope_allocations = shares.map((s) => ({
+      id: null,
+      ...s,
+      currency: income.currency,
+      income_minor: income.amount_minor,
+      manual: false,
+    }));
+  }
+  return incomes;
+}
+
+/**
+ * Store the percentage allocations of a split's incomes that have none (or
+ * whose amount changed), at the split's current percentages. Does nothing
+ * unless the split is in envelope mode.
+ * @returns {Promise<number>} incomes allocated
+ */
+async function allocateIncomes(prisma, userId, splitId) {
+  const split = await loadEnvelopeSplit(prisma, userId, splitId);
+  if (!split?.envelope_mode) return 0;
+  const incomes = await loadIncomes(prisma, userId, split);
+  let count = 0;
+  for (const income of incomes) {
+    const shares = pendingShares(income, split.categories);
+    if (!shares) continue;
+    await replaceAllocations(prisma, userId, split.id, income, shares);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Replace an income's allocations with `rows` ({ category, amount_minor }
+ * from parseAllocationInput or percentShares), in one transaction.
+ * @returns {Promise<object[]>} the new rows (ALLOCATION_SELECT)
+ */
+async function replaceAllocations(prisma, userId, splitId, income, rows, { manual = false } = {}) {
+  return prisma.$transaction(async (tx) => {
+    await tx.envelopeAllocation.deleteMany({ where: { purchase_id: income.id } });
+    const created = [];
+    for (const row of rows) {
+      created.push(await tx.envelopeAllocation.create({
+        data: {
+          ...row,
+          currency: income.currency,
+          income_minor: income.amount_minor,
+          manual,
+          user_id: userId,
+          split_id: splitId,
+          purchase_id: income.id,
+        },
+        select: ALLOCATION_SELECT,
+      }));
+    }
+    return created;
+  });
+}
+
+/**
+ * Every envelope's balance, in minor units of the envelope currency: the
+ * split's lines in order, then categories that were lines once and still
+ * hold money (`in_split: false`).
+ * @returns {Promise<{ currency: string, since: string, income: number, allocated: number,
+ *   unallocated: number, unconverted: number, incomes: object[], envelopes: object[] }>}
+ */
+async function envelopeBalances(prisma, userId, split, { today = toDay() } = {}) {
+  const currency = envelopeCurrency(split);
+  const since = sinceDay(split) || today;
+  const incomes = await incomeAllocations(prisma, userId, split, today);
+  const spending = await loadSpending(prisma, userId, split.id, since, today);
+  const moves = await prisma.envelopeMove.findMany({
+    where: { split_id: split.id },
+    select: { from_category: true, to_category: true, amount_minor: true, currency: true, created_at: true },
+  });
+
+  const currencies = new Set([currency]);
+  incomes.forEach((i) => currencies.add(i.currency));
+  spending.forEach((r) => currencies.add(r.currency));
+  moves.forEach((m) => currencies.add(m.currency));
+  const fx = currencies.size > 1 ? await loadFxConverter(prisma, userId, [...currencies]) : null;
+
+  let unconverted = 0;
+  const convert = (minor, from, day) => {
+    const value = from === currency ? minor : fx.convertMinor(minor, from, currency, day);
+    if (value === null) unconverted++;
+    return value ?? 0;
+  };
+
+  const envelopes = new Map();
+  const envelope = (name) => {
+    const key = name.toLowerCase();
+    if (!envelopes.has(key)) {
+      envelopes.set(key, { category: name, percent: 0, in_split: false, allocated: 0, spent: 0, moved_in: 0, moved_out: 0 });
+    }
+    return envelopes.get(key);
+  };
+  for (const line of split.categories) {
+    if (isIncomeCategory(line.name)) continue;
+    Object.assign(envelope(line.name), { percent: line.percent, in_split: true });
+  }
+
+  let income = 0;
+  let allocated = 0;
+  for (const row of incomes) {
+    const day = toDay(row.date);
+    income += convert(row.amount_minor, row.currency, day);
+    for (const a of row.envelope_allocations) {
+      const minor = convert(a.amount_minor, a.currency, day);
+      envelope(a.category).allocated += minor;
+      allocated += minor;
+    }
+  }
+  for (const move of moves) {
+    const minor = convert(move.amount_minor, move.currency, toDay(move.created_at));
+    envelope(move.from_category).moved_out += minor;
+    envelope(move.to_category).moved_in += minor;
+  }
+  for (const row of spending) {
+    for (const part of row.parts) {
+      const e = envelopes.get(String(part.category || '').toLowerCase());
+      if (e) e.spent += convert(part.minor, row.currency, row.day);
+    }
+  }
+
+  const list = [...envelopes.values()]
+    .map((e) => ({ ...e, balance_minor: e.allocated + e.moved_in - e.moved_out - e.spent }))
+    .filter((e) => e.in_split || e.balance_minor !== 0);
+  return { currency, since, income, allocated, unallocated: income - allocated, unconverted, incomes, envelopes: list };
+}
+
+/** envelopeBalances() → API shape, in major units. */
+function toBalancesResponse(split, balances) {
+  const { currency } = balances;
+  const major = (minor) => fromMinor(minor, currency);
+  return {
+    split_id: split.id,
+    enabled: split.envelope_mode,
+    since: balances.since,
+    currency,
+    income: major(balances.income),
+    allocated: major(balances.allocated),
+    unallocated: major(balances.unallocated),
+    unconverted: balances.unconverted,
+    envelopes: balances.envelopes.map((e) => ({
+      category: e.category,
+      percent: e.percent,
+      in_split: e.in_split,
+      allocated: major(e.allocated),
+      moved_in: major(e.moved_in),
+      moved_out: major(e.moved_out),
+      spent: major(e.spent),
+      balance: major(e.balance_minor),
+      overspent: e.balance_minor < 0,
+    })),
+  };
+}
+
+/** An income purchase with its allocations → API shape. */
+function toIncomeResponse(income) {
+  const allocatedMinor = income.envelope_allocations
+    .filter((a) => a.currency === income.currency)
+    .reduce((sum, a) => sum + a.amount_minor, 0);
+  return {
+    purchase_id: income.id,
+    date: toDay(income.date),
+    description: income.description,
+    amount: fromMinor(income.amount_minor, income.currency),
+    currency: income.currency,
+    manual: income.envelope_allocations.some((a) => a.manual),
+    allocated: fromMinor(allocatedMinor, income.currency),
+    unallocated: fromMinor(income.amount_minor - allocatedMinor, income.currency),
+    allocations: income.envelope_allocations.map((a) => ({
+      category: a.category,
+      amount: fromMinor(a.amount_minor, a.currency),
+      currency: a.currency,
+    })),
+  };
+}
+
+/** An envelope_moves row → API shape. */
+function toMoveResponse({ id, from_category, to_category, amount_minor, currency, note, created_at }) {
+  return { id, from: from_category, to: to_category, amount: fromMinor(amount_minor, currency), currency, note, created_at };
+}
+
+module.exports = {
+  InvalidEnvelopeError,
+  isIncomeCategory,
+  sinceDay,
+  loadEnvelopeSplit,
+  percentShares,
+  parseAllocationInput,
+  parseMoveInput,
+  parseMovesLimit,
+  parseSince,
+  incomeAllocations,
+  allocateIncomes,
+  replaceAllocations,
+  envelopeBalances,
+  toBalancesResponse,
+  toIncomeResponse,
+  toMoveResponse,
+};
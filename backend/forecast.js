@@ -0,0 +1,198 @@
+/**
+ * forecast.js — Cash-flow forecast: the main bank account's balance projected
+ * day by day.
+ *
+ * The projection starts from the latest stored balance of the user's main
+ * bank account (the first account that isn't a pot or savings account, as on
+ * the balance endpoints) and runs to `days` days from today. Expected income
+ * from the income settings (expected_amount on every payday, stepped from
+ * next_payday by the pay frequency; see shared/periods.js) is added, and
+ * every recurring series still being charged (detected or confirmed; see
+ * recurring.js) is subtracted on each expected charge date, counted in whole
+ * cadences from its last charge so a bill on the 31st stays on the last day
+ * of short months without sliding earlier.
+ *
+ * Anything due today is taken to be in the balance already, so events start
+ * tomorrow. Income settings of several splits for the same pay (same amount,
+ * currency, frequency and payday) count once. Amounts in other currencies are
+ * converted at the latest rate and counted as `unconverted` when no rate links
+ * them. The API returns major units.
+ */
+
+const { fromMinor, normalizeCurrency } = require('../shared/money.js');
+const { isDay, toDay, addDays, addMonths, paydaysBetween } = require('../shared/periods.js');
+const { isPotOrSavingsAccount } = require('./truelayer/service');
+const { loadFxConverter } = require('./fx');
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+
+// Series that are still expected to charge
+const BILL_STATUSES = ['detected', 'confirmed'];
+
+class InvalidForecastError extends Error {
+  constructor(message, code = 'invalid_forecast', status = 400) {
+    super(message);
+    this.name = 'InvalidForecastError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** @throws {InvalidForecastError} unless `value` is empty or a whole number of days from 1 to MAX_DAYS */
+function parseDays(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new InvalidForecastError(`days must be a whole number from 1 to ${MAX_DAYS}`, 'invalid_query');
+  }
+  return days;
+}
+
+/** The user's main bank account with a stored balance, or null. */
+async function loadMainAccount(prisma, userId) {
+  const accounts = await prisma.bankAccount.findMany({
+    where: { user_id: userId, balance_minor: { not: null } },
+    orderBy: [{ created_at: 'asc' }, { provider_account_id: 'asc' }],
+    select: { account_name: true, currency: true, balance_minor: true, updated_at: true },
+  });
+  return accounts.find((a) => !isPotOrSavingsAccount(a.account_name)) || accounts[0] || null;
+}
+
+/** Income settings with an amount and a payday, one per distinct pay. */
+async function loadIncomes(prisma, userId, splitId) {
+  const where = { user_id: userId, expected_amount_minor: { gt: 0 }, next_payday: { not: null } };
+  if (splitId) where.split_id = splitId;
+  const settings = await prisma.incomeSetting.findMany({
+    where,
+    orderBy: { updated_at: 'desc' },
+    select: { expected_amount_minor: true, currency: true, frequency: true, next_payday: true, split: { select: { name: true } } },
+  });
+  const seen = new Set();
+  return settings.filter((s) => {
+    const key = [s.expected_amount_minor, s.currency, s.frequency, s.next_payday].join('|');
+    if (!isDay(s.next_payday) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/** The day `n` cadences after `anchor`; months and years keep the anchor's day where they can. */
+function cadenceStep(anchor, cadence, n) {
+  if (cadence === 'weekly') return addDays(anchor, 7 * n);
+  if (cadence === 'four_weekly') return addDays(anchor, 28 * n);
+  return addMonths(anchor, cadence === 'annual' ? 12 * n : n);
+}
+
+/** Charge dates of a recurring series from `from` to `to` (inclusive). */
+function chargeDays(series, from, to) {
+  const days = [];
+  const anchor = toDay(series.last_date);
+  let n = 1;
+  // An overdue charge moves on to its next expected date
+  while (cadenceStep(anchor, series.cadence, n) < from) n++;
+  for (let day = cadenceStep(anchor, series.cadence, n); day <= to; day = cadenceStep(anchor, series.cadence, ++n)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * The daily projection for the user's main account.
+ * @param {{ days?: number, splitId?: string|null, today?: string }} [options]
+ *   splitId limits income to that split's income setting
+ * @returns {Promise<object|null>} null when no bank account has a balance
+ */
+async function buildForecast(prisma, userId, { days = DEFAULT_DAYS, splitId = null, today = toDay() } = {}) {
+  const account = await loadMainAccount(prisma, userId);
+  if (!account) return null;
+
+  const currency = normalizeCurrency(account.currency);
+  const from = addDays(today, 1);
+  const to = addDays(today, days);
+
+  const [incomes, series] = await Promise.all([
+    loadIncomes(prisma, userId, splitId),
+    prisma.recurringSeries.findMany({
+      where: { user_id: userId, status: { in: BILL_STATUSES } },
+      select: { name: true, cadence: true, currency: true, expected_amount_minor: true, last_date: true },
+    }),
+  ]);
+
+  const currencies = new Set([currency, ...incomes.map((i) => i.currency), ...series.map((s) => s.currency)]);
+  const fx = currencies.size > 1 ? await loadFxConverter(prisma, userId, [...currencies]) : null;
+  let unconverted = 0;
+  const convert = (minor, rowCurrency) => {
+    const value = normalizeCurrency(rowCurrency) === currency ? minor : fx.convertMinor(minor, rowCurrency, currency, today);
+    if (value === null) unconverted++;
+    return value;
+  };
+
+  // Events by day: income positive, bills negative (minor units of `currency`)
+  const events = new Map();
+  const addEvent = (day, event) => {
+    if (event.minor === null) return;
+    if (!events.has(day)) events.set(day, []);
+    events.get(day).push(event);
+  };
+  for (const income of incomes) {
+    const minor = convert(income.expected_amount_minor, income.currency);
+    for (const day of paydaysBetween(from, to, income)) {
+      addEvent(day, { type: 'income', name: income.split?.name ? `Pay (${income.split.name})` : 'Pay', minor });
+    }
+  }
+  for (const s of series) {
+    const minor = convert(s.expected_amount_minor, s.currency);
+    for (const day of chargeDays(s, from, to)) {
+      addEvent(day, { type: 'bill', name: s.name, minor: minor === null ? null : -minor });
+    }
+  }
+
+  let balance = account.balance_minor;
+  let totalIncome = 0;
+  let totalBills = 0;
+  let lowest = { date: today, minor: balance };
+  const daily = [];
+  for (let i = 0; i <= days; i++) {
+    const day = addDays(today, i);
+    const dayEvents = events.get(day) || [];
+    const income = dayEvents.filter((e) => e.minor > 0).reduce((sum, e) => sum + e.minor, 0);
+    const bills = dayEvents.filter((e) => e.minor < 0).reduce((sum, e) => sum - e.minor, 0);
+    balance += income - bills;
+    totalIncome += income;
+    totalBills += bills;
+    if (balance < lowest.minor) lowest = { date: day, minor: balance };
+    daily.push({
+      date: day,
+      income: fromMinor(income, currency),
+      bills: fromMinor(bills, currency),
+      balance: fromMinor(balance, currency),
+      overdrawn: balance < 0,
+      events: dayEvents.map((e) => ({ type: e.type, name: e.name, amount: fromMinor(Math.abs(e.minor), currency) })),
+    });
+  }
+
+  return {
+    currency,
+    account_name: account.account_name,
+    balance_as_of: account.updated_at,
+    start_date: today,
+    end_date: to,
+    start_balance: fromMinor(account.balance_minor, currency),
+    end_balance: fromMinor(balance, currency),
+    total_income: fromMinor(totalIncome, currency),
+    total_bills: fromMinor(totalBills, currency),
+    lowest: { date: lowest.date, balance: fromMinor(lowest.minor, currency) },
+    overdraft_dates: daily.filter((d) => d.overdrawn).map((d) => d.date),
+    unconverted,
+    daily,
+  };
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  InvalidForecastError,
+  parseDays,
+  buildForecast,
+};
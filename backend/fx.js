@@ -0,0 +1,184 @@
+/**
+ * fx.js — Per-user FX rate table (fx_rates) loaded from a CSV or ECB XML file.
+ *
+ * Accepted files:
+ *   - ECB XML (eurofxref-daily.xml / -hist.xml): <Cube time="…"><Cube currency="USD" rate="1.08"/>…
+ *   - ECB CSV (eurofxref.csv / -hist.csv): Date,USD,JPY,… with one row per day, EUR-based
+ *   - Plain CSV with a header: date,base,quote,rate (one rate per row)
+ *
+ * A row means 1 base = rate quote on that day. Re-importing a day replaces
+ * its rate. Conversion itself lives in ../shared/fx.js so the frontend can
+ * convert with the same rules.
+ */
+
+const { createFxConverter } = require('../shared/fx.js');
+const { isCurrencyCode, normalizeCurrency } = require('../shared/money.js');
+
+const MAX_IMPORT_ROWS = 250000;
+const INSERT_CHUNK = 5000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+class InvalidFxFileError extends Error {
+  constructor(message, code = 'invalid_fx_file', status = 400) {
+    super(message);
+    this.name = 'InvalidFxFileError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function toRow(date, base, quote, rate, source) {
+  const day = String(date || '').trim();
+  const value = Number(rate);
+  if (!DATE_RE.test(day) || !isCurrencyCode(base) || !isCurrencyCode(quote) || !(value > 0)) return null;
+  const row = { rate_date: day, base: normalizeCurrency(base), quote: normalizeCurrency(quote), rate: value, source };
+  return row.base === row.quote ? null : row;
+}
+
+/** ECB eurofxref XML → rows (base EUR). */
+function parseEcbXml(text) {
+  const rows = [];
+  const dayRe = /<Cube\s+time=["'](\d{4}-\d{2}-\d{2})["']\s*>([\s\S]*?)<\/Cube>/g;
+  const rateRe = /<Cube\s+currency=["']([A-Za-z]{3})["']\s+rate=["']([\d.]+)["']\s*\/>/g;
+  for (const [, date, body] of text.matchAll(dayRe)) {
+    for (const [, currency, rate] of body.matchAll(rateRe)) {
+      const row = toRow(date, 'EUR', currency, rate, 'ecb');
+      if (row) rows.push(row);
+    }
+  }
+  return rows;
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map((cell) => cell.trim().replace(/^"|"$/g, ''));
+}
+
+/**
+ * CSV → rows. A header of date,base,quote,rate (any order, `currency` also
+ * accepted for quote) is read row by row; a header of Date followed by
+ * currency codes is the ECB layout, EUR-based.
+ */
+function parseFxCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length < 2) throw new InvalidFxFileError('the CSV has no rates');
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+
+  const dateCol = col('date', 'rate_date');
+  if (dateCol === -1) throw new InvalidFxFileError('the CSV needs a date column');
+  const baseCol = col('base');
+  const quoteCol = col('quote', 'currency');
+  const rateCol = col('rate');
+  const rows = [];
+
+  if (quoteCol !== -1 && rateCol !== -1) {
+    for (const line of lines.slice(1)) {
+      const cells = splitCsvLine(line);
+      const row = toRow(cells[dateCol], baseCol === -1 ? 'EUR' : cells[baseCol], cells[quoteCol], cells[rateCol], 'csv');
+      if (row) rows.push(row);
+    }
+    return rows;
+  }
+
+  // ECB layout: Date, USD, JPY, … (blank or N/A cells for days without a rate)
+  const currencies = header.map((h, i) => (i !== dateCol && isCurrencyCode(h) ? h.toUpperCase() : null));
+  if (!currencies.some(Boolean)) {
+    throw new InvalidFxFileError('the CSV needs date,base,quote,rate columns or the ECB Date,USD,JPY,… layout');
+  }
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line);
+    currencies.forEach((currency, i) => {
+      const row = currency && toRow(cells[dateCol], 'EUR', currency, cells[i], 'ecb');
+      if (row) rows.push(row);
+    });
+  }
+  return rows;
+}
+
+/**
+ * Parse an uploaded rates file; XML is detected by its first character.
+ * @throws {InvalidFxFileError} when the file holds no usable rates
+ */
+function parseFxFile(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (!text) throw new InvalidFxFileError('the file is empty');
+  const rows = text.startsWith('<') ? parseEcbXml(text) : parseFxCsv(text);
+  if (rows.length === 0) throw new InvalidFxFileError('no rates found in the file');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new InvalidFxFileError(`the file has ${rows.length} rates; import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+  return rows;
+}
+
+/**
+ * Insert or replace rates for a user, in chunks of INSERT_CHUNK rows.
+ * @returns {Promise<number>} rows written
+ */
+async function importFxRates(prisma, userId, rows) {
+  // One row per pair and day; the last one in the file wins
+  const unique = new Map(rows.map((r) => [`${r.base}/${r.quote}/${r.rate_date}`, r]));
+  const list = [...unique.values()];
+  let written = 0;
+  for (let i = 0; i < list.length; i += INSERT_CHUNK) {
+    const chunk = list.slice(i, i + INSERT_CHUNK);
+    written += await prisma.$executeRaw`
+      INSERT INTO fx_rates (user_id, base, quote, rate, rate_date, source)
+      SELECT ${userId}, r.base, r.quote, r.rate, r.rate_date, r.source
+      FROM unnest(
+        ${chunk.map((r) => r.base)}::text[],
+        ${chunk.map((r) => r.quote)}::text[],
+        ${chunk.map((r) => r.rate)}::float8[],
+        ${chunk.map((r) => r.rate_date)}::date[],
+        ${chunk.map((r) => r.source)}::text[]
+      ) AS r(base, quote, rate, rate_date, source)
+      ON CONFLICT (user_id, base, quote, rate_date)
+      DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source
+    `;
+  }
+  return written;
+}
+
+/** Prisma `where` for the rates that can link any of `currencies` (directly or via a shared base). */
+function ratesWhere(userId, currencies) {
+  const list = [...new Set(currencies.map((c) => normalizeCurrency(c)))];
+  return { user_id: userId, OR: [{ base: { in: list } }, { quote: { in: list } }] };
+}
+
+/**
+ * Converter (see ../shared/fx.js) over the user's rates involving `currencies`.
+ */
+async function loadFxConverter(prisma, userId, currencies) {
+  const rates = await prisma.fxRate.findMany({
+    where: ratesWhere(userId, currencies),
+    select: { base: true, quote: true, rate: true, rate_date: true },
+  });
+  return createFxConverter(rates);
+}
+
+/**
+ * Currencies the user's data is held in (transactions, purchases, income settings, bank and manual accounts, debts).
+ * @returns {Promise<string[]>}
+ */
+async function listUserCurrencies(prisma, userId) {
+  const where = { user_id: userId };
+  const [transactions, purchases, income, accounts, manualAccounts, debts] = await Promise.all([
+    prisma.transaction.findMany({ where, distinct: ['currency'], select: { currency: true } }),
+    prisma.purchase.findMany({ where, distinct: ['currency'], select: { currency: true } }),
+    prisma.incomeSetting.findMany({ where, distinct: ['currency'], select: { currency: true } }),
+    prisma.bankAccount.findMany({ where, distinct: ['currency'], select: { currency: true } }),
+    prisma.manualAccount.findMany({ where, distinct: ['currency'], select: { currency: true } }),
+    prisma.debt.findMany({ where, distinct: ['currency'], select: { currency: true } }),
+  ]);
+  return [...new Set([...transactions, ...purchases, ...income, ...accounts, ...manualAccounts, ...debts].map((r) => r.currency))].sort();
+}
+
+module.exports = {
+  InvalidFxFileError,
+  parseEcbXml,
+  parseFxCsv,
+  parseFxFile,
+  importFxRates,
+  ratesWhere,
+  loadFxConverter,
+  listUserCurrencies,
+};
@@ -0,0 +1,372 @@
+/**
+ * goals.js — Savings goals and how far along they are.
+ *
+ * A goal saves towards a target amount by a target date from one category,
+ * counted from starts_on:
+ *   - a split goal (split_id set) counts that split's purchases in it;
+ *   - any other goal counts the user's transactions in it: expenses (money
+ *     put away) add to the goal and income (money taken back out) takes
+ *     away from it.
+ * As with budgets, a group's subcategories count too, and rows split into
+ * line items count per line (see budgets.js).
+ *
+ * Counted rows are linked to the goal as goal_contributions, brought in line
+ * with the rows each time goals are read (syncContributions). The user can
+ * take a row out of a goal (`excluded`, which keeps it out) or link one from
+ * outside the category (`manual`, counted at its full amount).
+ *
+ * Progress is in the goal's currency; contributions in other currencies are
+ * converted at their own date and counted as `unconverted` when no rate
+ * links them. The projected completion date carries on the average daily
+ * saving since starts_on (taken over at least MIN_RATE_DAYS). The API sends
+ * and receives major units.
+ */
+
+const { toMinor, fromMinor, normalizeCurrency, isCurrencyCode } = require('../shared/money.js');
+const { isDay, toDay, addDays, daysBetween } = require('../shared/periods.js');
+const { cleanName } = require('./categories');
+const { loadCategoryMatchers, rowParts } = require('./budgets');
+const { loadFxConverter } = require('./fx');
+
+const MAX_NAME_LENGTH = 100;
+// A first deposit on day one shouldn't project the goal as done in a week
+const MIN_RATE_DAYS = 30;
+const DAYS_PER_MONTH = 365.25 / 12;
+// Further out than this the goal isn't being saved for in any real sense
+const MAX_PROJECTION_DAYS = 100 * 365;
+
+class InvalidGoalError extends Error {
+  constructor(message, code = 'invalid_goal', status = 400) {
+    super(message);
+    this.name = 'InvalidGoalError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const GOAL_SELECT = {
+  id: true,
+  split_id: true,
+  name: true,
+  category: true,
+  target_amount_minor: true,
+  currency: true,
+  target_date: true,
+  starts_on: true,
+  created_at: true,
+  updated_at: true,
+};
+
+const LINE_SELECT = { select: { amount_minor: true, category: true }, orderBy: { sort_order: 'asc' } };
+
+const SOURCE_SELECT = {
+  transaction: { select: { amount_minor: true, currency: true, date: true, type: true, description: true, category: true } },
+  purchase: { select: { amount_minor: true, currency: true, date: true, description: true, category: true } },
+};
+
+const dayStart = (day) => new Date(`${day}T00:00:00Z`);
+
+// Money leaving the account (an expense) goes into savings
+const signed = (minor, type) => (type === 'income' ? -minor : minor);
+
+/**
+ * Validate a create/update payload ({ name, category, target_amount,
+ * currency, target_date, starts_on }). split_id is checked against the
+ * user's splits by the route.
+ * @throws {InvalidGoalError}
+ */
+function parseGoalInput(body = {}, { partial = false, today = toDay() } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+  if (!partial || has('name')) {
+    data.name = cleanName(body.name);
+    if (!data.name) throw new InvalidGoalError('name is required');
+    if (data.name.length > MAX_NAME_LENGTH) throw new InvalidGoalError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!partial || has('category')) {
+    data.category = cleanName(body.category);
+    if (!data.category) throw new InvalidGoalError('category is required');
+  }
+  if (!partial || has('currency')) {
+    if (body.currency !== undefined && body.currency !== null && !isCurrencyCode(body.currency)) {
+      throw new InvalidGoalError('currency must be a three-letter code like GBP');
+    }
+    data.currency = normalizeCurrency(body.currency);
+  }
+  if (!partial || has('target_amount')) {
+    const amount = Number(body.target_amount);
+    const minor = Number.isFinite(amount) ? toMinor(amount, data.currency) : null;
+    if (!(minor > 0)) throw new InvalidGoalError('target_amount must be a positive number');
+    data.target_amount_minor = minor;
+  }
+  if (!partial || has('target_date')) {
+    if (!isDay(body.target_date)) throw new InvalidGoalError('target_date must be YYYY-MM-DD');
+    data.target_date = dayStart(body.target_date);
+  }
+  if (!partial || has('starts_on')) {
+    const startsOn = body.starts_on ?? today;
+    if (!isDay(startsOn)) throw new InvalidGoalError('starts_on must be YYYY-MM-DD');
+    data.starts_on = dayStart(startsOn);
+  }
+  if (data.target_date && data.starts_on && data.target_date < data.starts_on) {
+    throw new InvalidGoalError('target_date must not be before starts_on');
+  }
+  return data;
+}
+
+// The part of a row's parts in one of `names`, or null when none is
+function matchedMinor(parts, names) {
+  const matching = parts.filter((p) => names.has(String(p.category || '').toLowerCase()));
+  return matching.length ? matching.reduce((sum, p) => sum + p.minor, 0) : null;
+}
+
+/**
+ * Rows in the goal's category from starts_on to `today`, keyed 't:<id>' or
+ * 'p:<id>', as { transaction_id | purchase_id, amount_minor, currency, date }.
+ */
+async function loadCandidates(prisma, userId, goal, names, today) {
+  const date = { gte: dayStart(toDay(goal.starts_on)), lt: dayStart(addDays(today, 1)) };
+  const candidates = new Map();
+  if (goal.split_id) {
+    const purchases = await prisma.purchase.findMany({
+      where: { user_id: userId, split_id: goal.split_id, date },
+      select: { id: true, amount_minor: true, currency: true, category: true, date: true, transaction: { select: { line_items: LINE_SELECT } } },
+    });
+    for (const p of purchases) {
+      const minor = matchedMinor(rowParts(p, p.transaction?.line_items), names);
+      if (minor !== null) candidates.set(`p:${p.id}`, { purchase_id: p.id, amount_minor: minor, currency: p.currency, date: toDay(p.date) });
+    }
+    return candidates;
+  }
+  const transactions = await prisma.transaction.findMany({
+    where: { user_id: userId, date },
+    select: { id: true, type: true, amount_minor: true, currency: true, category: true, date: true, line_items: LINE_SELECT },
+  });
+  for (const t of transactions) {
+    const minor = matchedMinor(rowParts(t, t.line_items), names);
+    if (minor !== null) {
+      candidates.set(`t:${t.id}`, { transaction_id: t.id, amount_minor: signed(minor, t.type), currency: t.currency, date: toDay(t.date) });
+    }
+  }
+  return candidates;
+}
+
+const contributionKey = (row) => (row.transaction_id ? `t:${row.transaction_id}` : `p:${row.purchase_id}`);
+
+// What a manually linked row adds: its source at full amount
+function manualValues(row) {
+  const source = row.transaction || row.purchase;
+  return {
+    amount_minor: row.transaction ? signed(source.amount_minor, source.type) : source.amount_minor,
+    currency: source.currency,
+    date: toDay(source.date),
+  };
+}
+
+/**
+ * Bring each goal's contributions in line with its rows: link new ones,
+ * follow changed amounts and dates, and unlink rows that left the category.
+ * Excluded rows stay linked (and excluded) while they are in the category.
+ * Two reads can run this at once, so every write tolerates the other having
+ * got there first: links already made are skipped, and rows already gone
+ * are not an error.
+ * @param {object[]} goals — rows with GOAL_SELECT
+ */
+async function syncContributions(prisma, userId, goals, { today = toDay() } = {}) {
+  if (goals.length === 0) return;
+  const matchers = await loadCategoryMatchers(prisma, userId, goals);
+  for (const goal of goals) {
+    const names = matchers.get(goal.category.toLowerCase());
+    const candidates = await loadCandidates(prisma, userId, goal, names, today);
+    const existing = await prisma.goalContribution.findMany({
+      where: { goal_id: goal.id },
+      select: { id: true, transaction_id: true, purchase_id: true, amount_minor: true, currency: true, date: true, manual: true, ...SOURCE_SELECT },
+    });
+
+    const stale = [];
+    for (const row of existing) {
+      const key = contributionKey(row);
+      const values = row.manual ? manualValues(row) : candidates.get(key);
+      candidates.delete(key);
+      if (!values) {
+        stale.push(row.id);
+      } else if (row.amount_minor !== values.amount_minor || row.currency !== values.currency || toDay(row.date) !== values.date) {
+        await prisma.goalContribution.updateMany({
+          where: { id: row.id },
+          data: { amount_minor: values.amount_minor, currency: values.currency, date: dayStart(values.date) },
+        });
+      }
+    }
+    if (stale.length) await prisma.goalContribution.deleteMany({ where: { id: { in: stale } } });
+    if (candidates.size) {
+      await prisma.goalContribution.createMany({
+        data: [...candidates.values()].map((c) => ({ ...c, date: dayStart(c.date), user_id: userId, goal_id: goal.id })),
+        skipDuplicates: true,
+      });
+    }
+  }
+}
+
+/**
+ * Goal rows → API shape with progress as of `today`: saved so far, what is
+ * left, the monthly amount still needed to reach the target on time, and
+ * when the target is reached at the rate saved so far.
+ * @param {object[]} goals — rows with GOAL_SELECT
+ */
+async function goalProgress(prisma, userId, goals, { today = toDay() } = {}) {
+  if (goals.length === 0) return [];
+  await syncContributions(prisma, userId, goals, { today });
+
+  const contributions = await prisma.goalContribution.findMany({
+    where: { goal_id: { in: goals.map((g) => g.id) }, excluded: false },
+    select: { goal_id: true, amount_minor: true, currency: true, date: true },
+    orderBy: [{ date: 'asc' }, { created_at: 'asc' }],
+  });
+  const currencies = new Set([...goals.map((g) => g.currency), ...contributions.map((c) => c.currency)]);
+  const fx = currencies.size > 1 ? await loadFxConverter(prisma, userId, [...currencies]) : null;
+
+  return goals.map((goal) => {
+    const target = goal.target_amount_minor;
+    const targetDate = toDay(goal.target_date);
+    let saved = 0;
+    let count = 0;
+    let unconverted = 0;
+    let completedOn = null;
+    for (const c of contributions) {
+      if (c.goal_id !== goal.id) continue;
+      const day = toDay(c.date);
+      const minor = c.currency === goal.currency ? c.amount_minor : fx.convertMinor(c.amount_minor, c.currency, goal.currency, day);
+      if (minor === null) {
+        unconverted++;
+        continue;
+      }
+      saved += minor;
+      count++;
+      if (completedOn === null && saved >= target) completedOn = day;
+      else if (saved < target) completedOn = null;
+    }
+
+    const remaining = Math.max(target - saved, 0);
+    const daysLeft = daysBetween(today, targetDate);
+    const monthsLeft = daysLeft > 0 ? daysLeft / DAYS_PER_MONTH : 0;
+    // Everything still missing is due now once less than a month is left
+    const monthlyNeeded = remaining > 0 ? Math.ceil(remaining / Math.max(monthsLeft, 1)) : 0;
+
+    const elapsedDays = Math.max(daysBetween(toDay(goal.starts_on), today) + 1, MIN_RATE_DAYS);
+    const dailyRate = saved / elapsedDays;
+    const daysToGo = remaining > 0 && dailyRate > 0 ? Math.ceil(remaining / dailyRate) : null;
+    const projected = remaining === 0
+      ? completedOn
+      : daysToGo !== null && daysToGo <= MAX_PROJECTION_DAYS ? addDays(today, daysToGo) : null;
+
+    return toGoalResponse(goal, {
+      saved: fromMinor(saved, goal.currency),
+      remaining: fromMinor(remaining, goal.currency),
+      percent: Math.min(Math.round((saved / target) * 1000) / 10, 100),
+      complete: remaining === 0,
+      completed_on: remaining === 0 ? completedOn : null,
+      months_left: Math.round(monthsLeft * 10) / 10,
+      monthly_needed: fromMinor(monthlyNeeded, goal.currency),
+      monthly_saving: fromMinor(Math.round(dailyRate * DAYS_PER_MONTH), goal.currency),
+      projected_completion: projected,
+      on_track: remaining === 0 || (projected !== null && projected <= targetDate),
+      contributions: count,
+      unconverted,
+    });
+  });
+}
+
+/**
+ * Link a transaction or purchase to a goal by hand ({ transaction_id } or
+ * { purchase_id }: a split goal takes the split's purchases, any other goal
+ * transactions), or put an excluded one back.
+ * @throws {InvalidGoalError}
+ */
+async function linkContribution(prisma, userId, goal, body = {}) {
+  const field = goal.split_id ? 'purchase_id' : 'transaction_id';
+  const other = goal.split_id ? 'transaction_id' : 'purchase_id';
+  if (body[other] !== undefined || !body[field]) {
+    throw new InvalidGoalError(`send the ${field} to link to this goal`, 'invalid_payload');
+  }
+  const id = String(body[field]);
+  const where = { goal_id: goal.id, [field]: id };
+  const existing = await prisma.goalContribution.findFirst({ where, select: { id: true, excluded: true } });
+  if (existing) {
+    if (existing.excluded) await prisma.goalContribution.update({ where: { id: existing.id }, data: { excluded: false } });
+    return;
+  }
+
+  const source = goal.split_id
+    ? await prisma.purchase.findFirst({ where: { id, user_id: userId, split_id: goal.split_id }, select: SOURCE_SELECT.purchase.select })
+    : await prisma.transaction.findFirst({ where: { id, user_id: userId }, select: SOURCE_SELECT.transaction.select });
+  if (!source) throw new InvalidGoalError(`no such ${goal.split_id ? 'purchase in the goal\'s split' : 'transaction'}`, 'not_found', 404);
+  const values = manualValues(goal.split_id ? { purchase: source } : { transaction: source });
+  await prisma.goalContribution.create({
+    data: { ...values, date: dayStart(values.date), [field]: id, goal_id: goal.id, user_id: userId, manual: true },
+  });
+}
+
+/**
+ * Take a contribution out of its goal: a manual link is removed, a row
+ * from the goal's category is kept out from now on.
+ * @returns {Promise<boolean>} false when the goal has no such contribution
+ */
+async function removeContribution(prisma, goal, contributionId) {
+  const row = await prisma.goalContribution.findFirst({ where: { id: contributionId, goal_id: goal.id }, select: { id: true, manual: true } });
+  if (!row) return false;
+  if (row.manual) await prisma.goalContribution.delete({ where: { id: row.id } });
+  else await prisma.goalContribution.update({ where: { id: row.id }, data: { excluded: true } });
+  return true;
+}
+
+/** A goal's contributions, newest first, with what each came from. */
+async function listContributions(prisma, goal) {
+  const rows = await prisma.goalContribution.findMany({
+    where: { goal_id: goal.id },
+    select: { id: true, transaction_id: true, purchase_id: true, amount_minor: true, currency: true, date: true, manual: true, excluded: true, ...SOURCE_SELECT },
+    orderBy: [{ date: 'desc' }, { created_at: 'desc' }],
+  });
+  return rows.map(toContributionResponse);
+}
+
+/** A goals row → API shape, in major units, plus any progress fields. */
+function toGoalResponse(row, progress = {}) {
+  const { user_id: _userId, target_amount_minor, target_date, starts_on, ...rest } = row;
+  return {
+    ...rest,
+    target_amount: fromMinor(target_amount_minor, row.currency),
+    target_date: toDay(target_date),
+    starts_on: toDay(starts_on),
+    ...progress,
+  };
+}
+
+/** A goal_contributions row (with its source) → API shape, in major units. */
+function toContributionResponse(row) {
+  const source = row.transaction || row.purchase;
+  return {
+    id: row.id,
+    transaction_id: row.transaction_id,
+    purchase_id: row.purchase_id,
+    date: toDay(row.date),
+    amount: fromMinor(row.amount_minor, row.currency),
+    currency: row.currency,
+    description: source?.description || null,
+    category: source?.category || null,
+    manual: row.manual,
+    excluded: row.excluded,
+  };
+}
+
+module.exports = {
+  InvalidGoalError,
+  GOAL_SELECT,
+  parseGoalInput,
+  syncContributions,
+  goalProgress,
+  linkContribution,
+  removeContribution,
+  listContributions,
+  toGoalResponse,
+  toContributionResponse,
+};
@@ -4,8 +4,6 @@ const cors = require("cors");
 const { PrismaClient } = require('@prisma/client');
 const { PrismaPg } = require('@prisma/adapter-pg');
 const { Pool } = require('pg');
-const jwt = require('express-jwt');
-const jwksRsa = require('jwks-rsa');
 
 const app = express();
 
@@ -85,40 +83,17 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), strip
 
 app.use(express.json({ limit: '10mb' }));
 
-// Auth0 JWT middleware - DISABLED FOR DEVELOPMENT
-// const authCheck = jwt.expressjwt({
-//   secret: jwksRsa.expressJwtSecret({
-//     cache: true,
-//     rateLimit: true,
-//     jwksRequestsPerMinute: 5,
-//     jwksUri: `${process.env.AUTH0_ISSUER_BASE_URL.replace(/\/$/, '')}/.well-known/jwks.json`,
-//   }),
-//   audience: process.env.AUTH0_AUDIENCE,
-//   issuer: process.env.AUTH0_ISSUER_BASE_URL,
-//   algorithms: ['RS256'],
-// }).unless({ path: ['/health'] });
-
-// app.use(authCheck);
-
-// Auth middleware: extract user_id from Authorization header
-// In production, this would validate JWT. In dev, the token IS the user_id.
-app.use((req, res, next) => {
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.replace('Bearer ', '');
-  const email = req.headers['x-user-email'] || null; // Email from frontend
-  req.auth = { sub: token || 'dev-user', email };
-  next();
-});
+// Auth: verify RS256 access tokens on every /api route (see auth.js).
+// With AUTH_DEV_MODE=true the backend signs its own tokens and serves a local JWKS.
+const { createAuthCheck, normalizeClaims, handleAuthError, isDevAuthEnabled, devAuthRoutes } = require('./auth');
 
-// Error handling middleware for JWT errors
-app.use((err, req, res, next) => {
-  if (err instanceof jwt.UnauthorizedError) {
-    console.error(`[${new Date().toISOString()}] JWT Error on ${req.method} ${req.path}:`, err.message);
-    console.error('Authorization header:', req.headers.authorization ? 'present but invalid' : 'missing');
-    return res.status(401).json({ error: 'unauthorized', message: err.message });
-  }
-  next(err);
-});
+if (isDevAuthEnabled()) {
+  app.use('/api/auth/dev', devAuthRoutes());
+}
+
+app.use(createAuthCheck());
+app.use(normalizeClaims);
+app.use(handleAuthError);
 
 // TrueLayer Open Banking routes
 const trueLayerRoutes = require('./routes/banks.truelayer');
@@ -149,6 +124,107 @@ app.use('/api/admin', adminRoutes(prisma));
 const { attachRole } = require('./admin');
 app.use(attachRole(prisma));
 
+// User categories (seeded defaults, grouping, colours)
+const categoryRoutes = require('./routes/categories');
+app.use('/api/categories', categoryRoutes(prisma));
+
+// Categorization rules (CRUD + import previews)
+const categoryRuleRoutes = require('./routes/category-rules');
+app.use('/api/category-rules', categoryRuleRoutes(prisma));
+
+// FX rate tables for converting totals into the reporting currency
+const fxRateRoutes = require('./routes/fx-rates');
+app.use('/api/fx-rates', fxRateRoutes(prisma));
+
+// Free-form tags on transactions and purchases
+const tagRoutes = require('./routes/tags');
+app.use('/api/tags', tagRoutes(prisma, {
+  onPurchasesChanged: (userId) => invalidateCache(`purchases:${userId}`)
+}));
+
+// Receipt / document attachments; files live in attachment storage (see storage/)
+const { createStorage } = require('./storage');
+const storage = createStorage();
+console.log(`[Attachments] Using ${storage.driver} storage`);
+const attachmentRoutes = require('./routes/attachments');
+app.use('/api/attachments', attachmentRoutes(prisma, storage));
+
+// Recurring payments and subscriptions detected from expenses
+const recurringRoutes = require('./routes/recurring');
+app.use('/api/recurring', recurringRoutes(prisma));
+
+// Per-category spending limits with period progress
+const budgetRoutes = require('./routes/budgets');
+app.use('/api/budgets', budgetRoutes(prisma));
+
+// Envelope mode: income shared out into per-category envelopes
+const envelopeRoutes = require('./routes/envelopes');
+app.use('/api/envelopes', envelopeRoutes(prisma));
+
+// Savings goals filled from a category, with progress and projections
+const goalRoutes = require('./routes/goals');
+app.use('/api/goals', goalRoutes(prisma));
+
+// Cash-flow forecast: the bank balance projected with expected income and bills
+const forecastRoutes = require('./routes/forecast');
+app.use('/api/forecast', forecastRoutes(prisma));
+
+// Bank balances over time, one recorded balance per account per day
+const balanceHistoryRoutes = require('./routes/balance-history');
+app.use('/api/balance-history', balanceHistoryRoutes(prisma));
+
+// Cash, ISAs, pensions, property and debts valued by hand
+const manualAccountRoutes = require('./routes/manual-accounts');
+app.use('/api/manual-accounts', manualAccountRoutes(prisma));
+
+// Net worth: bank balances plus manual accounts, now and month by month
+const netWorthRoutes = require('./routes/net-worth');
+app.use('/api/net-worth', netWorthRoutes(prisma));
+
+// Debts and snowball / avalanche payoff plans
+const debtRoutes = require('./routes/debts');
+app.use('/api/debts', debtRoutes(prisma));
+
+const { parseTransactionQuery, queryTransactions, InvalidQueryError } = require('./transaction-query');
+const { loadRuleEngine, categorizeImported } = require('./categorization');
+const { isUncategorized } = require('./category-defaults');
+const { ensureCategories } = require('./categories');
+const { InvalidTagError, parseTagNames, setTags, TAG_NAMES_SELECT, tagNames } = require('./tags');
+const {
+  InvalidLineItemsError,
+  LINE_ITEMS_QUERY,
+  parseLineItemsInput,
+  toLineItemsResponse,
+  replaceLineItems,
+  lineItemsStillBalance,
+} = require('./line-items');
+const { ATTACHMENTS_QUERY, removeAttachments, removeDetachedAttachments } = require('./attachments');
+const { removeStaleSplitBudgets } = require('./budgets');
+const { isIncomeCategory, allocateIncomes } = require('./envelopes');
+const {
+  SPLIT_CATEGORIES_QUERY,
+  parseSplitCategoriesInput,
+  toSplitCategoriesResponse,
+  replaceSplitCategories,
+} = require('./splits');
+// Amounts are stored in minor units; the API sends and receives major units
+const { toMinor, fromMinor, normalizeCurrency } = require('../shared/money.js');
+const { PAY_FREQUENCIES } = require('../shared/periods.js');
+
+/**
+ * Store the envelope allocations of income saved to envelope-mode splits
+ * (see envelopes.js). A failure is logged; the save itself already went through.
+ */
+async function allocateSplitIncomes(userId, splitIds) {
+  for (const splitId of new Set(splitIds.map(String))) {
+    try {
+      await allocateIncomes(prisma, userId, splitId);
+    } catch (err) {
+      console.warn(`[Envelopes] Could not allocate income for split ${splitId}:`, err.message);
+    }
+  }
+}
+
 // health
 app.get('/health', (req, res) => res.json({ ok: true, database: 'supabase' }));
 
@@ -166,27 +242,56 @@ app.get('/api/me/role', async (req, res) => {
   }
 });
 
-// Get transactions for authenticated user
+// Get transactions for authenticated user (filtered, cursor-paginated — see transaction-query.js)
 app.get('/api/transactions', async (req, res) => {
   try {
     const userId = req.auth?.sub;
     if (!userId) return res.status(401).json({ error: 'unauthorized' });
 
-    const rows = await prisma.transaction.findMany({
-      where: { user_id: userId },
-      orderBy: [{ date: 'desc' }, { created_at: 'desc' }],
+    let filters;
+    try {
+      filters = parseTransactionQuery(req.query);
+    } catch (err) {
+      if (err instanceof InvalidQueryError) {
+        return res.status(400).json({ error: 'invalid_query', message: err.message });
+      }
+      throw err;
+    }
+
+    const { transactions, nextCursor, summary } = await queryTransactions(prisma, userId, filters, {
       select: {
-        id: true,
         type: true,
-        amount: true,
-        date: true,
+        amount_minor: true,
+        currency: true,
         category: true,
+        category_manual: true,
         description: true,
-        source: true
+        source: true,
+        ...TAG_NAMES_SELECT,
+        line_items: LINE_ITEMS_QUERY,
+        attachments: ATTACHMENTS_QUERY
       }
     });
+
     // Convert date fields to ISO string for frontend compatibility
-    return res.json(rows.map(r => ({ ...r, date: r.date ? new Date(r.date).toISOString() : null })));
+    return res.json({
+      transactions: transactions.map(r => ({
+        id: r.id,
+        type: r.type,
+        amount: fromMinor(r.amount_minor, r.currency),
+        currency: r.currency,
+        date: r.date ? new Date(r.date).toISOString() : null,
+        category: r.category,
+        category_manual: r.category_manual,
+        description: r.description,
+        source: r.source,
+        tags: tagNames(r.tags),
+        line_items: toLineItemsResponse(r.line_items, r.currency),
+        attachments: r.attachments
+      })),
+      nextCursor,
+      summary
+    });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: 'internal_error', message: err.message });
@@ -202,19 +307,26 @@ app.post('/api/transactions/bulk', async (req, res) => {
     const items = Array.isArray(req.body) ? req.body : (req.body?.transactions || []);
     if (!items.length) return res.status(400).json({ error: 'no_transactions' });
 
+    // Rows the client left uncategorized go through the user's category rules
+    const engine = await loadRuleEngine(prisma, userId);
+
     // Use upsert for each transaction to handle duplicates
     const results = await Promise.all(
-      items.map(it => 
-        prisma.transaction.upsert({
+      items.map(it => {
+        const currency = normalizeCurrency(it.currency);
+        return prisma.transaction.upsert({
           where: { id: it.id },
           update: {}, // Don't update if exists
           create: {
             id: it.id,
             user_id: userId,
             type: it.type,
-            amount: it.amount,
+            amount_minor: toMinor(it.amount, currency),
+            currency,
             date: it.date ? new Date(it.date) : undefined,
-            category: it.category || null,
+            category: categorizeImported(engine, { ...it, source: 'manual' }),
+            // Categories the user changed in the import preview are hand-picked
+            category_manual: it.category_manual === true && !isUncategorized(it.category),
             description: it.description || null,
             source: 'manual' // Mark as manually uploaded
           }
@@ -222,8 +334,8 @@ app.post('/api/transactions/bulk', async (req, res) => {
           // Ignore duplicate key errors
           if (e.code === 'P2002') return null;
           throw e;
-        })
-      )
+        });
+      })
     );
 
     const inserted = results.filter(r => r !== null).length;
@@ -242,6 +354,7 @@ app.post('/api/transactions', async (req, res) => {
 
     const { id, type, amount, date, category, description } = req.body;
     if (!id || !type || !amount || !date) return res.status(400).json({ error: 'invalid_payload' });
+    const currency = normalizeCurrency(req.body.currency);
 
     await prisma.transaction.upsert({
       where: { id },
@@ -250,9 +363,11 @@ app.post('/api/transactions', async (req, res) => {
         id,
         user_id: userId,
         type,
-        amount,
+        amount_minor: toMinor(amount, currency),
+        currency,
         date: date ? new Date(date) : undefined,
         category: category || null,
+        category_manual: !isUncategorized(category),
         description: description || null,
         source: 'manual' // Mark as manually created
       }
@@ -265,32 +380,159 @@ app.post('/api/transactions', async (req, res) => {
 });
 
 // Update transaction
+// Bulk edit selected transactions - MUST come before :id route
+// Body: { ids: string[], updates: { category?, type? } }
+app.patch('/api/transactions/bulk', async (req, res) => {
+  try {
+    const userId = req.auth?.sub;
+    if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+    const { ids, updates } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'invalid_payload', message: 'ids must be a non-empty array' });
+    }
+
+    const updateData = {};
+    if (updates?.category !== undefined) {
+      updateData.category = updates.category || null;
+      updateData.category_manual = Boolean(updates.category);
+    }
+    if (updates?.type !== undefined) {
+      if (!['income', 'expense'].includes(updates.type)) {
+        return res.status(400).json({ error: 'invalid_payload', message: 'type must be income or expense' });
+      }
+      updateData.type = updates.type;
+    }
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'invalid_payload', message: 'updates must include category or type' });
+    }
+
+    const result = await prisma.transaction.updateMany({
+      where: { id: { in: ids.map(String) }, user_id: userId },
+      data: updateData
+    });
+    return res.json({ ok: true, updated: result.count });
+  } catch (err) {
+    console.error('Error bulk updating transactions:', err);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  }
+});
+
+// Delete selected transactions. Body: { ids: string[] }
+app.post('/api/transactions/bulk-delete', async (req, res) => {
+  try {
+    const userId = req.auth?.sub;
+    if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'invalid_payload', message: 'ids must be a non-empty array' });
+    }
+
+    const result = await prisma.transaction.deleteMany({
+      where: { id: { in: ids.map(String) }, user_id: userId }
+    });
+    // Linked purchases lose their transaction_id (ON DELETE SET NULL)
+    invalidateCache(`purchases:${userId}`);
+    await removeDetachedAttachments(prisma, storage, userId);
+    return res.json({ ok: true, deleted: result.count });
+  } catch (err) {
+    console.error('Error bulk deleting transactions:', err);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  }
+});
+
 app.patch('/api/transactions/:id', async (req, res) => {
   try {
     const userId = req.auth?.sub;
     if (!userId) return res.status(401).json({ error: 'unauthorized' });
     
     const id = req.params.id;
-    const { type, amount, date, category, description } = req.body;
+    const { type, amount, currency, date, category, category_manual, description } = req.body;
     
     const updateData = {};
     if (type !== undefined) updateData.type = type;
-    if (amount !== undefined) updateData.amount = amount;
+    if (currency !== undefined) updateData.currency = normalizeCurrency(currency);
+    if (amount !== undefined || updateData.currency) {
+      // Minor units depend on the currency, so look it up when the body doesn't say
+      const existing = await prisma.transaction.findFirst({
+        where: { id, user_id: userId },
+        select: { amount_minor: true, currency: true }
+      });
+      if (amount !== undefined) {
+        updateData.amount_minor = toMinor(amount, updateData.currency || existing?.currency) ?? 0;
+      }
+      const next = {
+        amount_minor: updateData.amount_minor ?? existing?.amount_minor,
+        currency: updateData.currency || existing?.currency
+      };
+      if (existing && !(await lineItemsStillBalance(prisma, id, existing, next))) {
+        return res.status(409).json({
+          error: 'line_items_mismatch',
+          message: 'This transaction is split into line items; remove the split before changing its amount or currency'
+        });
+      }
+    }
     if (date !== undefined) updateData.date = date ? new Date(date) : undefined;
-    if (category !== undefined) updateData.category = category;
+    if (category !== undefined) {
+      updateData.category = category;
+      updateData.category_manual = true; // picked by hand — rules must not overwrite it
+    }
+    if (category_manual !== undefined) updateData.category_manual = Boolean(category_manual);
     if (description !== undefined) updateData.description = description;
     
     await prisma.transaction.updateMany({
       where: { id, user_id: userId },
       data: updateData
     });
+    // Tags replace the row's whole set; names the user doesn't have yet are created
+    if (req.body.tags !== undefined) {
+      const names = parseTagNames(req.body.tags);
+      const owned = await findOwnedIds('transaction', userId, [id]);
+      if (!owned.has(id)) return res.status(404).json({ error: 'not_found' });
+      const tags = await setTags(prisma, userId, 'transaction', id, names);
+      return res.json({ ok: true, tags });
+    }
     return res.json({ ok: true });
   } catch (err) {
+    if (err instanceof InvalidTagError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
     console.error(err);
     return res.status(500).json({ error: 'internal_error', message: err.message });
   }
 });
 
+// Split a transaction across categories. Body: { items: [{ amount, category, note }] }
+// The amounts must add up to the transaction's; an empty list removes the split.
+app.put('/api/transactions/:id/line-items', async (req, res) => {
+  try {
+    const userId = req.auth?.sub;
+    if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+    const parent = await prisma.transaction.findFirst({
+      where: { id: req.params.id, user_id: userId },
+      select: { id: true, amount_minor: true, currency: true }
+    });
+    if (!parent) return res.status(404).json({ error: 'not_found' });
+
+    const rows = parseLineItemsInput(req.body?.items, parent);
+    const saved = await prisma.$transaction(async (tx) => {
+      await replaceLineItems(tx, userId, parent.id, rows);
+      return tx.transactionLineItem.findMany({ where: { transaction_id: parent.id }, ...LINE_ITEMS_QUERY });
+    });
+    // Tracker purchases carry their transaction's lines
+    invalidateCache(`purchases:${userId}`);
+    return res.json({ ok: true, line_items: toLineItemsResponse(saved, parent.currency) });
+  } catch (err) {
+    if (err instanceof InvalidLineItemsError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error('Error saving line items:', err);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  }
+});
+
 // Bulk delete all transactions for user - MUST come before :id route
 app.delete('/api/transactions/clear', async (req, res) => {
   try {
@@ -302,6 +544,8 @@ app.delete('/api/transactions/clear', async (req, res) => {
     });
     
     console.log(`Cleared ${result.count} transactions for user ${userId}`);
+    invalidateCache(`purchases:${userId}`);
+    await removeDetachedAttachments(prisma, storage, userId);
     return res.json({ ok: true, deleted: result.count });
   } catch (err) {
     console.error('Error clearing transactions:', err);
@@ -319,6 +563,8 @@ app.delete('/api/transactions/:id', async (req, res) => {
     await prisma.transaction.deleteMany({
       where: { id, user_id: userId }
     });
+    invalidateCache(`purchases:${userId}`);
+    await removeDetachedAttachments(prisma, storage, userId);
     return res.json({ ok: true });
   } catch (err) {
     console.error(err);
@@ -346,12 +592,11 @@ app.get('/api/splits', async (req, res) => {
         id: true,
         name: true,
         frequency: true,
-        categories: true,
+        categories: SPLIT_CATEGORIES_QUERY,
         created_at: true
       }
     });
-    // Parse JSON categories
-    const parsed = rows.map(r => ({ ...r, categories: JSON.parse(r.categories) }));
+    const parsed = rows.map(r => ({ ...r, categories: toSplitCategoriesResponse(r.categories) }));
     
     // Cache the result
     setCache(cacheKey, parsed);
@@ -368,27 +613,42 @@ app.post('/api/splits', async (req, res) => {
     const userId = req.auth?.sub;
     if (!userId) return res.status(401).json({ error: 'unauthorized' });
 
-    const { id, name, frequency, categories } = req.body;
+    const { id, name, frequency } = req.body;
+    const categories = parseSplitCategoriesInput(req.body.categories);
     if (!id || !name || !frequency || !categories) {
       return res.status(400).json({ error: 'invalid_payload' });
     }
 
-    await prisma.split.upsert({
-      where: { id },
-      update: {
-        name,
-        frequency,
-        categories: JSON.stringify(categories),
-        updated_at: new Date()
-      },
-      create: {
-        id,
-        user_id: userId,
-        name,
-        frequency,
-        categories: JSON.stringify(categories)
-      }
+    const owner = await prisma.split.findUnique({ where: { id }, select: { user_id: true } });
+    if (owner && owner.user_id !== userId) return res.status(404).json({ error: 'not_found' });
+
+    // Income not shared out yet keeps the percentages it came in under
+    await allocateSplitIncomes(userId, [id]);
+    await prisma.$transaction(async (tx) => {
+      await tx.split.upsert({
+        where: { id },
+        update: {
+          name,
+          frequency,
+          updated_at: new Date()
+        },
+        create: {
+          id,
+          user_id: userId,
+          name,
+          frequency
+        }
+      });
+      await replaceSplitCategories(tx, id, categories);
+      await removeStaleSplitBudgets(tx, id, categories.map((c) => c.name));
     });
+
+    // Split category names become user categories so every picker offers them
+    try {
+      await ensureCategories(prisma, userId, categories.map((c) => c.name));
+    } catch (err) {
+      console.warn('[Splits] Could not add split categories:', err.message);
+    }
     
     // Invalidate cache
     invalidateCache(`splits:${userId}`);
@@ -406,9 +666,14 @@ app.delete('/api/splits/:id', async (req, res) => {
     if (!userId) return res.status(401).json({ error: 'unauthorized' });
     
     const id = req.params.id;
+    // Its purchases, income setting and category lines go with it (ON DELETE CASCADE)
     await prisma.split.deleteMany({
       where: { id, user_id: userId }
     });
+    invalidateCache(`splits:${userId}`);
+    invalidateCache(`purchases:${userId}`);
+    invalidateCache(`income:${userId}`);
+    await removeDetachedAttachments(prisma, storage, userId);
     return res.json({ ok: true });
   } catch (err) {
     console.error(err);
@@ -417,6 +682,20 @@ app.delete('/api/splits/:id', async (req, res) => {
 });
 
 // Purchases endpoints
+
+// A purchase must belong to one of the user's splits; a transaction link that
+// doesn't point at one of the user's transactions is dropped rather than
+// failing the foreign key.
+async function findOwnedIds(model, userId, ids) {
+  const wanted = [...new Set(ids.filter(Boolean).map(String))];
+  if (wanted.length === 0) return new Set();
+  const rows = await prisma[model].findMany({
+    where: { id: { in: wanted }, user_id: userId },
+    select: { id: true },
+  });
+  return new Set(rows.map(r => r.id));
+}
+
 app.get('/api/purchases', async (req, res) => {
   try {
     const userId = req.auth?.sub;
@@ -431,17 +710,30 @@ app.get('/api/purchases', async (req, res) => {
 
     // Use raw SQL for maximum performance
     const rows = await prisma.$queryRaw`
-      SELECT id, split_id, transaction_id, date, amount, category, description
+      SELECT id, split_id, transaction_id, date, amount_minor, currency, category, description,
+        ARRAY(
+          SELECT t.name FROM purchase_tags pt JOIN tags t ON t.id = pt.tag_id
+          WHERE pt.purchase_id = purchases.id ORDER BY t.name
+        ) AS tags,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', li.id, 'amount_minor', li.amount_minor, 'category', li.category, 'note', li.note
+          ) ORDER BY li.sort_order)
+          FROM transaction_line_items li
+          WHERE li.transaction_id = purchases.transaction_id
+        ), '[]'::json) AS line_items
       FROM purchases
       WHERE user_id = ${userId}
       ORDER BY date DESC
     `;
     
-    // Convert date fields to ISO string for frontend compatibility
-    const result = rows.map(r => ({ 
+    // Convert date fields to ISO string for frontend compatibility.
+    // line_items are the linked transaction's split, if it has one (see line-items.js)
+    const result = rows.map(({ amount_minor, line_items, ...r }) => ({ 
       ...r, 
       date: r.date ? new Date(r.date).toISOString() : null,
-      amount: Number(r.amount) // Ensure number type
+      amount: fromMinor(amount_minor, r.currency),
+      line_items: toLineItemsResponse(line_items, r.currency)
     }));
     
     // Cache the result
@@ -463,14 +755,22 @@ app.post('/api/purchases', async (req, res) => {
     if (!id || !split_id || !date || !amount || !category) {
       return res.status(400).json({ error: 'invalid_payload' });
     }
+    const splitIds = await findOwnedIds('split', userId, [split_id]);
+    if (!splitIds.has(String(split_id))) {
+      return res.status(400).json({ error: 'invalid_payload', message: 'split_id does not match one of your splits' });
+    }
+    const txIds = await findOwnedIds('transaction', userId, [transaction_id]);
+    const linkedTransactionId = txIds.has(String(transaction_id)) ? String(transaction_id) : null;
+    const currency = normalizeCurrency(req.body.currency);
 
     await prisma.purchase.upsert({
       where: { id },
       update: {
         split_id,
-        transaction_id: transaction_id || null,
+        transaction_id: linkedTransactionId,
         date: date ? new Date(date) : undefined,
-        amount,
+        amount_minor: toMinor(amount, currency),
+        currency,
         category,
         description: description || null
       },
@@ -478,13 +778,15 @@ app.post('/api/purchases', async (req, res) => {
         id,
         user_id: userId,
         split_id,
-        transaction_id: transaction_id || null,
+        transaction_id: linkedTransactionId,
         date: date ? new Date(date) : undefined,
-        amount,
+        amount_minor: toMinor(amount, currency),
+        currency,
         category,
         description: description || null
       }
     });
+    if (isIncomeCategory(category)) await allocateSplitIncomes(userId, [split_id]);
     
     // Invalidate cache
     invalidateCache(`purchases:${userId}`);
@@ -507,18 +809,29 @@ app.post('/api/purchases/batch', async (req, res) => {
       return res.status(400).json({ error: 'invalid_payload', message: 'purchases array required' });
     }
 
+    const splitIds = await findOwnedIds('split', userId, purchases.map(p => p.split_id));
+    const txIds = await findOwnedIds('transaction', userId, purchases.map(p => p.transaction_id));
+
     // Process individually (Supabase pgbouncer doesn't support long transactions)
     let processed = 0;
     let errors = 0;
     for (const p of purchases) {
+      if (!splitIds.has(String(p.split_id))) {
+        errors++;
+        if (errors <= 3) console.error(`[Batch] Skipping ${p.id}: unknown split ${p.split_id}`);
+        continue;
+      }
+      const linkedTransactionId = txIds.has(String(p.transaction_id)) ? String(p.transaction_id) : null;
+      const currency = normalizeCurrency(p.currency);
       try {
         await prisma.purchase.upsert({
           where: { id: p.id },
           update: {
             split_id: p.split_id,
-            transaction_id: p.transaction_id || null,
+            transaction_id: linkedTransactionId,
             date: p.date ? new Date(p.date) : undefined,
-            amount: p.amount,
+            amount_minor: toMinor(p.amount, currency),
+            currency,
             category: p.category,
             description: p.description || null
           },
@@ -526,9 +839,10 @@ app.post('/api/purchases/batch', async (req, res) => {
             id: p.id,
             user_id: userId,
             split_id: p.split_id,
-            transaction_id: p.transaction_id || null,
+            transaction_id: linkedTransactionId,
             date: p.date ? new Date(p.date) : undefined,
-            amount: p.amount,
+            amount_minor: toMinor(p.amount, currency),
+            currency,
             category: p.category,
             description: p.description || null
           }
@@ -539,6 +853,9 @@ app.post('/api/purchases/batch', async (req, res) => {
         if (errors <= 3) console.error(`[Batch] Upsert error for ${p.id}:`, e.message);
       }
     }
+    await allocateSplitIncomes(userId, purchases
+      .filter((p) => splitIds.has(String(p.split_id)) && isIncomeCategory(p.category))
+      .map((p) => p.split_id));
     
     // Invalidate cache
     invalidateCache(`purchases:${userId}`);
@@ -559,6 +876,7 @@ app.delete('/api/purchases/:id', async (req, res) => {
     await prisma.purchase.deleteMany({
       where: { id, user_id: userId }
     });
+    await removeDetachedAttachments(prisma, storage, userId);
     return res.json({ ok: true });
   } catch (err) {
     console.error(err);
@@ -613,6 +931,7 @@ app.post('/api/purchases/deduplicate', async (req, res) => {
 
     // Invalidate cache
     invalidateCache(`purchases:${userId}`);
+    await removeDetachedAttachments(prisma, storage, userId);
 
     console.log(`[Dedup] Deleted ${totalDeleted} duplicate purchases for user ${userId}`);
     return res.json({ ok: true, deleted: totalDeleted });
@@ -640,7 +959,8 @@ app.get('/api/income-settings', async (req, res) => {
       select: {
         id: true,
         split_id: true,
-        expected_amount: true,
+        expected_amount_minor: true,
+        currency: true,
         frequency: true,
         next_payday: true,
         use_expected_when_no_actual: true,
@@ -648,11 +968,15 @@ app.get('/api/income-settings', async (req, res) => {
         updated_at: true
       }
     });
+    const result = rows.map(({ expected_amount_minor, ...r }) => ({
+      ...r,
+      expected_amount: fromMinor(expected_amount_minor, r.currency)
+    }));
     
     // Cache the result
-    setCache(cacheKey, rows);
+    setCache(cacheKey, result);
     
-    return res.json(rows);
+    return res.json(result);
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: 'internal_error', message: err.message });
@@ -668,14 +992,24 @@ app.post('/api/income-settings', async (req, res) => {
     if (!split_id) {
       return res.status(400).json({ error: 'invalid_payload', message: 'split_id is required' });
     }
+    const split = await prisma.split.findFirst({ where: { id: String(split_id), user_id: userId }, select: { id: true } });
+    if (!split) {
+      return res.status(400).json({ error: 'invalid_payload', message: 'split_id does not match one of your splits' });
+    }
+    if (frequency && !PAY_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ error: 'invalid_payload', message: `frequency must be one of ${PAY_FREQUENCIES.join(', ')}` });
+    }
 
     const settingId = id || `income-setting-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
     const useExpected = use_expected_when_no_actual !== false;
+    const currency = normalizeCurrency(req.body.currency);
+    const expectedMinor = Math.abs(toMinor(expected_amount, currency) ?? 0);
 
-    const saved = await prisma.incomeSetting.upsert({
+    const { expected_amount_minor, ...saved } = await prisma.incomeSetting.upsert({
       where: { split_id },
       update: {
-        expected_amount: Math.abs(Number(expected_amount) || 0),
+        expected_amount_minor: expectedMinor,
+        currency,
         frequency: frequency || 'monthly',
         next_payday: next_payday || null,
         use_expected_when_no_actual: useExpected,
@@ -685,7 +1019,8 @@ app.post('/api/income-settings', async (req, res) => {
         id: settingId,
         user_id: userId,
         split_id,
-        expected_amount: Math.abs(Number(expected_amount) || 0),
+        expected_amount_minor: expectedMinor,
+        currency,
         frequency: frequency || 'monthly',
         next_payday: next_payday || null,
         use_expected_when_no_actual: useExpected
@@ -695,7 +1030,7 @@ app.post('/api/income-settings', async (req, res) => {
     // Invalidate cache
     invalidateCache(`income:${userId}`);
     
-    return res.json(saved);
+    return res.json({ ...saved, expected_amount: fromMinor(expected_amount_minor, currency) });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: 'internal_error', message: err.message });
@@ -730,8 +1065,9 @@ app.post('/api/reset', async (req, res) => {
 
     console.log(`[Reset] Starting full data reset for user: ${userId}`);
 
-    // Delete in correct order to avoid FK issues
-    // 1. First delete purchases (depends on splits)
+    // Purchases and income settings would cascade from splits; they are
+    // deleted explicitly first so the response can report their counts.
+    // 1. Delete purchases (depends on splits)
     const purchaseResult = await prisma.purchase.deleteMany({ where: { user_id: userId } });
     console.log(`[Reset] Deleted ${purchaseResult.count} purchases`);
 
@@ -739,44 +1075,74 @@ app.post('/api/reset', async (req, res) => {
     const incomeSettingsResult = await prisma.incomeSetting.deleteMany({ where: { user_id: userId } });
     console.log(`[Reset] Deleted ${incomeSettingsResult.count} income settings`);
 
-    // 3. Delete splits
+    // 3. Delete budgets (split budgets would cascade; standalone ones wouldn't)
+    const budgetResult = await prisma.budget.deleteMany({ where: { user_id: userId } });
+    console.log(`[Reset] Deleted ${budgetResult.count} budgets`);
+
+    // 4. Delete goals (contributions cascade; split goals would cascade, standalone ones wouldn't)
+    const goalResult = await prisma.goal.deleteMany({ where: { user_id: userId } });
+    console.log(`[Reset] Deleted ${goalResult.count} goals`);
+
+    // 5. Delete splits
     const splitResult = await prisma.split.deleteMany({ where: { user_id: userId } });
     console.log(`[Reset] Deleted ${splitResult.count} splits`);
 
-    // 4. Delete all transactions (manual + bank)
+    // 6. Delete all transactions (manual + bank)
     const txResult = await prisma.transaction.deleteMany({ where: { user_id: userId } });
     console.log(`[Reset] Deleted ${txResult.count} transactions`);
 
-    // 5. Delete bank balance snapshots (all providers)
-    const balanceSnapshotResult = await prisma.bankBalanceSnapshot.deleteMany({ 
-      where: { user_id: userId } 
+    // 7. Delete recurring series detected from them (price changes cascade)
+    const recurringResult = await prisma.recurringSeries.deleteMany({ where: { user_id: userId } });
+    console.log(`[Reset] Deleted ${recurringResult.count} recurring series`);
+
+    // 8. Delete balance history (all providers; would also cascade from the accounts)
+    const balanceHistoryResult = await prisma.bankBalanceHistory.deleteMany({
+      where: { user_id: userId }
     });
-    console.log(`[Reset] Deleted ${balanceSnapshotResult.count} balance snapshots`);
+    console.log(`[Reset] Deleted ${balanceHistoryResult.count} balance history days`);
 
-    // 6. Delete bank accounts (all providers)
+    // 9. Delete bank accounts (all providers)
     const bankAccountResult = await prisma.bankAccount.deleteMany({ 
       where: { user_id: userId } 
     });
     console.log(`[Reset] Deleted ${bankAccountResult.count} bank accounts`);
 
-    // 7. Delete bank connections (all providers, removes TrueLayer tokens)
+    // 10. Delete bank connections (all providers, removes TrueLayer tokens)
     const bankConnectionResult = await prisma.bankConnection.deleteMany({ 
       where: { user_id: userId } 
     });
     console.log(`[Reset] Deleted ${bankConnectionResult.count} bank connections`);
 
+    // 11. Delete manual accounts (valuations cascade)
+    const manualAccountResult = await prisma.manualAccount.deleteMany({ where: { user_id: userId } });
+    console.log(`[Reset] Deleted ${manualAccountResult.count} manual accounts`);
+
+    // 12. Delete debts
+    const debtResult = await prisma.debt.deleteMany({ where: { user_id: userId } });
+    console.log(`[Reset] Deleted ${debtResult.count} debts`);
+
+    // 13. Delete attachments and their files
+    const attachmentCount = await removeAttachments(prisma, storage, { user_id: userId });
+    console.log(`[Reset] Deleted ${attachmentCount} attachments`);
+
     console.log(`[Reset] Full data reset complete for user: ${userId}`);
 
     return res.json({
       ok: true,
       cleared: {
         transactions: txResult.count,
+        recurringSeries: recurringResult.count,
         purchases: purchaseResult.count,
         splits: splitResult.count,
+        budgets: budgetResult.count,
+        goals: goalResult.count,
         incomeSettings: incomeSettingsResult.count,
         bankConnections: bankConnectionResult.count,
         bankAccounts: bankAccountResult.count,
-        balanceSnapshots: balanceSnapshotResult.count,
+        balanceHistory: balanceHistoryResult.count,
+        manualAccounts: manualAccountResult.count,
+        debts: debtResult.count,
+        attachments: attachmentCount,
       },
     });
   } catch (err) {
@@ -0,0 +1,120 @@
+/**
+ * line-items.js — Splitting one transaction across several categories.
+ *
+ * A transaction's line items are { amount, category, note } parts in its own
+ * currency that add up to its amount exactly. The transaction keeps its own
+ * category for the ledger; tracker and insights totals count each line under
+ * its own category instead. Sending no lines removes the split.
+ *
+ * The API sends and receives major units; rows hold minor units, so the sum
+ * check is exact.
+ */
+
+const { toMinor, fromMinor } = require('../shared/money.js');
+
+const MAX_LINE_ITEMS = 50;
+const MAX_NOTE_LENGTH = 200;
+
+class InvalidLineItemsError extends Error {
+  constructor(message, code = 'invalid_line_items', status = 400) {
+    super(message);
+    this.name = 'InvalidLineItemsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Relation arguments for loading a transaction's lines in order:
+// prisma.transaction.findMany({ select: { line_items: LINE_ITEMS_QUERY } })
+const LINE_ITEMS_QUERY = {
+  orderBy: { sort_order: 'asc' },
+  select: { id: true, amount_minor: true, category: true, note: true },
+};
+
+/**
+ * Validate a request's `items` against the parent transaction and map them
+ * onto TransactionLineItem columns (without transaction_id / user_id).
+ * @param {unknown} items
+ * @param {{ amount_minor: number, currency: string }} parent
+ * @throws {InvalidLineItemsError}
+ */
+function parseLineItemsInput(items, parent) {
+  if (!Array.isArray(items)) throw new InvalidLineItemsError('items must be an array');
+  if (items.length === 0) return [];
+  if (items.length === 1) throw new InvalidLineItemsError('a split needs at least two line items');
+  if (items.length > MAX_LINE_ITEMS) throw new InvalidLineItemsError(`at most ${MAX_LINE_ITEMS} line items`);
+
+  const rows = items.map((item, i) => {
+    const amount = Number(item?.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new InvalidLineItemsError(`line ${i + 1}: amount must be a positive number`);
+    }
+    const note = item?.note ? String(item.note).trim() : '';
+    if (note.length > MAX_NOTE_LENGTH) {
+      throw new InvalidLineItemsError(`line ${i + 1}: note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return {
+      amount_minor: toMinor(amount, parent.currency),
+      category: item?.category ? String(item.category).trim() || null : null,
+      note: note || null,
+      sort_order: i,
+    };
+  });
+
+  const total = rows.reduce((sum, r) => sum + r.amount_minor, 0);
+  if (total !== parent.amount_minor) {
+    throw new InvalidLineItemsError(
+      `line items add up to ${fromMinor(total, parent.currency)} but the transaction is ${fromMinor(parent.amount_minor, parent.currency)}`,
+      'line_items_mismatch'
+    );
+  }
+  return rows;
+}
+
+/** Line item rows (LINE_ITEMS_QUERY) → the `line_items` array the API returns. */
+function toLineItemsResponse(rows = [], currency) {
+  return rows.map(({ id, amount_minor, category, note }) => ({
+    id,
+    amount: fromMinor(amount_minor, currency),
+    category,
+    note,
+  }));
+}
+
+/**
+ * Replace a transaction's lines with `rows` (from parseLineItemsInput).
+ * Run inside a transaction so readers never see a half-written split.
+ */
+async function replaceLineItems(tx, userId, transactionId, rows) {
+  await tx.transactionLineItem.deleteMany({ where: { transaction_id: transactionId } });
+  if (rows.length) {
+    await tx.transactionLineItem.createMany({
+      data: rows.map((r) => ({ ...r, transaction_id: transactionId, user_id: userId })),
+    });
+  }
+}
+
+/**
+ * Whether a transaction's lines still add up after its amount or currency
+ * changes from `current` to `next` (always true when it has none). Lines are
+ * minor units of the old currency, so any currency change breaks them.
+ */
+async function lineItemsStillBalance(prisma, transactionId, current, next) {
+  const { _sum, _count } = await prisma.transactionLineItem.aggregate({
+    where: { transaction_id: transactionId },
+    _sum: { amount_minor: true },
+    _count: { _all: true },
+  });
+  if (_count._all === 0) return true;
+  return next.currency === current.currency && _sum.amount_minor === next.amount_minor;
+}
+
+module.exports = {
+  MAX_LINE_ITEMS,
+  InvalidLineItemsError,
+  LINE_ITEMS_QUERY,
+  parseLineItemsInput,
+  toLineItemsResponse,
+  replaceLineItems,
+  lineItemsStillBalance,
+};
@@ -0,0 +1,164 @@
+/**
+ * manual-accounts.js — Accounts the bank connection doesn't see, valued by
+ * hand.
+ *
+ * A manual account's `kind` makes it an asset (cash, an ISA, a pension,
+ * property) or a liability (car finance, a credit card, a student loan).
+ * Its value comes from dated valuations, one per day at most; the latest on
+ * or before a day is the account's value that day. Values are never
+ * negative: a liability's is what is owed. Valuations keep the currency the
+ * account had when they were made. The API sends and receives major units.
+ */
+
+const { toMinor, fromMinor, normalizeCurrency, isCurrencyCode } = require('../shared/money.js');
+const { isDay, toDay } = require('../shared/periods.js');
+const { cleanName } = require('./categories');
+
+// kind → which side of net worth it is on
+const ACCOUNT_KINDS = {
+  cash: 'asset',
+  isa: 'asset',
+  pension: 'asset',
+  property: 'asset',
+  other_asset: 'asset',
+  car_finance: 'liability',
+  credit_card: 'liability',
+  student_loan: 'liability',
+  other_liability: 'liability',
+};
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 500;
+
+class InvalidManualAccountError extends Error {
+  constructor(message, code = 'invalid_manual_account', status = 400) {
+    super(message);
+    this.name = 'InvalidManualAccountError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const ACCOUNT_SELECT = { id: true, name: true, kind: true, currency: true, created_at: true, updated_at: true };
+
+const VALUATION_SELECT = { id: true, value_date: true, value_minor: true, currency: true, note: true, created_at: true };
+
+const dayStart = (day) => new Date(`${day}T00:00:00Z`);
+
+/**
+ * Validate a create/update payload ({ name, kind, currency }).
+ * @throws {InvalidManualAccountError}
+ */
+function parseAccountInput(body = {}, { partial = false } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+  if (!partial || has('name')) {
+    data.name = cleanName(body.name);
+    if (!data.name) throw new InvalidManualAccountError('name is required');
+    if (data.name.length > MAX_NAME_LENGTH) {
+      throw new InvalidManualAccountError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (!partial || has('kind')) {
+    if (!Object.prototype.hasOwnProperty.call(ACCOUNT_KINDS, body.kind)) {
+      throw new InvalidManualAccountError(`kind must be one of ${Object.keys(ACCOUNT_KINDS).join(', ')}`);
+    }
+    data.kind = body.kind;
+  }
+  if (!partial || has('currency')) {
+    if (body.currency !== undefined && body.currency !== null && !isCurrencyCode(body.currency)) {
+      throw new InvalidManualAccountError('currency must be a three-letter code like GBP');
+    }
+    data.currency = normalizeCurrency(body.currency);
+  }
+  return data;
+}
+
+/**
+ * Validate a valuation ({ value, date?, note? }) in `currency`; date
+ * defaults to today.
+ * @throws {InvalidManualAccountError}
+ */
+function parseValuationInput(body = {}, currency, { today = toDay() } = {}) {
+  const value = Number(body.value);
+  const minor = Number.isFinite(value) ? toMinor(value, currency) : null;
+  if (minor === null || minor < 0) {
+    throw new InvalidManualAccountError('value must be a number, zero or more (what is owed for a liability)');
+  }
+  const date = body.date ?? today;
+  if (!isDay(date)) throw new InvalidManualAccountError('date must be YYYY-MM-DD');
+  if (date > today) throw new InvalidManualAccountError('date must not be in the future');
+  const note = body.note ? String(body.note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+  return { value_date: dayStart(date), value_minor: minor, currency, note: note || null };
+}
+
+/** Save a valuation, replacing any the account already has on that day. */
+async function saveValuation(prisma, userId, accountId, valuation) {
+  await prisma.manualAccountValuation.upsert({
+    where: {
+      manual_account_id_value_date: { manual_account_id: accountId, value_date: valuation.value_date },
+    },
+    update: valuation,
+    create: { ...valuation, user_id: userId, manual_account_id: accountId },
+  });
+}
+
+/** A manual_account_valuations row → API shape, in major units. */
+function toValuationResponse(row) {
+  return {
+    id: row.id,
+    date: toDay(row.value_date),
+    value: fromMinor(row.value_minor, row.currency),
+    currency: row.currency,
+    note: row.note,
+  };
+}
+
+/**
+ * A manual_accounts row → API shape with its side and latest valuation
+ * (`value` / `value_date` null before the first).
+ * @param {object|null} latest — the account's latest valuation row
+ */
+function toAccountResponse(row, latest = null) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    side: ACCOUNT_KINDS[row.kind] || 'asset',
+    currency: row.currency,
+    value: latest ? fromMinor(latest.value_minor, latest.currency) : null,
+    value_currency: latest ? latest.currency : null,
+    value_date: latest ? toDay(latest.value_date) : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * The user's manual accounts with their latest valuations, oldest first.
+ * @returns {Promise<object[]>} API shape
+ */
+async function listAccounts(prisma, userId) {
+  const accounts = await prisma.manualAccount.findMany({
+    where: { user_id: userId },
+    orderBy: { created_at: 'asc' },
+    select: {
+      ...ACCOUNT_SELECT,
+      valuations: { orderBy: { value_date: 'desc' }, take: 1, select: VALUATION_SELECT },
+    },
+  });
+  return accounts.map(({ valuations, ...a }) => toAccountResponse(a, valuations[0]));
+}
+
+module.exports = {
+  ACCOUNT_KINDS,
+  InvalidManualAccountError,
+  ACCOUNT_SELECT,
+  VALUATION_SELECT,
+  parseAccountInput,
+  parseValuationInput,
+  saveValuation,
+  listAccounts,
+  toAccountResponse,
+  toValuationResponse,
+};
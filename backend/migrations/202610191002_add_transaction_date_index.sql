@@ -0,0 +1,2 @@
+-- Keyset pagination on GET /api/transactions orders by (date, created_at, id) per user
+CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions(user_id, date DESC, created_at DESC, id DESC);
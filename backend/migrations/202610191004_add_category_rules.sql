@@ -0,0 +1,28 @@
+-- Migration: Server-side categorization rules
+-- Date: 2026-10-19
+-- Replaces the browser-only localStorage['walletwardenCategoryRules'] map.
+
+CREATE TABLE IF NOT EXISTS category_rules (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     TEXT NOT NULL,
+  category    TEXT NOT NULL,
+  -- Description condition (optional): contains | regex | exact_merchant
+  match_type  TEXT CHECK (match_type IN ('contains', 'regex', 'exact_merchant')),
+  pattern     TEXT,
+  -- Amount condition (optional, inclusive, compared against the positive amount)
+  min_amount  DOUBLE PRECISION,
+  max_amount  DOUBLE PRECISION,
+  -- Scope (optional): only income/expense, only bank/manual
+  tx_type     TEXT CHECK (tx_type IN ('income', 'expense')),
+  source      TEXT CHECK (source IN ('bank', 'manual')),
+  -- Lower priority runs first; first matching rule wins
+  priority    INT NOT NULL DEFAULT 100,
+  enabled     BOOLEAN NOT NULL DEFAULT true,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((match_type IS NULL) = (pattern IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user_priority ON category_rules(user_id, priority);
+
+ALTER TABLE category_rules ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,5 @@
+-- Migration: Flag categories the user picked by hand
+-- Date: 2026-10-19
+-- Re-categorization (POST /api/category-rules/recategorize) never overwrites these.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category_manual BOOLEAN NOT NULL DEFAULT false;
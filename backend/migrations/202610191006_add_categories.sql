@@ -0,0 +1,28 @@
+-- Migration: Server-side categories with one level of grouping
+-- Date: 2026-10-19
+-- Replaces localStorage['walletwarden:customCategories'] and the hard-coded
+-- TRANSACTION_CATEGORIES list. Rows are seeded per user from DEFAULT_CATEGORIES
+-- in backend/category-defaults.js on first read.
+-- Transactions, purchases and rules still store the category by name.
+
+CREATE TABLE IF NOT EXISTS categories (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     TEXT NOT NULL,
+  name        TEXT NOT NULL,
+  -- Group this category sits under (e.g. Groceries → Food); NULL = top level
+  parent_id   UUID REFERENCES categories(id) ON DELETE SET NULL,
+  color       TEXT,
+  icon        TEXT,
+  -- Archived categories are hidden from pickers but keep colouring old data
+  archived    BOOLEAN NOT NULL DEFAULT false,
+  sort_order  INT NOT NULL DEFAULT 0,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (parent_id IS NULL OR parent_id <> id)
+);
+
+-- Names are unique per user regardless of case ("food" and "Food" are the same category)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_user_name ON categories(user_id, lower(name));
+CREATE INDEX IF NOT EXISTS idx_categories_user_parent ON categories(user_id, parent_id);
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,45 @@
+-- Migration: Move splits.categories (a JSON string) into a split_categories table
+-- Date: 2026-10-19
+-- Each JSON entry { name, percent, amount? } becomes one row, keeping its
+-- position as sort_order. Entries without a name are dropped. The JSON column
+-- is removed once converted; /api/splits still returns the same shape.
+
+CREATE TABLE IF NOT EXISTS split_categories (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  split_id    TEXT NOT NULL REFERENCES splits(id) ON DELETE CASCADE,
+  name        TEXT NOT NULL,
+  percent     DOUBLE PRECISION NOT NULL DEFAULT 0,
+  -- Optional fixed amount allocated to this category (NULL = percent only)
+  amount      DOUBLE PRECISION,
+  sort_order  INT NOT NULL DEFAULT 0,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_split_categories_split ON split_categories(split_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_split_categories_name ON split_categories(lower(name));
+
+ALTER TABLE split_categories ENABLE ROW LEVEL SECURITY;
+
+-- Convert existing rows (only while the JSON column still exists, so re-running is safe)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'splits' AND column_name = 'categories'
+  ) THEN
+    INSERT INTO split_categories (split_id, name, percent, amount, sort_order)
+    SELECT
+      s.id,
+      trim(e.value->>'name'),
+      CASE WHEN e.value->>'percent' ~ '^-?[0-9]+(\.[0-9]+)?$' THEN (e.value->>'percent')::double precision ELSE 0 END,
+      CASE WHEN e.value->>'amount' ~ '^-?[0-9]+(\.[0-9]+)?$' THEN (e.value->>'amount')::double precision END,
+      (e.ordinality - 1)::int
+    FROM splits s
+    CROSS JOIN LATERAL jsonb_array_elements(
+      CASE WHEN jsonb_typeof(s.categories::jsonb) = 'array' THEN s.categories::jsonb ELSE '[]'::jsonb END
+    ) WITH ORDINALITY AS e(value, ordinality)
+    WHERE coalesce(trim(e.value->>'name'), '') <> '';
+
+    ALTER TABLE splits DROP COLUMN categories;
+  END IF;
+END $$;
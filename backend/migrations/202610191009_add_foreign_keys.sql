@@ -0,0 +1,33 @@
+-- Migration: Foreign keys between splits, purchases, income settings and transactions
+-- Date: 2026-10-19
+--   purchases.split_id        → splits(id)        ON DELETE CASCADE
+--   income_settings.split_id  → splits(id)        ON DELETE CASCADE
+--   purchases.transaction_id  → transactions(id)  ON DELETE SET NULL
+-- Orphans left behind by the old DELETE /api/splits/:id are cleaned up first.
+
+-- 1. Clean up orphans
+DELETE FROM purchases p
+WHERE NOT EXISTS (SELECT 1 FROM splits s WHERE s.id = p.split_id);
+
+DELETE FROM income_settings i
+WHERE NOT EXISTS (SELECT 1 FROM splits s WHERE s.id = i.split_id);
+
+UPDATE purchases p SET transaction_id = NULL
+WHERE p.transaction_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.id = p.transaction_id);
+
+-- 2. Constraints (dropped first so re-running is safe)
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_split_id_fkey;
+ALTER TABLE purchases ADD CONSTRAINT purchases_split_id_fkey
+  FOREIGN KEY (split_id) REFERENCES splits(id) ON DELETE CASCADE;
+
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_transaction_id_fkey;
+ALTER TABLE purchases ADD CONSTRAINT purchases_transaction_id_fkey
+  FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL;
+
+ALTER TABLE income_settings DROP CONSTRAINT IF EXISTS income_settings_split_id_fkey;
+ALTER TABLE income_settings ADD CONSTRAINT income_settings_split_id_fkey
+  FOREIGN KEY (split_id) REFERENCES splits(id) ON DELETE CASCADE;
+
+-- Deleting a transaction has to find its purchases
+CREATE INDEX IF NOT EXISTS idx_purchases_transaction_id ON purchases(transaction_id);
@@ -0,0 +1,52 @@
+-- Migration: Store money as integer minor units (pence) with a currency code
+-- Date: 2026-10-19
+-- Float columns are replaced by *_minor INTEGER columns:
+--   transactions.amount              → amount_minor            (+ currency)
+--   purchases.amount                 → amount_minor            (+ currency)
+--   income_settings.expected_amount  → expected_amount_minor   (+ currency)
+--   bank_accounts.balance / available_balance
+--                                    → balance_minor / available_balance_minor
+--   bank_balance_snapshots.total_balance / available_balance
+--                                    → total_balance_minor / available_balance_minor
+-- Existing rows are all GBP, so values are multiplied by 100 and rounded half
+-- away from zero (via NUMERIC, so 1.005 becomes 101, not 100). The API keeps
+-- sending major units; see shared/money.js. Safe to re-run.
+
+ALTER TABLE transactions    ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP';
+ALTER TABLE purchases       ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP';
+ALTER TABLE income_settings ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'GBP';
+
+DO $$
+DECLARE
+  col RECORD;
+BEGIN
+  FOR col IN
+    SELECT * FROM (VALUES
+      ('transactions',           'amount',            'amount_minor',            true),
+      ('purchases',              'amount',            'amount_minor',            true),
+      ('income_settings',        'expected_amount',   'expected_amount_minor',   true),
+      ('bank_accounts',          'balance',           'balance_minor',           false),
+      ('bank_accounts',          'available_balance', 'available_balance_minor', false),
+      ('bank_balance_snapshots', 'total_balance',     'total_balance_minor',     false),
+      ('bank_balance_snapshots', 'available_balance', 'available_balance_minor', false)
+    ) AS t(table_name, old_column, new_column, required)
+  LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema()
+        AND table_name = col.table_name
+        AND column_name = col.old_column
+    ) THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS %I INTEGER', col.table_name, col.new_column);
+      EXECUTE format('UPDATE %I SET %I = ROUND(%I::numeric * 100)::integer',
+        col.table_name, col.new_column, col.old_column);
+      IF col.required THEN
+        EXECUTE format('UPDATE %I SET %I = 0 WHERE %I IS NULL', col.table_name, col.new_column, col.new_column);
+        EXECUTE format('ALTER TABLE %I ALTER COLUMN %I SET NOT NULL', col.table_name, col.new_column);
+      END IF;
+      EXECUTE format('ALTER TABLE %I DROP COLUMN %I', col.table_name, col.old_column);
+    END IF;
+  END LOOP;
+END $$;
+
+ALTER TABLE income_settings ALTER COLUMN expected_amount_minor SET DEFAULT 0;
@@ -0,0 +1,31 @@
+-- Migration: Per-user FX rate tables for multi-currency totals
+-- Date: 2026-10-19
+-- Rates are imported from a CSV or ECB XML file (see backend/fx.js). A row
+-- means 1 base = rate quote on rate_date; totals use the latest rate on or
+-- before each transaction's date. Bank accounts and balance snapshots get a
+-- required currency like transactions already have.
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     TEXT NOT NULL,
+  base        TEXT NOT NULL,
+  quote       TEXT NOT NULL,
+  rate        DOUBLE PRECISION NOT NULL CHECK (rate > 0),
+  rate_date   DATE NOT NULL,
+  -- 'csv' or 'ecb' (ECB XML or the ECB CSV layout)
+  source      TEXT NOT NULL DEFAULT 'csv',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, base, quote, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_user_quote ON fx_rates(user_id, quote);
+
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+
+UPDATE bank_accounts SET currency = 'GBP' WHERE currency IS NULL;
+ALTER TABLE bank_accounts ALTER COLUMN currency SET DEFAULT 'GBP';
+ALTER TABLE bank_accounts ALTER COLUMN currency SET NOT NULL;
+
+UPDATE bank_balance_snapshots SET currency = 'GBP' WHERE currency IS NULL;
+ALTER TABLE bank_balance_snapshots ALTER COLUMN currency SET DEFAULT 'GBP';
+ALTER TABLE bank_balance_snapshots ALTER COLUMN currency SET NOT NULL;
@@ -0,0 +1,34 @@
+-- Migration: Free-form tags on transactions and purchases
+-- Date: 2026-10-19
+-- Tags cut across categories ("holiday-2026", "work-expense", "reimbursable").
+-- Names are stored normalised (lower-case, spaces as dashes; see backend/tags.js),
+-- so a plain unique index keeps them unique per user.
+
+CREATE TABLE IF NOT EXISTS tags (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     TEXT NOT NULL,
+  name        TEXT NOT NULL,
+  color       TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS transaction_tags (
+  transaction_id  TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  tag_id          UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (transaction_id, tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS purchase_tags (
+  purchase_id  TEXT NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+  tag_id       UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (purchase_id, tag_id)
+);
+
+-- "Everything tagged X" lookups go by tag
+CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag ON transaction_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_tags_tag ON purchase_tags(tag_id);
+
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_tags ENABLE ROW LEVEL SECURITY;
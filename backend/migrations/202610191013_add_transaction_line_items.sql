@@ -0,0 +1,22 @@
+-- Migration: Line items — one transaction split across several categories
+-- Date: 2026-10-19
+-- A supermarket payment can be part groceries, part household. A transaction
+-- with line items keeps its own category for the ledger, but totals count each
+-- line under its own category. Lines are in the parent's currency and must add
+-- up to its amount_minor exactly (enforced by the API; see backend/line-items.js).
+
+CREATE TABLE IF NOT EXISTS transaction_line_items (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id  TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  user_id         TEXT NOT NULL,
+  amount_minor    INTEGER NOT NULL CHECK (amount_minor > 0),
+  category        TEXT,
+  note            TEXT,
+  sort_order      INTEGER NOT NULL DEFAULT 0,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_line_items_tx
+  ON transaction_line_items(transaction_id, sort_order);
+
+ALTER TABLE transaction_line_items ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,27 @@
+-- Migration: Receipt and document attachments
+-- Date: 2026-10-19
+-- Images and PDFs attached to a transaction or a purchase (receipts for
+-- warranty and expense claims). Only metadata lives here; the file itself is
+-- in attachment storage under storage_key (see backend/storage/).
+--
+-- Deleting the transaction or purchase unlinks the row rather than deleting
+-- it, because the file has to go too: the API removes unlinked attachments and
+-- their files after each delete (see backend/attachments.js).
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id         TEXT NOT NULL,
+  transaction_id  TEXT REFERENCES transactions(id) ON DELETE SET NULL,
+  purchase_id     TEXT REFERENCES purchases(id) ON DELETE SET NULL,
+  filename        TEXT NOT NULL,
+  content_type    TEXT NOT NULL,
+  size_bytes      INTEGER NOT NULL CHECK (size_bytes > 0),
+  storage_key     TEXT NOT NULL UNIQUE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_user ON attachments(user_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_transaction ON attachments(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_purchase ON attachments(purchase_id);
+
+ALTER TABLE attachments ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,31 @@
+-- Migration: Recurring payments and subscriptions
+-- Date: 2026-10-19
+-- One row per recurring charge found in a user's expenses (same merchant,
+-- similar amount, regular cadence), re-detected after bank syncs and on
+-- request (see backend/recurring.js). `status` is the user's decision:
+-- detected (not reviewed yet), confirmed, ignored (not a subscription) or
+-- cancelled (the user cancelled it; a later charge is flagged).
+
+CREATE TABLE IF NOT EXISTS recurring_series (
+  id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id                TEXT NOT NULL,
+  merchant_key           TEXT NOT NULL,
+  name                   TEXT NOT NULL,
+  category               TEXT,
+  currency               TEXT NOT NULL DEFAULT 'GBP',
+  cadence                TEXT NOT NULL CHECK (cadence IN ('weekly', 'four_weekly', 'monthly', 'annual')),
+  expected_amount_minor  INTEGER NOT NULL,
+  first_date             DATE NOT NULL,
+  last_date              DATE NOT NULL,
+  next_expected_date     DATE NOT NULL,
+  occurrences            INTEGER NOT NULL DEFAULT 0,
+  status                 TEXT NOT NULL DEFAULT 'detected'
+                         CHECK (status IN ('detected', 'confirmed', 'ignored', 'cancelled')),
+  status_changed_at      TIMESTAMPTZ,
+  detected_at            TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_series_user ON recurring_series(user_id, merchant_key);
+
+ALTER TABLE recurring_series ENABLE ROW LEVEL SECURITY;
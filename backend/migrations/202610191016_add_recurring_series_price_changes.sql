@@ -0,0 +1,24 @@
+-- Migration: Price changes on recurring payments
+-- Date: 2026-10-19
+-- When a subscription or bill is charged at a different price than the time
+-- before, recurring detection records the change once (see backend/recurring.js).
+-- The in-app feed shows changes the user hasn't dismissed (seen_at IS NULL).
+
+CREATE TABLE IF NOT EXISTS recurring_price_changes (
+  id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id           TEXT NOT NULL,
+  series_id         UUID NOT NULL REFERENCES recurring_series(id) ON DELETE CASCADE,
+  charge_date       DATE NOT NULL,
+  currency          TEXT NOT NULL,
+  old_amount_minor  INTEGER NOT NULL,
+  new_amount_minor  INTEGER NOT NULL,
+  change_percent    DOUBLE PRECISION NOT NULL,
+  seen_at           TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (series_id, charge_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_price_changes_user
+  ON recurring_price_changes(user_id, charge_date);
+
+ALTER TABLE recurring_price_changes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,26 @@
+-- Migration: Per-category budgets
+-- Date: 2026-10-19
+-- An absolute spending limit ("£300 a month on Restaurants") for one
+-- category, either a line of a split (split_id set, counted from that
+-- split's purchases) or a standalone category (split_id null, counted from
+-- expense transactions). `period` is weekly, monthly or payday (from one
+-- payday to the next, see shared/periods.js). Categories are matched by
+-- name, case-insensitively, so one budget per category per split.
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       TEXT NOT NULL,
+  split_id      TEXT REFERENCES splits(id) ON DELETE CASCADE,
+  category      TEXT NOT NULL,
+  amount_minor  INTEGER NOT NULL CHECK (amount_minor > 0),
+  currency      TEXT NOT NULL DEFAULT 'GBP',
+  period        TEXT NOT NULL DEFAULT 'monthly' CHECK (period IN ('weekly', 'monthly', 'payday')),
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_user_split_category
+  ON budgets(user_id, COALESCE(split_id, ''), lower(category));
+CREATE INDEX IF NOT EXISTS idx_budgets_split ON budgets(split_id);
+
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
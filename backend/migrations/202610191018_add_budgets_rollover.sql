@@ -0,0 +1,31 @@
+-- Migration: Rollover budgets
+-- Date: 2026-10-19
+-- A rollover budget carries each period's unspent amount (or overspend)
+-- into the next, within ±rollover_cap_minor when set, starting from the
+-- period containing rollover_since. budget_periods stores every started
+-- period of a rollover budget with the limit it had and what it carried in
+-- and out, so old periods keep showing what was available then
+-- (see backend/budgets.js).
+
+ALTER TABLE budgets
+  ADD COLUMN IF NOT EXISTS rollover BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS rollover_cap_minor INTEGER CHECK (rollover_cap_minor > 0),
+  ADD COLUMN IF NOT EXISTS rollover_since DATE;
+
+CREATE TABLE IF NOT EXISTS budget_periods (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id          UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  user_id            TEXT NOT NULL,
+  period_start       DATE NOT NULL,
+  period_end         DATE NOT NULL,
+  amount_minor       INTEGER NOT NULL,
+  carried_in_minor   INTEGER NOT NULL DEFAULT 0,
+  spent_minor        INTEGER NOT NULL DEFAULT 0,
+  carried_out_minor  INTEGER NOT NULL DEFAULT 0,
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (budget_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_periods_user ON budget_periods(user_id);
+
+ALTER TABLE budget_periods ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,49 @@
+-- Migration: Envelope mode for splits
+-- Date: 2026-10-19
+-- In envelope mode every income purchase of a split (category Income) is
+-- shared out into one envelope per split category, by the split's
+-- percentages or by hand, and the split's purchases draw each envelope
+-- down. envelopes_since is the first day counted.
+--
+-- envelope_allocations holds how each income was shared out, in the
+-- income's currency, with the income's amount at the time (income_minor);
+-- `manual` marks the ones the user set by hand rather than from the
+-- percentages. envelope_moves is the history of money moved
+-- between envelopes (see backend/envelopes.js).
+
+ALTER TABLE splits
+  ADD COLUMN IF NOT EXISTS envelope_mode BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS envelopes_since DATE;
+
+CREATE TABLE IF NOT EXISTS envelope_allocations (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       TEXT NOT NULL,
+  split_id      TEXT NOT NULL REFERENCES splits(id) ON DELETE CASCADE,
+  purchase_id   TEXT NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+  category      TEXT NOT NULL,
+  amount_minor  INTEGER NOT NULL CHECK (amount_minor > 0),
+  currency      TEXT NOT NULL DEFAULT 'GBP',
+  income_minor  INTEGER NOT NULL,
+  manual        BOOLEAN NOT NULL DEFAULT false,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_envelope_allocations_split ON envelope_allocations(split_id);
+CREATE INDEX IF NOT EXISTS idx_envelope_allocations_purchase ON envelope_allocations(purchase_id);
+
+CREATE TABLE IF NOT EXISTS envelope_moves (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id        TEXT NOT NULL,
+  split_id       TEXT NOT NULL REFERENCES splits(id) ON DELETE CASCADE,
+  from_category  TEXT NOT NULL,
+  to_category    TEXT NOT NULL,
+  amount_minor   INTEGER NOT NULL CHECK (amount_minor > 0),
+  currency       TEXT NOT NULL DEFAULT 'GBP',
+  note           TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_envelope_moves_split_created ON envelope_moves(split_id, created_at);
+
+ALTER TABLE envelope_allocations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE envelope_moves ENABLE ROW LEVEL SECURITY;
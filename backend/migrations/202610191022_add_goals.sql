@@ -0,0 +1,53 @@
+-- Migration: Savings goals
+-- Date: 2026-10-19
+-- A goal ("£3,000 holiday fund by June") saves towards a target amount by
+-- a target date from one category: a split's purchases in it (split_id
+-- set) or the user's transactions in it (split_id null), from starts_on.
+--
+-- goal_contributions links each counted transaction or purchase to its
+-- goal with the amount it adds (negative for money taken back out). Rows
+-- in the category are linked automatically; `manual` marks ones the user
+-- linked from elsewhere, and `excluded` ones the user took out of the goal
+-- (see backend/goals.js).
+
+CREATE TABLE IF NOT EXISTS goals (
+  id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id              TEXT NOT NULL,
+  split_id             TEXT REFERENCES splits(id) ON DELETE CASCADE,
+  name                 TEXT NOT NULL,
+  category             TEXT NOT NULL,
+  target_amount_minor  INTEGER NOT NULL CHECK (target_amount_minor > 0),
+  currency             TEXT NOT NULL DEFAULT 'GBP',
+  target_date          DATE NOT NULL,
+  starts_on            DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_goals_user ON goals(user_id);
+CREATE INDEX IF NOT EXISTS idx_goals_split ON goals(split_id);
+
+CREATE TABLE IF NOT EXISTS goal_contributions (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id         TEXT NOT NULL,
+  goal_id         UUID NOT NULL REFERENCES goals(id) ON DELETE CASCADE,
+  transaction_id  TEXT REFERENCES transactions(id) ON DELETE CASCADE,
+  purchase_id     TEXT REFERENCES purchases(id) ON DELETE CASCADE,
+  amount_minor    INTEGER NOT NULL,
+  currency        TEXT NOT NULL DEFAULT 'GBP',
+  date            DATE NOT NULL,
+  manual          BOOLEAN NOT NULL DEFAULT false,
+  excluded        BOOLEAN NOT NULL DEFAULT false,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK ((transaction_id IS NULL) <> (purchase_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_goal_contributions_goal_transaction
+  ON goal_contributions(goal_id, transaction_id) WHERE transaction_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_goal_contributions_goal_purchase
+  ON goal_contributions(goal_id, purchase_id) WHERE purchase_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_transaction ON goal_contributions(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_purchase ON goal_contributions(purchase_id);
+
+ALTER TABLE goals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE goal_contributions ENABLE ROW LEVEL SECURITY;
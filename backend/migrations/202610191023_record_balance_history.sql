@@ -0,0 +1,50 @@
+-- Migration: Balance history per bank account
+-- Date: 2026-10-19
+-- bank_balance_snapshots held one row per user and provider, overwritten on
+-- every sync, so no history survived. bank_balance_history keeps one row per
+-- account per day instead: every sync records each account's balance on
+-- that day's row (the day's last sync wins), so the series only grows by a
+-- row per account per day (see backend/balance-history.js).
+--
+-- The history is seeded from the old snapshots (where their account is
+-- still known) and the balance each account holds now; the snapshot table
+-- is then dropped.
+
+CREATE TABLE IF NOT EXISTS bank_balance_history (
+  id                       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id                  TEXT NOT NULL,
+  bank_account_id          TEXT NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+  balance_date             DATE NOT NULL,
+  balance_minor            INTEGER NOT NULL,
+  available_balance_minor  INTEGER,
+  currency                 TEXT NOT NULL DEFAULT 'GBP',
+  recorded_at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (bank_account_id, balance_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_balance_history_user_date ON bank_balance_history(user_id, balance_date);
+
+INSERT INTO bank_balance_history
+  (user_id, bank_account_id, balance_date, balance_minor, available_balance_minor, currency, recorded_at)
+SELECT s.user_id, a.id, s.synced_at::date, s.total_balance_minor, s.available_balance_minor, s.currency, s.synced_at
+FROM bank_balance_snapshots s
+JOIN bank_accounts a
+  ON a.user_id = s.user_id AND a.provider = s.provider AND a.provider_account_id = s.provider_account_id
+WHERE s.total_balance_minor IS NOT NULL
+ON CONFLICT (bank_account_id, balance_date) DO NOTHING;
+
+INSERT INTO bank_balance_history
+  (user_id, bank_account_id, balance_date, balance_minor, available_balance_minor, currency, recorded_at)
+SELECT user_id, id, updated_at::date, balance_minor, available_balance_minor, currency, updated_at
+FROM bank_accounts
+WHERE balance_minor IS NOT NULL
+ON CONFLICT (bank_account_id, balance_date) DO UPDATE SET
+  balance_minor = EXCLUDED.balance_minor,
+  available_balance_minor = EXCLUDED.available_balance_minor,
+  currency = EXCLUDED.currency,
+  recorded_at = EXCLUDED.recorded_at
+WHERE bank_balance_history.recorded_at < EXCLUDED.recorded_at;
+
+DROP TABLE IF EXISTS bank_balance_snapshots;
+
+ALTER TABLE bank_balance_history ENABLE ROW LEVEL SECURITY;
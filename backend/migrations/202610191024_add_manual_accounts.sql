@@ -0,0 +1,37 @@
+-- Migration: Manual accounts and net worth
+-- Date: 2026-10-19
+-- Accounts the bank connection doesn't see (cash, ISAs, pensions, property,
+-- car finance, credit cards, student loans), each valued by hand on dated
+-- valuations. `kind` decides whether an account is an asset or a liability
+-- (see backend/manual-accounts.js); values are stored positive, a
+-- liability's being what is owed. One valuation per account per day.
+-- Net worth adds them to the bank balances (see backend/net-worth.js).
+
+CREATE TABLE IF NOT EXISTS manual_accounts (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     TEXT NOT NULL,
+  name        TEXT NOT NULL,
+  kind        TEXT NOT NULL,
+  currency    TEXT NOT NULL DEFAULT 'GBP',
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_manual_accounts_user ON manual_accounts(user_id);
+
+CREATE TABLE IF NOT EXISTS manual_account_valuations (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id            TEXT NOT NULL,
+  manual_account_id  UUID NOT NULL REFERENCES manual_accounts(id) ON DELETE CASCADE,
+  value_date         DATE NOT NULL,
+  value_minor        INTEGER NOT NULL CHECK (value_minor >= 0),
+  currency           TEXT NOT NULL DEFAULT 'GBP',
+  note               TEXT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (manual_account_id, value_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manual_account_valuations_user_date ON manual_account_valuations(user_id, value_date);
+
+ALTER TABLE manual_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE manual_account_valuations ENABLE ROW LEVEL SECURITY;
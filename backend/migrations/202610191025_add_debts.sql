@@ -0,0 +1,24 @@
+-- Migration: Debts for the payoff planner
+-- Date: 2026-10-19
+-- A loan or credit card with what is owed now (balance_minor), its APR in
+-- percent, the minimum monthly payment and the day of the month it is due.
+-- The planner (see backend/debts.js) simulates paying them all off month by
+-- month, smallest balance first (snowball) or highest APR first
+-- (avalanche).
+
+CREATE TABLE IF NOT EXISTS debts (
+  id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id                TEXT NOT NULL,
+  name                   TEXT NOT NULL,
+  balance_minor          INTEGER NOT NULL CHECK (balance_minor >= 0),
+  currency               TEXT NOT NULL DEFAULT 'GBP',
+  apr                    DOUBLE PRECISION NOT NULL DEFAULT 0 CHECK (apr >= 0 AND apr <= 100),
+  minimum_payment_minor  INTEGER NOT NULL CHECK (minimum_payment_minor >= 0),
+  due_day                INTEGER NOT NULL CHECK (due_day BETWEEN 1 AND 31),
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at             TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_debts_user ON debts(user_id);
+
+ALTER TABLE debts ENABLE ROW LEVEL SECURITY;
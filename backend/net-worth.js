@@ -0,0 +1,196 @@
+/**
+ * net-worth.js — Net worth: what the user owns less what they owe, now and
+ * at the end of each past month.
+ *
+ * Bank accounts count at their recorded balance on each day (see
+ * balance-history.js): as an asset while in credit and as a liability while
+ * overdrawn. Manual accounts count at their latest valuation on or before
+ * the day, on the side their kind puts them (see manual-accounts.js).
+ * Accounts with nothing recorded by a day are left out of it.
+ *
+ * Everything is converted into `currency` at the rate on each day; accounts
+ * that can't be converted are left out and counted as `unconverted` (for
+ * today's totals). The API returns major units.
+ */
+
+const { fromMinor, normalizeCurrency, isCurrencyCode } = require('../shared/money.js');
+const { toDay, addMonths, monthBounds } = require('../shared/periods.js');
+const { loadBalanceRows } = require('./balance-history');
+const { ACCOUNT_KINDS } = require('./manual-accounts');
+const { loadFxConverter } = require('./fx');
+
+const DEFAULT_MONTHS = 12;
+// The bank balance history reaches back five years at most
+const MAX_MONTHS = 60;
+
+class InvalidNetWorthError extends Error {
+  constructor(message, code = 'invalid_query', status = 400) {
+    super(message);
+    this.name = 'InvalidNetWorthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * `?months=&currency=` → options.
+ * @throws {InvalidNetWorthError}
+ */
+function parseNetWorthQuery({ months, currency } = {}) {
+  let count = DEFAULT_MONTHS;
+  if (months !== undefined && months !== '') {
+    count = Number(months);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_MONTHS) {
+      throw new InvalidNetWorthError(`months must be a whole number from 1 to ${MAX_MONTHS}`);
+    }
+  }
+  if (currency && !isCurrencyCode(currency)) throw new InvalidNetWorthError('currency must be a three-letter code like GBP');
+  return { months: count, currency: normalizeCurrency(currency) };
+}
+
+/** The last day of each of the `months - 1` months before today's, then today. */
+function historyDays(today, months) {
+  const days = [];
+  for (let i = months - 1; i >= 1; i--) days.push(monthBounds(addMonths(today, -i, 1)).end);
+  days.push(today);
+  return days;
+}
+
+/** The last of `rows` (oldest first) dated on or before `day`, by `dateKey`. */
+function rowOn(rows, day, dateKey) {
+  let found = null;
+  for (const row of rows) {
+    if (toDay(row[dateKey]) > day) break;
+    found = row;
+  }
+  return found;
+}
+
+/**
+ * Net worth today and at each past month end.
+ * @param {{ months?: number, currency?: string, today?: string }} [options]
+ * @returns {Promise<{ currency, as_of, assets, liabilities, net_worth, unconverted,
+ *   accounts: object[], history: { date, assets, liabilities, net_worth }[] }>}
+ */
+async function buildNetWorth(prisma, userId, { months = DEFAULT_MONTHS, currency = 'GBP', today = toDay() } = {}) {
+  const days = historyDays(today, months);
+  const first = days[0];
+
+  const [bankAccounts, manualAccounts] = await Promise.all([
+    prisma.bankAccount.findMany({
+      where: { user_id: userId },
+      orderBy: [{ created_at: 'asc' }, { provider_account_id: 'asc' }],
+      select: { id: true, account_name: true, currency: true },
+    }),
+    prisma.manualAccount.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'asc' },
+      select: {
+        id: true,
+        name: true,
+        kind: true,
+        currency: true,
+        valuations: {
+          where: { value_date: { lte: new Date(`${today}T00:00:00Z`) } },
+          orderBy: { value_date: 'asc' },
+          select: { value_date: true, value_minor: true, currency: true },
+        },
+      },
+    }),
+  ]);
+  const balances = bankAccounts.length
+    ? await loadBalanceRows(prisma, bankAccounts.map((a) => a.id), first, today)
+    : new Map();
+
+  // One list of accounts, each able to say its signed value (minor units, own currency) on a day
+  const accounts = [
+    ...bankAccounts.map((a) => ({
+      source: 'bank',
+      id: a.id,
+      name: a.account_name || 'Bank account',
+      kind: 'bank',
+      valueOn: (day) => {
+        const row = rowOn(balances.get(a.id), day, 'balance_date');
+        return row && { minor: row.balance_minor, currency: row.currency, date: toDay(row.balance_date) };
+      },
+    })),
+    ...manualAccounts.map((a) => ({
+      source: 'manual',
+      id: a.id,
+      name: a.name,
+      kind: a.kind,
+      valueOn: (day) => {
+        const row = rowOn(a.valuations, day, 'value_date');
+        const sign = ACCOUNT_KINDS[a.kind] === 'liability' ? -1 : 1;
+        return row && { minor: sign * row.value_minor, currency: row.currency, date: toDay(row.value_date) };
+      },
+    })),
+  ];
+
+  const currencies = new Set([
+    currency,
+    ...bankAccounts.map((a) => a.currency),
+    ...manualAccounts.flatMap((a) => [a.currency, ...a.valuations.map((v) => v.currency)]),
+  ]);
+  const fx = currencies.size > 1 ? await loadFxConverter(prisma, userId, [...currencies]) : null;
+  const convert = (value, day) =>
+    normalizeCurrency(value.currency) === currency ? value.minor : fx.convertMinor(value.minor, value.currency, currency, day);
+
+  // Totals on one day (minor units of `currency`), with each account's part
+  const totalsOn = (day) => {
+    let assets = 0;
+    let liabilities = 0;
+    let unconverted = 0;
+    const parts = [];
+    for (const account of accounts) {
+      const value = account.valueOn(day);
+      if (!value) continue;
+      const minor = convert(value, day);
+      if (minor === null) unconverted++;
+      else if (minor >= 0) assets += minor;
+      else liabilities -= minor;
+      parts.push({ account, value, minor });
+    }
+    return { assets, liabilities, unconverted, parts };
+  };
+
+  const major = (minor) => fromMinor(minor, currency);
+  const now = totalsOn(today);
+
+  return {
+    currency,
+    as_of: today,
+    assets: major(now.assets),
+    liabilities: major(now.liabilities),
+    net_worth: major(now.assets - now.liabilities),
+    unconverted: now.unconverted,
+    accounts: now.parts.map(({ account, value, minor }) => ({
+      source: account.source,
+      id: account.id,
+      name: account.name,
+      kind: account.kind,
+      side: account.source === 'manual' ? ACCOUNT_KINDS[account.kind] : value.minor < 0 ? 'liability' : 'asset',
+      currency: value.currency,
+      value: fromMinor(Math.abs(value.minor), value.currency),
+      value_date: value.date,
+      converted: minor === null ? null : major(Math.abs(minor)),
+    })),
+    history: days.map((day) => {
+      const t = day === today ? now : totalsOn(day);
+      return {
+        date: day,
+        assets: major(t.assets),
+        liabilities: major(t.liabilities),
+        net_worth: major(t.assets - t.liabilities),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  DEFAULT_MONTHS,
+  MAX_MONTHS,
+  InvalidNetWorthError,
+  parseNetWorthQuery,
+  buildNetWorth,
+};
@@ -0,0 +1,143 @@
+/**
+ * recategorize.js — Re-run a category rule over a user's history.
+ *
+ * A transaction changes when the rule under test is the one the engine
+ * picks for it (so higher-priority rules still win) and its category differs.
+ * Transactions with `category_manual` set are reported but never touched.
+ *
+ * Linked tracker purchases follow their transaction when the purchase's
+ * split has a category of the same name (case-insensitive); split categories
+ * are user-defined, so anything else is left alone and reported as unmatched.
+ * Income rows keep their "Income" category.
+ */
+
+const { createRuleEngine } = require('./categorization');
+const { fromMinor } = require('../shared/money.js');
+const { listTransactionCurrencies, amountRangeWhere } = require('./transaction-query');
+
+/**
+ * Work out what applying `rule` would change, without writing anything.
+ *
+ * @param {object} prisma
+ * @param {string} userId
+ * @param {object} rule — a saved CategoryRule row, or an unsaved one (id null)
+ * @returns {Promise<{
+ *   transactions: { id, date, description, amount, type, from, to }[],
+ *   purchases: { id, split_id, transaction_id, from, to }[],
+ *   skippedManual: number,
+ *   unmatchedPurchases: number
+ * }>}
+ */
+async function planRecategorization(prisma, userId, rule) {
+  if (rule.enabled === false) {
+    return { transactions: [], purchases: [], skippedManual: 0, unmatchedPurchases: 0 };
+  }
+
+  const others = await prisma.categoryRule.findMany({
+    where: { user_id: userId, enabled: true, ...(rule.id ? { id: { not: rule.id } } : {}) },
+  });
+  const candidate = { ...rule, created_at: rule.created_at || new Date() };
+  const engine = createRuleEngine([...others, candidate]);
+
+  // Narrow the scan with the conditions the database can evaluate directly
+  const where = { user_id: userId };
+  if (rule.tx_type) where.type = rule.tx_type;
+  if (rule.source) where.source = rule.source;
+  // Rule bounds are major units; the column is minor units in each row's currency
+  if (rule.min_amount != null || rule.max_amount != null) {
+    const currencies = await listTransactionCurrencies(prisma, userId);
+    Object.assign(where, amountRangeWhere(currencies, rule.min_amount, rule.max_amount));
+  }
+  if (rule.match_type === 'contains') where.description = { contains: rule.pattern, mode: 'insensitive' };
+
+  const rows = await prisma.transaction.findMany({
+    where,
+    select: {
+      id: true, date: true, description: true, amount_minor: true, currency: true, type: true,
+      source: true, category: true, category_manual: true,
+    },
+    orderBy: { date: 'desc' },
+  });
+
+  const plan = { transactions: [], purchases: [], skippedManual: 0, unmatchedPurchases: 0 };
+  for (const row of rows) {
+    const tx = { ...row, amount: fromMinor(row.amount_minor, row.currency) };
+    if (engine.match(tx) !== candidate || tx.category === rule.category) continue;
+    if (tx.category_manual) {
+      plan.skippedManual++;
+      continue;
+    }
+    plan.transactions.push({
+      id: tx.id,
+      date: tx.date,
+      description: tx.description,
+      amount: tx.amount,
+      type: tx.type,
+      from: tx.category,
+      to: rule.category,
+    });
+  }
+  if (plan.transactions.length === 0) return plan;
+
+  const changedIds = plan.transactions.map((t) => t.id);
+  const purchases = await prisma.purchase.findMany({
+    where: { user_id: userId, transaction_id: { in: changedIds }, category: { not: 'Income' } },
+    select: { id: true, split_id: true, transaction_id: true, category: true },
+  });
+  const splitCategories = await prisma.splitCategory.findMany({
+    where: {
+      split_id: { in: [...new Set(purchases.map((p) => p.split_id))] },
+      name: { equals: rule.category, mode: 'insensitive' },
+    },
+    select: { split_id: true, name: true },
+  });
+  const matchBySplit = new Map(splitCategories.map((c) => [c.split_id, c.name]));
+
+  for (const p of purchases) {
+    const match = matchBySplit.get(p.split_id);
+    if (!match) {
+      plan.unmatchedPurchases++;
+    } else if (match !== p.category) {
+      plan.purchases.push({ id: p.id, split_id: p.split_id, transaction_id: p.transaction_id, from: p.category, to: match });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Write a plan from planRecategorization().
+ * @returns {Promise<{ transactions: number, purchases: number }>} rows updated
+ */
+async function applyRecategorization(prisma, userId, plan) {
+  let transactions = 0;
+  if (plan.transactions.length) {
+    const result = await prisma.transaction.updateMany({
+      // Re-check the flag in case a row was edited by hand while this ran
+      where: { user_id: userId, id: { in: plan.transactions.map((t) => t.id) }, category_manual: false },
+      data: { category: plan.transactions[0].to },
+    });
+    transactions = result.count;
+  }
+
+  let purchases = 0;
+  const byCategory = new Map();
+  for (const p of plan.purchases) {
+    if (!byCategory.has(p.to)) byCategory.set(p.to, []);
+    byCategory.get(p.to).push(p.id);
+  }
+  for (const [category, ids] of byCategory) {
+    const result = await prisma.purchase.updateMany({
+      where: { user_id: userId, id: { in: ids } },
+      data: { category },
+    });
+    purchases += result.count;
+  }
+
+  return { transactions, purchases };
+}
+
+module.exports = {
+  planRecategorization,
+  applyRecategorization,
+};
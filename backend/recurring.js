@@ -0,0 +1,342 @@
+/**
+ * recurring.js — Recurring payment and subscription detection.
+ *
+ * Expenses are grouped by normalised merchant (merchantKey) and currency. A
+ * merchant's charges form one series when they recur and the price only steps
+ * now and then (so a price rise of any size stays in the series); otherwise
+ * they are split into clusters of similar amounts (within AMOUNT_TOLERANCE of
+ * the cluster's smallest charge). Charges recur when the gaps between them fit
+ * one cadence — weekly, four-weekly, monthly or annual — often enough.
+ *
+ * Each detection run updates the user's recurring_series rows in place and
+ * predicts the next charge (date and amount). The user's decision (`status`)
+ * survives re-detection; unreviewed series that are no longer found are removed.
+ *
+ * A charge that differs from the one before it by at least MIN_PRICE_CHANGE
+ * is recorded once in recurring_price_changes (not for ignored or cancelled
+ * series), which feeds the price-change alerts.
+ */
+
+const { fromMinor } = require('../shared/money.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Long enough to see an annual charge twice
+const LOOKBACK_DAYS = 800;
+const AMOUNT_TOLERANCE = 0.2;
+// Share of gaps that must fit the cadence (one skipped or late charge in five is fine)
+const MIN_REGULARITY = 0.75;
+// Smallest price change worth an alert, as a fraction of the old price
+const MIN_PRICE_CHANGE = 0.01;
+
+// Checked in order: four-weekly gaps also fit "monthly", so it goes first
+const CADENCES = [
+  { key: 'weekly', minDays: 5, maxDays: 9, perYear: 52, minOccurrences: 4 },
+  { key: 'four_weekly', minDays: 27, maxDays: 29, perYear: 13, minOccurrences: 3 },
+  { key: 'monthly', minDays: 26, maxDays: 35, perYear: 12, minOccurrences: 3 },
+  { key: 'annual', minDays: 350, maxDays: 380, perYear: 1, minOccurrences: 2 },
+];
+const CADENCE_BY_KEY = Object.fromEntries(CADENCES.map((c) => [c.key, c]));
+
+const STATUSES = ['detected', 'confirmed', 'ignored', 'cancelled'];
+
+class InvalidRecurringError extends Error {
+  constructor(message, code = 'invalid_recurring', status = 400) {
+    super(message);
+    this.name = 'InvalidRecurringError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Bank-statement filler that says nothing about who was paid
+const NOISE_WORDS = new Set([
+  'card', 'payment', 'purchase', 'to', 'from', 'direct', 'debit', 'dd', 'so', 'sto', 'standing', 'order',
+  'bill', 'pos', 'contactless', 'visa', 'mastercard', 'ref', 'www', 'com', 'co', 'uk', 'net', 'org',
+  'ltd', 'limited', 'plc', 'inc', 'gb', 'gbr', 'paypal', 'sq', 'the',
+]);
+
+/**
+ * Normalised merchant for grouping: lower-case words without references,
+ * card numbers, dates or filler, at most three of them.
+ * "DD NETFLIX.COM 12345" and "Card payment to Netflix" → "netflix".
+ */
+function merchantKey(description) {
+  return String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9&]+/g, ' ')
+    .split(' ')
+    .filter((w) => w && !/\d/.test(w) && !NOISE_WORDS.has(w))
+    .slice(0, 3)
+    .join(' ');
+}
+
+const titleCase = (key) => key.replace(/\b[a-z]/g, (c) => c.toUpperCase());
+
+// Milliseconds at UTC midnight (same day rule as shared/fx.js)
+const dayValue = (date) => Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS;
+const isoDay = (day) => new Date(day).toISOString().slice(0, 10);
+
+/** The day one `cadence` after `day`; months and years keep the day of month where they can. */
+function addCadence(day, cadence) {
+  if (cadence === 'weekly') return day + 7 * DAY_MS;
+  if (cadence === 'four_weekly') return day + 28 * DAY_MS;
+  const d = new Date(day);
+  const year = d.getUTCFullYear() + (cadence === 'annual' ? 1 : 0);
+  const month = d.getUTCMonth() + (cadence === 'monthly' ? 1 : 0);
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(d.getUTCDate(), lastDay));
+}
+
+/** The cadence the gaps between `days` (sorted, distinct) fit, or null. */
+function inferCadence(days) {
+  const gaps = days.slice(1).map((day, i) => (day - days[i]) / DAY_MS);
+  return CADENCES.find((c) => {
+    if (days.length < c.minOccurrences) return false;
+    const fitting = gaps.filter((g) => g >= c.minDays && g <= c.maxDays).length;
+    return fitting >= gaps.length * MIN_REGULARITY;
+  }) || null;
+}
+
+// Charges by day, one per day (the later-listed one wins)
+function oneChargePerDay(charges) {
+  const byDay = new Map([...charges].sort((a, b) => a.day - b.day).map((c) => [c.day, c]));
+  return [...byDay.values()];
+}
+
+// Charges sorted by amount, cut wherever one is more than the tolerance above the cluster's first
+function clusterByAmount(charges) {
+  const clusters = [];
+  let current = null;
+  for (const charge of [...charges].sort((a, b) => a.amount_minor - b.amount_minor)) {
+    if (!current || charge.amount_minor > current.floor * (1 + AMOUNT_TOLERANCE)) {
+      current = { floor: charge.amount_minor, charges: [] };
+      clusters.push(current);
+    }
+    current.charges.push(charge);
+  }
+  return clusters.map((c) => c.charges);
+}
+
+// A merchant's charges as candidate series (each sorted by day): all of them
+// when they recur and the price changes at most every third charge, else
+// each cluster of similar amounts
+function splitSeries(charges) {
+  const all = oneChargePerDay(charges);
+  const steps = all.filter((c, i) => i > 0 && c.amount_minor !== all[i - 1].amount_minor).length;
+  if (steps <= Math.max(1, (all.length - 1) / 3) && inferCadence(all.map((c) => c.day))) return [all];
+  return clusterByAmount(charges).map(oneChargePerDay);
+}
+
+/**
+ * Price changes between consecutive charges, for charges after `afterDay`
+ * (an ISO day; all of them when null).
+ * @param {{ day: string, amount_minor: number }[]} charges — sorted by day
+ * @returns {{ charge_date: string, old_amount_minor: number, new_amount_minor: number, change_percent: number }[]}
+ */
+function priceChanges(charges, afterDay = null) {
+  const changes = [];
+  for (let i = 1; i < charges.length; i++) {
+    const { day, amount_minor } = charges[i];
+    const previous = charges[i - 1].amount_minor;
+    if (afterDay && day <= afterDay) continue;
+    if (Math.abs(amount_minor - previous) < previous * MIN_PRICE_CHANGE) continue;
+    changes.push({
+      charge_date: day,
+      old_amount_minor: previous,
+      new_amount_minor: amount_minor,
+      change_percent: Math.round(((amount_minor - previous) / previous) * 1000) / 10,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Recurring series in a list of expense transactions.
+ * @param {{ date: Date|string, amount_minor: number, currency: string, description?: string, category?: string }[]} transactions
+ * @param {Date} [today] — series whose last charge is over two cycles before this are `active: false`
+ * @returns {{ merchant_key, name, currency, category, cadence, expected_amount_minor, first_date, last_date,
+ *   next_expected_date, occurrences, active, charges: { day: string, amount_minor: number }[] }[]}
+ */
+function findSeries(transactions, today = new Date()) {
+  const groups = new Map(); // 'netflix|GBP' → charges
+  for (const t of transactions) {
+    const key = merchantKey(t.description);
+    if (!key || !(t.amount_minor > 0)) continue;
+    const groupKey = `${key}|${t.currency}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push({ day: dayValue(t.date), amount_minor: t.amount_minor, category: t.category || null });
+  }
+
+  const todayValue = dayValue(today);
+  const found = [];
+  for (const [groupKey, charges] of groups) {
+    const [key, currency] = groupKey.split('|');
+    for (const series of splitSeries(charges)) {
+      const cadence = inferCadence(series.map((c) => c.day));
+      if (!cadence) continue;
+
+      const first = series[0];
+      const last = series[series.length - 1];
+      found.push({
+        merchant_key: key,
+        name: titleCase(key),
+        currency,
+        category: last.category,
+        cadence: cadence.key,
+        expected_amount_minor: last.amount_minor,
+        first_date: isoDay(first.day),
+        last_date: isoDay(last.day),
+        next_expected_date: isoDay(addCadence(last.day, cadence.key)),
+        occurrences: series.length,
+        active: todayValue - last.day <= 2 * cadence.maxDays * DAY_MS,
+        charges: series.map((c) => ({ day: isoDay(c.day), amount_minor: c.amount_minor })),
+      });
+    }
+  }
+  return found;
+}
+
+// The stored series a detected one continues: same merchant, currency and
+// cadence, and either its last charge is one of the series' charges or,
+// failing that, the closest amount within the tolerance
+function matchExisting(candidates, series) {
+  let best = null;
+  let bestDiff = Infinity;
+  for (const row of candidates) {
+    if (row.merchant_key !== series.merchant_key || row.currency !== series.currency || row.cadence !== series.cadence) {
+      continue;
+    }
+    if (series.charges.some((c) => c.day === isoDay(row.last_date))) return row;
+    const diff = Math.abs(row.expected_amount_minor - series.expected_amount_minor) / row.expected_amount_minor;
+    if (diff <= AMOUNT_TOLERANCE && diff < bestDiff) {
+      best = row;
+      bestDiff = diff;
+    }
+  }
+  return best;
+}
+
+async function runDetection(prisma, userId, today) {
+  const since = new Date(dayValue(today) - LOOKBACK_DAYS * DAY_MS);
+  const transactions = await prisma.transaction.findMany({
+    where: { user_id: userId, type: 'expense', date: { gte: since } },
+    select: { date: true, amount_minor: true, currency: true, description: true, category: true },
+  });
+  const found = findSeries(transactions, today);
+  const candidates = new Set(await prisma.recurringSeries.findMany({ where: { user_id: userId } }));
+
+  return prisma.$transaction(async (tx) => {
+    let created = 0;
+    let updated = 0;
+    const changes = [];
+    for (const series of found) {
+      const { active, charges, ...fields } = series;
+      const data = {
+        ...fields,
+        first_date: new Date(fields.first_date),
+        last_date: new Date(fields.last_date),
+        next_expected_date: new Date(fields.next_expected_date),
+        detected_at: new Date(),
+      };
+      const existing = matchExisting(candidates, series);
+      if (existing) {
+        candidates.delete(existing);
+        // Keep a name or category the user may rely on if this run has none
+        await tx.recurringSeries.update({ where: { id: existing.id }, data: { ...data, category: data.category ?? existing.category } });
+        updated++;
+        if (existing.status === 'detected' || existing.status === 'confirmed') {
+          const newCharges = priceChanges(charges, isoDay(existing.last_date));
+          changes.push(...newCharges.map((c) => ({ ...c, series_id: existing.id, currency: series.currency })));
+        }
+      } else if (active) {
+        const row = await tx.recurringSeries.create({ data: { ...data, user_id: userId } });
+        created++;
+        changes.push(...priceChanges(charges).map((c) => ({ ...c, series_id: row.id, currency: series.currency })));
+      }
+    }
+
+    // A charge is only ever recorded once per series
+    const { count: priceChangeCount } = await tx.recurringPriceChange.createMany({
+      data: changes.map((c) => ({ ...c, user_id: userId, charge_date: new Date(c.charge_date) })),
+      skipDuplicates: true,
+    });
+
+    // Unreviewed series that stopped (or whose transactions were deleted) go;
+    // confirmed, ignored and cancelled ones stay as the user left them
+    const { count: removed } = await tx.recurringSeries.deleteMany({
+      where: { id: { in: [...candidates].filter((r) => r.status === 'detected').map((r) => r.id) } },
+    });
+    return { detected: found.length, created, updated, removed, price_changes: priceChangeCount };
+  });
+}
+
+// One run per user at a time: a sync and a page load can ask together
+const running = new Map();
+
+/**
+ * Re-detect the user's recurring series and save them.
+ * @returns {Promise<{ detected: number, created: number, updated: number, removed: number, price_changes: number }>}
+ */
+function detectRecurring(prisma, userId, { today = new Date() } = {}) {
+  if (!running.has(userId)) {
+    running.set(userId, runDetection(prisma, userId, today).finally(() => running.delete(userId)));
+  }
+  return running.get(userId);
+}
+
+/** @throws {InvalidRecurringError} unless `status` is one of STATUSES */
+function parseStatus(status) {
+  if (!STATUSES.includes(status)) {
+    throw new InvalidRecurringError(`status must be one of ${STATUSES.join(', ')}`);
+  }
+  return status;
+}
+
+/** A recurring_series row → API shape, in major units, with its monthly and annual cost. */
+function toSeriesResponse(row) {
+  const { perYear } = CADENCE_BY_KEY[row.cadence];
+  const { user_id: _userId, expected_amount_minor, ...rest } = row;
+  return {
+    ...rest,
+    first_date: isoDay(row.first_date),
+    last_date: isoDay(row.last_date),
+    next_expected_date: isoDay(row.next_expected_date),
+    amount: fromMinor(expected_amount_minor, row.currency),
+    monthly_cost: fromMinor(Math.round((expected_amount_minor * perYear) / 12), row.currency),
+    annual_cost: fromMinor(expected_amount_minor * perYear, row.currency),
+    // The user cancelled it, but it has been charged again since
+    charged_after_cancel:
+      row.status === 'cancelled' && row.status_changed_at !== null && dayValue(row.last_date) > dayValue(row.status_changed_at),
+  };
+}
+
+/** A recurring_price_changes row (with `series: { name, cadence }`) → API shape, in major units. */
+function toPriceChangeResponse(row) {
+  return {
+    id: row.id,
+    series_id: row.series_id,
+    name: row.series.name,
+    cadence: row.series.cadence,
+    charge_date: isoDay(row.charge_date),
+    currency: row.currency,
+    old_amount: fromMinor(row.old_amount_minor, row.currency),
+    new_amount: fromMinor(row.new_amount_minor, row.currency),
+    change_percent: row.change_percent,
+    seen: row.seen_at !== null,
+  };
+}
+
+module.exports = {
+  CADENCES,
+  STATUSES,
+  InvalidRecurringError,
+  merchantKey,
+  addCadence,
+  inferCadence,
+  findSeries,
+  priceChanges,
+  detectRecurring,
+  parseStatus,
+  toSeriesResponse,
+  toPriceChangeResponse,
+};
@@ -0,0 +1,136 @@
+/**
+ * Attachment Routes
+ *
+ * GET    /api/attachments?transactionId=|purchaseId=  — list attachments (all of the user's without a filter)
+ * POST   /api/attachments?transactionId=|purchaseId=&filename=
+ *                                                     — upload one file as the raw request body
+ *                                                       (with the file's own Content-Type, not JSON)
+ * GET    /api/attachments/:id/content                 — the file itself
+ * DELETE /api/attachments/:id                         — delete an attachment and its file
+ *
+ * Accepted types and size limits are documented in ../attachments.js.
+ */
+
+const express = require('express');
+const {
+  MAX_FILE_BYTES,
+  InvalidAttachmentError,
+  ATTACHMENTS_QUERY,
+  createAttachment,
+  removeAttachments,
+} = require('../attachments');
+const { UUID_RE } = require('../categories');
+
+// Uploads are the raw file, whatever the client labels it; the type is sniffed
+const rawUpload = express.raw({ type: () => true, limit: MAX_FILE_BYTES });
+
+module.exports = function attachmentRoutes(prisma, storage) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidAttachmentError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[Attachments] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  const findOwned = (req) => {
+    if (!UUID_RE.test(req.params.id)) return null;
+    return prisma.attachment.findFirst({ where: { id: req.params.id, user_id: req.auth.sub } });
+  };
+
+  // ── GET /api/attachments ────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { transactionId, purchaseId } = req.query;
+      const where = { user_id: userId };
+      if (transactionId) where.transaction_id = String(transactionId);
+      if (purchaseId) where.purchase_id = String(purchaseId);
+
+      return res.json(await prisma.attachment.findMany({ where, ...ATTACHMENTS_QUERY }));
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/attachments ───────────────────────────────────────────
+  router.post(
+    '/',
+    (req, res, next) =>
+      rawUpload(req, res, (err) => {
+        if (err?.type === 'entity.too.large') {
+          return res.status(413).json({
+            error: 'file_too_large',
+            message: `files can be at most ${MAX_FILE_BYTES / (1024 * 1024)} MB`,
+          });
+        }
+        return next(err);
+      }),
+    async (req, res) => {
+      try {
+        const userId = req.auth?.sub;
+        if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+        const { transactionId, purchaseId, filename } = req.query;
+        const attachment = await createAttachment(prisma, storage, userId, {
+          transactionId,
+          purchaseId,
+          filename,
+          body: req.body,
+        });
+        console.log(`[Attachments] Stored ${attachment.content_type} (${attachment.size_bytes} bytes) for user ${userId}`);
+        return res.status(201).json(attachment);
+      } catch (err) {
+        return handleError(res, err, 'Upload');
+      }
+    }
+  );
+
+  // ── GET /api/attachments/:id/content ────────────────────────────────
+  router.get('/:id/content', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const attachment = await findOwned(req);
+      if (!attachment) return res.status(404).json({ error: 'not_found' });
+      const file = await storage.get(attachment.storage_key);
+      if (!file) {
+        console.error(`[Attachments] File missing for attachment ${attachment.id}`);
+        return res.status(404).json({ error: 'file_missing', message: 'The file for this attachment is missing' });
+      }
+
+      res.set({
+        'Content-Type': attachment.content_type,
+        'Content-Length': file.length,
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+        'Cache-Control': 'private, max-age=3600',
+        'X-Content-Type-Options': 'nosniff',
+      });
+      return res.send(file);
+    } catch (err) {
+      return handleError(res, err, 'Download');
+    }
+  });
+
+  // ── DELETE /api/attachments/:id ─────────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const attachment = await findOwned(req);
+      if (!attachment) return res.status(404).json({ error: 'not_found' });
+      await removeAttachments(prisma, storage, { id: attachment.id, user_id: userId });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
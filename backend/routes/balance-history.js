@@ -0,0 +1,51 @@
+/**
+ * Balance History Routes
+ *
+ * GET /api/balance-history — each bank account's balance day by day from ?from=
+ *                            to ?to= (YYYY-MM-DD; default the last 90 days up to
+ *                            today, at most five years); ?accountId= limits it to
+ *                            one account. `main_account_id` is the account the
+ *                            balance endpoints show (the first that isn't a pot
+ *                            or savings account).
+ *
+ * See ../balance-history.js for how balances are recorded and filled in.
+ */
+
+const express = require('express');
+const { InvalidBalanceHistoryError, parseRange, loadBalanceHistory } = require('../balance-history');
+const { isPotOrSavingsAccount } = require('../truelayer/service');
+const { UUID_RE } = require('../categories');
+
+module.exports = function balanceHistoryRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidBalanceHistoryError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[BalanceHistory] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/balance-history ────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { from, to } = parseRange(req.query);
+      const accountId = req.query.accountId ? String(req.query.accountId) : null;
+      if (accountId && !UUID_RE.test(accountId)) {
+        throw new InvalidBalanceHistoryError('accountId does not match one of your bank accounts');
+      }
+
+      const accounts = await loadBalanceHistory(prisma, userId, { from, to, accountId });
+      const main = accounts.find((a) => !isPotOrSavingsAccount(a.account_name)) || accounts[0];
+      return res.json({ from, to, main_account_id: main?.id || null, accounts });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  return router;
+};
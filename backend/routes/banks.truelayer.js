@@ -9,6 +9,8 @@ const router = express.Router();
 const config = require("../truelayer/config");
 const client = require("../truelayer/client");
 const service = require("../truelayer/service");
+const { fromMinor } = require("../../shared/money.js");
+const { recordBalance } = require("../balance-history");
 const { requireBankConnectionQuota, incrementBankUsage } = require("../entitlements");
 
 // Prisma client will be attached by the main app
@@ -28,6 +30,18 @@ function requireConfig(req, res, next) {
   next();
 }
 
+/**
+ * BankAccount row with its stored minor-unit balances as major units
+ * (balance / available_balance), the shape the balance endpoints return.
+ */
+function toMajorBalances({ balance_minor, available_balance_minor, ...account }) {
+  return {
+    ...account,
+    balance: fromMinor(balance_minor, account.currency || undefined),
+    available_balance: fromMinor(available_balance_minor, account.currency || undefined),
+  };
+}
+
 /**
  * GET /api/banks/truelayer/connect
  * Returns the TrueLayer authorization URL for the user to connect their bank.
@@ -281,8 +295,8 @@ router.get("/balance", async (req, res) => {
             try {
               const balance = await client.getBalance({ access_token: accessToken, account_id: acc.account_id });
               
-              // Update DB with latest balance
-              await prisma.bankAccount.upsert({
+              // Update DB with latest balance (and today's in the balance history)
+              const account = await prisma.bankAccount.upsert({
                 where: {
                   user_id_provider_provider_account_id: {
                     user_id: userId,
@@ -292,26 +306,23 @@ router.get("/balance", async (req, res) => {
                 },
                 update: {
                   account_name: acc.display_name || acc.account_number?.number || null,
-                  currency: acc.currency || balance?.currency || null,
-                  balance: balance?.current ?? null,
-                  available_balance: balance?.available ?? null,
+                  ...service.balanceColumns(acc, balance),
                 },
                 create: {
                   user_id: userId,
                   provider: 'truelayer',
                   provider_account_id: acc.account_id,
                   account_name: acc.display_name || acc.account_number?.number || null,
-                  currency: acc.currency || balance?.currency || null,
-                  balance: balance?.current ?? null,
-                  available_balance: balance?.available ?? null,
+                  ...service.balanceColumns(acc, balance),
                 },
               });
+              await recordBalance(prisma, account);
               
               accountsWithBalances.push({
                 name: acc.display_name || acc.account_number?.number,
                 balance: balance?.current ?? 0,
                 available: balance?.available ?? 0,
-                currency: balance?.currency || 'GBP',
+                currency: service.balanceColumns(acc, balance).currency,
               });
               
               console.log(`[Balance API LIVE] Account "${acc.display_name}": £${balance?.current?.toFixed(2)}`);
@@ -364,14 +375,14 @@ router.get("/balance", async (req, res) => {
       ],
       select: {
         account_name: true,
-        balance: true,
-        available_balance: true,
+        balance_minor: true,
+        available_balance_minor: true,
         currency: true,
         provider_account_id: true,
         created_at: true,
         updated_at: true,
       },
-    });
+    }).then(rows => rows.map(toMajorBalances));
 
     if (accounts.length === 0) {
       return res.json({ totalBalance: null, accounts: [] });
@@ -432,13 +443,13 @@ router.get('/balance-cached', async (req, res) => {
       ],
       select: {
         account_name: true,
-        balance: true,
-        available_balance: true,
+        balance_minor: true,
+        available_balance_minor: true,
         currency: true,
         updated_at: true,
         created_at: true,
       },
-    });
+    }).then(rows => rows.map(toMajorBalances));
 
     if (!accounts.length) {
       return res.json({ totalBalance: null, availableBalance: null, currency: 'GBP', lastSyncedAt: null });
@@ -0,0 +1,173 @@
+/**
+ * Budget Routes
+ *
+ * GET    /api/budgets        — the user's budgets with progress for the period
+ *                              containing ?date= (default today); ?splitId= narrows
+ *                              to one split's budgets, ?splitId=none to standalone ones
+ * POST   /api/budgets        — create ({ category, amount, period?, currency?, split_id?,
+ *                              rollover?, rollover_cap? })
+ * PATCH  /api/budgets/:id    — change any of those but split_id
+ * DELETE /api/budgets/:id    — delete a budget
+ *
+ * Budgets that come back carry their progress (see ../budgets.js). A split
+ * budget's category must be one of the split's lines. GET only reads; a
+ * PATCH first stores a rollover budget's closed periods as they stand.
+ * Switching rollover on, or changing a rollover budget's period or currency,
+ * starts its carry afresh from the current period.
+ */
+
+const express = require('express');
+const {
+  InvalidBudgetError,
+  BUDGET_SELECT,
+  parseBudgetInput,
+  parseDate,
+  budgetProgress,
+  settleBudgetPeriods,
+} = require('../budgets');
+const { UUID_RE, findByName } = require('../categories');
+const { SPLIT_CATEGORIES_QUERY } = require('../splits');
+const { toDay } = require('../../shared/periods.js');
+
+const today = () => new Date(`${toDay()}T00:00:00Z`);
+
+module.exports = function budgetRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidBudgetError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'budget_exists', message: 'That category already has a budget' });
+    }
+    console.error(`[Budgets] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  const findBudget = (userId, id) =>
+    UUID_RE.test(id) ? prisma.budget.findFirst({ where: { id, user_id: userId }, select: BUDGET_SELECT }) : null;
+
+  /**
+   * The split's spelling of `category`.
+   * @throws {InvalidBudgetError} when the split isn't the user's or has no such line
+   */
+  const splitCategoryName = async (userId, splitId, category) => {
+    const split = await prisma.split.findFirst({
+      where: { id: String(splitId), user_id: userId },
+      select: { categories: SPLIT_CATEGORIES_QUERY },
+    });
+    if (!split) throw new InvalidBudgetError('split_id does not match one of your splits', 'invalid_payload');
+    const line = split.categories.find((c) => c.name.toLowerCase() === category.toLowerCase());
+    if (!line) throw new InvalidBudgetError(`the split has no "${category}" category`);
+    return line.name;
+  };
+
+  /** The spelling of a standalone budget's category: the user's category's, if there is one. */
+  const standaloneCategoryName = async (userId, category) => (await findByName(prisma, userId, category))?.name || category;
+
+  const withProgress = async (userId, budget) => (await budgetProgress(prisma, userId, [budget]))[0];
+
+  // ── GET /api/budgets ────────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const day = parseDate(req.query.date);
+      const where = { user_id: userId };
+      if (req.query.splitId) where.split_id = req.query.splitId === 'none' ? null : String(req.query.splitId);
+
+      const budgets = await prisma.budget.findMany({ where, orderBy: { created_at: 'asc' }, select: BUDGET_SELECT });
+      return res.json({ date: day, budgets: await budgetProgress(prisma, userId, budgets, { day }) });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/budgets ───────────────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseBudgetInput(req.body);
+      const splitId = req.body?.split_id || null;
+      data.category = splitId
+        ? await splitCategoryName(userId, splitId, data.category)
+        : await standaloneCategoryName(userId, data.category);
+
+      const budget = await prisma.budget.create({
+        data: {
+          ...data,
+          user_id: userId,
+          split_id: splitId ? String(splitId) : null,
+          rollover_since: data.rollover ? today() : null,
+        },
+        select: BUDGET_SELECT,
+      });
+      return res.status(201).json(await withProgress(userId, budget));
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── PATCH /api/budgets/:id ──────────────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const existing = await findBudget(userId, req.params.id);
+      if (!existing) return res.status(404).json({ error: 'not_found' });
+
+      const body = { ...req.body };
+      // A new amount or cap without a currency stays in the budget's currency
+      if ((body.amount !== undefined || body.rollover_cap !== undefined) && body.currency === undefined) {
+        body.currency = existing.currency;
+      }
+      const data = parseBudgetInput(body, { partial: true });
+      if (data.currency && data.currency !== existing.currency && data.amount_minor === undefined) {
+        throw new InvalidBudgetError('send the amount with a new currency');
+      }
+      if (data.category) {
+        data.category = existing.split_id
+          ? await splitCategoryName(userId, existing.split_id, data.category)
+          : await standaloneCategoryName(userId, data.category);
+      }
+
+      const rollover = data.rollover ?? existing.rollover;
+      const restart = rollover !== existing.rollover
+        || (rollover && ((data.period && data.period !== existing.period) || (data.currency && data.currency !== existing.currency)));
+      const budget = await prisma.$transaction(async (tx) => {
+        if (restart) {
+          data.rollover_since = rollover ? today() : null;
+          await tx.budgetPeriod.deleteMany({ where: { budget_id: existing.id } });
+        } else {
+          await settleBudgetPeriods(tx, userId, [existing]);
+        }
+        return tx.budget.update({ where: { id: existing.id }, data, select: BUDGET_SELECT });
+      });
+      return res.json(await withProgress(userId, budget));
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/budgets/:id ─────────────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.budget.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,164 @@
+/**
+ * Category Routes
+ *
+ * GET    /api/categories         — list the user's categories (seeds defaults on first call)
+ * POST   /api/categories         — create a category
+ * POST   /api/categories/import  — create any missing names from { names: [] } (legacy custom categories)
+ * POST   /api/categories/rename  — preview / apply a rename or merge across all data
+ * PATCH  /api/categories/:id     — update parent, colour, icon, archived or sort order
+ * DELETE /api/categories/:id     — delete a category (its children move to the top level)
+ *
+ * Categories are returned flat, groups first and each followed by its
+ * children; hierarchy rules are documented in ../categories.js.
+ */
+
+const express = require('express');
+const {
+  UUID_RE,
+  InvalidCategoryError,
+  parseCategoryInput,
+  checkParent,
+  findByName,
+  listCategories,
+  ensureCategories,
+} = require('../categories');
+const { planCategoryRename, applyCategoryRename } = require('../category-rename');
+
+const MAX_IMPORT_NAMES = 200;
+
+module.exports = function categoryRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidCategoryError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'category_exists', message: 'A category with that name already exists' });
+    }
+    console.error(`[Categories] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/categories ─────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      return res.json(await listCategories(prisma, userId));
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/categories ────────────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseCategoryInput(req.body);
+      if (await findByName(prisma, userId, data.name)) {
+        throw new InvalidCategoryError(`"${data.name}" already exists`, 'category_exists', 409);
+      }
+      await checkParent(prisma, userId, data.parent_id);
+
+      const category = await prisma.category.create({ data: { ...data, user_id: userId } });
+      return res.status(201).json(category);
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── POST /api/categories/import ─────────────────────────────────────
+  // Used once to move localStorage custom categories to the server.
+  // (POST /api/splits does the same for a split's category names.)
+  router.post('/import', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const names = req.body?.names;
+      if (!Array.isArray(names) || names.length > MAX_IMPORT_NAMES) {
+        return res.status(400).json({
+          error: 'invalid_payload',
+          message: `names must be an array of at most ${MAX_IMPORT_NAMES} strings`,
+        });
+      }
+
+      const created = await ensureCategories(prisma, userId, names);
+      return res.json({ ok: true, created });
+    } catch (err) {
+      return handleError(res, err, 'Import');
+    }
+  });
+
+  // ── POST /api/categories/rename ─────────────────────────────────────
+  // Body: { from, to } previews; add { apply: true } to write the change.
+  // Response: { applied, merge, from, to, counts, splits: [{ id, name }] } — see category-rename.js
+  router.post('/rename', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { from, to, apply = false } = req.body || {};
+      const plan = apply
+        ? await applyCategoryRename(prisma, userId, { from, to })
+        : await planCategoryRename(prisma, userId, { from, to });
+      if (apply) {
+        console.log(`[Categories] ${plan.merge ? 'Merged' : 'Renamed'} "${plan.from}" → "${plan.to}" for ${userId}:`, plan.counts);
+      }
+
+      return res.json({
+        applied: Boolean(apply),
+        merge: plan.merge,
+        from: plan.from,
+        to: plan.to,
+        counts: plan.counts,
+        splits: plan.splits.map(({ id, name }) => ({ id, name })),
+      });
+    } catch (err) {
+      return handleError(res, err, 'Rename');
+    }
+  });
+
+  // ── PATCH /api/categories/:id ───────────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const existing = await prisma.category.findFirst({ where: { id: req.params.id, user_id: userId } });
+      if (!existing) return res.status(404).json({ error: 'not_found' });
+
+      const data = parseCategoryInput(req.body, { partial: true });
+      if (data.parent_id) await checkParent(prisma, userId, data.parent_id, existing);
+
+      const category = await prisma.category.update({ where: { id: existing.id }, data });
+      return res.json(category);
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/categories/:id ──────────────────────────────────────
+  // Existing transactions keep the name; archive instead to hide a
+  // category from pickers without losing its colour and group.
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.category.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,217 @@
+/**
+ * Category Rule Routes
+ *
+ * GET    /api/category-rules            — list the user's rules in evaluation order
+ * POST   /api/category-rules            — create a rule
+ * PATCH  /api/category-rules/:id        — update a rule
+ * DELETE /api/category-rules/:id        — delete a rule
+ * POST   /api/category-rules/merchants  — upsert exact-merchant rules from { rules: { description: category } }
+ * POST   /api/category-rules/suggest    — categorize rows without saving them (import previews)
+ * POST   /api/category-rules/recategorize — preview / apply a rule to existing transactions
+ *
+ * Rule fields and matching semantics are documented in ../categorization.js.
+ */
+
+const express = require('express');
+const {
+  InvalidRuleError,
+  normalizeMerchant,
+  parseRuleInput,
+  loadRuleEngine,
+} = require('../categorization');
+const { planRecategorization, applyRecategorization } = require('../recategorize');
+
+const MAX_SUGGEST_ROWS = 5000;
+// Rows listed per section in a recategorize preview (counts always cover everything)
+const MAX_PREVIEW_ROWS = 500;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = function categoryRuleRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidRuleError) {
+      return res.status(400).json({ error: 'invalid_rule', message: err.message });
+    }
+    console.error(`[CategoryRules] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/category-rules ─────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const rules = await prisma.categoryRule.findMany({
+        where: { user_id: userId },
+        orderBy: [{ priority: 'asc' }, { created_at: 'asc' }],
+      });
+      return res.json(rules);
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/category-rules ────────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseRuleInput(req.body);
+      const rule = await prisma.categoryRule.create({ data: { ...data, user_id: userId } });
+      return res.status(201).json(rule);
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── POST /api/category-rules/merchants ──────────────────────────────
+  // Used by the tracker when a purchase is recategorized ("always file this
+  // merchant under X"), and to migrate rules saved in localStorage.
+  router.post('/merchants', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const entries = Object.entries(req.body?.rules || {})
+        .map(([description, category]) => [normalizeMerchant(description), String(category || '').trim()])
+        .filter(([merchant, category]) => merchant && category);
+      if (!entries.length) {
+        return res.status(400).json({ error: 'invalid_payload', message: 'rules must map descriptions to categories' });
+      }
+
+      const existing = await prisma.categoryRule.findMany({
+        where: { user_id: userId, match_type: 'exact_merchant', pattern: { in: entries.map(([m]) => m) } },
+        select: { id: true, pattern: true },
+      });
+      const idByPattern = new Map(existing.map((r) => [r.pattern, r.id]));
+
+      let created = 0;
+      let updated = 0;
+      for (const [pattern, category] of entries) {
+        const data = parseRuleInput({ category, match_type: 'exact_merchant', pattern });
+        if (idByPattern.has(pattern)) {
+          await prisma.categoryRule.update({ where: { id: idByPattern.get(pattern) }, data: { category: data.category } });
+          updated++;
+        } else {
+          await prisma.categoryRule.create({ data: { ...data, user_id: userId } });
+          created++;
+        }
+      }
+
+      return res.json({ ok: true, created, updated });
+    } catch (err) {
+      return handleError(res, err, 'Merchant upsert');
+    }
+  });
+
+  // ── POST /api/category-rules/suggest ────────────────────────────────
+  // Body: { transactions: [{ description, amount, type, source? }] }
+  // Response: { suggestions: [{ category, ruleId }] } in the same order
+  router.post('/suggest', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const rows = req.body?.transactions;
+      if (!Array.isArray(rows) || rows.length > MAX_SUGGEST_ROWS) {
+        return res.status(400).json({
+          error: 'invalid_payload',
+          message: `transactions must be an array of at most ${MAX_SUGGEST_ROWS} rows`,
+        });
+      }
+
+      const engine = await loadRuleEngine(prisma, userId);
+      return res.json({ suggestions: rows.map((tx) => engine.categorize(tx || {})) });
+    } catch (err) {
+      return handleError(res, err, 'Suggest');
+    }
+  });
+
+  // ── POST /api/category-rules/recategorize ───────────────────────────
+  // Body: { ruleId } for a saved rule, or { rule: { ...fields } } to preview
+  // an unsaved one; add { apply: true } (saved rules only) to write the change.
+  // Response: { applied, counts, transactions, purchases } — see recategorize.js
+  router.post('/recategorize', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { ruleId, rule: draft, apply = false } = req.body || {};
+      let rule;
+      if (ruleId) {
+        if (!UUID_RE.test(ruleId)) return res.status(404).json({ error: 'not_found' });
+        rule = await prisma.categoryRule.findFirst({ where: { id: ruleId, user_id: userId } });
+        if (!rule) return res.status(404).json({ error: 'not_found' });
+      } else if (draft && !apply) {
+        rule = { ...parseRuleInput(draft), id: null, enabled: true };
+      } else {
+        return res.status(400).json({
+          error: 'invalid_payload',
+          message: apply ? 'apply requires a saved ruleId' : 'ruleId or rule is required',
+        });
+      }
+
+      const plan = await planRecategorization(prisma, userId, rule);
+      const counts = {
+        transactions: plan.transactions.length,
+        purchases: plan.purchases.length,
+        skippedManual: plan.skippedManual,
+        unmatchedPurchases: plan.unmatchedPurchases,
+      };
+
+      let updated = null;
+      if (apply) {
+        updated = await applyRecategorization(prisma, userId, plan);
+        console.log(`[CategoryRules] Rule ${rule.id} recategorized ${updated.transactions} transactions, ${updated.purchases} purchases for ${userId}`);
+      }
+
+      return res.json({
+        applied: Boolean(apply),
+        counts,
+        updated,
+        transactions: plan.transactions.slice(0, MAX_PREVIEW_ROWS),
+        purchases: plan.purchases.slice(0, MAX_PREVIEW_ROWS),
+      });
+    } catch (err) {
+      return handleError(res, err, 'Recategorize');
+    }
+  });
+
+  // ── PATCH /api/category-rules/:id ───────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const existing = await prisma.categoryRule.findFirst({ where: { id: req.params.id, user_id: userId } });
+      if (!existing) return res.status(404).json({ error: 'not_found' });
+
+      const data = parseRuleInput(req.body, { partial: true, existing });
+      const rule = await prisma.categoryRule.update({ where: { id: existing.id }, data });
+      return res.json(rule);
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/category-rules/:id ──────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.categoryRule.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,121 @@
+/**
+ * Debt Routes
+ *
+ * GET    /api/debts        — the user's debts, oldest first
+ * POST   /api/debts        — create ({ name, balance, apr, minimum_payment, due_day, currency? })
+ * GET    /api/debts/plan   — snowball and avalanche payoff plans
+ *                             (?extra= or ?splitId=&category=, currency?)
+ * PATCH  /api/debts/:id    — change any of those
+ * DELETE /api/debts/:id    — delete a debt
+ *
+ * See ../debts.js for how a plan is worked out.
+ */
+
+const express = require('express');
+const {
+  InvalidDebtError,
+  DEBT_SELECT,
+  parseDebtInput,
+  toDebtResponse,
+  parsePlanQuery,
+  buildPayoffPlan,
+} = require('../debts');
+const { UUID_RE } = require('../categories');
+
+module.exports = function debtRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidDebtError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[Debts] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/debts ──────────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const debts = await prisma.debt.findMany({
+        where: { user_id: userId },
+        orderBy: { created_at: 'asc' },
+        select: DEBT_SELECT,
+      });
+      return res.json({ debts: debts.map(toDebtResponse) });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/debts ─────────────────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseDebtInput(req.body);
+      const debt = await prisma.debt.create({ data: { ...data, user_id: userId }, select: DEBT_SELECT });
+      return res.status(201).json(toDebtResponse(debt));
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── GET /api/debts/plan ─────────────────────────────────────────────
+  router.get('/plan', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      return res.json(await buildPayoffPlan(prisma, userId, parsePlanQuery(req.query)));
+    } catch (err) {
+      return handleError(res, err, 'Plan');
+    }
+  });
+
+  // ── PATCH /api/debts/:id ────────────────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const existing = UUID_RE.test(req.params.id)
+        ? await prisma.debt.findFirst({ where: { id: req.params.id, user_id: userId }, select: DEBT_SELECT })
+        : null;
+      if (!existing) return res.status(404).json({ error: 'not_found' });
+
+      const body = { ...req.body };
+      // New amounts without a currency stay in the debt's currency
+      if (body.currency === undefined) body.currency = existing.currency;
+      const data = parseDebtInput(body, { partial: true });
+      if (data.currency !== existing.currency && (data.balance_minor === undefined || data.minimum_payment_minor === undefined)) {
+        throw new InvalidDebtError('send the balance and minimum_payment with a new currency');
+      }
+
+      const debt = await prisma.debt.update({ where: { id: existing.id }, data, select: DEBT_SELECT });
+      return res.json(toDebtResponse(debt));
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/debts/:id ───────────────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.debt.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
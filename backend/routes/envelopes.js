@@ -0,0 +1,192 @@
+/**
+ * Envelope Routes
+ *
+ * GET   /api/envelopes/:splitId                               — envelope mode and every envelope's balance
+ * PATCH /api/envelopes/:splitId                               — switch envelope mode ({ enabled, since? })
+ * GET   /api/envelopes/:splitId/incomes                       — the incomes counted, newest first, with
+ *                                                               how each was shared out
+ * PUT   /api/envelopes/:splitId/incomes/:purchaseId/allocations — share one income out by hand
+ *                                                               ({ allocations: [{ category, amount }] }),
+ *                                                               or by the split's percentages again
+ *                                                               ({ allocations: null })
+ * GET   /api/envelopes/:splitId/moves                         — money moved between envelopes, newest first
+ *                                                               (?limit=, default 50)
+ * POST  /api/envelopes/:splitId/moves                         — move money ({ from, to, amount, note? })
+ *
+ * See ../envelopes.js for how balances are worked out. The GETs only read;
+ * switching envelope mode on stores the percentage allocations of the incomes
+ * it counts. Switching it off keeps its allocations and history for when it
+ * is switched back on.
+ */
+
+const express = require('express');
+const {
+  InvalidEnvelopeError,
+  isIncomeCategory,
+  sinceDay,
+  loadEnvelopeSplit,
+  percentShares,
+  parseAllocationInput,
+  parseMoveInput,
+  parseMovesLimit,
+  parseSince,
+  incomeAllocations,
+  allocateIncomes,
+  replaceAllocations,
+  envelopeBalances,
+  toBalancesResponse,
+  toIncomeResponse,
+  toMoveResponse,
+} = require('../envelopes');
+const { toDay } = require('../../shared/periods.js');
+
+module.exports = function envelopeRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidEnvelopeError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[Envelopes] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  /** The split in envelope mode, or an error response already sent. */
+  const findEnvelopeSplit = async (req, res) => {
+    const split = await loadEnvelopeSplit(prisma, req.auth.sub, req.params.splitId);
+    if (!split) {
+      res.status(404).json({ error: 'not_found' });
+      return null;
+    }
+    if (!split.envelope_mode) {
+      res.status(409).json({ error: 'envelopes_off', message: 'Envelope mode is off for this split' });
+      return null;
+    }
+    return split;
+  };
+
+  const balancesResponse = async (userId, split) => {
+    if (!split.envelope_mode) {
+      return { split_id: split.id, enabled: false, since: sinceDay(split), envelopes: [] };
+    }
+    return toBalancesResponse(split, await envelopeBalances(prisma, userId, split));
+  };
+
+  // ── GET /api/envelopes/:splitId ─────────────────────────────────────
+  router.get('/:splitId', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const split = await loadEnvelopeSplit(prisma, userId, req.params.splitId);
+      if (!split) return res.status(404).json({ error: 'not_found' });
+      return res.json(await balancesResponse(userId, split));
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── PATCH /api/envelopes/:splitId ───────────────────────────────────
+  router.patch('/:splitId', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const split = await loadEnvelopeSplit(prisma, userId, req.params.splitId);
+      if (!split) return res.status(404).json({ error: 'not_found' });
+      if (typeof req.body?.enabled !== 'boolean') throw new InvalidEnvelopeError('enabled must be true or false');
+
+      const data = { envelope_mode: req.body.enabled };
+      // Counting starts today the first time, unless the user picks a day
+      const since = parseSince(req.body.since);
+      if (since) data.envelopes_since = new Date(`${since}T00:00:00Z`);
+      else if (req.body.enabled && !split.envelopes_since) data.envelopes_since = new Date(`${toDay()}T00:00:00Z`);
+
+      await prisma.split.update({ where: { id: split.id }, data });
+      if (req.body.enabled) await allocateIncomes(prisma, userId, split.id);
+      console.log(`[Envelopes] Envelope mode ${req.body.enabled ? 'on' : 'off'} for split ${split.id}`);
+      return res.json(await balancesResponse(userId, { ...split, ...data }));
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── GET /api/envelopes/:splitId/incomes ─────────────────────────────
+  router.get('/:splitId/incomes', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const split = await findEnvelopeSplit(req, res);
+      if (!split) return undefined;
+      const incomes = await incomeAllocations(prisma, userId, split, toDay());
+      return res.json({ incomes: incomes.map(toIncomeResponse) });
+    } catch (err) {
+      return handleError(res, err, 'GET incomes');
+    }
+  });
+
+  // ── PUT /api/envelopes/:splitId/incomes/:purchaseId/allocations ─────
+  router.put('/:splitId/incomes/:purchaseId/allocations', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const split = await findEnvelopeSplit(req, res);
+      if (!split) return undefined;
+      const income = await prisma.purchase.findFirst({
+        where: { id: req.params.purchaseId, user_id: userId, split_id: split.id },
+        select: { id: true, date: true, amount_minor: true, currency: true, description: true, category: true },
+      });
+      if (!income || !isIncomeCategory(income.category)) return res.status(404).json({ error: 'not_found' });
+
+      const allocations = req.body?.allocations;
+      const manual = allocations !== null;
+      const rows = manual
+        ? parseAllocationInput(allocations, income, split.categories)
+        : percentShares(income.amount_minor, split.categories);
+      income.envelope_allocations = await replaceAllocations(prisma, userId, split.id, income, rows, { manual });
+      return res.json(toIncomeResponse(income));
+    } catch (err) {
+      return handleError(res, err, 'PUT allocations');
+    }
+  });
+
+  // ── GET /api/envelopes/:splitId/moves ───────────────────────────────
+  router.get('/:splitId/moves', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const split = await loadEnvelopeSplit(prisma, userId, req.params.splitId);
+      if (!split) return res.status(404).json({ error: 'not_found' });
+      const moves = await prisma.envelopeMove.findMany({
+        where: { split_id: split.id },
+        orderBy: { created_at: 'desc' },
+        take: parseMovesLimit(req.query.limit),
+      });
+      return res.json({ moves: moves.map(toMoveResponse) });
+    } catch (err) {
+      return handleError(res, err, 'GET moves');
+    }
+  });
+
+  // ── POST /api/envelopes/:splitId/moves ──────────────────────────────
+  router.post('/:splitId/moves', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const split = await findEnvelopeSplit(req, res);
+      if (!split) return undefined;
+      const balances = await envelopeBalances(prisma, userId, split);
+      const data = parseMoveInput(req.body, balances.envelopes, balances.currency);
+      const move = await prisma.envelopeMove.create({ data: { ...data, user_id: userId, split_id: split.id } });
+      return res.status(201).json(toMoveResponse(move));
+    } catch (err) {
+      return handleError(res, err, 'POST moves');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,41 @@
+/**
+ * Forecast Routes
+ *
+ * GET /api/forecast — the main bank account's balance projected day by day for
+ *                     ?days= days (default 90, at most 365); ?splitId= counts only
+ *                     that split's expected income. `forecast` is null until a
+ *                     bank account has a balance.
+ *
+ * See ../forecast.js for what goes into the projection.
+ */
+
+const express = require('express');
+const { InvalidForecastError, parseDays, buildForecast } = require('../forecast');
+
+module.exports = function forecastRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidForecastError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[Forecast] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/forecast ───────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const days = parseDays(req.query.days);
+      const splitId = req.query.splitId ? String(req.query.splitId) : null;
+      return res.json({ forecast: await buildForecast(prisma, userId, { days, splitId }) });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  return router;
+};
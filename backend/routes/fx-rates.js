@@ -0,0 +1,118 @@
+/**
+ * FX Rate Routes
+ *
+ * GET    /api/fx-rates?currency=USD — rates linking the user's currencies and the reporting currency
+ * POST   /api/fx-rates/import       — import a CSV or ECB XML file sent as { content }
+ * DELETE /api/fx-rates              — clear the user's rate table
+ *
+ * File formats and conversion rules are documented in ../fx.js and ../../shared/fx.js.
+ */
+
+const express = require('express');
+const {
+  InvalidFxFileError,
+  parseFxFile,
+  importFxRates,
+  ratesWhere,
+  listUserCurrencies,
+} = require('../fx');
+const { isCurrencyCode, normalizeCurrency } = require('../../shared/money.js');
+
+const isoDay = (d) => d.toISOString().slice(0, 10);
+
+module.exports = function fxRateRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidFxFileError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[FxRates] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/fx-rates ───────────────────────────────────────────────
+  // rates are [date, base, quote, rate] tuples, oldest first, to keep
+  // multi-year ECB histories small on the wire.
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+      if (req.query.currency !== undefined && !isCurrencyCode(req.query.currency)) {
+        return res.status(400).json({ error: 'invalid_query', message: 'currency must be a 3-letter ISO code' });
+      }
+
+      const currencies = await listUserCurrencies(prisma, userId);
+      const wanted = [...new Set([...currencies, normalizeCurrency(req.query.currency)])];
+
+      const [rows, pairs] = await Promise.all([
+        prisma.fxRate.findMany({
+          where: ratesWhere(userId, wanted),
+          orderBy: { rate_date: 'asc' },
+          select: { base: true, quote: true, rate: true, rate_date: true },
+        }),
+        prisma.fxRate.groupBy({
+          by: ['base', 'quote'],
+          where: { user_id: userId },
+          _count: { _all: true },
+          _min: { rate_date: true },
+          _max: { rate_date: true },
+          orderBy: [{ base: 'asc' }, { quote: 'asc' }],
+        }),
+      ]);
+
+      return res.json({
+        currencies,
+        pairs: pairs.map((p) => ({
+          base: p.base,
+          quote: p.quote,
+          count: p._count._all,
+          from: isoDay(p._min.rate_date),
+          to: isoDay(p._max.rate_date),
+        })),
+        rates: rows.map((r) => [isoDay(r.rate_date), r.base, r.quote, r.rate]),
+      });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/fx-rates/import ───────────────────────────────────────
+  router.post('/import', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+      if (typeof req.body?.content !== 'string') {
+        return res.status(400).json({ error: 'invalid_payload', message: 'content (the file text) is required' });
+      }
+
+      const rows = parseFxFile(req.body.content);
+      const imported = await importFxRates(prisma, userId, rows);
+      const days = rows.map((r) => r.rate_date).sort();
+      console.log(`[FxRates] Imported ${imported} rate(s) for ${userId}`);
+      return res.json({
+        imported,
+        currencies: [...new Set(rows.flatMap((r) => [r.base, r.quote]))].sort(),
+        from: days[0],
+        to: days[days.length - 1],
+      });
+    } catch (err) {
+      return handleError(res, err, 'import');
+    }
+  });
+
+  // ── DELETE /api/fx-rates ────────────────────────────────────────────
+  router.delete('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { count } = await prisma.fxRate.deleteMany({ where: { user_id: userId } });
+      return res.json({ deleted: count });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
@@ -10,6 +10,7 @@
 
 const express = require('express');
 const { requireCapability } = require('../entitlements');
+const { fromMinor, minorDigits } = require('../../shared/money.js');
 
 module.exports = function gatedFeatureRoutes(prisma) {
   const router = express.Router();
@@ -57,7 +58,8 @@ module.exports = function gatedFeatureRoutes(prisma) {
           select: {
             id: true,
             type: true,
-            amount: true,
+            amount_minor: true,
+            currency: true,
             date: true,
             category: true,
             description: true,
@@ -66,11 +68,12 @@ module.exports = function gatedFeatureRoutes(prisma) {
         });
 
         // Build CSV
-        const headers = 'Date,Type,Amount,Category,Description,Source';
+        const headers = 'Date,Type,Amount,Currency,Category,Description,Source';
         const csvRows = transactions.map((t) => {
           const date = t.date ? new Date(t.date).toISOString().slice(0, 10) : '';
           const desc = (t.description || '').replace(/"/g, '""');
-          return `${date},${t.type},${t.amount},"${t.category || ''}","${desc}",${t.source}`;
+          const amount = fromMinor(t.amount_minor, t.currency).toFixed(minorDigits(t.currency));
+          return `${date},${t.type},${amount},${t.currency},"${t.category || ''}","${desc}",${t.source}`;
         });
 
         const csv = [headers, ...csvRows].join('\n');
@@ -0,0 +1,202 @@
+/**
+ * Goal Routes
+ *
+ * GET    /api/goals                                     — the user's savings goals with progress, soonest target first
+ * POST   /api/goals                                     — create ({ name, category, target_amount, target_date,
+ *                                                          currency?, starts_on?, split_id? })
+ * PATCH  /api/goals/:id                                 — change any of those but split_id
+ * DELETE /api/goals/:id                                 — delete a goal
+ * GET    /api/goals/:id/contributions                   — what has been counted towards the goal, newest first
+ * POST   /api/goals/:id/contributions                   — link a row by hand ({ transaction_id } or, for a split
+ *                                                          goal, { purchase_id }), or put an excluded one back
+ * DELETE /api/goals/:id/contributions/:contributionId   — take a contribution out of the goal
+ *
+ * Goals that come back carry their progress (see ../goals.js). A split
+ * goal's category must be one of the split's lines.
+ */
+
+const express = require('express');
+const {
+  InvalidGoalError,
+  GOAL_SELECT,
+  parseGoalInput,
+  goalProgress,
+  linkContribution,
+  removeContribution,
+  listContributions,
+} = require('../goals');
+const { UUID_RE, findByName } = require('../categories');
+const { SPLIT_CATEGORIES_QUERY } = require('../splits');
+
+module.exports = function goalRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidGoalError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[Goals] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  const findGoal = (userId, id) =>
+    UUID_RE.test(id) ? prisma.goal.findFirst({ where: { id, user_id: userId }, select: GOAL_SELECT }) : null;
+
+  /**
+   * The split's spelling of `category`.
+   * @throws {InvalidGoalError} when the split isn't the user's or has no such line
+   */
+  const splitCategoryName = async (userId, splitId, category) => {
+    const split = await prisma.split.findFirst({
+      where: { id: String(splitId), user_id: userId },
+      select: { categories: SPLIT_CATEGORIES_QUERY },
+    });
+    if (!split) throw new InvalidGoalError('split_id does not match one of your splits', 'invalid_payload');
+    const line = split.categories.find((c) => c.name.toLowerCase() === category.toLowerCase());
+    if (!line) throw new InvalidGoalError(`the split has no "${category}" category`);
+    return line.name;
+  };
+
+  const categoryName = async (userId, splitId, category) =>
+    splitId ? splitCategoryName(userId, splitId, category) : (await findByName(prisma, userId, category))?.name || category;
+
+  const withProgress = async (userId, goal) => (await goalProgress(prisma, userId, [goal]))[0];
+
+  /** The goal from :id, or a 404 already sent. */
+  const goalOr404 = async (req, res) => {
+    const goal = await findGoal(req.auth.sub, req.params.id);
+    if (!goal) res.status(404).json({ error: 'not_found' });
+    return goal;
+  };
+
+  // ── GET /api/goals ──────────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const goals = await prisma.goal.findMany({
+        where: { user_id: userId },
+        orderBy: [{ target_date: 'asc' }, { created_at: 'asc' }],
+        select: GOAL_SELECT,
+      });
+      return res.json({ goals: await goalProgress(prisma, userId, goals) });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/goals ─────────────────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseGoalInput(req.body);
+      const splitId = req.body?.split_id ? String(req.body.split_id) : null;
+      data.category = await categoryName(userId, splitId, data.category);
+
+      const goal = await prisma.goal.create({
+        data: { ...data, user_id: userId, split_id: splitId },
+        select: GOAL_SELECT,
+      });
+      return res.status(201).json(await withProgress(userId, goal));
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── PATCH /api/goals/:id ────────────────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const existing = await goalOr404(req, res);
+      if (!existing) return;
+
+      const body = { ...req.body };
+      // A new target without a currency stays in the goal's currency
+      if (body.target_amount !== undefined && body.currency === undefined) body.currency = existing.currency;
+      const data = parseGoalInput(body, { partial: true });
+      if (data.currency && data.currency !== existing.currency && data.target_amount_minor === undefined) {
+        throw new InvalidGoalError('send the target_amount with a new currency');
+      }
+      if ((data.target_date ?? existing.target_date) < (data.starts_on ?? existing.starts_on)) {
+        throw new InvalidGoalError('target_date must not be before starts_on');
+      }
+      if (data.category) data.category = await categoryName(userId, existing.split_id, data.category);
+
+      const goal = await prisma.goal.update({ where: { id: existing.id }, data, select: GOAL_SELECT });
+      return res.json(await withProgress(userId, goal));
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/goals/:id ───────────────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.goal.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  // ── GET /api/goals/:id/contributions ────────────────────────────────
+  router.get('/:id/contributions', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const goal = await goalOr404(req, res);
+      if (!goal) return;
+      const [progress] = await goalProgress(prisma, userId, [goal]);
+      return res.json({ goal: progress, contributions: await listContributions(prisma, goal) });
+    } catch (err) {
+      return handleError(res, err, 'Contributions');
+    }
+  });
+
+  // ── POST /api/goals/:id/contributions ───────────────────────────────
+  router.post('/:id/contributions', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const goal = await goalOr404(req, res);
+      if (!goal) return;
+      await linkContribution(prisma, userId, goal, req.body);
+      const [progress] = await goalProgress(prisma, userId, [goal]);
+      return res.json({ goal: progress, contributions: await listContributions(prisma, goal) });
+    } catch (err) {
+      return handleError(res, err, 'Link');
+    }
+  });
+
+  // ── DELETE /api/goals/:id/contributions/:contributionId ─────────────
+  router.delete('/:id/contributions/:contributionId', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const goal = await goalOr404(req, res);
+      if (!goal) return;
+      if (!UUID_RE.test(req.params.contributionId) || !(await removeContribution(prisma, goal, req.params.contributionId))) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      const [progress] = await goalProgress(prisma, userId, [goal]);
+      return res.json({ goal: progress, contributions: await listContributions(prisma, goal) });
+    } catch (err) {
+      return handleError(res, err, 'Unlink');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,175 @@
+/**
+ * Manual Account Routes
+ *
+ * GET    /api/manual-accounts                                — the user's manual accounts with their latest value
+ * POST   /api/manual-accounts                                — create ({ name, kind, currency?, value?, date? }),
+ *                                                               with a first valuation when value is given
+ * PATCH  /api/manual-accounts/:id                            — rename, or change kind or currency
+ * DELETE /api/manual-accounts/:id                            — delete an account and its valuations
+ * GET    /api/manual-accounts/:id/valuations                 — its valuations, newest first
+ * POST   /api/manual-accounts/:id/valuations                 — value it ({ value, date?, note? }); replaces
+ *                                                               that day's valuation if there is one
+ * DELETE /api/manual-accounts/:id/valuations/:valuationId    — delete a valuation
+ *
+ * A liability's value is what is owed, never negative. See
+ * ../manual-accounts.js; /api/net-worth adds these to the bank balances.
+ */
+
+const express = require('express');
+const {
+  InvalidManualAccountError,
+  ACCOUNT_SELECT,
+  VALUATION_SELECT,
+  parseAccountInput,
+  parseValuationInput,
+  saveValuation,
+  listAccounts,
+  toValuationResponse,
+} = require('../manual-accounts');
+const { UUID_RE } = require('../categories');
+
+module.exports = function manualAccountRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidManualAccountError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[ManualAccounts] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  /** The account from :id, or a 404 already sent. */
+  const accountOr404 = async (req, res) => {
+    const account = UUID_RE.test(req.params.id)
+      ? await prisma.manualAccount.findFirst({ where: { id: req.params.id, user_id: req.auth.sub }, select: ACCOUNT_SELECT })
+      : null;
+    if (!account) res.status(404).json({ error: 'not_found' });
+    return account;
+  };
+
+  const accountResponse = async (userId, id) => (await listAccounts(prisma, userId)).find((a) => a.id === id);
+
+  const listValuations = async (accountId) =>
+    (
+      await prisma.manualAccountValuation.findMany({
+        where: { manual_account_id: accountId },
+        orderBy: { value_date: 'desc' },
+        select: VALUATION_SELECT,
+      })
+    ).map(toValuationResponse);
+
+  // ── GET /api/manual-accounts ────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      return res.json({ accounts: await listAccounts(prisma, userId) });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/manual-accounts ───────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseAccountInput(req.body);
+      const hasValue = req.body?.value !== undefined && req.body?.value !== null && req.body?.value !== '';
+      const valuation = hasValue ? parseValuationInput(req.body, data.currency) : null;
+
+      const account = await prisma.$transaction(async (tx) => {
+        const created = await tx.manualAccount.create({ data: { ...data, user_id: userId }, select: ACCOUNT_SELECT });
+        if (valuation) await saveValuation(tx, userId, created.id, valuation);
+        return created;
+      });
+      return res.status(201).json(await accountResponse(userId, account.id));
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── PATCH /api/manual-accounts/:id ──────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const existing = await accountOr404(req, res);
+      if (!existing) return;
+      // Valuations already made keep their currency
+      const data = parseAccountInput(req.body, { partial: true });
+      await prisma.manualAccount.update({ where: { id: existing.id }, data });
+      return res.json(await accountResponse(userId, existing.id));
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/manual-accounts/:id ─────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.manualAccount.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  // ── GET /api/manual-accounts/:id/valuations ─────────────────────────
+  router.get('/:id/valuations', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const account = await accountOr404(req, res);
+      if (!account) return;
+      return res.json({ valuations: await listValuations(account.id) });
+    } catch (err) {
+      return handleError(res, err, 'Valuations');
+    }
+  });
+
+  // ── POST /api/manual-accounts/:id/valuations ────────────────────────
+  router.post('/:id/valuations', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const account = await accountOr404(req, res);
+      if (!account) return;
+      await saveValuation(prisma, userId, account.id, parseValuationInput(req.body, account.currency));
+      return res.json({ account: await accountResponse(userId, account.id), valuations: await listValuations(account.id) });
+    } catch (err) {
+      return handleError(res, err, 'Value');
+    }
+  });
+
+  // ── DELETE /api/manual-accounts/:id/valuations/:valuationId ─────────
+  router.delete('/:id/valuations/:valuationId', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const account = await accountOr404(req, res);
+      if (!account) return;
+      const result = UUID_RE.test(req.params.valuationId)
+        ? await prisma.manualAccountValuation.deleteMany({ where: { id: req.params.valuationId, manual_account_id: account.id } })
+        : { count: 0 };
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      return res.json({ account: await accountResponse(userId, account.id), valuations: await listValuations(account.id) });
+    } catch (err) {
+      return handleError(res, err, 'Unvalue');
+    }
+  });
+
+  return router;
+};
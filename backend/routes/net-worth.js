@@ -0,0 +1,40 @@
+/**
+ * Net Worth Routes
+ *
+ * GET /api/net-worth — assets, liabilities and net worth today, each account's
+ *                      part, and the totals at the end of each of the last
+ *                      ?months= months (default 12, at most 60), in ?currency=
+ *                      (default GBP).
+ *
+ * See ../net-worth.js for what is counted; manual accounts are kept through
+ * /api/manual-accounts.
+ */
+
+const express = require('express');
+const { InvalidNetWorthError, parseNetWorthQuery, buildNetWorth } = require('../net-worth');
+
+module.exports = function netWorthRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidNetWorthError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[NetWorth] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/net-worth ──────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      return res.json(await buildNetWorth(prisma, userId, parseNetWorthQuery(req.query)));
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  return router;
+};
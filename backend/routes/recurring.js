@@ -0,0 +1,136 @@
+/**
+ * Recurring Routes
+ *
+ * GET   /api/recurring         — the user's recurring series (subscriptions, bills), next charge first
+ * POST  /api/recurring/detect  — re-detect series from the user's expenses, then list them
+ * PATCH /api/recurring/:id     — set a series' status ({ status: confirmed | ignored | cancelled | detected })
+ *
+ * GET   /api/recurring/price-changes       — price changes on recurring charges since `from`
+ *                                            (YYYY-MM-DD, default a year ago), newest first
+ * POST  /api/recurring/price-changes/seen  — dismiss changes from the feed ({ ids? }, all when omitted)
+ *
+ * Detection rules are documented in ../recurring.js.
+ */
+
+const express = require('express');
+const {
+  InvalidRecurringError,
+  detectRecurring,
+  parseStatus,
+  toSeriesResponse,
+  toPriceChangeResponse,
+} = require('../recurring');
+const { UUID_RE } = require('../categories');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+module.exports = function recurringRoutes(prisma) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidRecurringError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error(`[Recurring] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  const listSeries = async (userId) => {
+    const rows = await prisma.recurringSeries.findMany({
+      where: { user_id: userId },
+      orderBy: [{ next_expected_date: 'asc' }, { name: 'asc' }],
+    });
+    return rows.map(toSeriesResponse);
+  };
+
+  // ── GET /api/recurring ──────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      return res.json({ series: await listSeries(userId) });
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/recurring/detect ──────────────────────────────────────
+  router.post('/detect', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const result = await detectRecurring(prisma, userId);
+      console.log(`[Recurring] Detected ${result.detected} series for user ${userId} (${result.created} new, ${result.removed} removed)`);
+      return res.json({ ...result, series: await listSeries(userId) });
+    } catch (err) {
+      return handleError(res, err, 'Detect');
+    }
+  });
+
+  // ── GET /api/recurring/price-changes ────────────────────────────────
+  router.get('/price-changes', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { from } = req.query;
+      if (from !== undefined && !DAY_RE.test(String(from))) {
+        throw new InvalidRecurringError('from must be a YYYY-MM-DD date', 'invalid_query');
+      }
+      const rows = await prisma.recurringPriceChange.findMany({
+        where: { user_id: userId, charge_date: { gte: from ? new Date(from) : new Date(Date.now() - YEAR_MS) } },
+        orderBy: [{ charge_date: 'desc' }, { created_at: 'desc' }],
+        include: { series: { select: { name: true, cadence: true } } },
+      });
+      const changes = rows.map(toPriceChangeResponse);
+      return res.json({ changes, unseen: changes.filter((c) => !c.seen).length });
+    } catch (err) {
+      return handleError(res, err, 'Price changes');
+    }
+  });
+
+  // ── POST /api/recurring/price-changes/seen ──────────────────────────
+  router.post('/price-changes/seen', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const { ids } = req.body || {};
+      if (ids !== undefined && !Array.isArray(ids)) {
+        throw new InvalidRecurringError('ids must be an array', 'invalid_payload');
+      }
+      const where = { user_id: userId, seen_at: null };
+      if (ids) where.id = { in: ids.map(String).filter((id) => UUID_RE.test(id)) };
+      const { count } = await prisma.recurringPriceChange.updateMany({ where, data: { seen_at: new Date() } });
+      return res.json({ ok: true, seen: count });
+    } catch (err) {
+      return handleError(res, err, 'Seen');
+    }
+  });
+
+  // ── PATCH /api/recurring/:id ────────────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const status = parseStatus(req.body?.status);
+      const existing = await prisma.recurringSeries.findFirst({ where: { id: req.params.id, user_id: userId } });
+      if (!existing) return res.status(404).json({ error: 'not_found' });
+
+      const row = await prisma.recurringSeries.update({
+        where: { id: existing.id },
+        data: { status, status_changed_at: new Date() },
+      });
+      return res.json(toSeriesResponse(row));
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,131 @@
+/**
+ * Tag Routes
+ *
+ * GET    /api/tags         — list the user's tags with transaction / purchase counts
+ * POST   /api/tags         — create a tag ({ name, color? })
+ * PATCH  /api/tags/:id     — rename or recolour a tag
+ * DELETE /api/tags/:id     — delete a tag (rows just lose it)
+ * POST   /api/tags/assign  — add / remove tags on many rows:
+ *                            { transactionIds?, purchaseIds?, add?: [names], remove?: [names] }
+ *
+ * Name rules are documented in ../tags.js. `onPurchasesChanged(userId)` is called
+ * after purchase tags change so the caller can drop its cached purchase list.
+ */
+
+const express = require('express');
+const {
+  InvalidTagError,
+  parseTagInput,
+  parseTagNames,
+  parseIds,
+  listTags,
+  assignTags,
+} = require('../tags');
+const { UUID_RE } = require('../categories');
+
+module.exports = function tagRoutes(prisma, { onPurchasesChanged = () => {} } = {}) {
+  const router = express.Router();
+
+  const handleError = (res, err, label) => {
+    if (err instanceof InvalidTagError) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'tag_exists', message: 'A tag with that name already exists' });
+    }
+    console.error(`[Tags] ${label} error:`, err.message);
+    return res.status(500).json({ error: 'internal_error', message: err.message });
+  };
+
+  // ── GET /api/tags ───────────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      return res.json(await listTags(prisma, userId));
+    } catch (err) {
+      return handleError(res, err, 'GET');
+    }
+  });
+
+  // ── POST /api/tags ──────────────────────────────────────────────────
+  router.post('/', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const data = parseTagInput(req.body);
+      const tag = await prisma.tag.create({ data: { ...data, user_id: userId } });
+      return res.status(201).json(tag);
+    } catch (err) {
+      return handleError(res, err, 'POST');
+    }
+  });
+
+  // ── POST /api/tags/assign ───────────────────────────────────────────
+  router.post('/assign', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      const body = req.body || {};
+      const transactionIds = parseIds(body.transactionIds, 'transactionIds');
+      const purchaseIds = parseIds(body.purchaseIds, 'purchaseIds');
+      const add = parseTagNames(body.add);
+      const remove = parseTagNames(body.remove);
+      if (transactionIds.length + purchaseIds.length === 0 || add.length + remove.length === 0) {
+        return res.status(400).json({
+          error: 'invalid_payload',
+          message: 'send transactionIds or purchaseIds, and tags to add or remove',
+        });
+      }
+
+      const transactions = await assignTags(prisma, userId, 'transaction', transactionIds, { add, remove });
+      const purchases = await assignTags(prisma, userId, 'purchase', purchaseIds, { add, remove });
+      if (purchases.rows > 0) onPurchasesChanged(userId);
+      return res.json({ ok: true, transactions, purchases });
+    } catch (err) {
+      return handleError(res, err, 'Assign');
+    }
+  });
+
+  // ── PATCH /api/tags/:id ─────────────────────────────────────────────
+  router.patch('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const existing = await prisma.tag.findFirst({ where: { id: req.params.id, user_id: userId } });
+      if (!existing) return res.status(404).json({ error: 'not_found' });
+
+      const tag = await prisma.tag.update({
+        where: { id: existing.id },
+        data: parseTagInput(req.body, { partial: true }),
+      });
+      onPurchasesChanged(userId);
+      return res.json(tag);
+    } catch (err) {
+      return handleError(res, err, 'PATCH');
+    }
+  });
+
+  // ── DELETE /api/tags/:id ────────────────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const userId = req.auth?.sub;
+      if (!userId) return res.status(401).json({ error: 'unauthorized' });
+
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'not_found' });
+      const result = await prisma.tag.deleteMany({ where: { id: req.params.id, user_id: userId } });
+      if (result.count === 0) return res.status(404).json({ error: 'not_found' });
+      onPurchasesChanged(userId);
+      return res.json({ ok: true });
+    } catch (err) {
+      return handleError(res, err, 'DELETE');
+    }
+  });
+
+  return router;
+};
@@ -43,7 +43,8 @@ async function main() {
         id TEXT PRIMARY KEY,
         user_id TEXT NOT NULL,
         type TEXT NOT NULL,
-        amount FLOAT NOT NULL,
+        amount_minor INTEGER NOT NULL,
+        currency TEXT NOT NULL DEFAULT 'GBP',
         date TIMESTAMP NOT NULL,
         category TEXT,
         description TEXT,
@@ -60,22 +61,36 @@ async function main() {
         user_id TEXT NOT NULL,
         name TEXT NOT NULL,
         frequency TEXT NOT NULL,
-        categories TEXT NOT NULL,
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW()
       )
     `;
     console.log("✅ splits table created/verified");
 
+    // Create SplitCategory table (a split's allocation lines)
+    await prisma.$executeRaw`
+      CREATE TABLE IF NOT EXISTS split_categories (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        split_id TEXT NOT NULL REFERENCES splits(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        percent DOUBLE PRECISION NOT NULL DEFAULT 0,
+        amount DOUBLE PRECISION,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `;
+    console.log("✅ split_categories table created/verified");
+
     // Create Purchase table
     await prisma.$executeRaw`
       CREATE TABLE IF NOT EXISTS purchases (
         id TEXT PRIMARY KEY,
         user_id TEXT NOT NULL,
-        split_id TEXT NOT NULL,
-        transaction_id TEXT,
+        split_id TEXT NOT NULL REFERENCES splits(id) ON DELETE CASCADE,
+        transaction_id TEXT REFERENCES transactions(id) ON DELETE SET NULL,
         date TIMESTAMP NOT NULL,
-        amount FLOAT NOT NULL,
+        amount_minor INTEGER NOT NULL,
+        currency TEXT NOT NULL DEFAULT 'GBP',
         category TEXT NOT NULL,
         description TEXT,
         created_at TIMESTAMP DEFAULT NOW()
@@ -88,8 +103,9 @@ async function main() {
       CREATE TABLE IF NOT EXISTS income_settings (
         id TEXT PRIMARY KEY,
         user_id TEXT NOT NULL,
-        split_id TEXT NOT NULL UNIQUE,
-        expected_amount FLOAT DEFAULT 0,
+        split_id TEXT NOT NULL UNIQUE REFERENCES splits(id) ON DELETE CASCADE,
+        expected_amount_minor INTEGER NOT NULL DEFAULT 0,
+        currency TEXT NOT NULL DEFAULT 'GBP',
         frequency TEXT DEFAULT 'monthly',
         next_payday TEXT,
         use_expected_when_no_actual BOOLEAN DEFAULT true,
@@ -125,8 +141,8 @@ async function main() {
         provider_account_id TEXT NOT NULL,
         account_name TEXT,
         currency TEXT,
-        balance FLOAT,
-        available_balance FLOAT,
+        balance_minor INTEGER,
+        available_balance_minor INTEGER,
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW(),
         UNIQUE(user_id, provider, provider_account_id)
@@ -0,0 +1,57 @@
+/**
+ * splits.js — Split allocation lines (SplitCategory rows).
+ *
+ * /api/splits still sends and receives a split's lines as a `categories`
+ * array of { id, name, percent, amount }, the shape the split maker and
+ * SplitEditorModal were built on; these helpers map it to and from rows.
+ */
+
+// Relation arguments for loading a split's lines in order:
+// prisma.split.findMany({ include: { categories: SPLIT_CATEGORIES_QUERY } })
+const SPLIT_CATEGORIES_QUERY = { orderBy: { sort_order: 'asc' } };
+
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Validate a request's `categories` array and map it onto SplitCategory
+ * columns (without split_id). Entries without a name are dropped.
+ * @returns {object[]|null} rows, or null when `categories` isn't an array
+ */
+function parseSplitCategoriesInput(categories) {
+  if (!Array.isArray(categories)) return null;
+  return categories
+    .map((c) => ({
+      name: String(c?.name || '').trim(),
+      percent: toNumberOrNull(c?.percent) ?? 0,
+      amount: toNumberOrNull(c?.amount),
+    }))
+    .filter((c) => c.name)
+    .map((c, i) => ({ ...c, sort_order: i }));
+}
+
+/** SplitCategory rows → the `categories` array /api/splits has always returned. */
+function toSplitCategoriesResponse(rows = []) {
+  return rows.map(({ id, name, percent, amount }) => ({ id, name, percent, amount }));
+}
+
+/**
+ * Replace a split's lines with `rows` (from parseSplitCategoriesInput).
+ * Run inside a transaction so readers never see a half-written split.
+ */
+async function replaceSplitCategories(tx, splitId, rows) {
+  await tx.splitCategory.deleteMany({ where: { split_id: splitId } });
+  if (rows.length) {
+    await tx.splitCategory.createMany({ data: rows.map((r) => ({ ...r, split_id: splitId })) });
+  }
+}
+
+module.exports = {
+  SPLIT_CATEGORIES_QUERY,
+  parseSplitCategoriesInput,
+  toSplitCategoriesResponse,
+  replaceSplitCategories,
+};
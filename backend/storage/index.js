@@ -0,0 +1,34 @@
+/**
+ * Attachment Storage
+ * Where uploaded receipt and document files live.
+ *
+ * Every driver has the same small, S3-shaped interface keyed by an opaque
+ * object key (attachments.js builds keys; drivers never see user input):
+ *
+ *   put(key, buffer, { contentType }) → Promise<void>
+ *   get(key)                          → Promise<Buffer|null>  (null if missing)
+ *   remove(key)                       → Promise<void>         (missing is fine)
+ *
+ * STORAGE_DRIVER picks one:
+ *   local (default) — files under STORAGE_DIR (default backend/uploads)
+ *   s3              — reserved for an S3-compatible driver (bucket, endpoint,
+ *                     credentials from env); not bundled yet
+ */
+
+const path = require('path');
+const createLocalStorage = require('./local');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'uploads');
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ root: process.env.STORAGE_DIR || DEFAULT_DIR });
+    case 's3':
+      throw new Error('STORAGE_DRIVER=s3 is not available yet; add a driver in backend/storage/ implementing put/get/remove');
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local")`);
+  }
+}
+
+module.exports = { createStorage };
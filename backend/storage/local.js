@@ -0,0 +1,50 @@
+/**
+ * Local-filesystem attachment storage (STORAGE_DRIVER=local).
+ * Keys map to files under `root`; a key may contain "/" to nest directories.
+ * Writes go to a temp file first so a crash never leaves half a receipt.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_RE = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/;
+
+module.exports = function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+
+  const resolveKey = (key) => {
+    if (typeof key !== 'string' || !KEY_RE.test(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(base, ...key.split('/'));
+  };
+
+  return {
+    driver: 'local',
+
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      try {
+        await fs.writeFile(tmp, buffer);
+        await fs.rename(tmp, file);
+      } catch (err) {
+        await fs.rm(tmp, { force: true });
+        throw err;
+      }
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,169 @@
+/**
+ * tags.js — Per-user free-form tags on transactions and purchases.
+ *
+ * Unlike categories, a row can carry any number of tags, and tags are linked
+ * by id (transaction_tags / purchase_tags), so renaming one needs no rewrite.
+ * Names are normalised (shared/tags.js) so "Holiday 2026" and "#holiday-2026"
+ * are the same tag.
+ *
+ * The API sends and accepts tags by name; assigning a name the user doesn't
+ * have yet creates the tag.
+ */
+
+const { cleanTagName } = require('../shared/tags.js');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_TAGS_PER_REQUEST = 50;
+const MAX_IDS_PER_REQUEST = 5000;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+class InvalidTagError extends Error {
+  constructor(message, code = 'invalid_tag', status = 400) {
+    super(message);
+    this.name = 'InvalidTagError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** @throws {InvalidTagError} when the name is empty or too long */
+function normalizeTagName(name) {
+  const tag = cleanTagName(name);
+  if (!tag) throw new InvalidTagError('tag names cannot be empty');
+  if (tag.length > MAX_NAME_LENGTH) throw new InvalidTagError(`tag names must be at most ${MAX_NAME_LENGTH} characters`);
+  return tag;
+}
+
+/**
+ * Tag names from an array or a comma-separated string, normalised and de-duplicated.
+ * @returns {string[]}
+ */
+function parseTagNames(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const parts = (Array.isArray(value) ? value : [value]).flatMap((v) => String(v).split(','));
+  const names = [...new Set(parts.filter((p) => p.trim()).map(normalizeTagName))];
+  if (names.length > MAX_TAGS_PER_REQUEST) throw new InvalidTagError(`at most ${MAX_TAGS_PER_REQUEST} tags at a time`);
+  return names;
+}
+
+/**
+ * Validate a create/update payload ({ name, color }).
+ * @throws {InvalidTagError}
+ */
+function parseTagInput(body = {}, { partial = false } = {}) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+  if (!partial || has('name')) data.name = normalizeTagName(body.name);
+  if (!partial || has('color')) {
+    const color = body.color || null;
+    if (color && !COLOR_RE.test(String(color))) throw new InvalidTagError('color must be a hex colour like #A1B2C3');
+    data.color = color ? String(color).toUpperCase() : null;
+  }
+  return data;
+}
+
+function parseIds(value, name) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new InvalidTagError(`${name} must be an array`, 'invalid_payload');
+  if (value.length > MAX_IDS_PER_REQUEST) {
+    throw new InvalidTagError(`${name} can hold at most ${MAX_IDS_PER_REQUEST} ids`, 'invalid_payload');
+  }
+  return [...new Set(value.map(String))];
+}
+
+/** The user's tags with how many transactions and purchases carry each, by name. */
+async function listTags(prisma, userId) {
+  const tags = await prisma.tag.findMany({
+    where: { user_id: userId },
+    orderBy: { name: 'asc' },
+    include: { _count: { select: { transactions: true, purchases: true } } },
+  });
+  return tags.map(({ _count, ...tag }) => ({ ...tag, transaction_count: _count.transactions, purchase_count: _count.purchases }));
+}
+
+/**
+ * Tag rows for `names`, creating the ones the user doesn't have.
+ * @returns {Promise<{ id: string, name: string }[]>}
+ */
+async function ensureTags(prisma, userId, names) {
+  if (names.length === 0) return [];
+  await prisma.tag.createMany({
+    data: names.map((name) => ({ user_id: userId, name })),
+    skipDuplicates: true,
+  });
+  return prisma.tag.findMany({ where: { user_id: userId, name: { in: names } }, select: { id: true, name: true } });
+}
+
+// Link tables by row kind
+const LINKS = {
+  transaction: { owner: 'transaction', link: 'transactionTag', key: 'transaction_id' },
+  purchase: { owner: 'purchase', link: 'purchaseTag', key: 'purchase_id' },
+};
+
+/**
+ * Add and/or remove tags on many of the user's transactions or purchases.
+ * Ids the user doesn't own are ignored.
+ * @param {'transaction'|'purchase'} kind
+ * @returns {Promise<{ rows: number, added: number, removed: number }>}
+ */
+async function assignTags(prisma, userId, kind, ids, { add = [], remove = [] } = {}) {
+  const { owner, link, key } = LINKS[kind];
+  const owned = ids.length
+    ? (await prisma[owner].findMany({ where: { id: { in: ids }, user_id: userId }, select: { id: true } })).map((r) => r.id)
+    : [];
+  if (owned.length === 0) return { rows: 0, added: 0, removed: 0 };
+
+  return prisma.$transaction(async (tx) => {
+    let added = 0;
+    let removed = 0;
+    const addTags = await ensureTags(tx, userId, add);
+    if (addTags.length) {
+      ({ count: added } = await tx[link].createMany({
+        data: owned.flatMap((id) => addTags.map((tag) => ({ [key]: id, tag_id: tag.id }))),
+        skipDuplicates: true,
+      }));
+    }
+    if (remove.length) {
+      ({ count: removed } = await tx[link].deleteMany({
+        where: { [key]: { in: owned }, tag: { user_id: userId, name: { in: remove } } },
+      }));
+    }
+    return { rows: owned.length, added, removed };
+  });
+}
+
+/** Replace the tags on one transaction or purchase (already checked to be the user's). */
+async function setTags(prisma, userId, kind, id, names) {
+  const { link, key } = LINKS[kind];
+  return prisma.$transaction(async (tx) => {
+    const tags = await ensureTags(tx, userId, names);
+    await tx[link].deleteMany({ where: { [key]: id } });
+    if (tags.length) {
+      await tx[link].createMany({ data: tags.map((tag) => ({ [key]: id, tag_id: tag.id })) });
+    }
+    return tags.map((t) => t.name).sort();
+  });
+}
+
+/** Prisma `select` fragment that returns a row's tag names as `tags: [{ tag: { name } }]`. */
+const TAG_NAMES_SELECT = { tags: { select: { tag: { select: { name: true } } } } };
+
+/** `[{ tag: { name } }]` (from TAG_NAMES_SELECT) → sorted names. */
+function tagNames(links = []) {
+  return links.map((l) => l.tag.name).sort();
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  InvalidTagError,
+  normalizeTagName,
+  parseTagNames,
+  parseTagInput,
+  parseIds,
+  listTags,
+  ensureTags,
+  assignTags,
+  setTags,
+  TAG_NAMES_SELECT,
+  tagNames,
+};
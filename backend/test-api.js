@@ -1,11 +1,20 @@
 // Quick test script for the API
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
+// Requires the backend to run with AUTH_DEV_MODE=true so it can issue a test token
 const API_BASE = 'http://localhost:4000';
-const TEST_TOKEN = 'test-user-123';
+const TEST_USER_ID = 'test-user-123';
 
 async function testAPI() {
   try {
+    console.log('Requesting dev access token...');
+    const tokenResponse = await fetch(`${API_BASE}/api/auth/dev/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sub: TEST_USER_ID })
+    });
+    const { access_token: TEST_TOKEN } = await tokenResponse.json();
+
     console.log('Testing health endpoint...');
     const health = await fetch(`${API_BASE}/health`);
     console.log('Health:', await health.json());
@@ -32,7 +41,7 @@ async function testAPI() {
     const getResponse = await fetch(`${API_BASE}/api/transactions`, {
       headers: { 'Authorization': `Bearer ${TEST_TOKEN}` }
     });
-    const transactions = await getResponse.json();
+    const { transactions } = await getResponse.json();
     console.log(`Found ${transactions.length} transaction(s):`, transactions);
 
     console.log('\n✅ API is working correctly!');
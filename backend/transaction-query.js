@@ -0,0 +1,336 @@
+/**
+ * transaction-query.js — Filter parsing and cursor pagination for GET /api/transactions.
+ *
+ * Query params (all optional):
+ *   from, to              — YYYY-MM-DD, inclusive date range
+ *   type                  — income | expense
+ *   category              — comma-separated list (or repeated param)
+ *   tag                   — comma-separated tag names; rows carrying any of them
+ *   source                — bank | manual
+ *   minAmount, maxAmount  — bounds on the (always positive) amount
+ *   q                     — case-insensitive description substring
+ *   unlinked              — true: only rows no purchase links to yet
+ *   unlinkedSplit         — split id: only rows no purchase in that split links to yet
+ *   reportCurrency        — ISO code the summary is converted into (default GBP)
+ *   sort, dir             — date | amount | category | description | type, asc | desc (default date desc)
+ *   limit                 — page size (default 100, max 500)
+ *   cursor                — opaque value returned as `nextCursor` by the previous page
+ *
+ * Date sorts page by keyset on (date, created_at, id), so pages stay stable
+ * while rows are inserted. Other sorts page by offset (ties broken by id).
+ *
+ * Amounts in the query and the summary are major units; the column holds
+ * minor units (amount_minor). Amount filters compare each row in its own
+ * currency; the summary converts foreign rows into `reportCurrency` with the
+ * user's FX rates at each row's date (see fx.js) and counts the rows it could
+ * not convert as `unconverted`.
+ */
+
+const { toMinor, fromMinor, isCurrencyCode, normalizeCurrency } = require('../shared/money.js');
+const { loadFxConverter } = require('./fx');
+const { InvalidTagError, parseTagNames } = require('./tags');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const TRANSACTION_TYPES = ['income', 'expense'];
+const TRANSACTION_SOURCES = ['bank', 'manual'];
+
+const SORT_FIELDS = ['date', 'amount', 'category', 'description', 'type'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const NULLABLE_SORT_FIELDS = ['category', 'description'];
+// Public sort names that map to a differently named column
+const SORT_COLUMNS = { amount: 'amount_minor' };
+
+class InvalidQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidQueryError';
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const parts = Array.isArray(value) ? value : [value];
+  return parts
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function parseDay(value, name) {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+  // Date.UTC rolls 2026-13-01 over into 2027, so check the parts round-trip
+  if (!date || date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) {
+    throw new InvalidQueryError(`${name} must be a YYYY-MM-DD date`);
+  }
+  return date;
+}
+
+function parseAmount(value, name) {
+  if (value === undefined || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new InvalidQueryError(`${name} must be a non-negative number`);
+  return n;
+}
+
+// Cursor payloads: { k: [date, created_at, id] } for keyset pages, { o: offset } otherwise
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(payload?.o) && payload.o >= 0) return { offset: payload.o };
+
+    const [date, createdAt, id] = payload.k;
+    const parsed = { date: new Date(date), created_at: new Date(createdAt), id: String(id) };
+    if (isNaN(parsed.date) || isNaN(parsed.created_at)) throw new Error('bad date');
+    return { key: parsed };
+  } catch {
+    throw new InvalidQueryError('cursor is invalid');
+  }
+}
+
+/**
+ * Validate and normalise the request query.
+ * @throws {InvalidQueryError} on malformed values (respond with 400)
+ */
+function parseTransactionQuery(query = {}) {
+  const types = toList(query.type).map((t) => t.toLowerCase());
+  const badType = types.find((t) => !TRANSACTION_TYPES.includes(t));
+  if (badType) throw new InvalidQueryError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+
+  const sources = toList(query.source).map((s) => s.toLowerCase());
+  const badSource = sources.find((s) => !TRANSACTION_SOURCES.includes(s));
+  if (badSource) throw new InvalidQueryError(`source must be one of: ${TRANSACTION_SOURCES.join(', ')}`);
+
+  const from = parseDay(query.from, 'from');
+  const to = parseDay(query.to, 'to');
+  const minAmount = parseAmount(query.minAmount, 'minAmount');
+  const maxAmount = parseAmount(query.maxAmount, 'maxAmount');
+
+  let unlinked = false;
+  if (query.unlinked !== undefined && query.unlinked !== '') {
+    if (!['true', 'false'].includes(String(query.unlinked))) throw new InvalidQueryError('unlinked must be true or false');
+    unlinked = String(query.unlinked) === 'true';
+  }
+
+  const sort = query.sort ? String(query.sort) : 'date';
+  if (!SORT_FIELDS.includes(sort)) throw new InvalidQueryError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  const dir = query.dir ? String(query.dir).toLowerCase() : 'desc';
+  if (!SORT_DIRECTIONS.includes(dir)) throw new InvalidQueryError('dir must be asc or desc');
+
+  let tags;
+  try {
+    tags = parseTagNames(query.tag);
+  } catch (err) {
+    if (err instanceof InvalidTagError) throw new InvalidQueryError(`tag: ${err.message}`);
+    throw err;
+  }
+
+  if (query.reportCurrency && !isCurrencyCode(query.reportCurrency)) {
+    throw new InvalidQueryError('reportCurrency must be a 3-letter ISO code');
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number.parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) throw new InvalidQueryError('limit must be a positive integer');
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  return {
+    from,
+    to,
+    types,
+    sources,
+    categories: toList(query.category),
+    tags,
+    minAmount,
+    maxAmount,
+    search: query.q ? String(query.q).trim() : '',
+    unlinked,
+    unlinkedSplit: query.unlinkedSplit ? String(query.unlinkedSplit) : null,
+    reportCurrency: normalizeCurrency(query.reportCurrency),
+    sort,
+    dir,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+/** Distinct currencies among a user's transactions. */
+async function listTransactionCurrencies(prisma, userId) {
+  const rows = await prisma.transaction.findMany({
+    where: { user_id: userId },
+    distinct: ['currency'],
+    select: { currency: true },
+  });
+  return rows.map((r) => r.currency);
+}
+
+/**
+ * Prisma condition for amount_minor between major-unit bounds (either may be
+ * null), scaled per currency since the minor-unit exponent differs
+ * (JPY 0, GBP 2, KWD 3).
+ */
+function amountRangeWhere(currencies, min, max) {
+  return {
+    OR: currencies.map((currency) => {
+      const amount_minor = {};
+      if (min !== null && min !== undefined) amount_minor.gte = toMinor(min, currency);
+      if (max !== null && max !== undefined) amount_minor.lte = toMinor(max, currency);
+      return { currency, amount_minor };
+    }),
+  };
+}
+
+/**
+ * Build the Prisma `where` for a user's filtered transaction set
+ * (without the cursor, so it can also feed the summary aggregate).
+ * `currencies` — the user's transaction currencies, needed only for the
+ * amount filters (see listTransactionCurrencies).
+ */
+function buildTransactionWhere(userId, filters, currencies = []) {
+  const where = { user_id: userId };
+
+  if (filters.from || filters.to) {
+    where.date = {};
+    if (filters.from) where.date.gte = filters.from;
+    if (filters.to) where.date.lt = new Date(filters.to.getTime() + 24 * 60 * 60 * 1000);
+  }
+  if (filters.types.length) where.type = { in: filters.types };
+  if (filters.sources.length) where.source = { in: filters.sources };
+  if (filters.categories.length) where.category = { in: filters.categories };
+  if (filters.tags.length) where.tags = { some: { tag: { name: { in: filters.tags } } } };
+  if (filters.minAmount !== null || filters.maxAmount !== null) {
+    Object.assign(where, amountRangeWhere(currencies, filters.minAmount, filters.maxAmount));
+  }
+  if (filters.search) where.description = { contains: filters.search, mode: 'insensitive' };
+  if (filters.unlinked) where.purchases = { none: {} };
+  else if (filters.unlinkedSplit) where.purchases = { none: { split_id: filters.unlinkedSplit } };
+
+  return where;
+}
+
+function buildOrderBy({ sort, dir }) {
+  if (sort === 'date') return [{ date: dir }, { created_at: dir }, { id: dir }];
+  const primary = NULLABLE_SORT_FIELDS.includes(sort) ? { sort: dir, nulls: 'last' } : dir;
+  return [{ [SORT_COLUMNS[sort] || sort]: primary }, { id: dir }];
+}
+
+/** Rows strictly after the keyset cursor in date order. */
+function keysetCondition(key, dir) {
+  const op = dir === 'asc' ? 'gt' : 'lt';
+  return {
+    OR: [
+      { date: { [op]: key.date } },
+      { date: key.date, created_at: { [op]: key.created_at } },
+      { date: key.date, created_at: key.created_at, id: { [op]: key.id } },
+    ],
+  };
+}
+
+/**
+ * Count and sum the filtered set, split by type, in `currency`.
+ * Rows in other currencies are converted one by one at their own date.
+ * @returns {Promise<{count:number, income:number, expense:number, net:number, currency:string, unconverted:number}>}
+ */
+async function summarizeTransactions(prisma, where, currency = normalizeCurrency()) {
+  const groups = await prisma.transaction.groupBy({
+    by: ['type', 'currency'],
+    where,
+    _sum: { amount_minor: true },
+    _count: { _all: true },
+  });
+
+  let count = 0;
+  const totals = { income: 0, expense: 0 };
+  const foreign = new Set();
+  for (const g of groups) {
+    count += g._count._all;
+    if (g.currency !== currency) foreign.add(g.currency);
+    else if (g.type in totals) totals[g.type] += g._sum.amount_minor || 0;
+  }
+
+  let unconverted = 0;
+  if (foreign.size > 0) {
+    const [fx, rows] = await Promise.all([
+      loadFxConverter(prisma, where.user_id, [currency, ...foreign]),
+      prisma.transaction.findMany({
+        where: { AND: [where, { currency: { in: [...foreign] } }] },
+        select: { type: true, amount_minor: true, currency: true, date: true },
+      }),
+    ]);
+    for (const row of rows) {
+      const minor = fx.convertMinor(row.amount_minor, row.currency, currency, row.date);
+      if (minor === null) unconverted++;
+      else if (row.type in totals) totals[row.type] += minor;
+    }
+  }
+
+  const { income, expense } = totals;
+  return {
+    count,
+    income: fromMinor(income, currency),
+    expense: fromMinor(expense, currency),
+    net: fromMinor(income - expense, currency),
+    currency,
+    unconverted,
+  };
+}
+
+/**
+ * Fetch one page of a user's transactions plus the summary for the whole filtered set.
+ * @returns {Promise<{transactions: object[], nextCursor: string|null, summary: object}>}
+ */
+async function queryTransactions(prisma, userId, filters, { select } = {}) {
+  const hasAmountFilter = filters.minAmount !== null || filters.maxAmount !== null;
+  const currencies = hasAmountFilter ? await listTransactionCurrencies(prisma, userId) : [];
+  const where = buildTransactionWhere(userId, filters, currencies);
+  const useKeyset = filters.sort === 'date';
+  const key = useKeyset ? filters.cursor?.key : null;
+  const offset = useKeyset ? 0 : (filters.cursor?.offset || 0);
+
+  const [rows, summary] = await Promise.all([
+    prisma.transaction.findMany({
+      where: key ? { AND: [where, keysetCondition(key, filters.dir)] } : where,
+      orderBy: buildOrderBy(filters),
+      skip: offset || undefined,
+      take: filters.limit + 1, // one extra row tells us whether another page exists
+      select: { ...select, id: true, date: true, created_at: true },
+    }),
+    summarizeTransactions(prisma, where, filters.reportCurrency),
+  ]);
+
+  const hasMore = rows.length > filters.limit;
+  const page = hasMore ? rows.slice(0, filters.limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore && useKeyset) {
+    const last = page[page.length - 1];
+    nextCursor = encodeCursor({
+      k: [new Date(last.date).toISOString(), new Date(last.created_at).toISOString(), last.id],
+    });
+  } else if (hasMore) {
+    nextCursor = encodeCursor({ o: offset + page.length });
+  }
+
+  return { transactions: page, nextCursor, summary };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  InvalidQueryError,
+  parseTransactionQuery,
+  listTransactionCurrencies,
+  amountRangeWhere,
+  buildTransactionWhere,
+  summarizeTransactions,
+  queryTransactions,
+};
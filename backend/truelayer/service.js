@@ -5,6 +5,10 @@
 
 const crypto = require('crypto');
 const client = require('./client');
+const { loadRuleEngine } = require('../categorization');
+const { detectRecurring } = require('../recurring');
+const { recordBalance } = require('../balance-history');
+const { toMinor, normalizeCurrency } = require('../../shared/money.js');
 
 // ── Helpers: pot / internal-transfer detection ─────────────────────────
 
@@ -346,7 +350,7 @@ async function syncAccountsAndTransactions(prisma, userId, { fromDate, toDate }
     throw err;
   }
   
-  // Upsert accounts and fetch balances
+  // Upsert accounts and fetch balances, adding today's to each account's history
   for (const acc of accounts) {
     let balance = null;
     try {
@@ -356,7 +360,7 @@ async function syncAccountsAndTransactions(prisma, userId, { fromDate, toDate }
       console.error(`Failed to fetch balance for account ${acc.account_id}:`, err.message);
     }
     
-    await prisma.bankAccount.upsert({
+    const account = await prisma.bankAccount.upsert({
       where: {
         user_id_provider_provider_account_id: {
           user_id: userId,
@@ -366,20 +370,17 @@ async function syncAccountsAndTransactions(prisma, userId, { fromDate, toDate }
       },
       update: {
         account_name: acc.display_name || acc.account_number?.number || null,
-        currency: acc.currency || balance?.currency || null,
-        balance: balance?.current || null,
-        available_balance: balance?.available || null,
+        ...balanceColumns(acc, balance),
       },
       create: {
         user_id: userId,
         provider: 'truelayer',
         provider_account_id: acc.account_id,
         account_name: acc.display_name || acc.account_number?.number || null,
-        currency: acc.currency || balance?.currency || null,
-        balance: balance?.current || null,
-        available_balance: balance?.available || null,
+        ...balanceColumns(acc, balance),
       },
     });
+    await recordBalance(prisma, account);
   }
 
   // ── Filter: skip pot/savings accounts, detect internal transfers ─────
@@ -394,6 +395,8 @@ async function syncAccountsAndTransactions(prisma, userId, { fromDate, toDate }
   let totalSkipped = 0;
   let totalInternal = 0;
 
+  const ruleEngine = await loadRuleEngine(prisma, userId);
+
   // Fetch and sync transactions for main accounts only
   for (const acc of mainAccounts) {
     try {
@@ -413,7 +416,8 @@ async function syncAccountsAndTransactions(prisma, userId, { fromDate, toDate }
           continue;
         }
 
-        const normalized = normalizeTransaction(tx, userId);
+        // Transactions without their own currency are in the account's
+        const normalized = normalizeTransaction({ currency: acc.currency, ...tx }, userId, ruleEngine);
         
         // Check if transaction already exists
         const existing = await prisma.transaction.findUnique({
@@ -450,6 +454,15 @@ async function syncAccountsAndTransactions(prisma, userId, { fromDate, toDate }
 
   console.log(`[TrueLayer] Sync complete: ${totalInserted} new, ${totalSkipped} existing, ${totalInternal} internal transfers skipped`);
 
+  // New charges can start a recurring series or move its next expected date
+  if (totalInserted > 0) {
+    try {
+      await detectRecurring(prisma, userId);
+    } catch (err) {
+      console.error('[TrueLayer] Recurring detection failed:', err.message);
+    }
+  }
+
   return {
     accounts: accounts.length,
     mainAccounts: mainAccounts.length,
@@ -494,7 +507,7 @@ async function quickSyncLatest(prisma, userId, { limit = 30, daysBack = 60 } = {
       console.error(`Failed to fetch balance for account ${acc.account_id}:`, err.message);
     }
 
-    await prisma.bankAccount.upsert({
+    const account = await prisma.bankAccount.upsert({
       where: {
         user_id_provider_provider_account_id: {
           user_id: userId,
@@ -504,20 +517,17 @@ async function quickSyncLatest(prisma, userId, { limit = 30, daysBack = 60 } = {
       },
       update: {
         account_name: acc.display_name || acc.account_number?.number || null,
-        currency: acc.currency || balance?.currency || null,
-        balance: balance?.current || null,
-        available_balance: balance?.available || null,
+        ...balanceColumns(acc, balance),
       },
       create: {
         user_id: userId,
         provider: 'truelayer',
         provider_account_id: acc.account_id,
         account_name: acc.display_name || acc.account_number?.number || null,
-        currency: acc.currency || balance?.currency || null,
-        balance: balance?.current || null,
-        available_balance: balance?.available || null,
+        ...balanceColumns(acc, balance),
       },
     });
+    await recordBalance(prisma, account);
   }
 
   // Fetch transactions for each account (short window), then take top N overall
@@ -537,7 +547,7 @@ async function quickSyncLatest(prisma, userId, { limit = 30, daysBack = 60 } = {
       });
 
       for (const tx of txs) {
-        allTx.push(tx);
+        allTx.push({ currency: acc.currency, ...tx });
       }
     } catch (err) {
       if (err.message.includes('403')) {
@@ -560,7 +570,8 @@ async function quickSyncLatest(prisma, userId, { limit = 30, daysBack = 60 } = {
   console.log(`[TrueLayer] QUICK: ${allTx.length} raw → ${externalTx.length} after removing internal transfers`);
 
   const latest = externalTx.slice(0, limit);
-  const normalized = latest.map((tx) => normalizeTransaction(tx, userId));
+  const ruleEngine = await loadRuleEngine(prisma, userId);
+  const normalized = latest.map((tx) => normalizeTransaction(tx, userId, ruleEngine));
 
   // Bulk insert (FAST) — relies on id being stable (tl_${transaction_id})
   const beforeCount = normalized.length;
@@ -588,10 +599,26 @@ async function quickSyncLatest(prisma, userId, { limit = 30, daysBack = 60 } = {
 
 
 
+/**
+ * BankAccount currency and balance columns (minor units) from a TrueLayer
+ * account and its balance (null when the balance fetch failed).
+ */
+function balanceColumns(acc, balance) {
+  const currency = normalizeCurrency(acc.currency || balance?.currency);
+  return {
+    currency,
+    balance_minor: toMinor(balance?.current, currency),
+    available_balance_minor: toMinor(balance?.available, currency),
+  };
+}
+
 /**
  * Normalize TrueLayer transaction to our Transaction table format
+ * @param {Object} tx - Raw TrueLayer transaction
+ * @param {string} userId - User ID
+ * @param {Object} ruleEngine - From categorization.loadRuleEngine()
  */
-function normalizeTransaction(tx, userId) {
+function normalizeTransaction(tx, userId, ruleEngine) {
   // TrueLayer transaction IDs are stable
   const id = `tl_${tx.transaction_id}`;
   
@@ -600,6 +627,7 @@ function normalizeTransaction(tx, userId) {
   const rawAmount = parseFloat(tx.amount) || 0;
   const type = rawAmount < 0 ? 'expense' : 'income';
   const amount = Math.abs(rawAmount);
+  const currency = normalizeCurrency(tx.currency);
   
   // Date as Date object for Prisma DateTime
   const date = tx.timestamp
@@ -609,15 +637,18 @@ function normalizeTransaction(tx, userId) {
   // Description from merchant or transaction description
   const description = tx.merchant_name || tx.description || '';
   
-  // Category: TrueLayer provides transaction_category
-  // Map to "Other" for now (could map to our categories later)
-  const category = tx.transaction_category || 'Other';
+  // Category: the user's rules first, then keywords / TrueLayer's transaction_category
+  const { category } = ruleEngine.categorize(
+    { description, amount, type, source: 'bank' },
+    { bankCategory: tx.transaction_category }
+  );
 
   return {
     id,
     user_id: userId,
     type,
-    amount,
+    amount_minor: toMinor(amount, currency),
+    currency,
     date,
     category,
     description,
@@ -655,4 +686,5 @@ module.exports = {
   quickSyncLatest,
   disconnectBank,
   isPotOrSavingsAccount,
+  balanceColumns,
 };
@@ -0,0 +1,103 @@
+/**
+ * fx.js — Currency conversion over a table of FX rates, shared by the backend
+ * and the frontend (see money.js for how both load it).
+ *
+ * A rate row { base, quote, rate, rate_date } means 1 `base` = `rate` `quote`
+ * on that day. For each conversion the converter uses the latest rate on or
+ * before the amount's date (or the earliest rate when the table starts later),
+ * either direct, inverted, or through a base both currencies are quoted in —
+ * ECB tables only quote EUR→X, so GBP→USD goes GBP→EUR→USD.
+ */
+
+import { fromMinor, normalizeCurrency, toMinor } from './money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds at UTC midnight, so '2026-10-19' and a Date on that day compare by day
+function dayValue(date) {
+  if (date === undefined || date === null) return Infinity;
+  const d = date instanceof Date ? date : new Date(date);
+  const t = d.getTime();
+  return Number.isNaN(t) ? Infinity : Math.floor(t / DAY_MS) * DAY_MS;
+}
+
+/**
+ * @param {{ base: string, quote: string, rate: number, rate_date: string|Date }[]} rates
+ * @returns {{
+ *   currencies: string[],
+ *   rate(from: string, to: string, date?: string|Date): number|null,
+ *   convert(amount: number, from: string, to: string, date?: string|Date): number|null,
+ *   convertMinor(minor: number, from: string, to: string, date?: string|Date): number|null
+ * }} conversions return null when no rate links the two currencies
+ */
+export function createFxConverter(rates = []) {
+  const series = new Map(); // 'EUR/USD' → [{ day, rate }] oldest first
+  const quotesByBase = new Map(); // 'EUR' → Set of quote currencies
+
+  for (const row of rates) {
+    const base = normalizeCurrency(row.base, null);
+    const quote = normalizeCurrency(row.quote, null);
+    const rate = Number(row.rate);
+    const day = dayValue(row.rate_date);
+    if (!base || !quote || base === quote || !(rate > 0) || day === Infinity) continue;
+
+    const key = `${base}/${quote}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ day, rate });
+    if (!quotesByBase.has(base)) quotesByBase.set(base, new Set());
+    quotesByBase.get(base).add(quote);
+  }
+  for (const points of series.values()) points.sort((a, b) => a.day - b.day);
+
+  const lookup = (base, quote, day) => {
+    const points = series.get(`${base}/${quote}`);
+    if (!points) return null;
+    // Binary search for the last point on or before `day`
+    let lo = 0;
+    let hi = points.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].day <= day) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return points[found === -1 ? 0 : found].rate;
+  };
+
+  const rate = (from, to, date) => {
+    const a = normalizeCurrency(from);
+    const b = normalizeCurrency(to);
+    if (a === b) return 1;
+    const day = dayValue(date);
+
+    const direct = lookup(a, b, day);
+    if (direct) return direct;
+    const inverse = lookup(b, a, day);
+    if (inverse) return 1 / inverse;
+
+    for (const [base, quotes] of quotesByBase) {
+      const viaFrom = base === a ? 1 : quotes.has(a) && lookup(base, a, day);
+      const viaTo = base === b ? 1 : quotes.has(b) && lookup(base, b, day);
+      if (viaFrom && viaTo) return viaTo / viaFrom;
+    }
+    return null;
+  };
+
+  const convertMinor = (minor, from, to, date) => {
+    const r = rate(from, to, date);
+    if (r === null || minor === null || minor === undefined) return null;
+    if (r === 1 && normalizeCurrency(from) === normalizeCurrency(to)) return Number(minor);
+    return toMinor(fromMinor(minor, from) * r, to);
+  };
+
+  return {
+    currencies: [...new Set([...series.keys()].flatMap((key) => key.split('/')))].sort(),
+    rate,
+    convertMinor,
+    convert: (amount, from, to, date) => fromMinor(convertMinor(toMinor(amount, from), from, to, date), to),
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * money.js — Money arithmetic and formatting shared by the backend and the frontend.
+ *
+ * Amounts are stored as integer minor units (pence for GBP) next to an
+ * ISO 4217 currency code. The API and the UI keep working in major units
+ * (12.34), so convert at those edges with toMinor() / fromMinor(), and add
+ * amounts up with sumMoney() / addMoney(): they go through integers, so
+ * totals don't drift by fractions of a penny the way summing floats does.
+ *
+ * Plain ES module with no dependencies: the frontend imports it directly and
+ * the backend loads it with require() (Node 20.19+).
+ */
+
+export const DEFAULT_CURRENCY = 'GBP';
+
+// ISO 4217 currencies whose minor unit isn't hundredths
+const MINOR_DIGITS = {
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0,
+  PYG: 0, RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+};
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+/** True for a three-letter currency code such as 'GBP' (case-insensitive). */
+export function isCurrencyCode(code) {
+  return typeof code === 'string' && CURRENCY_RE.test(code.trim().toUpperCase());
+}
+
+/** Upper-cased currency code, or `fallback` when `code` isn't one. */
+export function normalizeCurrency(code, fallback = DEFAULT_CURRENCY) {
+  return isCurrencyCode(code) ? code.trim().toUpperCase() : fallback;
+}
+
+/** Number of minor-unit digits for a currency (2 for GBP, 0 for JPY). */
+export function minorDigits(currency = DEFAULT_CURRENCY) {
+  return MINOR_DIGITS[normalizeCurrency(currency)] ?? 2;
+}
+
+/**
+ * Major units → integer minor units, rounding half away from zero.
+ * toMinor(12.345) === 1235, toMinor('1.005') === 101
+ * @returns {number|null} null when `amount` isn't a finite number
+ */
+export function toMinor(amount, currency = DEFAULT_CURRENCY) {
+  if (amount === null || amount === undefined || amount === '') return null;
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return null;
+  // toPrecision trims float noise first: 1.005 * 100 is 100.49999999999999
+  const scaled = Number((Math.abs(n) * 10 ** minorDigits(currency)).toPrecision(15));
+  return Math.sign(n) * Math.round(scaled) || 0;
+}
+
+/**
+ * Integer minor units → major units.
+ * @returns {number|null} null when `minor` is null/undefined
+ */
+export function fromMinor(minor, currency = DEFAULT_CURRENCY) {
+  if (minor === null || minor === undefined) return null;
+  return Number(minor) / 10 ** minorDigits(currency);
+}
+
+/** Sum of major-unit amounts, added as integers. Non-numbers count as 0. */
+export function sumMoney(amounts, currency = DEFAULT_CURRENCY) {
+  let total = 0;
+  for (const amount of amounts) total += toMinor(amount, currency) ?? 0;
+  return fromMinor(total, currency);
+}
+
+/** a + b in major units without float drift. */
+export function addMoney(a, b, currency = DEFAULT_CURRENCY) {
+  return fromMinor((toMinor(a, currency) ?? 0) + (toMinor(b, currency) ?? 0), currency);
+}
+
+/** a − b in major units without float drift. */
+export function subtractMoney(a, b, currency = DEFAULT_CURRENCY) {
+  return fromMinor((toMinor(a, currency) ?? 0) - (toMinor(b, currency) ?? 0), currency);
+}
+
+const formatters = new Map();
+
+function getFormatter(currency, decimals) {
+  const key = `${currency}:${decimals}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat('en-GB', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Format a major-unit amount: formatMoney(1234.5) → '£1,234.50'.
+ * @param {{ decimals?: number, signed?: boolean }} [options]
+ *   decimals — defaults to the currency's minor digits;
+ *   signed — prefix positive amounts with '+'
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, { decimals, signed = false } = {}) {
+  const code = normalizeCurrency(currency);
+  const value = Number(amount) || 0;
+  const text = getFormatter(code, decimals ?? minorDigits(code)).format(value);
+  return signed && value > 0 ? `+${text}` : text;
+}
+
+/** Format integer minor units: formatMinor(123450) → '£1,234.50'. */
+export function formatMinor(minor, currency = DEFAULT_CURRENCY, options) {
+  return formatMoney(fromMinor(minor ?? 0, currency), currency, options);
+}
@@ -0,0 +1,166 @@
+/**
+ * periods.js — Budget period arithmetic on calendar days, shared by the
+ * backend and the frontend (see money.js for how both load it).
+ *
+ * Days are 'YYYY-MM-DD' strings and bounds are inclusive, so the same day
+ * means the same period whatever the caller's time zone.
+ *
+ * A budget period is one of:
+ *   weekly  — Monday to Sunday
+ *   monthly — the calendar month
+ *   payday  — from one payday to the day before the next, stepped from an
+ *             anchor payday (an income setting's next_payday) by its pay
+ *             frequency
+ *
+ * Pay frequencies step the anchor by 7, 14 or 28 days, a month or a year
+ * (on the anchor's date, clamped to short months), or, for
+ * last_working_day, to the last weekday of each month. Bank holidays aren't
+ * known here, so a payday brought forward by one is a day out.
+ */
+
+export const BUDGET_PERIODS = ['weekly', 'monthly', 'payday'];
+
+export const PAY_FREQUENCIES = ['weekly', 'fortnightly', 'four_weekly', 'monthly', 'last_working_day', 'yearly'];
+
+// How many paydays each frequency has in a year
+export const PAY_PERIODS_PER_YEAR = {
+  weekly: 52,
+  fortnightly: 26,
+  four_weekly: 13,
+  monthly: 12,
+  last_working_day: 12,
+  yearly: 1,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest run of pay periods walked from the anchor before giving up
+const MAX_STEPS = 5000;
+
+/** True for a real 'YYYY-MM-DD' date. */
+export function isDay(value) {
+  if (typeof value !== 'string' || !DAY_RE.test(value)) return false;
+  return toDay(new Date(`${value}T00:00:00Z`)) === value;
+}
+
+/** A Date's (UTC) calendar day, or today's local day when called without one. */
+export function toDay(date) {
+  if (date === undefined) {
+    const now = new Date();
+    return toDay(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+  }
+  const d = date instanceof Date ? date : new Date(date);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+const dayMs = (day) => Date.parse(`${day}T00:00:00Z`);
+
+export function addDays(day, n) {
+  return toDay(new Date(dayMs(day) + n * DAY_MS));
+}
+
+/** Whole days from `from` to `to` (negative when `to` is earlier). */
+export function daysBetween(from, to) {
+  return Math.round((dayMs(to) - dayMs(from)) / DAY_MS);
+}
+
+/**
+ * `day` moved by `n` months, on `anchorDate` (default: `day`'s own date)
+ * clamped to the month's length, so the 31st steps to 30 Apr and 28 Feb.
+ */
+export function addMonths(day, n, anchorDate = Number(day.slice(8, 10))) {
+  const [y, m] = day.split('-').map(Number);
+  const first = new Date(Date.UTC(y, m - 1 + n, 1));
+  const lastDate = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(anchorDate, lastDate));
+  return toDay(first);
+}
+
+export function weekBounds(day) {
+  const weekday = new Date(dayMs(day)).getUTCDay();
+  const start = addDays(day, weekday === 0 ? -6 : 1 - weekday); // Monday start
+  return { start, end: addDays(start, 6) };
+}
+
+export function monthBounds(day) {
+  const start = `${day.slice(0, 8)}01`;
+  return { start, end: addDays(addMonths(start, 1), -1) };
+}
+
+/** The last Monday-to-Friday day of `day`'s month. */
+export function lastWorkingDay(day) {
+  const last = monthBounds(day).end;
+  const weekday = new Date(dayMs(last)).getUTCDay();
+  return addDays(last, weekday === 6 ? -1 : weekday === 0 ? -2 : 0);
+}
+
+/**
+ * The payday `n` periods after `anchor`.
+ * @param {string} anchor — a payday
+ * @param {string} frequency — one of PAY_FREQUENCIES
+ */
+function stepPayday(anchor, frequency, n) {
+  const anchorDate = Number(anchor.slice(8, 10));
+  if (frequency === 'weekly') return addDays(anchor, 7 * n);
+  if (frequency === 'fortnightly') return addDays(anchor, 14 * n);
+  if (frequency === 'four_weekly') return addDays(anchor, 28 * n);
+  if (frequency === 'last_working_day') return lastWorkingDay(addMonths(anchor, n, 1));
+  if (frequency === 'yearly') return addMonths(anchor, 12 * n, anchorDate);
+  return addMonths(anchor, n, anchorDate);
+}
+
+/**
+ * The pay period containing `day`: from the last payday on or before it to
+ * the day before the next one. Null without a usable anchor.
+ * @param {string} day
+ * @param {{ next_payday?: string|null, frequency?: string }} payday
+ */
+export function paydayBounds(day, { next_payday: anchor, frequency = 'monthly' } = {}) {
+  if (!isDay(anchor)) return null;
+  const freq = PAY_FREQUENCIES.includes(frequency) ? frequency : 'monthly';
+
+  // Jump close with an estimate, then walk to the period that holds `day`
+  const approxDays = 365.25 / PAY_PERIODS_PER_YEAR[freq];
+  let n = Math.floor(daysBetween(anchor, day) / approxDays);
+  for (let i = 0; i < MAX_STEPS; i++) {
+    const start = stepPayday(anchor, freq, n);
+    const next = stepPayday(anchor, freq, n + 1);
+    if (day < start) n--;
+    else if (day >= next) n++;
+    else return { start, end: addDays(next, -1) };
+  }
+  return null;
+}
+
+/**
+ * Every payday from `from` to `to` (inclusive), oldest first; empty without
+ * a usable anchor.
+ * @param {string} from
+ * @param {string} to
+ * @param {{ next_payday?: string|null, frequency?: string }} payday
+ * @returns {string[]}
+ */
+export function paydaysBetween(from, to, payday) {
+  const days = [];
+  let bounds = paydayBounds(from, payday);
+  if (bounds && bounds.start < from) bounds = paydayBounds(addDays(bounds.end, 1), payday);
+  while (bounds && bounds.start <= to) {
+    days.push(bounds.start);
+    bounds = paydayBounds(addDays(bounds.end, 1), payday);
+  }
+  return days;
+}
+
+/**
+ * Bounds of the `period` (one of BUDGET_PERIODS) that contains `day`.
+ * A payday period needs `payday` ({ next_payday, frequency }); without it
+ * this returns null.
+ * @returns {{ start: string, end: string }|null}
+ */
+export function periodBounds(period, day, payday) {
+  if (period === 'weekly') return weekBounds(day);
+  if (period === 'monthly') return monthBounds(day);
+  if (period === 'payday') return paydayBounds(day, payday);
+  return null;
+}
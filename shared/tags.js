@@ -0,0 +1,17 @@
+/**
+ * tags.js — Tag name rules, shared by the backend and the frontend (see
+ * money.js for how both load it).
+ *
+ * "Holiday 2026", "#holiday-2026" and " holiday  2026 " are the same tag:
+ * names are trimmed, lower-cased, a leading '#' is dropped and whitespace
+ * runs become '-'.
+ */
+
+/**
+ * The stored form of a tag name ('' when nothing is left).
+ * @param {string} name
+ * @returns {string}
+ */
+export function cleanTagName(name) {
+  return String(name ?? '').trim().replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-');
+}
@@ -1,21 +1,24 @@
 import { useEffect } from 'react';
 import { useAuth0 } from '@auth0/auth0-react';
-import { setAuth0User, clearAuth0User } from '../utils/userToken';
+import { setAuth0User, clearAuth0User, setAccessTokenProvider } from '../utils/userToken';
 
 /**
- * AuthSync - Syncs Auth0 user to localStorage for API requests.
- * This ensures all API calls use the Auth0 user ID when logged in.
+ * AuthSync - Syncs Auth0 user to localStorage and registers the access-token
+ * provider so every API call sends the real Auth0 access token.
  * Also clears stale auth data on logout to prevent ghost sessions.
  */
 export default function AuthSync({ children }) {
-  const { user, isAuthenticated, isLoading, error } = useAuth0();
+  const { user, isAuthenticated, isLoading, error, getAccessTokenSilently } = useAuth0();
 
   useEffect(() => {
     if (isLoading) return;
 
     if (isAuthenticated && user) {
-      // User is logged in - store their Auth0 ID
+      // User is logged in - store their Auth0 profile and token provider
       setAuth0User(user);
+      setAccessTokenProvider(() => getAccessTokenSilently({
+        authorizationParams: { audience: import.meta.env.VITE_AUTH0_AUDIENCE },
+      }));
       console.log('[AuthSync] User authenticated:', user.sub);
       console.log('[AuthSync] User email:', user.email || '(not provided)');
     } else if (!isAuthenticated && !isLoading) {
@@ -27,7 +30,7 @@ export default function AuthSync({ children }) {
         console.error('[AuthSync] Auth0 error:', error.message);
       }
     }
-  }, [isAuthenticated, user, isLoading, error]);
+  }, [isAuthenticated, user, isLoading, error, getAccessTokenSilently]);
 
   return children;
 }
@@ -0,0 +1,32 @@
+import React from "react";
+import useAttachmentUrl from "../../hooks/useAttachmentUrl";
+
+// Image types browsers can draw; others (PDF, HEIC) show an icon instead
+const PREVIEWABLE = new Set(["image/jpeg", "image/png", "image/gif", "image/webp"]);
+
+/**
+ * AttachmentThumb — small square preview of an attachment: the image itself,
+ * or 📄 for PDFs and 🖼️ for images the browser can't show.
+ *
+ * Props:
+ *   attachment — { id, filename, content_type }
+ *   size       — edge length in px (default 28)
+ */
+export default function AttachmentThumb({ attachment, size = 28 }) {
+  const previewable = PREVIEWABLE.has(attachment.content_type);
+  const { url, error } = useAttachmentUrl(previewable ? attachment.id : null);
+  const style = { width: size, height: size };
+
+  if (!previewable || error) {
+    return (
+      <span className="attachment-thumb attachment-thumb-icon" style={{ ...style, fontSize: size * 0.6 }} title={attachment.filename}>
+        {attachment.content_type === "application/pdf" ? "📄" : "🖼️"}
+      </span>
+    );
+  }
+  return url ? (
+    <img className="attachment-thumb" style={style} src={url} alt={attachment.filename} title={attachment.filename} />
+  ) : (
+    <span className="attachment-thumb placeholder" style={style} />
+  );
+}
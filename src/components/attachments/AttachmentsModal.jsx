@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import AttachmentThumb from "./AttachmentThumb";
+import { getAttachmentUrl, forgetAttachmentUrl } from "../../hooks/useAttachmentUrl";
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENT_BYTES,
+  uploadAttachment,
+  deleteAttachment,
+} from "../../utils/attachmentsApi";
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * AttachmentsModal — receipts and documents on one transaction or purchase.
+ *
+ * Lists the attachments with previews; files can be opened in a new tab,
+ * deleted, or added (images and PDFs up to 10 MB, several at once).
+ *
+ * Props:
+ *   title       — what the files are attached to (shown in the header)
+ *   owner       — { transactionId } or { purchaseId }
+ *   attachments — the current list ({ id, filename, content_type, size_bytes })
+ *   onChange(attachments) — called with the new list after each upload / delete
+ *   onClose
+ */
+export default function AttachmentsModal({ title, owner, attachments, onChange, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    const tooLarge = files.find((f) => f.size > MAX_ATTACHMENT_BYTES);
+    if (tooLarge) {
+      setError(`${tooLarge.name} is larger than ${formatSize(MAX_ATTACHMENT_BYTES)}.`);
+      return;
+    }
+    setBusy(true);
+    setError("");
+    let next = attachments;
+    try {
+      for (const file of files) {
+        next = [...next, await uploadAttachment(file, owner)];
+        onChange(next);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpen = async (attachment) => {
+    // Open the tab now: browsers block popups opened after an await
+    const tab = window.open("", "_blank");
+    try {
+      const url = await getAttachmentUrl(attachment.id);
+      if (tab) tab.location.href = url;
+    } catch (err) {
+      tab?.close();
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) return;
+    setBusy(true);
+    setError("");
+    try {
+      await deleteAttachment(attachment.id);
+      forgetAttachmentUrl(attachment.id);
+      onChange(attachments.filter((a) => a.id !== attachment.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal d-block" style={{ backgroundColor: "rgba(0,0,0,0.5)" }}>
+      <div className="modal-dialog">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Attachments</h5>
+            <button type="button" className="btn-close" onClick={onClose} />
+          </div>
+          <div className="modal-body">
+            <p className="text-body-secondary mb-3">
+              Receipts and documents for <strong>{title}</strong>.
+            </p>
+
+            {attachments.length === 0 ? (
+              <p className="text-muted small">Nothing attached yet.</p>
+            ) : (
+              <ul className="list-group mb-3">
+                {attachments.map((a) => (
+                  <li key={a.id} className="list-group-item d-flex align-items-center gap-2">
+                    <AttachmentThumb attachment={a} size={40} />
+                    <div className="flex-grow-1 text-truncate">
+                      <div className="text-truncate" title={a.filename}>{a.filename}</div>
+                      <div className="text-muted small">{formatSize(a.size_bytes)}</div>
+                    </div>
+                    <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => handleOpen(a)}>
+                      Open
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-danger"
+                      disabled={busy}
+                      onClick={() => handleDelete(a)}
+                      aria-label={`Delete ${a.filename}`}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <label className={`btn btn-sm btn-outline-primary mb-0 ${busy ? "disabled" : ""}`}>
+              {busy ? "Working…" : "Add files"}
+              <input type="file" accept={ATTACHMENT_ACCEPT} multiple hidden disabled={busy} onChange={handleFiles} />
+            </label>
+            <div className="form-text">Images (JPEG, PNG, GIF, WebP, HEIC) or PDFs, up to {formatSize(MAX_ATTACHMENT_BYTES)} each.</div>
+            {error && <div className="text-danger small mt-2">{error}</div>}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useMemo, useState } from "react";
+import useBalanceHistory from "../../hooks/useBalanceHistory";
+import { useCurrency } from "../../state/useCurrency";
+import LineChart from "../charts/LineChart.jsx";
+import { addDays, toDay } from "../../../shared/periods.js";
+
+const RANGES = [
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+  { days: 365, label: "1 year" },
+];
+
+const formatDay = (iso, options = { day: "numeric", month: "short" }) =>
+  new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, options);
+
+// Daily points → LineChart data, labelled weekly for short ranges and monthly for long ones
+function toChartData(points) {
+  const monthly = points.length > 45;
+  return points.map((p, i) => ({
+    net: p.balance,
+    label: monthly
+      ? p.date.endsWith("-01") ? formatDay(p.date, { month: "short" }) : ""
+      : i % 7 === 0 ? formatDay(p.date) : "",
+  }));
+}
+
+/**
+ * BalanceHistoryCard — a bank account's balance over time, from the balance
+ * recorded on every sync (see backend/balance-history.js). Days without a
+ * sync carry the last recorded balance.
+ */
+export default function BalanceHistoryCard() {
+  const [days, setDays] = useState(90);
+  const [accountId, setAccountId] = useState("");
+  const from = useMemo(() => addDays(toDay(), 1 - days), [days]);
+  const { history, loading, error, reload } = useBalanceHistory(from);
+  const { formatMoney } = useCurrency();
+
+  const accounts = history?.accounts || [];
+  const account = accounts.find((a) => a.id === accountId) || accounts.find((a) => a.id === history?.main_account_id) || accounts[0];
+  const chartData = useMemo(() => toChartData(account?.points || []), [account]);
+
+  if (loading) return null;
+
+  const points = account?.points || [];
+  const money = (amount) => formatMoney(amount, account.currency);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const balances = points.map((p) => p.balance);
+  const change = last && first ? last.balance - first.balance : 0;
+
+  return (
+    <div className="card p-3 mb-3">
+      <div className="d-flex align-items-center justify-content-between flex-wrap gap-2 mb-3">
+        <div>
+          <strong>Balance History</strong>
+          <div className="text-muted small">Recorded on every bank sync</div>
+        </div>
+        <div className="d-flex align-items-center gap-2">
+          {accounts.length > 1 && (
+            <select
+              className="form-select form-select-sm"
+              style={{ width: "auto" }}
+              value={account?.id || ""}
+              onChange={(e) => setAccountId(e.target.value)}
+            >
+              {accounts.map((a) => (
+                <option key={a.id} value={a.id}>
+                  {a.account_name || "Account"}
+                </option>
+              ))}
+            </select>
+          )}
+          <div className="btn-group btn-group-sm">
+            {RANGES.map((r) => (
+              <button
+                key={r.days}
+                className={`btn ${days === r.days ? "btn-primary" : "btn-outline-secondary"}`}
+                onClick={() => setDays(r.days)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <button className="btn btn-sm btn-outline-secondary" title="Refresh" onClick={reload}>
+            ↻
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-danger small mb-2">{error}</div>}
+
+      {!account ? (
+        !error && <div className="text-muted">No balances recorded in this range yet. They are added each time your bank syncs.</div>
+      ) : (
+        <>
+          <div className="row g-2 mb-3">
+            {[
+              ["Latest", money(last.balance), formatDay(last.date)],
+              ["Change", `${change >= 0 ? "+" : "−"}${money(Math.abs(change))}`, `since ${formatDay(first.date)}`],
+              ["Highest", money(Math.max(...balances)), ""],
+              ["Lowest", money(Math.min(...balances)), ""],
+            ].map(([label, value, note], i) => (
+              <div key={label} className="col-6 col-md-3">
+                <div className="p-2 rounded h-100" style={{ backgroundColor: "var(--card-border)", color: "var(--text)" }}>
+                  <div className="text-muted small">{label}</div>
+                  <div className={`h6 mb-0 ${i === 1 ? (change < 0 ? "text-danger" : "text-success") : ""}`}>{value}</div>
+                  {note && <small className="text-muted">{note}</small>}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ width: "100%", height: 160 }}>
+            <LineChart data={chartData} showCumulative={false} showPoints={points.length <= 45} width={600} height={160} />
+          </div>
+
+          {account.first_recorded > from && (
+            <div className="text-muted small mt-2">History starts on {formatDay(account.first_recorded, { day: "numeric", month: "short", year: "numeric" })}.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useState } from "react";
+import useBudgets from "../../hooks/useBudgets";
+import { BUDGET_PERIOD_LABELS, BUDGET_PERIOD_NOUNS } from "../../utils/budgetsApi";
+import { useCategories } from "../../state/useCategories";
+import { useCurrency } from "../../state/useCurrency";
+import { toDay } from "../../../shared/periods.js";
+
+const EMPTY_DRAFT = { category: "", amount: "", period: "monthly", rollover: false, rolloverCap: "" };
+
+// Form fields → the rollover part of a budget payload
+const rolloverFields = ({ rollover, rolloverCap }) => ({
+  rollover,
+  rollover_cap: rollover && rolloverCap !== "" ? Number(rolloverCap) : null,
+});
+
+/**
+ * BudgetManager — spending limits on categories outside any split
+ * (Options → Budgets), counted from the ledger's expense transactions. A
+ * budget on a group covers its subcategories. Budgets on a split's
+ * categories are set from the tracker's summary instead.
+ */
+export default function BudgetManager() {
+  const { budgets, loading, error: loadError, saveBudget, removeBudget } = useBudgets("none", toDay());
+  const { categoryNames } = useCategories();
+  const { reportCurrency, formatMoney } = useCurrency();
+
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // { id, amount, period, rollover, rolloverCap }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!draft.category || !(Number(draft.amount) > 0)) {
+      setError("Pick a category and a limit above zero");
+      return;
+    }
+    const ok = await run(() =>
+      saveBudget({
+        category: draft.category,
+        amount: Number(draft.amount),
+        period: draft.period,
+        currency: reportCurrency,
+        ...rolloverFields(draft),
+      })
+    );
+    if (ok) setDraft(EMPTY_DRAFT);
+  };
+
+  const handleSaveEdit = async () => {
+    const ok = await run(() =>
+      saveBudget({ id: editing.id, amount: Number(editing.amount), period: editing.period, ...rolloverFields(editing) })
+    );
+    if (ok) setEditing(null);
+  };
+
+  const handleDelete = (budget) => {
+    if (!confirm(`Remove the ${budget.category} budget?`)) return;
+    run(() => removeBudget(budget.id));
+  };
+
+  const budgeted = new Set(budgets.map((b) => b.category.toLowerCase()));
+  const available = categoryNames.filter((name) => !budgeted.has(name.toLowerCase()));
+
+  const periodSelect = (value, onChange) => (
+    <select className="form-select form-select-sm" style={{ width: 170 }} value={value} onChange={(e) => onChange(e.target.value)}>
+      {Object.entries(BUDGET_PERIOD_LABELS).map(([key, label]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </select>
+  );
+
+  const rolloverInputs = (value, onChange) => (
+    <>
+      <div className="form-check mb-0">
+        <input
+          id={`rollover-${value.id || "new"}`}
+          type="checkbox"
+          className="form-check-input"
+          checked={value.rollover}
+          onChange={(e) => onChange({ ...value, rollover: e.target.checked })}
+        />
+        <label className="form-check-label small" htmlFor={`rollover-${value.id || "new"}`}>
+          Roll over
+        </label>
+      </div>
+      {value.rollover && (
+        <input
+          type="number"
+          className="form-control form-control-sm"
+          style={{ width: 110 }}
+          placeholder="Cap (none)"
+          min="0"
+          step="0.01"
+          value={value.rolloverCap}
+          onChange={(e) => onChange({ ...value, rolloverCap: e.target.value })}
+        />
+      )}
+    </>
+  );
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label">Add Budget</label>
+        <div className="d-flex flex-wrap gap-2 align-items-center">
+          <select
+            className="form-select form-select-sm"
+            style={{ flex: "1 1 180px" }}
+            value={draft.category}
+            onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+          >
+            <option value="">Category…</option>
+            {available.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            className="form-control form-control-sm"
+            style={{ width: 120 }}
+            placeholder={`Limit (${reportCurrency})`}
+            min="0"
+            step="0.01"
+            value={draft.amount}
+            onChange={(e) => setDraft({ ...draft, amount: e.target.value })}
+          />
+          {periodSelect(draft.period, (period) => setDraft({ ...draft, period }))}
+          {rolloverInputs(draft, setDraft)}
+          <button
+            className="segmented-control__segment segmented-control__segment--active"
+            style={{ borderRadius: 20, padding: "6px 14px", fontSize: "0.85rem" }}
+            type="button"
+            disabled={busy}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+        <div className="form-text">
+          Counts every expense in the category (and its subcategories) from the Transactions ledger. Payday periods
+          follow your most recently saved expected income settings. Rollover carries what's left, or the overspend,
+          into the next period, held to the cap if you set one.
+        </div>
+        {(error || loadError) && <div className="invalid-feedback d-block">{error || loadError}</div>}
+      </div>
+
+      {loading ? (
+        <div className="text-muted small">Loading budgets…</div>
+      ) : budgets.length === 0 ? (
+        <div className="text-muted small">No budgets yet.</div>
+      ) : (
+        budgets.map((b) => (
+          <div key={b.id} className="py-2" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+            <div className="d-flex align-items-center gap-2 flex-wrap">
+              <span className="fw-semibold">{b.category}</span>
+              {editing?.id === b.id ? (
+                <>
+                  <input
+                    type="number"
+                    className="form-control form-control-sm"
+                    style={{ width: 110 }}
+                    min="0"
+                    step="0.01"
+                    value={editing.amount}
+                    autoFocus
+                    onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                  />
+                  {periodSelect(editing.period, (period) => setEditing({ ...editing, period }))}
+                  {rolloverInputs(editing, setEditing)}
+                  <div className="ms-auto d-flex gap-1">
+                    <button className="btn btn-sm btn-primary" disabled={busy || !(Number(editing.amount) > 0)} onClick={handleSaveEdit}>
+                      Save
+                    </button>
+                    <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <span className="text-muted small">
+                    {formatMoney(b.amount, b.currency)} · {BUDGET_PERIOD_LABELS[b.period]}
+                    {b.rollover && ` · rolls over${b.rollover_cap != null ? ` (cap ${formatMoney(b.rollover_cap, b.currency)})` : ""}`}
+                    {b.payday_missing && " (no payday set, using calendar months)"}
+                  </span>
+                  <div className="ms-auto d-flex gap-1">
+                    <button
+                      className="btn btn-sm btn-outline-secondary"
+                      disabled={busy}
+                      onClick={() =>
+                        setEditing({
+                          id: b.id,
+                          amount: String(b.amount),
+                          period: b.period,
+                          rollover: b.rollover,
+                          rolloverCap: b.rollover_cap != null ? String(b.rollover_cap) : "",
+                        })
+                      }
+                    >
+                      Edit
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => handleDelete(b)} title="Remove budget">
+                      ×
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+            <div className="progress mt-1" style={{ height: 6 }}>
+              <div
+                className={`progress-bar ${b.over_budget ? "bg-danger" : b.projected_over ? "bg-warning" : "bg-success"}`}
+                style={{ width: `${Math.min(b.percent_used, 100)}%` }}
+              />
+            </div>
+            <div className={`small mt-1 ${b.over_budget ? "text-danger" : "text-muted"}`}>
+              {formatMoney(b.spent, b.currency)} spent this {BUDGET_PERIOD_NOUNS[b.period]} ({b.period_start} to {b.period_end}) ·{" "}
+              {b.carried_in !== 0 &&
+                `${formatMoney(b.available, b.currency)} available with ${formatMoney(b.carried_in, b.currency)} carried · `}
+              {b.over_budget
+                ? `${formatMoney(-b.remaining, b.currency)} over budget`
+                : `${formatMoney(b.remaining, b.currency)} left`}
+              {" "}· projected {formatMoney(b.projected, b.currency)}
+              {b.unconverted > 0 && ` · ${b.unconverted} in other currencies left out (no FX rate)`}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
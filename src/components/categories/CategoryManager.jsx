@@ -0,0 +1,315 @@
+import React, { useState } from "react";
+import { useCategories } from "../../state/useCategories";
+import { useTransactions } from "../../state/TransactionsContext";
+
+const DEFAULT_COLOR = "#CCCCCC";
+
+/**
+ * CategoryManager — add, group, recolour, archive and delete the user's
+ * categories (Options → Categories). Everything is saved to /api/categories
+ * through CategoriesContext, so changes show up in every view.
+ *
+ * Groups are one level deep: a category can sit under a top-level category,
+ * and a category that has subcategories can't be moved under another.
+ *
+ * Renaming previews how many transactions, purchases, rules and splits use
+ * the name before rewriting them; renaming to an existing name merges.
+ */
+export default function CategoryManager() {
+  const { tree, loading, addCategory, editCategory, removeCategory, renameOrMergeCategory } = useCategories();
+  const { refreshTransactions } = useTransactions();
+
+  const [draft, setDraft] = useState({ name: "", parent_id: "", color: DEFAULT_COLOR, icon: "" });
+  const [editing, setEditing] = useState(null); // { id, parent_id, color, icon }
+  const [renaming, setRenaming] = useState(null); // { id, from, to, preview }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const groups = tree.filter((c) => !c.archived);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const name = draft.name.trim();
+    if (!name) {
+      setError("Category name cannot be empty");
+      return;
+    }
+    const ok = await run(() => addCategory({
+      name,
+      parent_id: draft.parent_id || null,
+      color: draft.color,
+      icon: draft.icon.trim() || null,
+    }));
+    if (ok) setDraft({ name: "", parent_id: draft.parent_id, color: DEFAULT_COLOR, icon: "" });
+  };
+
+  const handleSaveEdit = async () => {
+    const { id, parent_id, color, icon } = editing;
+    const ok = await run(() => editCategory(id, { parent_id: parent_id || null, color, icon: icon.trim() || null }));
+    if (ok) setEditing(null);
+  };
+
+  const handlePreviewRename = () => run(async () => {
+    const preview = await renameOrMergeCategory(renaming.from, renaming.to.trim());
+    setRenaming((r) => r && { ...r, preview });
+  });
+
+  const handleApplyRename = async () => {
+    const ok = await run(() => renameOrMergeCategory(renaming.from, renaming.preview.to, { apply: true }));
+    if (ok) {
+      setRenaming(null);
+      refreshTransactions?.();
+    }
+  };
+
+  const renderRenamePanel = (isChild) => {
+    const { preview } = renaming;
+    const c = preview?.counts;
+    return (
+      <div
+        className="py-2 px-3 mb-2"
+        style={{ marginLeft: isChild ? 28 : 0, background: "rgba(13,110,253,0.05)", borderRadius: 8 }}
+      >
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          <span className="small">Rename “{renaming.from}” to</span>
+          <input
+            type="text"
+            className="form-control form-control-sm"
+            style={{ width: 200 }}
+            value={renaming.to}
+            autoFocus
+            onChange={(e) => setRenaming({ ...renaming, to: e.target.value, preview: null })}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && renaming.to.trim()) handlePreviewRename();
+              if (e.key === "Escape") setRenaming(null);
+            }}
+          />
+          <button
+            className="btn btn-sm btn-outline-primary"
+            disabled={busy || !renaming.to.trim()}
+            onClick={handlePreviewRename}
+          >
+            Preview
+          </button>
+          <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setRenaming(null)}>
+            Cancel
+          </button>
+        </div>
+        {error && <div className="text-danger small mt-1">{error}</div>}
+        {preview && (
+          <div className="small mt-2">
+            {preview.merge
+              ? <>Merges into the existing category <strong>{preview.to}</strong>. </>
+              : <>Renames to <strong>{preview.to}</strong>. </>}
+            Updates {c.transactions} transactions, {c.lineItems} line items, {c.purchases} tracker purchases, {c.rules} rules,
+            {c.budgets} budgets and {c.splits} splits{preview.splits.length > 0 && ` (${preview.splits.map((sp) => sp.name).join(", ")})`}.
+            <button className="btn btn-sm btn-primary ms-2" disabled={busy} onClick={handleApplyRename}>
+              {preview.merge ? "Merge" : "Rename"}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const handleDelete = (category) => {
+    const note = category.children?.length
+      ? ` Its ${category.children.length} subcategories will move to the top level.`
+      : "";
+    if (!confirm(`Delete "${category.name}"? Transactions keep their category name.${note}`)) return;
+    run(() => removeCategory(category.id));
+  };
+
+  const renderRow = (category, isChild) => {
+    const isEditing = editing?.id === category.id;
+    const hasChildren = category.children?.length > 0;
+
+    return (
+      <React.Fragment key={category.id}>
+        <div
+          className="d-flex align-items-center gap-2 py-2"
+          style={{
+            paddingLeft: isChild ? 28 : 0,
+            borderBottom: "1px solid rgba(0,0,0,0.05)",
+            opacity: category.archived ? 0.55 : 1,
+          }}
+        >
+          {isEditing ? (
+            <>
+              <input
+                type="color"
+                className="form-control form-control-color form-control-sm"
+                value={editing.color}
+                onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                title="Colour"
+              />
+              <input
+                type="text"
+                className="form-control form-control-sm"
+                style={{ width: 56 }}
+                value={editing.icon}
+                maxLength={8}
+                onChange={(e) => setEditing({ ...editing, icon: e.target.value })}
+                placeholder="Icon"
+              />
+              <span className="fw-semibold">{category.name}</span>
+              <select
+                className="form-select form-select-sm"
+                style={{ width: 160 }}
+                value={editing.parent_id}
+                disabled={hasChildren}
+                onChange={(e) => setEditing({ ...editing, parent_id: e.target.value })}
+                title={hasChildren ? "Move its subcategories first" : "Group"}
+              >
+                <option value="">No group</option>
+                {groups.filter((g) => g.id !== category.id).map((g) => (
+                  <option key={g.id} value={g.id}>{g.name}</option>
+                ))}
+              </select>
+              <div className="ms-auto d-flex gap-1">
+                <button className="btn btn-sm btn-primary" disabled={busy} onClick={handleSaveEdit}>Save</button>
+                <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setEditing(null)}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <>
+              <span
+                style={{ width: 14, height: 14, borderRadius: "50%", background: category.color || DEFAULT_COLOR, flexShrink: 0 }}
+              />
+              <span style={{ width: 22, textAlign: "center" }}>{category.icon}</span>
+              <span className={isChild ? "" : "fw-semibold"}>{category.name}</span>
+              {category.archived && <span className="badge bg-secondary">Archived</span>}
+              <div className="ms-auto d-flex gap-1">
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  disabled={busy}
+                  onClick={() => setEditing({
+                    id: category.id,
+                    parent_id: category.parent_id || "",
+                    color: category.color || DEFAULT_COLOR,
+                    icon: category.icon || "",
+                  })}
+                >
+                  Edit
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  disabled={busy}
+                  onClick={() => setRenaming({ id: category.id, from: category.name, to: category.name, preview: null })}
+                  title="Rename, or merge into another category"
+                >
+                  Rename
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  disabled={busy}
+                  onClick={() => run(() => editCategory(category.id, { archived: !category.archived }))}
+                  title={category.archived ? "Show in pickers again" : "Hide from pickers; existing transactions keep it"}
+                >
+                  {category.archived ? "Unarchive" : "Archive"}
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-danger"
+                  disabled={busy}
+                  onClick={() => handleDelete(category)}
+                  title="Delete category"
+                >
+                  ×
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+        {renaming?.id === category.id && renderRenamePanel(isChild)}
+      </React.Fragment>
+    );
+  };
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label">Add Category</label>
+        <div className="d-flex flex-wrap gap-2">
+          <input
+            type="text"
+            className="form-control"
+            style={{ flex: "1 1 200px" }}
+            placeholder="e.g., Home Improvement"
+            value={draft.name}
+            onChange={(e) => {
+              setDraft({ ...draft, name: e.target.value });
+              setError("");
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleAdd();
+            }}
+          />
+          <select
+            className="form-select"
+            style={{ width: 170 }}
+            value={draft.parent_id}
+            onChange={(e) => setDraft({ ...draft, parent_id: e.target.value })}
+            aria-label="Group"
+          >
+            <option value="">No group</option>
+            {groups.map((g) => (
+              <option key={g.id} value={g.id}>Under {g.name}</option>
+            ))}
+          </select>
+          <input
+            type="color"
+            className="form-control form-control-color"
+            value={draft.color}
+            onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+            title="Colour"
+          />
+          <input
+            type="text"
+            className="form-control"
+            style={{ width: 70 }}
+            placeholder="Icon"
+            maxLength={8}
+            value={draft.icon}
+            onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+          />
+          <button
+            className="segmented-control__segment segmented-control__segment--active"
+            style={{ borderRadius: 20, padding: "6px 14px", fontSize: "0.85rem" }}
+            type="button"
+            disabled={busy}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+        {error && !renaming && <div className="invalid-feedback d-block">{error}</div>}
+      </div>
+
+      {loading ? (
+        <div className="text-muted small">Loading categories…</div>
+      ) : (
+        <div style={{ maxHeight: 480, overflowY: "auto" }}>
+          {tree.map((group) => (
+            <React.Fragment key={group.id}>
+              {renderRow(group, false)}
+              {group.children.map((child) => renderRow(child, true))}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
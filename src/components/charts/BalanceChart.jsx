@@ -0,0 +1,52 @@
+// src/components/charts/BalanceChart.jsx
+import React, { useMemo } from "react";
+
+/**
+ * BalanceChart — a balance over time, with the zero line, days below zero
+ * in red and one day (e.g. the lowest balance) marked.
+ *
+ * @param {{ points: { date: string, balance: number }[], markedDate?: string, width?: number, height?: number }} props
+ *   dates are YYYY-MM-DD; the month is labelled on the first of each month
+ */
+export default function BalanceChart({ points = [], markedDate, width = 600, height = 180 }) {
+  const values = useMemo(() => points.map((p) => Number(p.balance) || 0), [points]);
+  if (!points.length) return null;
+
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  const range = max - min || 1;
+
+  const pad = { l: 12, r: 12, t: 12, b: 24 };
+  const w = width - pad.l - pad.r;
+  const h = height - pad.t - pad.b;
+
+  const x = (i) => (i / Math.max(1, points.length - 1)) * w + pad.l;
+  const y = (v) => ((max - v) / range) * h + pad.t;
+  const zeroY = y(0);
+
+  const d = values.map((v, i) => `${i === 0 ? "M" : "L"}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  const marked = points.findIndex((p) => p.date === markedDate);
+
+  return (
+    <svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: "block" }}>
+      <line x1={pad.l} x2={width - pad.r} y1={zeroY} y2={zeroY} stroke="#adb5bd" strokeDasharray="4 3" />
+
+      {points.map((p, i) =>
+        p.date.endsWith("-01") ? (
+          <text key={p.date} x={x(i)} y={height - 6} fontSize={11} textAnchor="middle" fill="#666">
+            {new Date(`${p.date}T00:00:00`).toLocaleDateString(undefined, { month: "short" })}
+          </text>
+        ) : null
+      )}
+
+      <path d={`${d} L ${x(points.length - 1)},${zeroY} L ${pad.l},${zeroY} Z`} fill="rgba(13,110,253,0.08)" />
+      <path d={d} fill="none" stroke="#0d6efd" strokeWidth={2} />
+
+      {values.map((v, i) => (v < 0 ? <circle key={i} cx={x(i)} cy={y(v)} r={2.5} fill="#dc3545" /> : null))}
+
+      {marked >= 0 && (
+        <circle cx={x(marked)} cy={y(values[marked])} r={5} fill="#fff" stroke="#dc3545" strokeWidth={2} />
+      )}
+    </svg>
+  );
+}
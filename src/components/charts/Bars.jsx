@@ -1,7 +1,9 @@
 // src/components/charts/Bars.jsx
 import React from "react";
+import { useCurrency } from "../../state/useCurrency";
 
 export default function Bars({ items = [], width = 700, height = 220 }) {
+  const { formatMoney } = useCurrency();
   if (!items.length) return null;
 
   const pad = { l: 12, r: 12, t: 20, b: 60 };
@@ -30,7 +32,7 @@ export default function Bars({ items = [], width = 700, height = 220 }) {
 
         return (
           <g key={idx}>
-            <rect x={x} y={y} width={bw} height={barH} fill="#0d6efd" rx={6} />
+            <rect x={x} y={y} width={bw} height={barH} fill={it.color || "#0d6efd"} rx={6} />
             <text
               x={x + bw / 2}
               y={pad.t + h + 10}
@@ -49,7 +51,7 @@ export default function Bars({ items = [], width = 700, height = 220 }) {
               fill="#333"
               textAnchor="middle"
             >
-              £{amt.toFixed(0)}
+              {formatMoney(amt, undefined, { decimals: 0 })}
             </text>
           </g>
         );
@@ -1,7 +1,10 @@
 // src/components/charts/Donut.jsx
 import React from "react";
+import { subtractMoney } from "../../../shared/money.js";
+import { useCurrency } from "../../state/useCurrency";
 
 export default function Donut({ income, expense, size = 160, thickness = 22 }) {
+  const { reportCurrency, formatMoney } = useCurrency();
   const total = income + expense || 1;
   const radius = (size - thickness) / 2;
   const circ = 2 * Math.PI * radius;
@@ -40,7 +43,7 @@ export default function Donut({ income, expense, size = 160, thickness = 22 }) {
             fontSize="14"
             fontWeight={600}
           >
-            £{Math.abs(income - expense).toFixed(2)}
+            {formatMoney(Math.abs(subtractMoney(income, expense, reportCurrency)))}
           </text>
           <text x="0" y="22" textAnchor="middle" fontSize="11" fill="#666">
             Net
@@ -48,7 +51,7 @@ export default function Donut({ income, expense, size = 160, thickness = 22 }) {
         </g>
       </svg>
       <div className="small text-muted">
-        Income £{Number(income || 0).toFixed(2)} · Expense £{Number(expense || 0).toFixed(2)}
+        Income {formatMoney(income)} · Expense {formatMoney(expense)}
       </div>
     </div>
   );
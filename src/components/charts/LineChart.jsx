@@ -6,6 +6,7 @@ export default function LineChart({
   showCumulative = true,
   width = 600,
   height = 160,
+  showPoints = true, // off for long daily series
 }) {
   const values = useMemo(
     () => (data || []).map((d) => Number(showCumulative ? d.cum : d.net) || 0),
@@ -73,7 +74,7 @@ export default function LineChart({
       />
       <path d={d} fill="none" stroke="#1c7d3a" strokeWidth={2} />
 
-      {pts.map((p, i) => (
+      {showPoints && pts.map((p, i) => (
         <circle
           key={i}
           cx={p[0]}
@@ -0,0 +1,50 @@
+// src/components/charts/NetWorthChart.jsx
+import React from "react";
+
+/**
+ * NetWorthChart — assets above the zero line and liabilities below it for
+ * each point in time, with net worth drawn through them.
+ *
+ * @param {{ points: { date: string, assets: number, liabilities: number, net_worth: number }[],
+ *   width?: number, height?: number }} props — dates are YYYY-MM-DD, labelled by month
+ */
+export default function NetWorthChart({ points = [], width = 600, height = 200 }) {
+  if (!points.length) return null;
+
+  const max = Math.max(...points.map((p) => Math.max(p.assets, p.net_worth)), 1);
+  const min = Math.min(...points.map((p) => Math.min(-p.liabilities, p.net_worth)), 0);
+  const range = max - min || 1;
+
+  const pad = { l: 12, r: 12, t: 12, b: 24 };
+  const w = width - pad.l - pad.r;
+  const h = height - pad.t - pad.b;
+
+  const slot = w / points.length;
+  const bw = Math.min(28, slot * 0.6);
+  const cx = (i) => pad.l + slot * (i + 0.5);
+  const y = (v) => ((max - v) / range) * h + pad.t;
+  const zeroY = y(0);
+
+  const d = points.map((p, i) => `${i === 0 ? "M" : "L"}${cx(i).toFixed(1)},${y(p.net_worth).toFixed(1)}`).join(" ");
+
+  return (
+    <svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: "block" }}>
+      {points.map((p, i) => (
+        <g key={p.date}>
+          <rect x={cx(i) - bw / 2} y={y(p.assets)} width={bw} height={zeroY - y(p.assets)} fill="rgba(28,125,58,0.55)" rx={3} />
+          <rect x={cx(i) - bw / 2} y={zeroY} width={bw} height={y(-p.liabilities) - zeroY} fill="rgba(220,53,69,0.55)" rx={3} />
+          <text x={cx(i)} y={height - 6} fontSize={11} textAnchor="middle" fill="#666">
+            {new Date(`${p.date}T00:00:00`).toLocaleDateString(undefined, { month: "short" })}
+          </text>
+        </g>
+      ))}
+
+      <line x1={pad.l} x2={width - pad.r} y1={zeroY} y2={zeroY} stroke="#adb5bd" strokeDasharray="4 3" />
+
+      <path d={d} fill="none" stroke="#0d6efd" strokeWidth={2} />
+      {points.map((p, i) => (
+        <circle key={p.date} cx={cx(i)} cy={y(p.net_worth)} r={3} fill="#fff" stroke="#0d6efd" strokeWidth={1.5} />
+      ))}
+    </svg>
+  );
+}
@@ -2,7 +2,10 @@ import { useState, useRef } from "react";
 import * as pdfjsLib from 'pdfjs-dist';
 import { useTransactions } from "../state/TransactionsContext";
 import { parsePDFText } from "../utils/bankParsers";
-import { TRANSACTION_CATEGORIES, suggestCategory } from "../utils/categories";
+import { suggestCategory } from "../utils/categories";
+import { useCategories } from "../state/useCategories";
+import { suggestCategories } from "../utils/categoryRulesApi";
+import { addMoney, formatMoney, subtractMoney } from "../../shared/money.js";
 
 // Configure PDF.js worker - use local ES module served from public/
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdf.worker.min.mjs';
@@ -18,6 +21,19 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
   const pdfInputRef = useRef(null);
 
   const { bulkAddTransactions } = useTransactions();
+  const { categoryNames } = useCategories();
+
+  // Pre-fill categories from the server's rule engine (the user's category
+  // rules + built-in keywords). Falls back to local keywords when offline.
+  const withSuggestedCategories = async (parsed) => {
+    try {
+      const categories = await suggestCategories(parsed);
+      return parsed.map((t, i) => ({ ...t, category: categories[i] || 'Other' }));
+    } catch (err) {
+      console.warn('Category suggestions unavailable, using local keywords:', err.message);
+      return parsed.map(t => ({ ...t, category: suggestCategory(t.description) }));
+    }
+  };
 
   const dedupeById = (items = []) => {
     const seen = new Set();
@@ -65,13 +81,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
         return;
       }
 
-      // Add auto-suggested categories to each transaction
-      const transactionsWithCategories = parsed.map(t => ({
-        ...t,
-        category: suggestCategory(t.description)
-      }));
-
-      setUploadedTransactions(transactionsWithCategories);
+      setUploadedTransactions(await withSuggestedCategories(parsed));
       setCategoryEdits({}); // Reset category edits
       e.target.value = "";
     } catch (error) {
@@ -88,7 +98,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
 
     const reader = new FileReader();
 
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
       try {
         const text = String(event.target?.result ?? "");
         const lines = text.split(/\r?\n/).filter(line => line.trim());
@@ -160,13 +170,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
           return;
         }
 
-        // Add auto-suggested categories to each transaction
-        const transactionsWithCategories = parsed.map(t => ({
-          ...t,
-          category: suggestCategory(t.description)
-        }));
-
-        setUploadedTransactions(transactionsWithCategories);
+        setUploadedTransactions(await withSuggestedCategories(parsed));
         setCategoryEdits({}); // Reset category edits
       } catch (err) {
         console.error('Error parsing CSV:', err);
@@ -182,7 +186,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
 
   const calculateBalance = () => {
     return uploadedTransactions.reduce((acc, t) => {
-      return t.type === "income" ? acc + t.amount : acc - t.amount;
+      return t.type === "income" ? addMoney(acc, t.amount) : subtractMoney(acc, t.amount);
     }, 0);
   };
 
@@ -229,7 +233,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
             <div className="d-flex align-items-center justify-content-between mb-1">
               <span className="text-muted" style={{ fontSize: '0.75rem' }}>{uploadedTransactions.length} transactions</span>
               <span className={`${calculateBalance() < 0 ? "text-danger" : "text-success"}`} style={{ fontSize: '0.8rem' }}>
-                {calculateBalance() < 0 ? "−" : "+"}£{Math.abs(calculateBalance()).toFixed(2)}
+                {calculateBalance() < 0 ? "−" : "+"}{formatMoney(Math.abs(calculateBalance()))}
               </span>
             </div>
             <div style={{ maxHeight: 150, overflowY: 'auto', fontSize: '0.75rem' }}>
@@ -238,7 +242,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
                 return (
                   <div key={t.id} className="d-flex align-items-center gap-1 py-1" style={{ borderBottom: '1px solid rgba(0,0,0,0.05)' }}>
                     <span className={t.type === "income" ? "text-success" : "text-danger"} style={{ minWidth: '60px' }}>
-                      {t.type === "income" ? "+" : "−"}£{t.amount.toFixed(2)}
+                      {t.type === "income" ? "+" : "−"}{formatMoney(t.amount, t.currency)}
                     </span>
                     <select
                       className="form-select form-select-sm"
@@ -246,7 +250,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
                       value={currentCategory}
                       onChange={(e) => setCategoryEdits({ ...categoryEdits, [t.id]: e.target.value })}
                     >
-                      {TRANSACTION_CATEGORIES.map((cat) => (
+                      {categoryNames.map((cat) => (
                         <option key={cat} value={cat}>{cat}</option>
                       ))}
                     </select>
@@ -266,7 +270,8 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
                 try {
                   const transactionsWithUpdatedCategories = uploadedTransactions.map(t => ({
                     ...t,
-                    category: categoryEdits[t.id] || t.category || 'Other'
+                    category: categoryEdits[t.id] || t.category || 'Other',
+                    category_manual: Boolean(categoryEdits[t.id])
                   }));
                   const deduped = dedupeById(transactionsWithUpdatedCategories);
                   if (onSave) {
@@ -367,7 +372,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
               <div className="text-end">
                 <div className="text-muted small">Net Impact</div>
                 <div className={`h5 mb-0 ${calculateBalance() < 0 ? "text-danger" : "text-success"}`}>
-                  {calculateBalance() < 0 ? "-" : "+"}£{Math.abs(calculateBalance()).toFixed(2)}
+                  {calculateBalance() < 0 ? "-" : "+"}{formatMoney(Math.abs(calculateBalance()))}
                 </div>
               </div>
             </div>
@@ -382,7 +387,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
                         <div style={{ flex: 1 }}>
                           <div className="d-flex align-items-center gap-2 mb-2">
                             <span className={t.type === "income" ? "text-success fw-semibold" : "text-danger fw-semibold"}>
-                              {t.type === "income" ? "+ " : "− "}£{t.amount.toFixed(2)}
+                              {t.type === "income" ? "+ " : "− "}{formatMoney(t.amount, t.currency)}
                             </span>
                             <select
                               className="form-select form-select-sm"
@@ -390,7 +395,7 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
                               value={currentCategory}
                               onChange={(e) => setCategoryEdits({ ...categoryEdits, [t.id]: e.target.value })}
                             >
-                              {TRANSACTION_CATEGORIES.map((cat) => (
+                              {categoryNames.map((cat) => (
                                 <option key={cat} value={cat}>{cat}</option>
                               ))}
                             </select>
@@ -426,7 +431,8 @@ export default function CsvPdfUpload({ onSave, onClose, compact = false }) {
                   try {
                     const transactionsWithUpdatedCategories = uploadedTransactions.map(t => ({
                       ...t,
-                      category: categoryEdits[t.id] || t.category || 'Other'
+                      category: categoryEdits[t.id] || t.category || 'Other',
+                      category_manual: Boolean(categoryEdits[t.id])
                     }));
 
                     const deduped = dedupeById(transactionsWithUpdatedCategories);
@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { useCurrency } from "../../state/useCurrency";
+import { useTransactions } from "../../state/TransactionsContext";
+
+const CURRENCY_OPTIONS = [
+  { code: "GBP", symbol: "£", name: "British Pound" },
+  { code: "USD", symbol: "$", name: "US Dollar" },
+  { code: "EUR", symbol: "€", name: "Euro" },
+  { code: "JPY", symbol: "¥", name: "Japanese Yen" },
+  { code: "CAD", symbol: "C$", name: "Canadian Dollar" },
+  { code: "AUD", symbol: "A$", name: "Australian Dollar" },
+];
+
+/**
+ * CurrencySettings — reporting currency picker and FX rate table import
+ * (Options → Currency). Totals everywhere are converted into the reporting
+ * currency with the imported rates; see CurrencyContext.
+ *
+ * Accepts the ECB reference-rate files (eurofxref XML or CSV, daily or
+ * historical) or a CSV with date,base,quote,rate columns.
+ */
+export default function CurrencySettings() {
+  const { reportCurrency, setReportCurrency, currencies, pairs, missingRates, importRates, clearRates } = useCurrency();
+  const { refreshTransactions } = useTransactions();
+
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  // The user's own currencies are always offered, even if not in the short list
+  const options = [
+    ...CURRENCY_OPTIONS,
+    ...currencies
+      .filter((code) => !CURRENCY_OPTIONS.some((c) => c.code === code))
+      .map((code) => ({ code, symbol: code, name: code })),
+  ];
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage("");
+    setError("");
+    try {
+      setMessage(await action());
+      // Server summaries were converted with the old table
+      await refreshTransactions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    run(async () => {
+      const result = await importRates(await file.text());
+      return `Imported ${result.imported.toLocaleString()} rates for ${result.currencies.join(", ")} (${result.from} to ${result.to}).`;
+    });
+  };
+
+  const handleClear = () => {
+    if (!window.confirm("Delete every imported FX rate?")) return;
+    run(async () => {
+      const { deleted } = await clearRates();
+      return `Deleted ${deleted.toLocaleString()} rates.`;
+    });
+  };
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label fw-semibold" htmlFor="reportCurrency">Reporting currency</label>
+        <select
+          id="reportCurrency"
+          className="form-select"
+          style={{ maxWidth: 280 }}
+          value={reportCurrency}
+          onChange={(e) => setReportCurrency(e.target.value)}
+        >
+          {options.map((c) => (
+            <option key={c.code} value={c.code}>
+              {c.symbol} {c.code} — {c.name}
+            </option>
+          ))}
+        </select>
+        <div className="form-text">
+          Totals, charts and insights are shown in this currency. Each transaction keeps its own.
+        </div>
+      </div>
+
+      {missingRates.length > 0 && (
+        <div className="alert alert-warning py-2 small">
+          No rate converts {missingRates.join(", ")} to {reportCurrency} yet, so those amounts are left out of
+          totals. Import a rate file that covers them.
+        </div>
+      )}
+
+      <h6 className="fw-semibold">FX rates</h6>
+      <p className="text-muted small mb-2">
+        Upload the ECB reference rates (eurofxref XML or CSV, daily or historical) or a CSV with
+        <code> date,base,quote,rate</code> columns. Each amount is converted at the latest rate on or before its date.
+      </p>
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <label className={`btn btn-sm btn-outline-primary mb-0 ${busy ? "disabled" : ""}`}>
+          {busy ? "Working…" : "Import rates file"}
+          <input type="file" accept=".csv,.xml,text/csv,application/xml,text/xml" hidden disabled={busy} onChange={handleFile} />
+        </label>
+        {pairs.length > 0 && (
+          <button className="btn btn-sm btn-outline-danger" disabled={busy} onClick={handleClear}>
+            Clear rates
+          </button>
+        )}
+      </div>
+
+      {message && <div className="text-success small mb-2">{message}</div>}
+      {error && <div className="text-danger small mb-2">{error}</div>}
+
+      {pairs.length === 0 ? (
+        <p className="text-muted small mb-0">No rates imported.</p>
+      ) : (
+        <table className="table table-sm small mb-0">
+          <thead>
+            <tr>
+              <th>Pair</th>
+              <th className="text-end">Rates</th>
+              <th>From</th>
+              <th>To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pairs.map((p) => (
+              <tr key={`${p.base}/${p.quote}`}>
+                <td>{p.base}/{p.quote}</td>
+                <td className="text-end">{p.count.toLocaleString()}</td>
+                <td>{p.from}</td>
+                <td>{p.to}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
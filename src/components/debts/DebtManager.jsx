@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import useDebts from "../../hooks/useDebts";
+import { useCurrency } from "../../state/useCurrency";
+import DebtPlanner from "./DebtPlanner.jsx";
+
+const EMPTY_DRAFT = { name: "", balance: "", apr: "", minimum_payment: "", due_day: "" };
+
+const ordinal = (day) => {
+  const suffix = day % 10 === 1 && day !== 11 ? "st" : day % 10 === 2 && day !== 12 ? "nd" : day % 10 === 3 && day !== 13 ? "rd" : "th";
+  return `${day}${suffix}`;
+};
+
+/** A draft's fields → the API's, or an error message. */
+function toFields(draft) {
+  const balance = Number(draft.balance);
+  const minimum = Number(draft.minimum_payment);
+  const apr = draft.apr === "" ? 0 : Number(draft.apr);
+  const dueDay = Number(draft.due_day);
+  if (!draft.name.trim()) return "Give the debt a name";
+  if (draft.balance === "" || !(balance >= 0) || draft.minimum_payment === "" || !(minimum >= 0)) {
+    return "Enter what is owed and the minimum payment (zero or more)";
+  }
+  if (!(apr >= 0 && apr <= 100)) return "APR must be from 0 to 100%";
+  if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > 31) return "Due day must be a day of the month from 1 to 31";
+  return { name: draft.name.trim(), balance, apr, minimum_payment: minimum, due_day: dueDay };
+}
+
+/**
+ * DebtManager — loans and cards with what is owed, APR, minimum payment
+ * and due day (Options → Debts), and the payoff planner below them.
+ *
+ * @param {{ splits: object[] }} props — the user's splits as returned by /api/splits
+ */
+export default function DebtManager({ splits }) {
+  const { debts, loading, error: loadError, saveDebt, removeDebt } = useDebts();
+  const { reportCurrency, formatMoney } = useCurrency();
+
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // { id, ...draft fields }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const fields = toFields(draft);
+    if (typeof fields === "string") {
+      setError(fields);
+      return;
+    }
+    const ok = await run(() => saveDebt({ ...fields, currency: reportCurrency }));
+    if (ok) setDraft(EMPTY_DRAFT);
+  };
+
+  const handleSaveEdit = async () => {
+    const fields = toFields(editing);
+    if (typeof fields === "string") {
+      setError(fields);
+      return;
+    }
+    const ok = await run(() => saveDebt({ id: editing.id, ...fields }));
+    if (ok) setEditing(null);
+  };
+
+  const handleDelete = (debt) => {
+    if (!confirm(`Delete ${debt.name}?`)) return;
+    run(() => removeDebt(debt.id));
+  };
+
+  // The inputs shared by the add form and the inline edit
+  const fieldInputs = (value, onChange, currency) => (
+    <>
+      <input
+        type="number"
+        className="form-control form-control-sm"
+        style={{ width: 120 }}
+        placeholder={`Owed (${currency})`}
+        title="What is owed now"
+        min="0"
+        step="0.01"
+        value={value.balance}
+        onChange={(e) => onChange({ ...value, balance: e.target.value })}
+      />
+      <input
+        type="number"
+        className="form-control form-control-sm"
+        style={{ width: 90 }}
+        placeholder="APR %"
+        title="APR (%)"
+        min="0"
+        max="100"
+        step="0.01"
+        value={value.apr}
+        onChange={(e) => onChange({ ...value, apr: e.target.value })}
+      />
+      <input
+        type="number"
+        className="form-control form-control-sm"
+        style={{ width: 130 }}
+        placeholder={`Minimum (${currency})`}
+        title="Minimum monthly payment"
+        min="0"
+        step="0.01"
+        value={value.minimum_payment}
+        onChange={(e) => onChange({ ...value, minimum_payment: e.target.value })}
+      />
+      <input
+        type="number"
+        className="form-control form-control-sm"
+        style={{ width: 90 }}
+        placeholder="Due day"
+        title="Day of the month the payment is due"
+        min="1"
+        max="31"
+        step="1"
+        value={value.due_day}
+        onChange={(e) => onChange({ ...value, due_day: e.target.value })}
+      />
+    </>
+  );
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label">Add Debt</label>
+        <div className="d-flex flex-wrap gap-2 align-items-center">
+          <input
+            className="form-control form-control-sm"
+            style={{ flex: "1 1 160px" }}
+            placeholder="Name (e.g. Credit card)"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          {fieldInputs(draft, setDraft, reportCurrency)}
+          <button
+            className="segmented-control__segment segmented-control__segment--active"
+            style={{ borderRadius: 20, padding: "6px 14px", fontSize: "0.85rem" }}
+            type="button"
+            disabled={busy}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+        <div className="form-text">
+          Enter what you owe today, the APR, the minimum monthly payment and the day it is due. Update the balance now
+          and then to keep the plan current.
+        </div>
+        {(error || loadError) && <div className="invalid-feedback d-block">{error || loadError}</div>}
+      </div>
+
+      {loading ? (
+        <div className="text-muted small">Loading debts…</div>
+      ) : debts.length === 0 ? (
+        <div className="text-muted small">No debts yet.</div>
+      ) : (
+        debts.map((d) => (
+          <div key={d.id} className="d-flex align-items-center gap-2 flex-wrap py-2" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+            {editing?.id === d.id ? (
+              <>
+                <input
+                  className="form-control form-control-sm"
+                  style={{ flex: "1 1 160px" }}
+                  value={editing.name}
+                  autoFocus
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                />
+                {fieldInputs(editing, setEditing, d.currency)}
+                <div className="ms-auto d-flex gap-1">
+                  <button className="btn btn-sm btn-primary" disabled={busy} onClick={handleSaveEdit}>
+                    Save
+                  </button>
+                  <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setEditing(null)}>
+                    Cancel
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <span className="fw-semibold">{d.name}</span>
+                <span className="text-muted small">
+                  <span className="text-danger">owes {formatMoney(d.balance, d.currency)}</span> · {d.apr}% APR ·{" "}
+                  {formatMoney(d.minimum_payment, d.currency)}/mo due on the {ordinal(d.due_day)}
+                </span>
+                <div className="ms-auto d-flex gap-1">
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    disabled={busy}
+                    onClick={() =>
+                      setEditing({
+                        id: d.id,
+                        name: d.name,
+                        balance: String(d.balance),
+                        apr: String(d.apr),
+                        minimum_payment: String(d.minimum_payment),
+                        due_day: String(d.due_day),
+                      })
+                    }
+                  >
+                    Edit
+                  </button>
+                  <button className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => handleDelete(d)} title="Delete debt">
+                    ×
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        ))
+      )}
+
+      {!loading && (
+        <div className="mt-4">
+          <h6 className="mb-3">Payoff Plan</h6>
+          <DebtPlanner debts={debts} splits={splits} />
+        </div>
+      )}
+    </div>
+  );
+}
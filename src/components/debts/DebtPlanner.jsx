@@ -0,0 +1,241 @@
+import React, { useState } from "react";
+import useDebtPlan from "../../hooks/useDebtPlan";
+import { useCurrency } from "../../state/useCurrency";
+import { STRATEGY_LABELS } from "../../utils/debtsApi";
+
+const formatDay = (iso) =>
+  new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { month: "short", year: "numeric" });
+
+const STRATEGY_HINTS = {
+  snowball: "smallest balance first",
+  avalanche: "highest APR first",
+};
+
+/**
+ * DebtPlanner — snowball and avalanche payoff plans side by side, with the
+ * chosen plan's payoff dates and month-by-month schedule. The monthly extra
+ * on top of the minimums is a fixed amount or what a split sets aside for
+ * one of its categories.
+ *
+ * @param {{ debts: object[], splits: object[] }} props — debts from /api/debts
+ *   (the plan is redone when they change) and splits from /api/splits
+ */
+export default function DebtPlanner({ debts, splits }) {
+  const { reportCurrency, formatMoney } = useCurrency();
+  const [source, setSource] = useState(""); // "" for an amount, else a split id
+  const [category, setCategory] = useState("");
+  const [extraInput, setExtraInput] = useState("");
+  const [extra, setExtra] = useState(0);
+  const [strategy, setStrategy] = useState("avalanche");
+  const [showSchedule, setShowSchedule] = useState(false);
+
+  const { plan, loading, error } = useDebtPlan(
+    { extra, splitId: source || undefined, category: source ? category : undefined, currency: reportCurrency },
+    debts
+  );
+  const money = (amount) => formatMoney(amount, plan?.currency);
+  const sourceSplit = splits.find((s) => s.id === source);
+
+  const applyExtra = () => setExtra(Number(extraInput) > 0 ? Number(extraInput) : 0);
+
+  const changeSource = (id) => {
+    setSource(id);
+    setCategory(splits.find((s) => s.id === id)?.categories?.[0]?.name || "");
+  };
+
+  if (debts.length === 0) return <div className="text-muted small">Add a debt to plan paying it off.</div>;
+
+  const chosen = plan?.plans[strategy];
+  const other = plan?.plans[strategy === "snowball" ? "avalanche" : "snowball"];
+  const names = new Map((plan?.debts || []).map((d) => [d.id, d.name]));
+  const cheaper =
+    plan && plan.plans.snowball.complete && plan.plans.avalanche.complete
+      ? plan.plans.snowball.total_interest < plan.plans.avalanche.total_interest
+        ? "snowball"
+        : plan.plans.avalanche.total_interest < plan.plans.snowball.total_interest
+        ? "avalanche"
+        : null
+      : null;
+
+  return (
+    <div>
+      <label className="form-label">Extra each month</label>
+      <div className="d-flex flex-wrap gap-2 align-items-center">
+        <select
+          className="form-select form-select-sm"
+          style={{ width: 180 }}
+          value={source}
+          onChange={(e) => changeSource(e.target.value)}
+        >
+          <option value="">A fixed amount</option>
+          {splits.map((s) => (
+            <option key={s.id} value={s.id}>
+              From split: {s.name}
+            </option>
+          ))}
+        </select>
+        {source ? (
+          <select
+            className="form-select form-select-sm"
+            style={{ width: 160 }}
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            {(sourceSplit?.categories || []).map((c) => (
+              <option key={c.name} value={c.name}>
+                {c.name} ({c.percent}%)
+              </option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type="number"
+            className="form-control form-control-sm"
+            style={{ width: 130 }}
+            placeholder={`Extra (${reportCurrency})`}
+            min="0"
+            step="0.01"
+            value={extraInput}
+            onChange={(e) => setExtraInput(e.target.value)}
+            onBlur={applyExtra}
+            onKeyDown={(e) => e.key === "Enter" && applyExtra()}
+          />
+        )}
+      </div>
+      <div className="form-text">
+        Every month the minimums are paid and the extra goes to one debt at a time; when a debt is cleared its minimum
+        moves on to the next.
+        {plan && (
+          <>
+            {" "}
+            Monthly budget: {money(plan.monthly_minimums)} of minimums + {money(plan.extra.amount)} extra
+            {plan.extra.split_id && ` (${plan.extra.category} from ${plan.extra.split_name})`}.
+          </>
+        )}
+      </div>
+      {error && <div className="invalid-feedback d-block">{error}</div>}
+
+      {loading && !plan ? (
+        <div className="text-muted small mt-3">Planning…</div>
+      ) : plan && chosen ? (
+        <>
+          <div className="d-flex gap-2 flex-wrap mt-3">
+            {Object.keys(STRATEGY_LABELS).map((key) => {
+              const p = plan.plans[key];
+              const active = key === strategy;
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  className={`flex-fill text-start rounded p-2 border ${active ? "border-primary" : "border-0"}`}
+                  style={{ minWidth: 180, backgroundColor: "var(--card-border)", color: "inherit" }}
+                  onClick={() => setStrategy(key)}
+                >
+                  <div className="small text-muted">
+                    {STRATEGY_LABELS[key]} · {STRATEGY_HINTS[key]}
+                    {cheaper === key && <span className="badge bg-success ms-1">Least interest</span>}
+                  </div>
+                  {p.complete ? (
+                    <>
+                      <div className="fw-semibold">Debt-free {formatDay(p.payoff_date)}</div>
+                      <div className="small">
+                        {p.months} months · {money(p.total_interest)} interest
+                      </div>
+                    </>
+                  ) : (
+                    <div className="fw-semibold text-danger">Not paid off in {p.months / 12} years</div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          {!chosen.complete && (
+            <div className="text-danger small mt-2">
+              The payments don't keep up with the interest. Add to the extra or raise the minimums.
+            </div>
+          )}
+          {chosen.complete && other.complete && other.total_interest > chosen.total_interest && (
+            <div className="text-success small mt-2">
+              {STRATEGY_LABELS[strategy]} saves {money(other.total_interest - chosen.total_interest)} of interest over{" "}
+              {STRATEGY_LABELS[other.strategy].toLowerCase()}.
+            </div>
+          )}
+          {plan.unconverted > 0 && (
+            <div className="text-muted small mt-1">
+              {plan.unconverted} debts in other currencies left out (no FX rate to {plan.currency})
+            </div>
+          )}
+
+          <div className="mt-3">
+            <div className="small text-muted mb-1">Payoff order</div>
+            {chosen.order.map((id, i) => {
+              const d = chosen.debts.find((x) => x.id === id);
+              return (
+                <div key={id} className="d-flex align-items-center gap-2 small py-1" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+                  <span className="text-muted" style={{ width: 20 }}>{i + 1}.</span>
+                  <span className="flex-grow-1">{names.get(id)}</span>
+                  <span className="text-muted">{money(d.interest)} interest</span>
+                  <span style={{ width: 110 }} className="text-end">
+                    {d.payoff_date ? formatDay(d.payoff_date) : "—"}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {chosen.schedule.length > 0 && (
+            <div className="mt-3">
+              <button className="btn btn-sm btn-outline-secondary" type="button" onClick={() => setShowSchedule(!showSchedule)}>
+                {showSchedule ? "Hide schedule" : `Month-by-month schedule (${chosen.schedule.length})`}
+              </button>
+              {showSchedule && (
+                <div className="table-responsive mt-2" style={{ maxHeight: "320px", overflowY: "auto" }}>
+                  <table className="table table-sm small mb-0">
+                    <thead>
+                      <tr>
+                        <th>Month</th>
+                        {chosen.order.map((id) => (
+                          <th key={id} className="text-end">{names.get(id)}</th>
+                        ))}
+                        <th className="text-end">Interest</th>
+                        <th className="text-end">Still owed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {chosen.schedule.map((m) => {
+                        const payments = new Map(m.payments.map((p) => [p.debt_id, p]));
+                        return (
+                          <tr key={m.month}>
+                            <td>{formatMonth(m.month)}</td>
+                            {chosen.order.map((id) => {
+                              const p = payments.get(id);
+                              return (
+                                <td
+                                  key={id}
+                                  className={`text-end ${p && p.balance === 0 ? "text-success" : ""}`}
+                                  title={p ? `Due ${formatDay(p.date)}; ${money(p.balance)} left after` : undefined}
+                                >
+                                  {p ? money(p.payment) : ""}
+                                </td>
+                              );
+                            })}
+                            <td className="text-end text-muted">{money(m.interest)}</td>
+                            <td className="text-end">{money(m.balance)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useMemo } from "react";
+import useForecast from "../../hooks/useForecast";
+import { useCurrency } from "../../state/useCurrency";
+import BalanceChart from "../charts/BalanceChart.jsx";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const formatDay = (iso, options = { day: "numeric", month: "short" }) =>
+  new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, options);
+
+// The forecast's days in Monday-first weeks, padded with nulls at either end
+function toWeeks(daily) {
+  if (!daily.length) return [];
+  const lead = (new Date(`${daily[0].date}T00:00:00`).getDay() + 6) % 7;
+  const cells = [...Array(lead).fill(null), ...daily];
+  while (cells.length % 7) cells.push(null);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+}
+
+/**
+ * CashFlowForecast — the main bank account's balance projected day by day
+ * with expected pay and recurring bills (see backend/forecast.js), as a line
+ * chart and a calendar, with the lowest balance and overdrawn days marked.
+ *
+ * @param {{ changeKey?: unknown }} props — changeKey reloads the forecast (e.g. when bills are reviewed)
+ */
+export default function CashFlowForecast({ changeKey }) {
+  const { forecast, loading, error, reload } = useForecast(undefined, changeKey);
+  const { formatMoney } = useCurrency();
+  const weeks = useMemo(() => toWeeks(forecast?.daily || []), [forecast]);
+
+  if (loading) return null;
+
+  const money = (amount, options) => formatMoney(amount, forecast.currency, options);
+  const overdrafts = forecast?.overdraft_dates || [];
+
+  return (
+    <div className="card p-3 mb-3">
+      <div className="d-flex align-items-center justify-content-between mb-3">
+        <div>
+          <strong>Cash-Flow Forecast</strong>
+          <div className="text-muted small">
+            {forecast
+              ? `${forecast.account_name || "Main account"}, next ${forecast.daily.length - 1} days with expected pay and bills`
+              : "Projected balance with expected pay and bills"}
+          </div>
+        </div>
+        <button className="btn btn-sm btn-outline-secondary" title="Forecast again" onClick={reload}>
+          ↻
+        </button>
+      </div>
+
+      {error && <div className="text-danger small mb-2">{error}</div>}
+
+      {!forecast ? (
+        !error && <div className="text-muted">Connect a bank account to forecast your balance.</div>
+      ) : (
+        <>
+          <div className="row g-2 mb-3">
+            {[
+              ["Today", money(forecast.start_balance), `as of ${formatDay(forecast.balance_as_of.slice(0, 10))}`],
+              ["Lowest", money(forecast.lowest.balance), formatDay(forecast.lowest.date)],
+              [`In ${forecast.daily.length - 1} days`, money(forecast.end_balance), formatDay(forecast.end_date)],
+              ["Pay / bills", `+${money(forecast.total_income, { decimals: 0 })}`, `−${money(forecast.total_bills, { decimals: 0 })}`],
+            ].map(([label, value, note], i) => (
+              <div key={label} className="col-6 col-md-3">
+                <div className="p-2 rounded h-100" style={{ backgroundColor: "var(--card-border)", color: "var(--text)" }}>
+                  <div className="text-muted small">{label}</div>
+                  <div className={`h6 mb-0 ${i === 1 && forecast.lowest.balance < 0 ? "text-danger" : ""}`}>{value}</div>
+                  <small className="text-muted">{note}</small>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {overdrafts.length > 0 && (
+            <div className="alert alert-danger py-2 small">
+              Projected overdrawn on {overdrafts.length} day{overdrafts.length === 1 ? "" : "s"}, first on{" "}
+              {formatDay(overdrafts[0], { weekday: "short", day: "numeric", month: "short" })}.
+            </div>
+          )}
+
+          <BalanceChart points={forecast.daily} markedDate={forecast.lowest.date} />
+
+          <div className="mt-3" style={{ overflowX: "auto" }}>
+            <table className="table table-sm table-borderless mb-0" style={{ tableLayout: "fixed", minWidth: 560 }}>
+              <thead>
+                <tr>
+                  {WEEKDAYS.map((d) => (
+                    <th key={d} className="text-muted small fw-normal text-center">
+                      {d}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {weeks.map((week) => (
+                  <tr key={(week.find(Boolean) || {}).date}>
+                    {week.map((day, i) =>
+                      !day ? (
+                        <td key={i} />
+                      ) : (
+                        <td
+                          key={day.date}
+                          className={`small text-center rounded ${day.date === forecast.lowest.date ? "border border-danger" : ""}`}
+                          style={{ backgroundColor: day.overdrawn ? "rgba(220,53,69,0.12)" : undefined, padding: "4px 2px" }}
+                          title={[
+                            `${formatDay(day.date, { weekday: "short", day: "numeric", month: "short" })}: ${money(day.balance)}`,
+                            ...day.events.map((e) => `${e.type === "income" ? "+" : "−"}${money(e.amount)} ${e.name}`),
+                          ].join("\n")}
+                        >
+                          <div className="text-muted" style={{ fontSize: "0.7rem" }}>
+                            {day.date === forecast.start_date || day.date.endsWith("-01") ? formatDay(day.date) : Number(day.date.slice(8))}
+                          </div>
+                          <div className={day.overdrawn ? "text-danger fw-semibold" : ""} style={{ fontSize: "0.75rem" }}>
+                            {money(day.balance, { decimals: 0 })}
+                          </div>
+                          <div style={{ fontSize: "0.65rem", minHeight: "0.9rem" }}>
+                            {day.income > 0 && <span className="text-success">+{money(day.income, { decimals: 0 })}</span>}
+                            {day.income > 0 && day.bills > 0 && " "}
+                            {day.bills > 0 && <span className="text-danger">−{money(day.bills, { decimals: 0 })}</span>}
+                          </div>
+                        </td>
+                      )
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {forecast.unconverted > 0 && (
+            <div className="text-muted small mt-2">
+              {forecast.unconverted} pay or bill amounts in other currencies left out (no FX rate)
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from "react";
+import { fetchGoalContributions, linkGoalContribution, removeGoalContribution } from "../../utils/goalsApi";
+import { useCurrency } from "../../state/useCurrency";
+import GoalProgress from "./GoalProgress";
+
+/**
+ * GoalContributionsModal — the rows counted towards a goal, newest first.
+ * Taking one out keeps it out of the goal (a row linked by hand is unlinked);
+ * an excluded row can be counted again.
+ *
+ * @param {{ goal: object, onClose(): void }} props — goal as returned by /api/goals
+ */
+export default function GoalContributionsModal({ goal: initialGoal, onClose }) {
+  const { formatMoney } = useCurrency();
+  const [goal, setGoal] = useState(initialGoal);
+  const [contributions, setContributions] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const apply = (data) => {
+    setGoal(data.goal);
+    setContributions(data.contributions);
+  };
+
+  useEffect(() => {
+    fetchGoalContributions(initialGoal.id)
+      .then(apply)
+      .catch((err) => setError(err.message));
+  }, [initialGoal.id]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      apply(await action());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const countAgain = (c) =>
+    run(() => linkGoalContribution(goal.id, c.transaction_id ? { transaction_id: c.transaction_id } : { purchase_id: c.purchase_id }));
+
+  return (
+    <div className="modal d-block" style={{ backgroundColor: "rgba(0,0,0,0.5)" }}>
+      <div className="modal-dialog modal-lg">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{goal.name}: contributions</h5>
+            <button type="button" className="btn-close" onClick={onClose} />
+          </div>
+          <div className="modal-body">
+            <div className="mb-3">
+              <GoalProgress goal={goal} />
+            </div>
+
+            {!contributions ? (
+              !error && <div className="text-muted small">Loading contributions…</div>
+            ) : contributions.length === 0 ? (
+              <div className="text-muted small">
+                Nothing in {goal.category} since {goal.starts_on} yet.
+              </div>
+            ) : (
+              <div style={{ maxHeight: "50vh", overflowY: "auto" }}>
+                {contributions.map((c) => (
+                  <div
+                    key={c.id}
+                    className={`d-flex align-items-center gap-2 small py-1 ${c.excluded ? "text-muted" : ""}`}
+                    style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}
+                  >
+                    <span className="text-muted" style={{ width: 90 }}>{c.date}</span>
+                    <span className="flex-grow-1" style={{ textDecoration: c.excluded ? "line-through" : undefined }}>
+                      {c.description || "(no description)"}
+                      {c.manual && <span className="badge text-bg-light ms-1">linked</span>}
+                      {c.category && c.category !== goal.category && <span className="text-muted"> · {c.category}</span>}
+                    </span>
+                    <span className={`fw-semibold ${c.amount < 0 ? "text-danger" : ""}`}>{formatMoney(c.amount, c.currency)}</span>
+                    {c.excluded ? (
+                      <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => countAgain(c)}>
+                        Count again
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        disabled={busy}
+                        title={c.manual ? "Unlink from the goal" : "Leave out of the goal"}
+                        onClick={() => run(() => removeGoalContribution(goal.id, c.id))}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {error && <div className="text-danger small mt-2">{error}</div>}
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
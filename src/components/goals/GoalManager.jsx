@@ -0,0 +1,243 @@
+import React, { useState } from "react";
+import useGoals from "../../hooks/useGoals";
+import { useCategories } from "../../state/useCategories";
+import { useCurrency } from "../../state/useCurrency";
+import GoalProgress from "./GoalProgress";
+import GoalContributionsModal from "./GoalContributionsModal";
+
+const EMPTY_DRAFT = { name: "", splitId: "", category: "", amount: "", targetDate: "" };
+
+/**
+ * GoalManager — savings goals (Options → Goals): a target amount by a target
+ * date, filled by what goes into one category, either from the Transactions
+ * ledger or from one split's purchases. Each goal shows its progress and opens
+ * the contributions counted towards it.
+ *
+ * @param {{ splits: object[] }} props — the user's splits as returned by /api/splits
+ */
+export default function GoalManager({ splits }) {
+  const { goals, loading, error: loadError, reload, saveGoal, removeGoal } = useGoals();
+  const { categoryNames } = useCategories();
+  const { reportCurrency, formatMoney } = useCurrency();
+
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // { id, name, amount, targetDate }
+  const [openGoal, setOpenGoal] = useState(null); // goal whose contributions are shown
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const draftSplit = splits.find((s) => s.id === draft.splitId);
+  const categoryOptions = draftSplit ? (draftSplit.categories || []).map((c) => c.name) : categoryNames;
+
+  const handleAdd = async () => {
+    if (!draft.name.trim() || !draft.category || !(Number(draft.amount) > 0) || !draft.targetDate) {
+      setError("Give the goal a name, a category, a target above zero and a target date");
+      return;
+    }
+    const ok = await run(() =>
+      saveGoal({
+        name: draft.name.trim(),
+        category: draft.category,
+        target_amount: Number(draft.amount),
+        target_date: draft.targetDate,
+        currency: reportCurrency,
+        split_id: draft.splitId || undefined,
+      })
+    );
+    if (ok) setDraft(EMPTY_DRAFT);
+  };
+
+  const handleSaveEdit = async () => {
+    const ok = await run(() =>
+      saveGoal({
+        id: editing.id,
+        name: editing.name.trim(),
+        target_amount: Number(editing.amount),
+        target_date: editing.targetDate,
+      })
+    );
+    if (ok) setEditing(null);
+  };
+
+  const handleDelete = (goal) => {
+    if (!confirm(`Delete the "${goal.name}" goal? Its contributions stay in your ledger.`)) return;
+    run(() => removeGoal(goal.id));
+  };
+
+  const sourceName = (goal) => splits.find((s) => s.id === goal.split_id)?.name || "split";
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label">Add Goal</label>
+        <div className="d-flex flex-wrap gap-2 align-items-center">
+          <input
+            className="form-control form-control-sm"
+            style={{ flex: "1 1 160px" }}
+            placeholder="Name (e.g. Holiday)"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <select
+            className="form-select form-select-sm"
+            style={{ width: 170 }}
+            value={draft.splitId}
+            onChange={(e) => setDraft({ ...draft, splitId: e.target.value, category: "" })}
+          >
+            <option value="">All transactions</option>
+            {splits.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <select
+            className="form-select form-select-sm"
+            style={{ flex: "1 1 160px" }}
+            value={draft.category}
+            onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+          >
+            <option value="">Category…</option>
+            {categoryOptions.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            className="form-control form-control-sm"
+            style={{ width: 130 }}
+            placeholder={`Target (${reportCurrency})`}
+            min="0"
+            step="0.01"
+            value={draft.amount}
+            onChange={(e) => setDraft({ ...draft, amount: e.target.value })}
+          />
+          <input
+            type="date"
+            className="form-control form-control-sm"
+            style={{ width: 150 }}
+            title="Target date"
+            value={draft.targetDate}
+            onChange={(e) => setDraft({ ...draft, targetDate: e.target.value })}
+          />
+          <button
+            className="segmented-control__segment segmented-control__segment--active"
+            style={{ borderRadius: 20, padding: "6px 14px", fontSize: "0.85rem" }}
+            type="button"
+            disabled={busy}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+        <div className="form-text">
+          Everything put into the category from today counts towards the goal: expenses from the Transactions ledger,
+          or a split's purchases. Money taken back out (income in the category) counts against it. Open a goal's
+          contributions to leave rows out or link others by hand.
+        </div>
+        {(error || loadError) && <div className="invalid-feedback d-block">{error || loadError}</div>}
+      </div>
+
+      {loading ? (
+        <div className="text-muted small">Loading goals…</div>
+      ) : goals.length === 0 ? (
+        <div className="text-muted small">No goals yet.</div>
+      ) : (
+        goals.map((g) => (
+          <div key={g.id} className="py-2" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+            <div className="d-flex align-items-center gap-2 flex-wrap mb-1">
+              {editing?.id === g.id ? (
+                <>
+                  <input
+                    className="form-control form-control-sm"
+                    style={{ flex: "1 1 140px" }}
+                    value={editing.name}
+                    autoFocus
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    className="form-control form-control-sm"
+                    style={{ width: 110 }}
+                    min="0"
+                    step="0.01"
+                    value={editing.amount}
+                    onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                  />
+                  <input
+                    type="date"
+                    className="form-control form-control-sm"
+                    style={{ width: 150 }}
+                    value={editing.targetDate}
+                    onChange={(e) => setEditing({ ...editing, targetDate: e.target.value })}
+                  />
+                  <div className="ms-auto d-flex gap-1">
+                    <button
+                      className="btn btn-sm btn-primary"
+                      disabled={busy || !editing.name.trim() || !(Number(editing.amount) > 0) || !editing.targetDate}
+                      onClick={handleSaveEdit}
+                    >
+                      Save
+                    </button>
+                    <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <span className="fw-semibold">{g.name}</span>
+                  <span className="text-muted small">
+                    {g.category}
+                    {g.split_id && ` in ${sourceName(g)}`} · {formatMoney(g.target_amount, g.currency)} by {g.target_date} · from{" "}
+                    {g.starts_on}
+                  </span>
+                  <div className="ms-auto d-flex gap-1">
+                    <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setOpenGoal(g)}>
+                      Contributions ({g.contributions})
+                    </button>
+                    <button
+                      className="btn btn-sm btn-outline-secondary"
+                      disabled={busy}
+                      onClick={() =>
+                        setEditing({ id: g.id, name: g.name, amount: String(g.target_amount), targetDate: g.target_date })
+                      }
+                    >
+                      Edit
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => handleDelete(g)} title="Delete goal">
+                      ×
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+            <GoalProgress goal={g} />
+          </div>
+        ))
+      )}
+
+      {openGoal && (
+        <GoalContributionsModal
+          goal={openGoal}
+          onClose={() => {
+            setOpenGoal(null);
+            reload();
+          }}
+        />
+      )}
+    </div>
+  );
+}
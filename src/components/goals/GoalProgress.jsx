@@ -0,0 +1,58 @@
+import React from "react";
+import { useCurrency } from "../../state/useCurrency";
+
+const formatDay = (iso) =>
+  new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+/**
+ * GoalProgress — one goal's progress bar, what is still needed each month
+ * to reach it on time and when it is reached at the pace so far.
+ *
+ * @param {{ goal: object }} props — a goal as returned by /api/goals
+ */
+export default function GoalProgress({ goal }) {
+  const { formatMoney } = useCurrency();
+  const money = (amount) => formatMoney(amount, goal.currency);
+  const overdue = !goal.complete && goal.months_left === 0;
+
+  return (
+    <div>
+      <div className="progress" style={{ height: 8 }} role="progressbar" aria-valuenow={goal.percent} aria-valuemin={0} aria-valuemax={100}>
+        <div
+          className={`progress-bar ${goal.complete ? "bg-success" : goal.on_track ? "" : "bg-warning"}`}
+          style={{ width: `${Math.max(goal.percent, 0)}%` }}
+        />
+      </div>
+      <div className="d-flex justify-content-between small mt-1">
+        <span>
+          {money(goal.saved)} of {money(goal.target_amount)}
+        </span>
+        <span className="text-muted">{goal.percent}%</span>
+      </div>
+      <div className="text-muted small">
+        {goal.complete ? (
+          <span className="text-success">Reached{goal.completed_on ? ` on ${formatDay(goal.completed_on)}` : ""} 🎉</span>
+        ) : overdue ? (
+          <span className="text-danger">
+            Target date {formatDay(goal.target_date)} has passed with {money(goal.remaining)} to go
+          </span>
+        ) : (
+          <>
+            {money(goal.monthly_needed)}/mo needed to reach it by {formatDay(goal.target_date)}.{" "}
+            {goal.projected_completion ? (
+              <span className={goal.on_track ? "text-success" : "text-warning"}>
+                At {money(goal.monthly_saving)}/mo so far: {formatDay(goal.projected_completion)}
+                {goal.on_track ? " (on track)" : " (behind)"}
+              </span>
+            ) : (
+              <span className="text-warning">Nothing saved towards it yet.</span>
+            )}
+          </>
+        )}
+      </div>
+      {goal.unconverted > 0 && (
+        <div className="text-muted small">{goal.unconverted} amounts in other currencies left out (no FX rate)</div>
+      )}
+    </div>
+  );
+}
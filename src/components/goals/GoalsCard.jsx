@@ -0,0 +1,46 @@
+import React from "react";
+import useGoals from "../../hooks/useGoals";
+import GoalProgress from "./GoalProgress";
+
+/**
+ * GoalsCard — the savings goals insights widget: each goal's progress, what
+ * it needs each month and when it is projected to be reached. Goals are set
+ * up in Options → Goals.
+ */
+export default function GoalsCard() {
+  const { goals, loading, error, reload } = useGoals();
+
+  if (loading) return null;
+
+  return (
+    <div className="card p-3 mb-3">
+      <div className="d-flex align-items-center justify-content-between mb-3">
+        <div>
+          <strong>Savings Goals</strong>
+          <div className="text-muted small">Progress towards each target, soonest first</div>
+        </div>
+        <button className="btn btn-sm btn-outline-secondary" title="Refresh" onClick={reload}>
+          ↻
+        </button>
+      </div>
+
+      {error && <div className="text-danger small mb-2">{error}</div>}
+
+      {goals.length === 0 ? (
+        !error && <div className="text-muted">No goals yet. Add one in Options → Goals.</div>
+      ) : (
+        <div className="row g-3">
+          {goals.map((g) => (
+            <div key={g.id} className="col-12 col-md-6">
+              <div className="d-flex justify-content-between mb-1">
+                <span className="fw-semibold">{g.name}</span>
+                <span className="text-muted small">{g.category}</span>
+              </div>
+              <GoalProgress goal={g} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -187,6 +187,34 @@ const Navbar = () => {
                 >
                   Insights
                 </Link>
+                <Link
+                  to="/transactions"
+                  style={{
+                    ...segmentedNavStyles.segment,
+                    ...(location.pathname === '/transactions' ? segmentedNavStyles.active : segmentedNavStyles.inactive),
+                  }}
+                  onMouseEnter={(e) => {
+                    if (location.pathname !== '/transactions') {
+                      e.currentTarget.style.backgroundColor = 'rgba(59, 130, 246, 0.15)';
+                      e.currentTarget.style.color = 'rgba(203, 213, 225, 1)';
+                    }
+                  }}
+                  onMouseLeave={(e) => {
+                    if (location.pathname !== '/transactions') {
+                      e.currentTarget.style.backgroundColor = 'transparent';
+                      e.currentTarget.style.color = 'rgba(148, 163, 184, 0.9)';
+                    }
+                  }}
+                  onFocus={(e) => {
+                    e.currentTarget.style.outline = '2px solid rgba(59, 130, 246, 0.5)';
+                    e.currentTarget.style.outlineOffset = '2px';
+                  }}
+                  onBlur={(e) => {
+                    e.currentTarget.style.outline = 'none';
+                  }}
+                >
+                  Transactions
+                </Link>
                 {hasSplits && (
                   <Link
                     to="/tracker"
@@ -0,0 +1,322 @@
+import React, { useState } from "react";
+import useManualAccounts from "../../hooks/useManualAccounts";
+import { useCurrency } from "../../state/useCurrency";
+import {
+  ASSET_KIND_LABELS,
+  LIABILITY_KIND_LABELS,
+  MANUAL_ACCOUNT_KIND_LABELS,
+  addValuation,
+  deleteValuation,
+  fetchValuations,
+} from "../../utils/manualAccountsApi";
+import { toDay } from "../../../shared/periods.js";
+
+const EMPTY_DRAFT = { name: "", kind: "cash", value: "", date: "" };
+
+const kindOptions = (
+  <>
+    <optgroup label="Assets">
+      {Object.entries(ASSET_KIND_LABELS).map(([key, label]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </optgroup>
+    <optgroup label="Liabilities">
+      {Object.entries(LIABILITY_KIND_LABELS).map(([key, label]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </optgroup>
+  </>
+);
+
+/**
+ * ManualAccountManager — accounts the bank connection doesn't see
+ * (Options → Net Worth): cash, ISAs, pensions and property as assets, car
+ * finance, credit cards and student loans as liabilities. Each is valued by
+ * hand on dated valuations; net worth uses the latest on each day.
+ */
+export default function ManualAccountManager() {
+  const { accounts, loading, error: loadError, reload, saveAccount, removeAccount } = useManualAccounts();
+  const { reportCurrency, formatMoney } = useCurrency();
+
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // { id, name, kind }
+  const [valuing, setValuing] = useState(null); // { id, value, date, note }
+  const [history, setHistory] = useState(null); // { id, valuations }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!draft.name.trim() || draft.value === "" || !(Number(draft.value) >= 0)) {
+      setError("Give the account a name and a value of zero or more");
+      return;
+    }
+    const ok = await run(() =>
+      saveAccount({
+        name: draft.name.trim(),
+        kind: draft.kind,
+        currency: reportCurrency,
+        value: Number(draft.value),
+        date: draft.date || undefined,
+      })
+    );
+    if (ok) setDraft(EMPTY_DRAFT);
+  };
+
+  const handleSaveEdit = async () => {
+    const ok = await run(() => saveAccount({ id: editing.id, name: editing.name.trim(), kind: editing.kind }));
+    if (ok) setEditing(null);
+  };
+
+  const handleSaveValue = async () => {
+    const ok = await run(async () => {
+      const data = await addValuation(valuing.id, {
+        value: Number(valuing.value),
+        date: valuing.date || undefined,
+        note: valuing.note.trim() || undefined,
+      });
+      if (history?.id === valuing.id) setHistory({ id: valuing.id, valuations: data.valuations });
+      await reload();
+    });
+    if (ok) setValuing(null);
+  };
+
+  const toggleHistory = (account) => {
+    if (history?.id === account.id) {
+      setHistory(null);
+      return;
+    }
+    run(async () => setHistory({ id: account.id, valuations: (await fetchValuations(account.id)).valuations }));
+  };
+
+  const handleDeleteValuation = (account, valuation) => {
+    if (!confirm(`Delete the ${valuation.date} valuation?`)) return;
+    run(async () => {
+      const data = await deleteValuation(account.id, valuation.id);
+      setHistory({ id: account.id, valuations: data.valuations });
+      await reload();
+    });
+  };
+
+  const handleDelete = (account) => {
+    if (!confirm(`Delete ${account.name} and all its valuations?`)) return;
+    run(() => removeAccount(account.id));
+  };
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label">Add Account</label>
+        <div className="d-flex flex-wrap gap-2 align-items-center">
+          <input
+            className="form-control form-control-sm"
+            style={{ flex: "1 1 160px" }}
+            placeholder="Name (e.g. Stocks & Shares ISA)"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <select
+            className="form-select form-select-sm"
+            style={{ width: 160 }}
+            value={draft.kind}
+            onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+          >
+            {kindOptions}
+          </select>
+          <input
+            type="number"
+            className="form-control form-control-sm"
+            style={{ width: 130 }}
+            placeholder={LIABILITY_KIND_LABELS[draft.kind] ? `Owed (${reportCurrency})` : `Value (${reportCurrency})`}
+            min="0"
+            step="0.01"
+            value={draft.value}
+            onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+          />
+          <input
+            type="date"
+            className="form-control form-control-sm"
+            style={{ width: 150 }}
+            title="Valued on (default today)"
+            max={toDay()}
+            value={draft.date}
+            onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+          />
+          <button
+            className="segmented-control__segment segmented-control__segment--active"
+            style={{ borderRadius: 20, padding: "6px 14px", fontSize: "0.85rem" }}
+            type="button"
+            disabled={busy}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+        <div className="form-text">
+          Bank accounts are counted from their synced balances. Add what the bank connection doesn't see and update
+          its value now and then; for a debt, enter what you still owe. Net worth uses each account's latest value on
+          every date.
+        </div>
+        {(error || loadError) && <div className="invalid-feedback d-block">{error || loadError}</div>}
+      </div>
+
+      {loading ? (
+        <div className="text-muted small">Loading accounts…</div>
+      ) : accounts.length === 0 ? (
+        <div className="text-muted small">No accounts yet.</div>
+      ) : (
+        accounts.map((a) => (
+          <div key={a.id} className="py-2" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+            <div className="d-flex align-items-center gap-2 flex-wrap">
+              {editing?.id === a.id ? (
+                <>
+                  <input
+                    className="form-control form-control-sm"
+                    style={{ flex: "1 1 160px" }}
+                    value={editing.name}
+                    autoFocus
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  />
+                  <select
+                    className="form-select form-select-sm"
+                    style={{ width: 160 }}
+                    value={editing.kind}
+                    onChange={(e) => setEditing({ ...editing, kind: e.target.value })}
+                  >
+                    {kindOptions}
+                  </select>
+                  <div className="ms-auto d-flex gap-1">
+                    <button className="btn btn-sm btn-primary" disabled={busy || !editing.name.trim()} onClick={handleSaveEdit}>
+                      Save
+                    </button>
+                    <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <span className="fw-semibold">{a.name}</span>
+                  <span className="text-muted small">
+                    {MANUAL_ACCOUNT_KIND_LABELS[a.kind] || a.kind} ·{" "}
+                    {a.value === null ? (
+                      "not valued yet"
+                    ) : (
+                      <span className={a.side === "liability" ? "text-danger" : ""}>
+                        {a.side === "liability" ? "owes " : ""}
+                        {formatMoney(a.value, a.value_currency)} on {a.value_date}
+                      </span>
+                    )}
+                  </span>
+                  <div className="ms-auto d-flex gap-1">
+                    <button
+                      className="btn btn-sm btn-outline-primary"
+                      disabled={busy}
+                      onClick={() => setValuing({ id: a.id, value: a.value === null ? "" : String(a.value), date: "", note: "" })}
+                    >
+                      Update value
+                    </button>
+                    <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => toggleHistory(a)}>
+                      {history?.id === a.id ? "Hide history" : "History"}
+                    </button>
+                    <button
+                      className="btn btn-sm btn-outline-secondary"
+                      disabled={busy}
+                      onClick={() => setEditing({ id: a.id, name: a.name, kind: a.kind })}
+                    >
+                      Edit
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" disabled={busy} onClick={() => handleDelete(a)} title="Delete account">
+                      ×
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {valuing?.id === a.id && (
+              <div className="d-flex flex-wrap gap-2 align-items-center mt-2">
+                <input
+                  type="number"
+                  className="form-control form-control-sm"
+                  style={{ width: 130 }}
+                  placeholder={a.side === "liability" ? `Owed (${a.currency})` : `Value (${a.currency})`}
+                  min="0"
+                  step="0.01"
+                  value={valuing.value}
+                  autoFocus
+                  onChange={(e) => setValuing({ ...valuing, value: e.target.value })}
+                />
+                <input
+                  type="date"
+                  className="form-control form-control-sm"
+                  style={{ width: 150 }}
+                  title="Valued on (default today)"
+                  max={toDay()}
+                  value={valuing.date}
+                  onChange={(e) => setValuing({ ...valuing, date: e.target.value })}
+                />
+                <input
+                  className="form-control form-control-sm"
+                  style={{ flex: "1 1 140px" }}
+                  placeholder="Note (optional)"
+                  value={valuing.note}
+                  onChange={(e) => setValuing({ ...valuing, note: e.target.value })}
+                />
+                <button
+                  className="btn btn-sm btn-primary"
+                  disabled={busy || valuing.value === "" || !(Number(valuing.value) >= 0)}
+                  onClick={handleSaveValue}
+                >
+                  Save
+                </button>
+                <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setValuing(null)}>
+                  Cancel
+                </button>
+              </div>
+            )}
+
+            {history?.id === a.id && (
+              <div className="mt-2" style={{ maxHeight: "160px", overflowY: "auto" }}>
+                {history.valuations.length === 0 ? (
+                  <div className="text-muted small">No valuations yet.</div>
+                ) : (
+                  history.valuations.map((v) => (
+                    <div key={v.id} className="d-flex align-items-center gap-2 small py-1">
+                      <span className="text-muted" style={{ width: 90 }}>{v.date}</span>
+                      <span className="flex-grow-1">
+                        {formatMoney(v.value, v.currency)}
+                        {v.note && <span className="text-muted"> · {v.note}</span>}
+                      </span>
+                      <button
+                        className="btn btn-sm btn-link text-danger p-0"
+                        disabled={busy}
+                        title="Delete valuation"
+                        onClick={() => handleDeleteValuation(a, v)}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import useNetWorth from "../../hooks/useNetWorth";
+import { useCurrency } from "../../state/useCurrency";
+import { MANUAL_ACCOUNT_KIND_LABELS } from "../../utils/manualAccountsApi";
+import NetWorthChart from "../charts/NetWorthChart.jsx";
+
+const RANGES = [6, 12, 24];
+
+/**
+ * NetWorthCard — the net worth insights widget: assets against liabilities
+ * at each month end, bank balances and manual accounts (Options → Net Worth)
+ * together, converted into the report currency.
+ */
+export default function NetWorthCard() {
+  const { reportCurrency, formatMoney } = useCurrency();
+  const [months, setMonths] = useState(12);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const { netWorth, loading, error, reload } = useNetWorth(months, reportCurrency);
+
+  if (loading) return null;
+
+  const money = (amount, options) => formatMoney(amount, netWorth.currency, options);
+  const first = netWorth?.history.find((p) => p.assets || p.liabilities);
+  const change = first ? netWorth.net_worth - first.net_worth : 0;
+
+  return (
+    <div className="card p-3 mb-3">
+      <div className="d-flex align-items-center justify-content-between flex-wrap gap-2 mb-3">
+        <div>
+          <strong>Net Worth</strong>
+          <div className="text-muted small">Bank balances plus the accounts you value in Options → Net Worth</div>
+        </div>
+        <div className="d-flex align-items-center gap-2">
+          <div className="btn-group btn-group-sm">
+            {RANGES.map((m) => (
+              <button
+                key={m}
+                className={`btn ${months === m ? "btn-primary" : "btn-outline-secondary"}`}
+                onClick={() => setMonths(m)}
+              >
+                {m} mo
+              </button>
+            ))}
+          </div>
+          <button className="btn btn-sm btn-outline-secondary" title="Refresh" onClick={reload}>
+            ↻
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-danger small mb-2">{error}</div>}
+
+      {netWorth && (
+        !netWorth.accounts.length ? (
+          <div className="text-muted">Connect a bank or add accounts in Options → Net Worth to track your net worth.</div>
+        ) : (
+          <>
+            <div className="row g-2 mb-3">
+              {[
+                ["Net worth", money(netWorth.net_worth), first ? `${change >= 0 ? "+" : "−"}${money(Math.abs(change), { decimals: 0 })} since ${first.date}` : ""],
+                ["Assets", money(netWorth.assets), "", "text-success"],
+                ["Liabilities", money(netWorth.liabilities), "", "text-danger"],
+              ].map(([label, value, note, className]) => (
+                <div key={label} className="col-12 col-md-4">
+                  <div className="p-2 rounded h-100" style={{ backgroundColor: "var(--card-border)", color: "var(--text)" }}>
+                    <div className="text-muted small">{label}</div>
+                    <div className={`h6 mb-0 ${className || (netWorth.net_worth < 0 ? "text-danger" : "")}`}>{value}</div>
+                    {note && <small className="text-muted">{note}</small>}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <NetWorthChart points={netWorth.history} />
+            <div className="d-flex gap-3 small text-muted mt-1">
+              <span><span style={{ color: "rgba(28,125,58,0.8)" }}>■</span> Assets</span>
+              <span><span style={{ color: "rgba(220,53,69,0.8)" }}>■</span> Liabilities</span>
+              <span><span style={{ color: "#0d6efd" }}>●</span> Net worth</span>
+            </div>
+
+            <button className="btn btn-sm btn-link px-0 mt-2" onClick={() => setShowAccounts(!showAccounts)}>
+              {showAccounts ? "Hide accounts" : `Show ${netWorth.accounts.length} accounts`}
+            </button>
+            {showAccounts &&
+              netWorth.accounts.map((a) => (
+                <div key={`${a.source}-${a.id}`} className="d-flex justify-content-between small py-1" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+                  <span>
+                    {a.name}{" "}
+                    <span className="text-muted">
+                      · {a.source === "bank" ? "Bank" : MANUAL_ACCOUNT_KIND_LABELS[a.kind] || a.kind} · {a.value_date}
+                    </span>
+                  </span>
+                  <span className={a.side === "liability" ? "text-danger" : ""}>
+                    {a.side === "liability" ? "−" : ""}
+                    {formatMoney(a.value, a.currency)}
+                  </span>
+                </div>
+              ))}
+
+            {netWorth.unconverted > 0 && (
+              <div className="text-muted small mt-2">
+                {netWorth.unconverted} accounts in other currencies left out (no FX rate)
+              </div>
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
+}
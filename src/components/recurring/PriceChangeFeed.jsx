@@ -0,0 +1,59 @@
+import React from "react";
+import { useRecurring } from "../../state/useRecurring";
+import { useCurrency } from "../../state/useCurrency";
+
+const formatDay = (iso) =>
+  new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+/**
+ * PriceChangeFeed — alerts for subscriptions and bills charged at a new price
+ * (see RecurringContext). Shows the changes the user hasn't dismissed yet and
+ * renders nothing when there are none.
+ */
+export default function PriceChangeFeed() {
+  const { unseenPriceChanges, dismissPriceChanges } = useRecurring();
+  const { formatMoney } = useCurrency();
+
+  if (unseenPriceChanges.length === 0) return null;
+
+  const dismiss = (ids) =>
+    dismissPriceChanges(ids).catch((err) => console.error("[Recurring] Dismiss error:", err.message));
+
+  return (
+    <div className="card p-3 mb-4">
+      <div className="d-flex align-items-center justify-content-between mb-2">
+        <div>
+          <strong>🔔 Price changes</strong>
+          <div className="text-muted small">Recurring payments charged at a new price</div>
+        </div>
+        <button className="btn btn-sm btn-outline-secondary" onClick={() => dismiss()}>
+          Dismiss all
+        </button>
+      </div>
+      <ul className="list-group list-group-flush">
+        {unseenPriceChanges.map((c) => {
+          const increase = c.change_percent > 0;
+          return (
+            <li key={c.id} className="list-group-item d-flex align-items-center gap-2 px-0">
+              <div className="flex-grow-1">
+                <span className="fw-semibold">{c.name}</span>{" "}
+                {increase ? "went up" : "went down"} from {formatMoney(c.old_amount, c.currency)} to{" "}
+                {formatMoney(c.new_amount, c.currency)}
+                <div className="text-muted small">Charged {formatDay(c.charge_date)}</div>
+              </div>
+              <span className={`badge ${increase ? "text-bg-danger" : "text-bg-success"}`}>
+                {increase ? "+" : ""}{c.change_percent}%
+              </span>
+              <button
+                type="button"
+                className="btn-close"
+                aria-label={`Dismiss ${c.name} price change`}
+                onClick={() => dismiss([c.id])}
+              />
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useState } from "react";
+import { useTags } from "../../state/useTags";
+import { useTransactions } from "../../state/TransactionsContext";
+
+const DEFAULT_COLOR = "#6C757D";
+
+/**
+ * TagManager — create, rename, recolour and delete the user's tags
+ * (Options → Tags). Tags are put on transactions from the ledger's bulk
+ * actions; a name typed there that doesn't exist yet is created too.
+ *
+ * Deleting a tag removes it from every row; renaming keeps the rows tagged.
+ */
+export default function TagManager() {
+  const { tags, loading, addTag, editTag, removeTag } = useTags();
+  const { refreshTransactions } = useTransactions();
+
+  const [draft, setDraft] = useState({ name: "", color: DEFAULT_COLOR });
+  const [editing, setEditing] = useState(null); // { id, name, color }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!draft.name.trim()) {
+      setError("Tag name cannot be empty");
+      return;
+    }
+    const ok = await run(() => addTag({ name: draft.name, color: draft.color }));
+    if (ok) setDraft({ name: "", color: DEFAULT_COLOR });
+  };
+
+  const handleSaveEdit = async () => {
+    const ok = await run(() => editTag(editing.id, { name: editing.name, color: editing.color }));
+    if (ok) {
+      setEditing(null);
+      refreshTransactions?.();
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    const used = tag.transaction_count + tag.purchase_count;
+    const note = used ? ` It will be removed from ${used} transaction${used === 1 ? "" : "s"} and purchases.` : "";
+    if (!confirm(`Delete #${tag.name}?${note}`)) return;
+    if (await run(() => removeTag(tag.id))) refreshTransactions?.();
+  };
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="form-label">Add Tag</label>
+        <div className="d-flex flex-wrap gap-2">
+          <input
+            type="text"
+            className="form-control"
+            style={{ flex: "1 1 200px" }}
+            placeholder="e.g., holiday-2026"
+            value={draft.name}
+            onChange={(e) => {
+              setDraft({ ...draft, name: e.target.value });
+              setError("");
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleAdd();
+            }}
+          />
+          <input
+            type="color"
+            className="form-control form-control-color"
+            value={draft.color}
+            onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+            title="Colour"
+          />
+          <button
+            className="segmented-control__segment segmented-control__segment--active"
+            style={{ borderRadius: 20, padding: "6px 14px", fontSize: "0.85rem" }}
+            type="button"
+            disabled={busy}
+            onClick={handleAdd}
+          >
+            Add
+          </button>
+        </div>
+        <div className="form-text">
+          Names are stored lower-case with dashes for spaces, so “Holiday 2026” becomes #holiday-2026.
+        </div>
+        {error && <div className="invalid-feedback d-block">{error}</div>}
+      </div>
+
+      {loading ? (
+        <div className="text-muted small">Loading tags…</div>
+      ) : tags.length === 0 ? (
+        <div className="text-muted small">No tags yet. Select transactions in the ledger and use “Tag” to add some.</div>
+      ) : (
+        <div style={{ maxHeight: 480, overflowY: "auto" }}>
+          {tags.map((tag) => (
+            <div
+              key={tag.id}
+              className="d-flex align-items-center gap-2 py-2"
+              style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}
+            >
+              {editing?.id === tag.id ? (
+                <>
+                  <input
+                    type="color"
+                    className="form-control form-control-color form-control-sm"
+                    value={editing.color}
+                    onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                    title="Colour"
+                  />
+                  <input
+                    type="text"
+                    className="form-control form-control-sm"
+                    style={{ width: 200 }}
+                    value={editing.name}
+                    autoFocus
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleSaveEdit();
+                      if (e.key === "Escape") setEditing(null);
+                    }}
+                  />
+                  <div className="ms-auto d-flex gap-1">
+                    <button className="btn btn-sm btn-primary" disabled={busy} onClick={handleSaveEdit}>Save</button>
+                    <button className="btn btn-sm btn-outline-secondary" disabled={busy} onClick={() => setEditing(null)}>Cancel</button>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <span
+                    style={{ width: 14, height: 14, borderRadius: "50%", background: tag.color || DEFAULT_COLOR, flexShrink: 0 }}
+                  />
+                  <span className="fw-semibold">#{tag.name}</span>
+                  <span className="text-muted small">
+                    {tag.transaction_count} transaction{tag.transaction_count === 1 ? "" : "s"}
+                    {tag.purchase_count > 0 && ` · ${tag.purchase_count} purchase${tag.purchase_count === 1 ? "" : "s"}`}
+                  </span>
+                  <div className="ms-auto d-flex gap-1">
+                    <button
+                      className="btn btn-sm btn-outline-secondary"
+                      disabled={busy}
+                      onClick={() => setEditing({ id: tag.id, name: tag.name, color: tag.color || DEFAULT_COLOR })}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      className="btn btn-sm btn-outline-danger"
+                      disabled={busy}
+                      onClick={() => handleDelete(tag)}
+                      title="Delete tag"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
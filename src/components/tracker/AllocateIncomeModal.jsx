@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import { sumMoney, subtractMoney } from "../../../shared/money.js";
+import { useCurrency } from "../../state/useCurrency";
+
+// An income's allocation → { [category]: "amount" } form values
+const toDraft = (income, categories) =>
+  Object.fromEntries(
+    categories.map((name) => {
+      const share = income?.allocations.find((a) => a.category.toLowerCase() === name.toLowerCase());
+      return [name, share ? String(share.amount) : ""];
+    })
+  );
+
+/**
+ * AllocateIncomeModal — share one income out into the split's envelopes by
+ * hand, or put it back on the split's percentages.
+ *
+ * @param {{ categories: string[], loadIncomes(): Promise<object[]>,
+ *   onSave(purchaseId: string, allocations: object[]|null): Promise<void>, onClose(): void }} props
+ */
+export default function AllocateIncomeModal({ categories, loadIncomes, onSave, onClose }) {
+  const { formatMoney } = useCurrency();
+  const [incomes, setIncomes] = useState(null);
+  const [selectedId, setSelectedId] = useState("");
+  const [draft, setDraft] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    loadIncomes()
+      .then((list) => {
+        if (cancelled) return;
+        setIncomes(list);
+        // Start on the newest income that still has money to share out
+        const first = list.find((i) => i.unallocated > 0) || list[0];
+        if (first) {
+          setSelectedId(first.purchase_id);
+          setDraft(toDraft(first, categories));
+        }
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [loadIncomes, categories]);
+
+  const income = incomes?.find((i) => i.purchase_id === selectedId);
+  const total = income ? sumMoney(Object.values(draft).map((v) => Number(v) || 0), income.currency) : 0;
+  const left = income ? subtractMoney(income.amount, total, income.currency) : 0;
+
+  const selectIncome = (id) => {
+    setSelectedId(id);
+    setDraft(toDraft(incomes.find((i) => i.purchase_id === id), categories));
+    setError("");
+  };
+
+  const run = async (allocations) => {
+    setBusy(true);
+    setError("");
+    try {
+      await onSave(income.purchase_id, allocations);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () =>
+    run(
+      Object.entries(draft)
+        .filter(([, value]) => Number(value) > 0)
+        .map(([category, value]) => ({ category, amount: Number(value) }))
+    );
+
+  return (
+    <div className="modal d-block" style={{ backgroundColor: "rgba(0,0,0,0.5)" }}>
+      <div className="modal-dialog">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Allocate income</h5>
+            <button type="button" className="btn-close" onClick={onClose} />
+          </div>
+          <div className="modal-body">
+            {incomes === null ? (
+              !error && <div className="text-body-secondary small">Loading incomes…</div>
+            ) : incomes.length === 0 ? (
+              <p className="text-body-secondary mb-0">No income has been recorded since envelopes were switched on.</p>
+            ) : (
+              <>
+                <div className="mb-3">
+                  <label className="form-label">Income</label>
+                  <select className="form-select" value={selectedId} onChange={(e) => selectIncome(e.target.value)}>
+                    {incomes.map((i) => (
+                      <option key={i.purchase_id} value={i.purchase_id}>
+                        {i.date} · {formatMoney(i.amount, i.currency)}
+                        {i.description ? ` · ${i.description}` : ""}
+                        {i.unallocated !== 0 ? ` (${formatMoney(i.unallocated, i.currency)} unallocated)` : ""}
+                      </option>
+                    ))}
+                  </select>
+                  {income && (
+                    <div className="form-text">
+                      {income.manual ? "Allocated by hand." : "Allocated by the split's percentages."}
+                    </div>
+                  )}
+                </div>
+
+                {income &&
+                  categories.map((name) => (
+                    <div key={name} className="d-flex align-items-center gap-2 mb-2">
+                      <label className="flex-grow-1 mb-0">{name}</label>
+                      <input
+                        type="number"
+                        className="form-control form-control-sm"
+                        style={{ width: 140 }}
+                        value={draft[name] ?? ""}
+                        onChange={(e) => setDraft({ ...draft, [name]: e.target.value })}
+                        placeholder="0.00"
+                        step="0.01"
+                        min="0"
+                      />
+                    </div>
+                  ))}
+
+                {income && (
+                  <div className={`small mt-2 ${left < 0 ? "text-danger" : "text-body-secondary"}`}>
+                    {left < 0
+                      ? `${formatMoney(-left, income.currency)} more than the income`
+                      : `${formatMoney(left, income.currency)} left to allocate`}
+                  </div>
+                )}
+              </>
+            )}
+
+            {error && <div className="text-danger small">{error}</div>}
+          </div>
+          <div className="modal-footer">
+            {income && (
+              <button
+                type="button"
+                className="btn btn-outline-secondary me-auto"
+                disabled={busy}
+                onClick={() => run(null)}
+                title="Share this income out by the split's percentages"
+              >
+                Use percentages
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleSave} disabled={busy || !income || left < 0}>
+              Save Allocation
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
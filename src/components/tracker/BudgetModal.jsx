@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { BUDGET_PERIOD_LABELS } from "../../utils/budgetsApi";
+import { useCurrency } from "../../state/useCurrency";
+
+/**
+ * BudgetModal — set, change or remove the spending limit on one split
+ * category. Mount it with a `key` per category so the form starts from
+ * that category's budget.
+ *
+ * @param {{ category: string, budget: object|null, hasPayday: boolean,
+ *   onSave(fields: object): Promise<void>, onDelete(id: string): Promise<void>, onClose(): void }} props
+ */
+export default function BudgetModal({ category, budget, hasPayday, onSave, onDelete, onClose }) {
+  const { reportCurrency } = useCurrency();
+  const [amount, setAmount] = useState(budget ? String(budget.amount) : "");
+  const [period, setPeriod] = useState(budget?.period || "monthly");
+  const [rollover, setRollover] = useState(Boolean(budget?.rollover));
+  const [rolloverCap, setRolloverCap] = useState(budget?.rollover_cap != null ? String(budget.rollover_cap) : "");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () =>
+    run(() =>
+      onSave({
+        id: budget?.id,
+        category,
+        amount: Number(amount),
+        period,
+        currency: budget?.currency || reportCurrency,
+        rollover,
+        rollover_cap: rollover && rolloverCap !== "" ? Number(rolloverCap) : null,
+      })
+    );
+
+  return (
+    <div className="modal d-block" style={{ backgroundColor: "rgba(0,0,0,0.5)" }}>
+      <div className="modal-dialog">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Budget for {category}</h5>
+            <button type="button" className="btn-close" onClick={onClose} />
+          </div>
+          <div className="modal-body">
+            <p className="text-body-secondary mb-3">
+              A fixed limit on what you spend on <strong>{category}</strong> each period. The summary and the
+              purchases table show how much of it is used and warn when you go over.
+            </p>
+
+            <div className="mb-3">
+              <label className="form-label">Limit ({budget?.currency || reportCurrency})</label>
+              <input
+                type="number"
+                className="form-control"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="0.00"
+                step="0.01"
+                min="0"
+                autoFocus
+              />
+            </div>
+
+            <div className="mb-3">
+              <label className="form-label">Period</label>
+              <select className="form-select" value={period} onChange={(e) => setPeriod(e.target.value)}>
+                {Object.entries(BUDGET_PERIOD_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {period === "payday" && !hasPayday && (
+                <div className="form-text text-warning">
+                  Set a next payday in the expected income settings; until then this budget runs by calendar month.
+                </div>
+              )}
+            </div>
+
+            <div className="form-check mb-2">
+              <input
+                id="budget-rollover"
+                type="checkbox"
+                className="form-check-input"
+                checked={rollover}
+                onChange={(e) => setRollover(e.target.checked)}
+              />
+              <label className="form-check-label" htmlFor="budget-rollover">
+                Roll over what's left (or overspent) into the next period
+              </label>
+            </div>
+            {rollover && (
+              <div className="mb-3">
+                <label className="form-label">Carry at most ({budget?.currency || reportCurrency}, optional)</label>
+                <input
+                  type="number"
+                  className="form-control"
+                  value={rolloverCap}
+                  onChange={(e) => setRolloverCap(e.target.value)}
+                  placeholder="No cap"
+                  step="0.01"
+                  min="0"
+                />
+                <div className="form-text">
+                  The carry in either direction is held to this amount. Turning rollover on starts it from the current
+                  period.
+                </div>
+              </div>
+            )}
+
+            {error && <div className="text-danger small">{error}</div>}
+          </div>
+          <div className="modal-footer">
+            {budget && (
+              <button
+                type="button"
+                className="btn btn-outline-danger me-auto"
+                disabled={busy}
+                onClick={() => run(() => onDelete(budget.id))}
+              >
+                Remove budget
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleSave}
+              disabled={busy || !(Number(amount) > 0) || (rollover && rolloverCap !== "" && !(Number(rolloverCap) > 0))}
+            >
+              Save Budget
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
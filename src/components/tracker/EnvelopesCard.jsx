@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from "react";
+import { motion as Motion } from "framer-motion";
+import useEnvelopes from "../../hooks/useEnvelopes";
+import { useCurrency } from "../../state/useCurrency";
+import MoveMoneyModal from "./MoveMoneyModal";
+import AllocateIncomeModal from "./AllocateIncomeModal";
+
+/**
+ * EnvelopesCard — the split's envelope mode: what each category envelope has
+ * left, income still to allocate, moving money and the move history.
+ *
+ * @param {{ splitId: string, changeKey: unknown, prefersReducedMotion: boolean }} props
+ *   changeKey reloads the balances when purchases or incomes change on the server
+ */
+export default function EnvelopesCard({ splitId, changeKey, prefersReducedMotion }) {
+  const { formatMoney } = useCurrency();
+  const { envelopes, loading, error, setEnabled, moveMoney, loadIncomes, saveAllocations, loadMoves } = useEnvelopes(
+    splitId,
+    changeKey
+  );
+  const [modal, setModal] = useState(null); // 'move' | 'allocate'
+  const [moves, setMoves] = useState(null); // history, once opened
+  const [actionError, setActionError] = useState("");
+
+  const { currency } = envelopes;
+  const categories = useMemo(
+    () => envelopes.envelopes.filter((e) => e.in_split).map((e) => e.category),
+    [envelopes.envelopes]
+  );
+
+  const toggle = async (enabled) => {
+    if (!enabled && !confirm("Turn envelopes off for this split? Allocations and history are kept for when you turn them back on.")) {
+      return;
+    }
+    setActionError("");
+    try {
+      await setEnabled(enabled);
+      setMoves(null);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const toggleHistory = async () => {
+    if (moves) {
+      setMoves(null);
+      return;
+    }
+    try {
+      setMoves(await loadMoves());
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleMove = async (move) => {
+    await moveMoney(move);
+    if (moves) setMoves(await loadMoves());
+  };
+
+  if (loading) return null;
+
+  return (
+    <>
+      <Motion.div
+        className="card shadow-sm mb-3 tracker-card-hover"
+        whileHover={prefersReducedMotion ? undefined : { y: -2, boxShadow: "0 10px 24px rgba(13,110,253,0.12)" }}
+        transition={{ duration: prefersReducedMotion ? 0 : 0.2 }}
+      >
+        <div className="card-body">
+          <div className="d-flex align-items-center justify-content-between mb-2">
+            <h5 className="mb-0">Envelopes</h5>
+            {envelopes.enabled && (
+              <span
+                className={`badge ${envelopes.unallocated < 0 ? "text-bg-danger" : envelopes.unallocated > 0 ? "text-bg-warning" : "text-bg-success"}`}
+                title={`Income since ${envelopes.since}: ${formatMoney(envelopes.income, currency)}, allocated ${formatMoney(envelopes.allocated, currency)}`}
+              >
+                {formatMoney(envelopes.unallocated, currency)} to allocate
+              </span>
+            )}
+          </div>
+
+          {!envelopes.enabled ? (
+            <>
+              <div className="text-body-secondary small mb-2">
+                Share each income out into an envelope per category, by the split's percentages or by hand, and spend
+                from what each envelope holds.
+              </div>
+              <button className="btn btn-sm btn-outline-primary" onClick={() => toggle(true)}>
+                Use envelopes
+              </button>
+            </>
+          ) : (
+            <>
+              {envelopes.envelopes.map((e) => (
+                <div key={e.category} className="d-flex justify-content-between small py-1" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+                  <span title={`Allocated ${formatMoney(e.allocated, currency)}, moved in ${formatMoney(e.moved_in, currency)}, moved out ${formatMoney(e.moved_out, currency)}, spent ${formatMoney(e.spent, currency)}`}>
+                    {e.category}
+                    {!e.in_split && <span className="text-body-secondary"> (removed)</span>}
+                  </span>
+                  <span className={`fw-semibold ${e.overspent ? "text-danger" : ""}`}>{formatMoney(e.balance, currency)}</span>
+                </div>
+              ))}
+              {envelopes.unconverted > 0 && (
+                <div className="text-body-secondary small mt-1">
+                  {envelopes.unconverted} amounts in other currencies left out (no FX rate)
+                </div>
+              )}
+
+              <div className="d-flex flex-wrap gap-1 mt-2">
+                <button className="btn btn-sm btn-outline-primary" onClick={() => setModal("move")}>
+                  Move money
+                </button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={() => setModal("allocate")}>
+                  Allocate income
+                </button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={toggleHistory}>
+                  {moves ? "Hide history" : "History"}
+                </button>
+                <button className="btn btn-sm btn-link text-body-secondary ms-auto" onClick={() => toggle(false)}>
+                  Turn off
+                </button>
+              </div>
+
+              {moves && (
+                <div className="mt-2" style={{ maxHeight: "160px", overflowY: "auto" }}>
+                  {moves.length === 0 ? (
+                    <div className="text-body-secondary small">No money moved yet.</div>
+                  ) : (
+                    moves.map((m) => (
+                      <div key={m.id} className="small py-1" style={{ borderBottom: "1px solid rgba(0,0,0,0.05)" }}>
+                        <span className="text-body-secondary">{new Date(m.created_at).toLocaleDateString("en-GB", { day: "numeric", month: "short" })}</span>{" "}
+                        {formatMoney(m.amount, m.currency)} from {m.from} to {m.to}
+                        {m.note && <div className="text-body-secondary">{m.note}</div>}
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          {(error || actionError) && <div className="text-danger small mt-2">{error || actionError}</div>}
+        </div>
+      </Motion.div>
+
+      {/* Outside the card: its hover transform would trap the fixed overlay */}
+      {modal === "move" && (
+        <MoveMoneyModal envelopes={envelopes.envelopes} currency={currency} onMove={handleMove} onClose={() => setModal(null)} />
+      )}
+      {modal === "allocate" && (
+        <AllocateIncomeModal
+          categories={categories}
+          loadIncomes={loadIncomes}
+          onSave={saveAllocations}
+          onClose={() => setModal(null)}
+        />
+      )}
+    </>
+  );
+}
@@ -1,4 +1,6 @@
 import React from "react";
+import { formatMoney } from "../../../shared/money.js";
+import { PAY_FREQUENCY_LABELS } from "../../utils/payFrequencies";
 
 export default function ExpectedIncomeModal({
   showExpectedIncomeModal,
@@ -55,10 +57,16 @@ export default function ExpectedIncomeModal({
                 value={expectedIncomeForm.frequency}
                 onChange={(e) => setExpectedIncomeForm((prev) => ({ ...prev, frequency: e.target.value }))}
               >
-                <option value="weekly">Weekly</option>
-                <option value="fortnightly">Fortnightly</option>
-                <option value="monthly">Monthly</option>
+                {Object.entries(PAY_FREQUENCY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
               </select>
+              <div className="form-text">
+                {expectedIncomeForm.frequency === "last_working_day"
+                  ? "Paid on the last weekday of each month. "
+                  : ""}
+                With a next payday set, the tracker's Pay period view runs from one payday to the next.
+              </div>
             </div>
 
             <div className="form-check mb-3">
@@ -78,7 +86,8 @@ export default function ExpectedIncomeModal({
 
             {selectedIncomeSettings && (
               <div className="alert alert-info py-2 small">
-                Current settings: £{Number(selectedIncomeSettings.expected_amount || 0).toFixed(2)} {selectedIncomeSettings.frequency}
+                Current settings: {formatMoney(selectedIncomeSettings.expected_amount, selectedIncomeSettings.currency)}{" "}
+                {(PAY_FREQUENCY_LABELS[selectedIncomeSettings.frequency] || selectedIncomeSettings.frequency).toLowerCase()}
               </div>
             )}
           </div>
@@ -1,5 +1,7 @@
 import React from "react";
 import { motion } from "framer-motion";
+import { sumMoney } from "../../../shared/money.js";
+import { useCurrency } from "../../state/useCurrency";
 
 export default function IncomeCard({
   prefersReducedMotion,
@@ -11,6 +13,7 @@ export default function IncomeCard({
   toLocalDate,
   formatDisplayDate,
 }) {
+  const { reportCurrency, formatMoney } = useCurrency();
   return (
     <motion.div
       className="card shadow-sm mb-3 tracker-card-hover"
@@ -26,14 +29,14 @@ export default function IncomeCard({
             </button>
           </div>
           <span className="badge fs-6" style={{ backgroundColor: "var(--tracker-accent-bg)", color: "#000000" }}>
-            £{viewIncomeTransactions.reduce((sum, tx) => sum + (Number(tx.amount) || 0), 0).toFixed(2)}
+            {formatMoney(sumMoney(viewIncomeTransactions.map((tx) => tx.amount), reportCurrency))}
           </span>
         </div>
 
         {isUsingExpectedIncome && selectedIncomeSettings && (
           <div className="alert alert-info py-2 mb-3">
             <small>
-              📊 <strong>Using expected income:</strong> £{selectedIncomeSettings.expected_amount?.toFixed(2)}
+              📊 <strong>Using expected income:</strong> {formatMoney(selectedIncomeSettings.expected_amount, selectedIncomeSettings.currency)}
               {selectedIncomeSettings.next_payday && (
                 <span className="ms-2">
                   (next payday:{" "}
@@ -46,7 +49,7 @@ export default function IncomeCard({
 
         {viewIncomeTransactions.length === 0 ? (
           <div className="text-body-secondary small">
-            No income recorded for this {viewMode === "yearly" ? "year" : viewMode === "monthly" ? "month" : "week"}.
+            No income recorded for this {viewMode === "payday" ? "pay period" : viewMode === "yearly" ? "year" : viewMode === "monthly" ? "month" : "week"}.
           </div>
         ) : (
           <div className="table-responsive" style={{ maxHeight: "140px", overflowY: "auto" }}>
@@ -68,7 +71,7 @@ export default function IncomeCard({
                   .map((tx) => (
                     <tr key={tx.id}>
                       <td>{formatDisplayDate(tx.date)}</td>
-                      <td className="text-end fw-bold">£{Number(tx.amount || 0).toFixed(2)}</td>
+                      <td className="text-end fw-bold">{formatMoney(tx.amount, tx.currency)}</td>
                       <td>
                         <span className="badge text-bg-secondary">{tx.category || "Income"}</span>
                       </td>
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { useCurrency } from "../../state/useCurrency";
+
+/**
+ * MoveMoneyModal — move money from one envelope to another. Every move is
+ * kept in the split's envelope history.
+ *
+ * @param {{ envelopes: object[], currency: string, onMove(move: object): Promise<void>, onClose(): void }} props
+ *   envelopes as returned by GET /api/envelopes/:splitId
+ */
+export default function MoveMoneyModal({ envelopes, currency, onMove, onClose }) {
+  const { formatMoney } = useCurrency();
+  const sources = envelopes.filter((e) => e.balance > 0);
+  const targets = envelopes.filter((e) => e.in_split);
+  const [from, setFrom] = useState(sources[0]?.category || "");
+  // Overspent envelopes first: they are usually what the money is for
+  const [to, setTo] = useState(
+    (targets.find((e) => e.overspent && e.category !== from) || targets.find((e) => e.category !== from))?.category || ""
+  );
+  const [amount, setAmount] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const source = sources.find((e) => e.category === from);
+
+  const handleMove = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await onMove({ from, to, amount: Number(amount), note: note.trim() || undefined });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal d-block" style={{ backgroundColor: "rgba(0,0,0,0.5)" }}>
+      <div className="modal-dialog">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Move money between envelopes</h5>
+            <button type="button" className="btn-close" onClick={onClose} />
+          </div>
+          <div className="modal-body">
+            {sources.length === 0 ? (
+              <p className="text-body-secondary mb-0">No envelope has money left to move.</p>
+            ) : (
+              <>
+                <div className="mb-3">
+                  <label className="form-label">From</label>
+                  <select className="form-select" value={from} onChange={(e) => setFrom(e.target.value)}>
+                    {sources.map((e) => (
+                      <option key={e.category} value={e.category}>
+                        {e.category} ({formatMoney(e.balance, currency)} available)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="mb-3">
+                  <label className="form-label">To</label>
+                  <select className="form-select" value={to} onChange={(e) => setTo(e.target.value)}>
+                    {targets.map((e) => (
+                      <option key={e.category} value={e.category} disabled={e.category === from}>
+                        {e.category} ({formatMoney(e.balance, currency)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="mb-3">
+                  <label className="form-label">Amount ({currency})</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    placeholder="0.00"
+                    step="0.01"
+                    min="0"
+                    max={source?.balance}
+                    autoFocus
+                  />
+                </div>
+
+                <div className="mb-3">
+                  <label className="form-label">Note (optional)</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    maxLength={200}
+                    placeholder="e.g. Cover the weekly shop"
+                  />
+                </div>
+              </>
+            )}
+
+            {error && <div className="text-danger small">{error}</div>}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleMove}
+              disabled={busy || !from || !to || from === to || !(Number(amount) > 0)}
+            >
+              Move
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import React from "react";
+import { useCurrency } from "../../state/useCurrency";
+import { BUDGET_PERIOD_NOUNS } from "../../utils/budgetsApi";
 
 export default function PeriodNavigation({
   viewMode,
@@ -15,38 +17,73 @@ export default function PeriodNavigation({
   previousYear,
   nextYear,
   goToCurrentYear,
+  payPeriodStart,
+  payPeriodEnd,
+  previousPayPeriod,
+  nextPayPeriod,
+  goToCurrentPayPeriod,
+  budgets = [],
 }) {
+  const { formatMoney } = useCurrency();
+  const isPayPeriod = viewMode === "payday" && payPeriodStart;
+
   return (
     <div className="d-flex align-items-center justify-content-between mb-4 pb-3 border-bottom">
-      <h5 className="mb-0">
-        {viewMode === "yearly"
-          ? yearStart.getFullYear().toString()
-          : viewMode === "monthly"
-          ? monthStart.toLocaleDateString("en-GB", { month: "long", year: "numeric" })
-          : `Week of ${weekStart.toLocaleDateString("en-GB", { day: "numeric", month: "short" })} - ${weekEnd.toLocaleDateString(
-              "en-GB",
-              { day: "numeric", month: "short", year: "numeric" }
-            )}`}
-      </h5>
+      <div>
+        <h5 className="mb-0">
+          {isPayPeriod
+            ? `Pay period ${payPeriodStart.toLocaleDateString("en-GB", { day: "numeric", month: "short" })} - ${payPeriodEnd.toLocaleDateString(
+                "en-GB",
+                { day: "numeric", month: "short", year: "numeric" }
+              )}`
+            : viewMode === "yearly"
+            ? yearStart.getFullYear().toString()
+            : viewMode === "monthly"
+            ? monthStart.toLocaleDateString("en-GB", { month: "long", year: "numeric" })
+            : `Week of ${weekStart.toLocaleDateString("en-GB", { day: "numeric", month: "short" })} - ${weekEnd.toLocaleDateString(
+                "en-GB",
+                { day: "numeric", month: "short", year: "numeric" }
+              )}`}
+        </h5>
+        {/* What each budget had available in the budget period containing the viewed date */}
+        {budgets.length > 0 && (
+          <div className="d-flex flex-wrap gap-2 mt-1 small">
+            {budgets.map((b) => (
+              <span
+                key={b.id}
+                className={`badge rounded-pill ${b.over_budget ? "text-bg-danger" : "text-bg-light border"}`}
+                title={`${b.category}, ${b.period_start} to ${b.period_end}: ${formatMoney(b.period_amount, b.currency)} budget${
+                  b.carried_in ? ` ${b.carried_in > 0 ? "+" : "−"} ${formatMoney(Math.abs(b.carried_in), b.currency)} carried from the last ${BUDGET_PERIOD_NOUNS[b.period]}` : ""
+                }, ${formatMoney(b.spent, b.currency)} spent`}
+              >
+                {b.over_budget
+                  ? `${b.category}: ${formatMoney(-b.remaining, b.currency)} over ${formatMoney(b.available, b.currency)}`
+                  : `${b.category}: ${formatMoney(b.remaining, b.currency)} of ${formatMoney(b.available, b.currency)} left`}
+                {b.rollover && b.carried_in !== 0 && " ↻"}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
       <div className="segmented-control">
         <button
           className="segmented-control__segment"
-          onClick={viewMode === "yearly" ? previousYear : viewMode === "monthly" ? previousMonth : previousWeek}
-          title={viewMode === "yearly" ? "Previous year" : viewMode === "monthly" ? "Previous month" : "Previous week"}
+          onClick={isPayPeriod ? previousPayPeriod : viewMode === "yearly" ? previousYear : viewMode === "monthly" ? previousMonth : previousWeek}
+          title={isPayPeriod ? "Previous pay period" : viewMode === "yearly" ? "Previous year" : viewMode === "monthly" ? "Previous month" : "Previous week"}
         >
           Prev
         </button>
         <button
           className="segmented-control__segment segmented-control__segment--active"
-          onClick={viewMode === "yearly" ? goToCurrentYear : viewMode === "monthly" ? goToCurrentMonth : goToCurrentWeek}
-          title={viewMode === "yearly" ? "Go to current year" : viewMode === "monthly" ? "Go to current month" : "Go to current week"}
+          onClick={isPayPeriod ? goToCurrentPayPeriod : viewMode === "yearly" ? goToCurrentYear : viewMode === "monthly" ? goToCurrentMonth : goToCurrentWeek}
+          title={isPayPeriod ? "Go to current pay period" : viewMode === "yearly" ? "Go to current year" : viewMode === "monthly" ? "Go to current month" : "Go to current week"}
         >
           Today
         </button>
         <button
           className="segmented-control__segment"
-          onClick={viewMode === "yearly" ? nextYear : viewMode === "monthly" ? nextMonth : nextWeek}
-          title={viewMode === "yearly" ? "Next year" : viewMode === "monthly" ? "Next month" : "Next week"}
+          onClick={isPayPeriod ? nextPayPeriod : viewMode === "yearly" ? nextYear : viewMode === "monthly" ? nextMonth : nextWeek}
+          title={isPayPeriod ? "Next pay period" : viewMode === "yearly" ? "Next year" : viewMode === "monthly" ? "Next month" : "Next week"}
         >
           Next
         </button>
@@ -1,5 +1,6 @@
 import React, { useMemo, useRef, useState, useEffect, useCallback, useDeferredValue, useTransition } from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { addMoney, sumMoney } from "../../../shared/money.js";import { useCurrency } from "../../state/useCurrency";
 
 // Memoized table row component to prevent unnecessary re-renders
 const TableRow = React.memo(function TableRow({ 
@@ -104,6 +105,8 @@ function PurchasesPivotTable({
   weekDays,
   dayNames,
   monthWeeks,
+  payPeriodWeeks,
+  hasPayPeriods,
   monthNames,
   yearStart,
   splitCategoryNames,
@@ -118,8 +121,10 @@ function PurchasesPivotTable({
   editingPurchaseId,
   setEditingPurchaseId,
   allCategoryNames,
+  budgetsByCategory,
 }) {
   // ===== Hover tooltip state (isolated to prevent parent re-renders) =====
+  const { reportCurrency } = useCurrency();
   const [hoverTip, setHoverTip] = useState(null);
   const tooltipCloseTimeoutRef = useRef(null);
   const hoverTimeoutRef = useRef(null);
@@ -329,9 +334,9 @@ function PurchasesPivotTable({
           isCurrent: toDateOnlyString(day) === toDateOnlyString(new Date()),
         };
       });
-    } else if (viewMode === "monthly") {
+    } else if (viewMode === "monthly" || viewMode === "payday") {
       const now = new Date();
-      return monthWeeks.map((w) => ({
+      return (viewMode === "payday" ? payPeriodWeeks : monthWeeks).map((w) => ({
         key: `week-${w.num}-${toDateOnlyString(w.start)}`,
         label: `${w.label} (${w.start.toLocaleDateString("en-GB", { day: "numeric", month: "short" })}–${w.end.toLocaleDateString(
           "en-GB",
@@ -355,7 +360,7 @@ function PurchasesPivotTable({
         };
       });
     }
-  }, [viewMode, weekDays, dayNames, monthWeeks, monthNames, yearStart, toDateOnlyString]);
+  }, [viewMode, weekDays, dayNames, monthWeeks, payPeriodWeeks, monthNames, yearStart, toDateOnlyString]);
 
   // Memoize all row data calculations to avoid recomputing on every render
   const { rowData, maxCellValue, grandTotals, grandRowTotal } = useMemo(() => {
@@ -366,13 +371,13 @@ function PurchasesPivotTable({
     const rowData = rows.map((row) => {
       const rangePurchases = getPurchasesInRange(row.start, row.end);
       const { totals, counts } = buildCategoryTotals(rangePurchases);
-      const rowTotal = Object.values(totals).reduce((s, v) => s + (Number(v) || 0), 0);
+      const rowTotal = sumMoney(Object.values(totals), reportCurrency);
       
       // Accumulate grand totals
       for (const [cat, val] of Object.entries(totals)) {
-        grandTotals[cat] = (grandTotals[cat] || 0) + (Number(val) || 0);
+        grandTotals[cat] = addMoney(grandTotals[cat], val, reportCurrency);
       }
-      grandRowTotal += rowTotal;
+      grandRowTotal = addMoney(grandRowTotal, rowTotal, reportCurrency);
       
       return { row, totals, counts, rowTotal };
     });
@@ -383,7 +388,7 @@ function PurchasesPivotTable({
     }, 0);
 
     return { rowData, maxCellValue, grandTotals, grandRowTotal };
-  }, [rows, deferredSplitCategoryNames, getPurchasesInRange, buildCategoryTotals]);
+  }, [rows, deferredSplitCategoryNames, getPurchasesInRange, buildCategoryTotals, reportCurrency]);
 
   // Mark initial load complete once we have data
   useEffect(() => {
@@ -395,7 +400,7 @@ function PurchasesPivotTable({
   }, [rowData, isInitialLoad]);
   
   // Determine row count for skeleton based on view mode
-  const skeletonRowCount = viewMode === "weekly" ? 7 : viewMode === "monthly" ? 5 : 12;
+  const skeletonRowCount = viewMode === "weekly" ? 7 : viewMode === "yearly" ? 12 : 5;
   const showSkeleton = isInitialLoad && rowData.length === 0;
 
   return (
@@ -427,6 +432,14 @@ function PurchasesPivotTable({
             >
               Yearly
             </button>
+            <button
+              className={`segmented-control__segment ${viewMode === "payday" ? "segmented-control__segment--active" : ""}`}
+              onClick={() => setViewMode("payday")}
+              disabled={!hasPayPeriods}
+              title={hasPayPeriods ? "From one payday to the next" : "Set a next payday in expected income to view pay periods"}
+            >
+              Pay period
+            </button>
           </div>
         </div>
 
@@ -448,15 +461,31 @@ function PurchasesPivotTable({
                   <thead className="table-light" style={{ position: "sticky", top: 0, zIndex: 1 }}>
                     <tr>
                       <th style={{ width: "220px" }}>Period</th>
-                          {deferredSplitCategoryNames.map((cat) => (
-                            <th
-                              key={cat}
-                              className="text-center tracker-cat-th"
-                              title={cat}
-                            >
-                              <span className="tracker-cat-label">{cat}</span>
-                            </th>
-                          ))}
+                          {deferredSplitCategoryNames.map((cat) => {
+                            const budget = budgetsByCategory?.get(cat.toLowerCase());
+                            return (
+                              <th
+                                key={cat}
+                                className={`text-center tracker-cat-th ${budget?.over_budget ? "tracker-cat-th--over" : ""}`}
+                                title={budget
+                                  ? `${cat}: ${formatMoney(budget.spent, budget.currency)} of ${formatMoney(budget.available, budget.currency)} budget (${budget.period_start} to ${budget.period_end})`
+                                  : cat}
+                              >
+                                <span className="tracker-cat-label">{cat}</span>
+                                {budget && (
+                                  <div className="progress tracker-cat-budget" aria-hidden="true">
+                                    <div
+                                      className={`progress-bar ${budget.over_budget ? "bg-danger" : budget.projected_over ? "bg-warning" : ""}`}
+                                      style={{
+                                        width: `${Math.min(budget.percent_used, 100)}%`,
+                                        backgroundColor: budget.over_budget || budget.projected_over ? undefined : "var(--tracker-budget-ok)",
+                                      }}
+                                    />
+                                  </div>
+                                )}
+                              </th>
+                            );
+                          })}
 
                       <th className="text-end" style={{ width: "120px" }}>
                         Total
@@ -485,7 +514,10 @@ function PurchasesPivotTable({
                     <tr>
                       <th>Totals</th>
                       {deferredSplitCategoryNames.map((cat) => (
-                        <th key={cat} className="text-center">
+                        <th
+                          key={cat}
+                          className={`text-center ${budgetsByCategory?.get(cat.toLowerCase())?.over_budget ? "text-danger" : ""}`}
+                        >
                           {grandTotals[cat] > 0 ? formatMoney(grandTotals[cat]) : "—"}
                         </th>
                       ))}
@@ -497,7 +529,7 @@ function PurchasesPivotTable({
                 {hoverTip && (() => {
                   // Derive tooltip data from the source of truth on every render
                   const tooltipItems = getCellItems(hoverTip.start, hoverTip.end, hoverTip.categoryName);
-                  const tooltipValue = tooltipItems.reduce((s, it) => s + it.amount, 0);
+                  const tooltipValue = sumMoney(tooltipItems.map((it) => it.amount), reportCurrency);
                   const tooltipCount = tooltipItems.length;
                   const tooltipTitle = `${hoverTip.rowLabel} • ${hoverTip.categoryName} • ${money(tooltipValue)} (${tooltipCount} item${tooltipCount === 1 ? "" : "s"})`;
 
@@ -548,7 +580,15 @@ function PurchasesPivotTable({
                               {it.description}
                             </div>
                             <div style={{ display: "flex", alignItems: "center", gap: "6px", flexShrink: 0 }}>
-                              {editingPurchaseId === it.id ? (
+                              {it.line_item ? (
+                                <span
+                                  className="badge text-bg-secondary"
+                                  style={{ fontSize: "0.65rem", padding: "2px 6px", whiteSpace: "nowrap", opacity: 0.6, fontWeight: 400 }}
+                                  title="Part of a split transaction; change it from the Transactions page"
+                                >
+                                  {it.category || "Other"} ✂
+                                </span>
+                              ) : editingPurchaseId === it.id ? (
                                 <select
                                   className="form-select form-select-sm"
                                   style={{ width: "120px", fontSize: "0.75rem", padding: "2px 4px" }}
@@ -592,8 +632,8 @@ function PurchasesPivotTable({
 
 
               <div className="mt-2 text-end fw-bold">
-                {viewMode === "yearly" ? "Year Total" : viewMode === "monthly" ? "Month Total" : "Week Total"}: £
-                {getViewTotal.toFixed(2)}
+                {viewMode === "payday" ? "Pay Period Total" : viewMode === "yearly" ? "Year Total" : viewMode === "monthly" ? "Month Total" : "Week Total"}:{" "}
+                {formatMoney(getViewTotal)}
                   </div>
                 </>
               )}
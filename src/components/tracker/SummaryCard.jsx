@@ -1,5 +1,54 @@
 import React from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { subtractMoney, sumMoney } from "../../../shared/money.js";
+import { useCurrency } from "../../state/useCurrency";
+import { BUDGET_PERIOD_NOUNS } from "../../utils/budgetsApi";
+
+// Spent-of-limit for a category's budget, in the budget's own period
+function BudgetProgress({ budget, prefersReducedMotion, formatMoney }) {
+  const { currency } = budget;
+  const noun = BUDGET_PERIOD_NOUNS[budget.period];
+  const status = budget.over_budget
+    ? `${formatMoney(-budget.remaining, currency)} over`
+    : budget.projected_over
+    ? `On track for ${formatMoney(budget.projected, currency)}`
+    : `${formatMoney(budget.remaining, currency)} left`;
+
+  return (
+    <div
+      className="tracker-budget"
+      title={`Budget: ${formatMoney(budget.spent, currency)} of ${formatMoney(budget.available, currency)} this ${noun} (${budget.period_start} to ${budget.period_end}), projected ${formatMoney(budget.projected, currency)}`}
+    >
+      <span className="text-primary" style={{ fontSize: "0.7rem", opacity: 0.7, whiteSpace: "nowrap" }}>
+        Budget {formatMoney(budget.period_amount, currency)}/{noun}
+        {budget.carried_in !== 0 && (
+          <span title={`Carried over from the last ${noun}`}>
+            {" "}{budget.carried_in > 0 ? "+" : "−"} {formatMoney(Math.abs(budget.carried_in), currency)} ↻
+          </span>
+        )}
+      </span>
+      <div className="progress" style={{ height: "4px", width: "100%", marginTop: "2px", marginBottom: "2px" }}>
+        <motion.div
+          className={`progress-bar tracker-progress-fill ${budget.over_budget ? "tracker-glow-over bg-danger" : budget.projected_over ? "bg-warning" : ""}`}
+          initial={prefersReducedMotion ? false : { width: 0 }}
+          animate={{ width: `${Math.min(budget.percent_used, 100)}%` }}
+          transition={{ duration: prefersReducedMotion ? 0 : 0.6, ease: "easeOut" }}
+          style={{ backgroundColor: budget.over_budget || budget.projected_over ? undefined : "var(--tracker-budget-ok)" }}
+        />
+      </div>
+      <span
+        className="fw-medium"
+        style={{
+          fontSize: "0.7rem",
+          whiteSpace: "nowrap",
+          color: budget.over_budget ? "var(--bs-danger)" : budget.projected_over ? "var(--bs-warning-text-emphasis)" : "var(--tracker-budget-ok)",
+        }}
+      >
+        {status}
+      </span>
+    </div>
+  );
+}
 
 export default function SummaryCard({
   selectedSplitData,
@@ -9,7 +58,10 @@ export default function SummaryCard({
   viewBudgetIncome,
   viewUsingExpectedIncome,
   getViewPurchases,
+  budgetsByCategory,
+  onEditBudget,
 }) {
+  const { reportCurrency, formatMoney } = useCurrency();
   if (!selectedSplitData) return null;
 
   return (
@@ -35,13 +87,13 @@ export default function SummaryCard({
                   opacity: 0.8,
                 }}
               >
-                {viewMode === "yearly" ? "Yearly" : viewMode === "monthly" ? "Monthly" : "Weekly"} Summary
+                {viewMode === "payday" ? "Pay Period" : viewMode === "yearly" ? "Yearly" : viewMode === "monthly" ? "Monthly" : "Weekly"} Summary
               </span>
               <span className="fw-bold" style={{ fontSize: "1.25rem" }}>
-                £{getViewTotal.toFixed(2)}
+                {formatMoney(getViewTotal)}
               </span>
               <span className="text-primary" style={{ fontSize: "0.75rem", opacity: 0.7 }}>
-                of £{viewBudgetIncome.toFixed(2)} income
+                of {formatMoney(viewBudgetIncome)} income
                 {viewUsingExpectedIncome && (
                   <span className="badge bg-warning text-dark ms-1" style={{ fontSize: "0.65rem" }}>
                     Est.
@@ -54,30 +106,42 @@ export default function SummaryCard({
 
             {selectedSplitData.categories.map((cat) => {
               const categoryPurchases = getViewPurchases().filter((p) => p.category === cat.name);
-              const categoryTotal = categoryPurchases.reduce((sum, p) => sum + p.amount, 0);
+              const categoryTotal = sumMoney(categoryPurchases.map((p) => p.amount), reportCurrency);
               const allocatedAmount = viewBudgetIncome > 0 ? (viewBudgetIncome * cat.percent) / 100 : 0;
               const percentUsed = allocatedAmount > 0 ? (categoryTotal / allocatedAmount) * 100 : 0;
-              const remaining = allocatedAmount - categoryTotal;
+              const remaining = subtractMoney(allocatedAmount, categoryTotal, reportCurrency);
               const progressWidth = Math.min(percentUsed, 100);
+              const budget = budgetsByCategory?.get(cat.name.toLowerCase());
 
               return (
                 <motion.div
                   key={cat.id}
-                  className="d-flex flex-column justify-content-center tracker-summary-item"
+                  className={`d-flex flex-column justify-content-center tracker-summary-item ${budget?.over_budget ? "tracker-summary-item--over" : ""}`}
                   style={{ minWidth: "90px", flexShrink: 0 }}
                   whileHover={prefersReducedMotion ? undefined : { y: -3 }}
                   transition={{ type: "spring", stiffness: 250, damping: 20 }}
-                  title={`${cat.name}: £${categoryTotal.toFixed(2)} of £${allocatedAmount.toFixed(2)}`}
+                  title={`${cat.name}: ${formatMoney(categoryTotal)} of ${formatMoney(allocatedAmount)}`}
                 >
                   <span className="text-primary fw-medium" style={{ fontSize: "0.75rem", marginBottom: "2px", whiteSpace: "nowrap", opacity: 0.8 }}>
                     {cat.name} <span style={{ opacity: 0.7 }}>({cat.percent}%)</span>
+                    {onEditBudget && (
+                      <button
+                        type="button"
+                        className="tracker-budget-edit"
+                        onClick={() => onEditBudget(cat.name)}
+                        title={budget ? `Edit the ${cat.name} budget` : `Set a budget for ${cat.name}`}
+                        aria-label={budget ? `Edit the ${cat.name} budget` : `Set a budget for ${cat.name}`}
+                      >
+                        {budget ? "✎" : "+"}
+                      </button>
+                    )}
                   </span>
                   <div className="d-flex align-items-baseline gap-1">
                     <span className="fw-bold" style={{ fontSize: "0.9rem" }}>
-                      £{categoryTotal.toFixed(2)}
+                      {formatMoney(categoryTotal)}
                     </span>
                     <span className="text-primary" style={{ fontSize: "0.7rem", opacity: 0.7 }}>
-                      / £{allocatedAmount.toFixed(2)}
+                      / {formatMoney(allocatedAmount)}
                     </span>
                   </div>
                   <div className="progress" style={{ height: "4px", width: "100%", marginTop: "4px", marginBottom: "4px" }}>
@@ -90,8 +154,11 @@ export default function SummaryCard({
                     />
                   </div>
                   <span className="fw-medium" style={{ fontSize: "0.7rem", whiteSpace: "nowrap", color: remaining < 0 ? "var(--bs-danger)" : "var(--tracker-budget-ok)" }}>
-                    {remaining >= 0 ? `£${remaining.toFixed(2)} left` : `-£${Math.abs(remaining).toFixed(2)} over`}
+                    {remaining >= 0 ? `${formatMoney(remaining)} left` : `${formatMoney(remaining)} over`}
                   </span>
+                  {budget && (
+                    <BudgetProgress budget={budget} prefersReducedMotion={prefersReducedMotion} formatMoney={formatMoney} />
+                  )}
                 </motion.div>
               );
             })}
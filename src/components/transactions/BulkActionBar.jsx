@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+
+/**
+ * BulkActionBar — actions for the rows selected in the ledger.
+ *
+ * Props:
+ *   count            — number of selected transactions
+ *   categories       — category names for "Recategorize"
+ *   tags             — existing tag names, suggested by "Tag"
+ *   splits           — saved splits ({ id, name, categories: [{ name }] }), null until loaded
+ *   onLoadSplits     — called the first time "Assign to split" is opened
+ *   onRecategorize(category), onChangeType(type), onDelete(),
+ *   onAssignToSplit(splitId, category), onTag({ add?, remove? }) — each resolves when done
+ *   onClearSelection — deselect everything
+ */
+export default function BulkActionBar({
+  count,
+  busy,
+  categories,
+  tags = [],
+  splits,
+  onLoadSplits,
+  onRecategorize,
+  onChangeType,
+  onDelete,
+  onAssignToSplit,
+  onTag,
+  onClearSelection,
+}) {
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [assigning, setAssigning] = useState(false);
+  const [splitId, setSplitId] = useState("");
+  const [splitCategory, setSplitCategory] = useState("");
+  const [tagging, setTagging] = useState(false);
+  const [tagName, setTagName] = useState("");
+
+  const split = splits?.find((s) => s.id === splitId);
+  const splitCategories = (split?.categories || []).map((c) => c.name).filter(Boolean);
+
+  const openAssign = () => {
+    if (!splits) onLoadSplits();
+    setAssigning(true);
+  };
+
+  const submitTag = async (action) => {
+    await onTag({ [action]: [tagName.trim()] });
+    setTagging(false);
+    setTagName("");
+  };
+
+  const submitAssign = async () => {
+    await onAssignToSplit(splitId, splitCategory);
+    setAssigning(false);
+    setSplitId("");
+    setSplitCategory("");
+  };
+
+  return (
+    <div className="ledger-bulk-bar d-flex flex-wrap align-items-center gap-2 mb-3 p-2 rounded">
+      <strong className="me-2">{count} selected</strong>
+
+      <select
+        className="form-select form-select-sm w-auto"
+        value=""
+        disabled={busy}
+        onChange={(e) => e.target.value && onRecategorize(e.target.value)}
+        aria-label="Recategorize selected"
+      >
+        <option value="">Recategorize…</option>
+        {categories.map((c) => (
+          <option key={c} value={c}>{c}</option>
+        ))}
+      </select>
+
+      <select
+        className="form-select form-select-sm w-auto"
+        value=""
+        disabled={busy}
+        onChange={(e) => e.target.value && onChangeType(e.target.value)}
+        aria-label="Change type of selected"
+      >
+        <option value="">Change type…</option>
+        <option value="expense">Expense</option>
+        <option value="income">Income</option>
+      </select>
+
+      {!tagging ? (
+        <button type="button" className="btn btn-outline-primary btn-sm" disabled={busy} onClick={() => setTagging(true)}>
+          Tag
+        </button>
+      ) : (
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          <input
+            className="form-control form-control-sm w-auto"
+            list="ledger-bulk-tags"
+            placeholder="Tag name"
+            value={tagName}
+            autoFocus
+            onChange={(e) => setTagName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && tagName.trim() && submitTag("add")}
+            aria-label="Tag name"
+          />
+          <datalist id="ledger-bulk-tags">
+            {tags.map((t) => (
+              <option key={t} value={t} />
+            ))}
+          </datalist>
+          <button type="button" className="btn btn-primary btn-sm" disabled={busy || !tagName.trim()} onClick={() => submitTag("add")}>
+            Add tag
+          </button>
+          <button type="button" className="btn btn-outline-secondary btn-sm" disabled={busy || !tagName.trim()} onClick={() => submitTag("remove")}>
+            Remove tag
+          </button>
+          <button type="button" className="btn btn-link btn-sm" onClick={() => setTagging(false)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {!assigning ? (
+        <button type="button" className="btn btn-outline-primary btn-sm" disabled={busy} onClick={openAssign}>
+          Assign to split
+        </button>
+      ) : (
+        <div className="d-flex flex-wrap align-items-center gap-2">
+          <select
+            className="form-select form-select-sm w-auto"
+            value={splitId}
+            onChange={(e) => { setSplitId(e.target.value); setSplitCategory(""); }}
+            aria-label="Split"
+          >
+            <option value="">{splits ? "Choose split…" : "Loading splits…"}</option>
+            {(splits || []).map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <select
+            className="form-select form-select-sm w-auto"
+            value={splitCategory}
+            disabled={!split}
+            onChange={(e) => setSplitCategory(e.target.value)}
+            aria-label="Split category for expenses"
+          >
+            <option value="">Expense category…</option>
+            {splitCategories.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn btn-primary btn-sm"
+            disabled={busy || !split || !splitCategory}
+            onClick={submitAssign}
+          >
+            Assign
+          </button>
+          <button type="button" className="btn btn-link btn-sm" onClick={() => setAssigning(false)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      <div className="ms-auto d-flex align-items-center gap-2">
+        {confirmDelete ? (
+          <>
+            <span className="small text-danger">Delete {count} transaction{count === 1 ? "" : "s"}?</span>
+            <button
+              type="button"
+              className="btn btn-danger btn-sm"
+              disabled={busy}
+              onClick={async () => { await onDelete(); setConfirmDelete(false); }}
+            >
+              Delete
+            </button>
+            <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => setConfirmDelete(false)}>
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button type="button" className="btn btn-outline-danger btn-sm" disabled={busy} onClick={() => setConfirmDelete(true)}>
+            Delete
+          </button>
+        )}
+        <button type="button" className="btn btn-link btn-sm" onClick={onClearSelection}>
+          Clear selection
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+
+/**
+ * EditableCell — click-to-edit ledger cell.
+ *
+ * Enter or blur saves, Escape cancels. `onSave(value)` should resolve to
+ * true when the change was persisted; on false the cell shows an error
+ * outline and keeps the old value.
+ *
+ * Props:
+ *   value     — current raw value (string for inputs)
+ *   display   — optional rendered value when not editing
+ *   kind      — "text" | "number" | "date" | "select"
+ *   options   — choices for kind="select"
+ *   validate  — optional (draft) => boolean
+ */
+export default function EditableCell({ value, display, kind = "text", options = [], validate, onSave, className = "" }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(value);
+  const [saving, setSaving] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  const startEditing = () => {
+    setDraft(value);
+    setFailed(false);
+    setEditing(true);
+  };
+
+  const commit = async (next) => {
+    setEditing(false);
+    if (next === value) return;
+    if (validate && !validate(next)) {
+      setFailed(true);
+      return;
+    }
+
+    setSaving(true);
+    const ok = await onSave(next);
+    setSaving(false);
+    setFailed(!ok);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      commit(draft);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setEditing(false);
+    }
+  };
+
+  if (editing && kind === "select") {
+    return (
+      <select
+        autoFocus
+        className="form-select form-select-sm ledger-cell-input"
+        value={draft}
+        onChange={(e) => commit(e.target.value)}
+        onBlur={() => setEditing(false)}
+        onKeyDown={handleKeyDown}
+      >
+        {!options.includes(draft) && <option value={draft}>{draft || "—"}</option>}
+        {options.map((o) => (
+          <option key={o} value={o}>{o}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (editing) {
+    return (
+      <input
+        autoFocus
+        type={kind}
+        min={kind === "number" ? "0.01" : undefined}
+        step={kind === "number" ? "0.01" : undefined}
+        className="form-control form-control-sm ledger-cell-input"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => commit(draft)}
+        onKeyDown={handleKeyDown}
+      />
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      className={`ledger-cell-button ${failed ? "ledger-cell-failed" : ""} ${className}`}
+      onClick={startEditing}
+      disabled={saving}
+      title={failed ? "Couldn't save this change — click to try again" : "Click to edit"}
+    >
+      {display ?? (value || <span className="text-muted">—</span>)}
+    </button>
+  );
+}
@@ -0,0 +1,185 @@
+import React from "react";
+
+/**
+ * LedgerFilters — filter bar for the Transactions ledger.
+ *
+ * Filters are owned by the URL (see views/transactions.jsx); this component
+ * only reports changes through onChange(key, value). Free-text and amount
+ * fields commit on Enter or blur so typing doesn't refetch on every keystroke.
+ */
+export default function LedgerFilters({ filters, categories, tags, onChange, onReset }) {
+  const hasFilters = Object.entries(filters).some(
+    ([key, value]) => key !== "sort" && key !== "dir" && (Array.isArray(value) ? value.length : value)
+  );
+
+  const commitOnEnter = (key) => (e) => {
+    if (e.key === "Enter") onChange(key, e.currentTarget.value.trim());
+  };
+
+  const addCategory = (e) => {
+    const category = e.target.value;
+    if (category && !filters.categories.includes(category)) {
+      onChange("category", [...filters.categories, category]);
+    }
+  };
+
+  const removeCategory = (category) => {
+    onChange("category", filters.categories.filter((c) => c !== category));
+  };
+
+  const addTag = (e) => {
+    const tag = e.target.value;
+    if (tag && !filters.tags.includes(tag)) onChange("tag", [...filters.tags, tag]);
+  };
+
+  const removeTag = (tag) => {
+    onChange("tag", filters.tags.filter((t) => t !== tag));
+  };
+
+  return (
+    <div className="card mb-3 ledger-filters" style={{ backgroundColor: "var(--card-bg)", border: "1px solid var(--card-border)" }}>
+      <div className="card-body py-3">
+        <div className="row g-2 align-items-end">
+          <div className="col-12 col-md-4 col-xl-3">
+            <label className="form-label small text-muted mb-1">Search</label>
+            <input
+              key={`q:${filters.q}`}
+              type="search"
+              className="form-control form-control-sm"
+              placeholder="Description contains…"
+              defaultValue={filters.q}
+              onKeyDown={commitOnEnter("q")}
+              onBlur={(e) => e.target.value.trim() !== filters.q && onChange("q", e.target.value.trim())}
+            />
+          </div>
+          <div className="col-6 col-md-2 col-xl-2">
+            <label className="form-label small text-muted mb-1">From</label>
+            <input
+              type="date"
+              className="form-control form-control-sm"
+              value={filters.from}
+              onChange={(e) => onChange("from", e.target.value)}
+            />
+          </div>
+          <div className="col-6 col-md-2 col-xl-2">
+            <label className="form-label small text-muted mb-1">To</label>
+            <input
+              type="date"
+              className="form-control form-control-sm"
+              value={filters.to}
+              onChange={(e) => onChange("to", e.target.value)}
+            />
+          </div>
+          <div className="col-6 col-md-2 col-xl-1">
+            <label className="form-label small text-muted mb-1">Type</label>
+            <select
+              className="form-select form-select-sm"
+              value={filters.type}
+              onChange={(e) => onChange("type", e.target.value)}
+            >
+              <option value="">All</option>
+              <option value="expense">Expense</option>
+              <option value="income">Income</option>
+            </select>
+          </div>
+          <div className="col-6 col-md-2 col-xl-1">
+            <label className="form-label small text-muted mb-1">Source</label>
+            <select
+              className="form-select form-select-sm"
+              value={filters.source}
+              onChange={(e) => onChange("source", e.target.value)}
+            >
+              <option value="">All</option>
+              <option value="bank">Bank</option>
+              <option value="manual">Manual</option>
+            </select>
+          </div>
+          <div className="col-6 col-md-3 col-xl-1">
+            <label className="form-label small text-muted mb-1">Min £</label>
+            <input
+              key={`min:${filters.minAmount}`}
+              type="number"
+              min="0"
+              step="0.01"
+              className="form-control form-control-sm"
+              defaultValue={filters.minAmount}
+              onKeyDown={commitOnEnter("minAmount")}
+              onBlur={(e) => e.target.value !== filters.minAmount && onChange("minAmount", e.target.value)}
+            />
+          </div>
+          <div className="col-6 col-md-3 col-xl-1">
+            <label className="form-label small text-muted mb-1">Max £</label>
+            <input
+              key={`max:${filters.maxAmount}`}
+              type="number"
+              min="0"
+              step="0.01"
+              className="form-control form-control-sm"
+              defaultValue={filters.maxAmount}
+              onKeyDown={commitOnEnter("maxAmount")}
+              onBlur={(e) => e.target.value !== filters.maxAmount && onChange("maxAmount", e.target.value)}
+            />
+          </div>
+          <div className="col-12 col-md-4 col-xl-1">
+            <label className="form-label small text-muted mb-1">Category</label>
+            <select className="form-select form-select-sm" value="" onChange={addCategory}>
+              <option value="">Add…</option>
+              {categories
+                .filter((c) => !filters.categories.includes(c))
+                .map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+            </select>
+          </div>
+          {tags.length > 0 && (
+            <div className="col-12 col-md-4 col-xl-1">
+              <label className="form-label small text-muted mb-1">Tag</label>
+              <select className="form-select form-select-sm" value="" onChange={addTag}>
+                <option value="">Add…</option>
+                {tags
+                  .filter((t) => !filters.tags.includes(t))
+                  .map((t) => (
+                    <option key={t} value={t}>#{t}</option>
+                  ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {(filters.categories.length > 0 || filters.tags.length > 0 || hasFilters) && (
+          <div className="d-flex flex-wrap align-items-center gap-2 mt-2">
+            {filters.categories.map((c) => (
+              <span key={c} className="badge rounded-pill text-bg-primary d-inline-flex align-items-center gap-1">
+                {c}
+                <button
+                  type="button"
+                  className="btn-close btn-close-white"
+                  style={{ fontSize: "0.55rem" }}
+                  aria-label={`Remove ${c} filter`}
+                  onClick={() => removeCategory(c)}
+                />
+              </span>
+            ))}
+            {filters.tags.map((t) => (
+              <span key={t} className="badge rounded-pill text-bg-info d-inline-flex align-items-center gap-1">
+                #{t}
+                <button
+                  type="button"
+                  className="btn-close"
+                  style={{ fontSize: "0.55rem" }}
+                  aria-label={`Remove #${t} filter`}
+                  onClick={() => removeTag(t)}
+                />
+              </span>
+            ))}
+            {hasFilters && (
+              <button type="button" className="btn btn-link btn-sm p-0 ms-auto" onClick={onReset}>
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
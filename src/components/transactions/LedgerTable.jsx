@@ -0,0 +1,217 @@
+import React, { useRef } from "react";
+import EditableCell from "./EditableCell";
+import AttachmentThumb from "../attachments/AttachmentThumb";
+import useVirtualRows from "../../hooks/useVirtualRows";
+import { toLocalDateString } from "../../models/transaction";
+import { formatMoney } from "../../../shared/money.js";
+
+const ROW_HEIGHT = 44;
+// Start fetching the next page when the viewport is this close to the end
+const LOAD_MORE_THRESHOLD_PX = ROW_HEIGHT * 20;
+
+const COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "description", label: "Description" },
+  { key: "category", label: "Category" },
+  { key: "type", label: "Type" },
+  { key: "source", label: "Source", sortable: false },
+  { key: "amount", label: "Amount", align: "end" },
+];
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString(undefined, { day: "2-digit", month: "short", year: "numeric" });
+
+/**
+ * LedgerTable — virtualized, sortable, inline-editable transaction list.
+ *
+ * Rows are fixed height so only the visible window is rendered; scrolling
+ * near the end calls onLoadMore() to fetch the next server page. Tags show as
+ * badges after the description, coloured by getTagColor(name), followed by a
+ * thumbnail of the first attachment (or 📎) that calls onAttachments(row); the
+ * ✂ button next to the category calls onSplit(row) to split it into line items.
+ */
+export default function LedgerTable({
+  rows,
+  loading,
+  loadingMore,
+  hasMore,
+  onLoadMore,
+  sort,
+  dir,
+  onSort,
+  selectedIds,
+  onToggleRow,
+  onToggleAll,
+  onEdit,
+  categories,
+  getTagColor,
+  onSplit,
+  onAttachments,
+}) {
+  const containerRef = useRef(null);
+  const { start, end, paddingTop, paddingBottom, onScroll } = useVirtualRows({
+    containerRef,
+    count: rows.length,
+    rowHeight: ROW_HEIGHT,
+  });
+
+  const handleScroll = (e) => {
+    onScroll(e);
+    const el = e.currentTarget;
+    if (hasMore && !loadingMore && el.scrollHeight - el.scrollTop - el.clientHeight < LOAD_MORE_THRESHOLD_PX) {
+      onLoadMore();
+    }
+  };
+
+  const allSelected = rows.length > 0 && rows.every((r) => selectedIds.has(r.id));
+  const someSelected = !allSelected && rows.some((r) => selectedIds.has(r.id));
+
+  return (
+    <div className="card ledger-card" style={{ backgroundColor: "var(--card-bg)", border: "1px solid var(--card-border)" }}>
+      <div className="ledger-row ledger-header" role="row">
+        <div className="ledger-cell ledger-cell-check">
+          <input
+            type="checkbox"
+            className="form-check-input"
+            aria-label="Select all loaded transactions"
+            checked={allSelected}
+            ref={(el) => { if (el) el.indeterminate = someSelected; }}
+            onChange={() => onToggleAll(!allSelected)}
+          />
+        </div>
+        {COLUMNS.map((col) => {
+          const sortable = col.sortable !== false;
+          const active = sort === col.key;
+          return (
+            <div
+              key={col.key}
+              className={`ledger-cell ledger-cell-${col.key} ${col.align === "end" ? "text-end" : ""}`}
+              role="columnheader"
+              aria-sort={active ? (dir === "asc" ? "ascending" : "descending") : undefined}
+            >
+              {sortable ? (
+                <button type="button" className={`ledger-sort-button ${active ? "active" : ""}`} onClick={() => onSort(col.key)}>
+                  {col.label}
+                  <span className="ledger-sort-indicator">{active ? (dir === "asc" ? "▲" : "▼") : ""}</span>
+                </button>
+              ) : (
+                col.label
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div ref={containerRef} className="ledger-body" onScroll={handleScroll}>
+        {loading && rows.length === 0 && (
+          <div className="text-center text-muted py-5">
+            <div className="spinner-border spinner-border-sm me-2" role="status" />
+            Loading transactions…
+          </div>
+        )}
+        {!loading && rows.length === 0 && (
+          <div className="text-center text-muted py-5">No transactions match these filters.</div>
+        )}
+
+        <div style={{ paddingTop, paddingBottom }}>
+          {rows.slice(start, end).map((row) => {
+            const selected = selectedIds.has(row.id);
+            return (
+              <div
+                key={row.id}
+                className={`ledger-row ${selected ? "ledger-row-selected" : ""}`}
+                style={{ height: ROW_HEIGHT }}
+                role="row"
+              >
+                <div className="ledger-cell ledger-cell-check">
+                  <input
+                    type="checkbox"
+                    className="form-check-input"
+                    aria-label={`Select ${row.description || "transaction"}`}
+                    checked={selected}
+                    onChange={() => onToggleRow(row.id)}
+                  />
+                </div>
+                <div className="ledger-cell ledger-cell-date">
+                  <EditableCell
+                    kind="date"
+                    value={toLocalDateString(row.date)}
+                    display={formatDate(row.date)}
+                    validate={(v) => /^\d{4}-\d{2}-\d{2}$/.test(v)}
+                    onSave={(v) => onEdit(row, "date", v)}
+                  />
+                </div>
+                <div className="ledger-cell ledger-cell-description">
+                  <EditableCell value={row.description} onSave={(v) => onEdit(row, "description", v.trim())} />
+                  {(row.tags || []).map((tag) => (
+                    <span key={tag} className="badge rounded-pill ledger-tag" style={{ backgroundColor: getTagColor(tag) }}>
+                      #{tag}
+                    </span>
+                  ))}
+                  <button
+                    type="button"
+                    className={`btn btn-sm ledger-attach-button ${row.attachments?.length ? "" : "btn-link text-muted"}`}
+                    title={row.attachments?.length
+                      ? row.attachments.map((a) => a.filename).join(", ")
+                      : "Attach a receipt"}
+                    onClick={() => onAttachments(row)}
+                  >
+                    {row.attachments?.length ? (
+                      <>
+                        <AttachmentThumb attachment={row.attachments[0]} />
+                        {row.attachments.length > 1 && <span className="small">+{row.attachments.length - 1}</span>}
+                      </>
+                    ) : (
+                      "📎"
+                    )}
+                  </button>
+                </div>
+                <div className="ledger-cell ledger-cell-category">
+                  <EditableCell
+                    kind="select"
+                    value={row.category}
+                    options={categories}
+                    onSave={(v) => onEdit(row, "category", v)}
+                  />
+                  <button
+                    type="button"
+                    className={`btn btn-sm ledger-split-button ${row.line_items?.length ? "btn-outline-primary" : "btn-link text-muted"}`}
+                    title={row.line_items?.length
+                      ? `Split into ${row.line_items.map((l) => l.category || "Uncategorized").join(", ")}`
+                      : "Split across categories"}
+                    onClick={() => onSplit(row)}
+                  >
+                    ✂{row.line_items?.length ? ` ${row.line_items.length}` : ""}
+                  </button>
+                </div>
+                <div className="ledger-cell ledger-cell-type">
+                  <span className={`badge ${row.type === "income" ? "text-bg-success" : "text-bg-secondary"}`}>
+                    {row.type}
+                  </span>
+                </div>
+                <div className="ledger-cell ledger-cell-source text-muted small">{row.source}</div>
+                <div className="ledger-cell ledger-cell-amount text-end">
+                  <EditableCell
+                    kind="number"
+                    value={String(row.amount)}
+                    display={`${row.type === "income" ? "+" : "-"}${formatMoney(row.amount, row.currency)}`}
+                    className={row.type === "income" ? "text-success" : ""}
+                    validate={(v) => Number(v) > 0}
+                    onSave={(v) => onEdit(row, "amount", Number(v))}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {loadingMore && (
+          <div className="text-center text-muted small py-2">
+            <div className="spinner-border spinner-border-sm me-2" role="status" />
+            Loading more…
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { formatMoney, subtractMoney, sumMoney } from "../../../shared/money.js";
+
+const emptyLine = (category = "") => ({ amount: "", category, note: "" });
+
+/**
+ * LineItemsModal — split one transaction across several categories.
+ *
+ * Each line has an amount (in the transaction's currency), a category and a
+ * note; the lines must add up to the transaction's amount before they can be
+ * saved. Tracker and insights totals then count each line under its own
+ * category. Mount it with `key={transaction.id}` so the draft resets.
+ *
+ * Props:
+ *   transaction — the row being split ({ amount, currency, category, line_items })
+ *   categories  — category names for the pickers
+ *   onSave(items) — resolves when saved ([] removes the split); throws with a message
+ *   onClose
+ */
+export default function LineItemsModal({ transaction, categories, onSave, onClose }) {
+  const { amount, currency } = transaction;
+  const isSplit = transaction.line_items?.length > 0;
+
+  const [lines, setLines] = useState(() =>
+    isSplit
+      ? transaction.line_items.map((l) => ({ amount: String(l.amount), category: l.category || "", note: l.note || "" }))
+      : [{ ...emptyLine(transaction.category), amount: String(amount) }, emptyLine()]
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const remaining = subtractMoney(amount, sumMoney(lines.map((l) => Number(l.amount) || 0), currency), currency);
+  const valid = lines.length >= 2 && lines.every((l) => Number(l.amount) > 0) && remaining === 0;
+
+  const updateLine = (index, changes) => {
+    setLines((prev) => prev.map((l, i) => (i === index ? { ...l, ...changes } : l)));
+    setError("");
+  };
+
+  // New lines start with whatever is left over
+  const addLine = () => {
+    setLines((prev) => [...prev, { ...emptyLine(), amount: remaining > 0 ? String(remaining) : "" }]);
+  };
+
+  const save = async (items) => {
+    setSaving(true);
+    setError("");
+    try {
+      await onSave(items);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal d-block" style={{ backgroundColor: "rgba(0,0,0,0.5)" }}>
+      <div className="modal-dialog modal-lg">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Split across categories</h5>
+            <button type="button" className="btn-close" onClick={onClose} />
+          </div>
+          <div className="modal-body">
+            <p className="text-body-secondary mb-3">
+              <strong>{transaction.description || "Transaction"}</strong> · {formatMoney(amount, currency)}. The lines
+              must add up to the full amount.
+            </p>
+
+            {lines.map((line, i) => (
+              <div key={i} className="d-flex flex-wrap gap-2 mb-2 align-items-center">
+                <input
+                  type="number"
+                  className="form-control form-control-sm"
+                  style={{ width: 110 }}
+                  min="0"
+                  step="0.01"
+                  placeholder="0.00"
+                  value={line.amount}
+                  onChange={(e) => updateLine(i, { amount: e.target.value })}
+                  aria-label={`Line ${i + 1} amount`}
+                />
+                <select
+                  className="form-select form-select-sm"
+                  style={{ width: 180 }}
+                  value={line.category}
+                  onChange={(e) => updateLine(i, { category: e.target.value })}
+                  aria-label={`Line ${i + 1} category`}
+                >
+                  <option value="">Category…</option>
+                  {categories.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  style={{ flex: "1 1 160px" }}
+                  maxLength={200}
+                  placeholder="Note (optional)"
+                  value={line.note}
+                  onChange={(e) => updateLine(i, { note: e.target.value })}
+                  aria-label={`Line ${i + 1} note`}
+                />
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline-danger"
+                  disabled={lines.length <= 2}
+                  onClick={() => setLines((prev) => prev.filter((_, j) => j !== i))}
+                  aria-label={`Remove line ${i + 1}`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+
+            <div className="d-flex align-items-center justify-content-between mt-3">
+              <button type="button" className="btn btn-sm btn-outline-primary" onClick={addLine}>
+                Add line
+              </button>
+              <span className={`small ${remaining === 0 ? "text-success" : "text-danger"}`}>
+                {remaining === 0
+                  ? "Lines add up"
+                  : remaining > 0
+                    ? `${formatMoney(remaining, currency)} left to assign`
+                    : `${formatMoney(-remaining, currency)} over`}
+              </span>
+            </div>
+            {error && <div className="text-danger small mt-2">{error}</div>}
+          </div>
+          <div className="modal-footer">
+            {isSplit && (
+              <button type="button" className="btn btn-outline-danger me-auto" disabled={saving} onClick={() => save([])}>
+                Remove split
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              disabled={saving || !valid}
+              onClick={() => save(lines.map((l) => ({ amount: Number(l.amount), category: l.category || null, note: l.note.trim() || null })))}
+            >
+              {saving ? "Saving…" : "Save split"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
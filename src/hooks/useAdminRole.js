@@ -20,9 +20,8 @@ export function useAdminRole() {
     async function checkAdminRole() {
       try {
         setLoading(true);
-        const token = getUserToken();
+        const token = await getUserToken();
         
-        console.log('[Admin Hook] Checking admin role for token:', token);
         console.log('[Admin Hook] API URL:', `${API_URL}/me/role`);
         
         const response = await fetch(`${API_URL}/me/role`, {
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { fetchAttachmentBlob } from '../utils/attachmentsApi';
+
+// attachment id → Promise<object URL>, kept for the session so virtualized
+// ledger rows scrolling back into view don't download the file again
+const urlCache = new Map();
+
+/** Object URL for an attachment's file, downloaded once per session. */
+export function getAttachmentUrl(id) {
+  if (!urlCache.has(id)) {
+    const promise = fetchAttachmentBlob(id).then((blob) => URL.createObjectURL(blob));
+    promise.catch(() => urlCache.delete(id));
+    urlCache.set(id, promise);
+  }
+  return urlCache.get(id);
+}
+
+/** Drop a deleted attachment's cached file. */
+export function forgetAttachmentUrl(id) {
+  const promise = urlCache.get(id);
+  if (!promise) return;
+  urlCache.delete(id);
+  promise.then((url) => URL.revokeObjectURL(url)).catch(() => {});
+}
+
+/**
+ * useAttachmentUrl — object URL for showing an attachment (e.g. as a thumbnail).
+ *
+ * @param {string|null} id — attachment id, or null to load nothing
+ * @returns {{ url: string|null, error: boolean }}
+ */
+export default function useAttachmentUrl(id) {
+  const [state, setState] = useState({ id: null, url: null, error: false });
+
+  useEffect(() => {
+    if (!id) return undefined;
+    let cancelled = false;
+    getAttachmentUrl(id)
+      .then((url) => !cancelled && setState({ id, url, error: false }))
+      .catch(() => !cancelled && setState({ id, url: null, error: true }));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return state.id === id ? { url: state.url, error: state.error } : { url: null, error: false };
+}
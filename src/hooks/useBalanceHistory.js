@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchBalanceHistory } from '../utils/balanceHistoryApi';
+
+/**
+ * useBalanceHistory — daily bank balances from /api/balance-history.
+ *
+ * @param {string} from — first day (YYYY-MM-DD)
+ * @param {string} [to] — last day (default today)
+ * @returns {{ history: { from, to, main_account_id, accounts: object[] }|null, loading: boolean, error: string,
+ *   reload(): Promise<void> }}
+ */
+export default function useBalanceHistory(from, to) {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setHistory(await fetchBalanceHistory({ from, to }));
+      setError('');
+    } catch (err) {
+      console.error('[BalanceHistory] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { history, loading, error, reload };
+}
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { createBudget, deleteBudget, fetchBudgets, updateBudget } from '../utils/budgetsApi';
+
+/**
+ * useBudgets — one scope's budgets with progress for the period containing `date`.
+ *
+ * @param {string|null} splitId — a split's id, 'none' for standalone budgets, or null to load nothing
+ * @param {string} date — YYYY-MM-DD
+ * @param {unknown} [changeKey] — reloads when it changes (e.g. after purchases are saved), since spending moves progress
+ * @returns {{ budgets: object[], byCategory: Map<string, object>, loading: boolean, error: string,
+ *   saveBudget(budget: object): Promise<void>, removeBudget(id: string): Promise<void>, reload(): Promise<void> }}
+ *   byCategory is keyed by lower-cased category name
+ */
+export default function useBudgets(splitId, date, changeKey) {
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    if (!splitId) return;
+    try {
+      const data = await fetchBudgets({ splitId, date });
+      setBudgets(data.budgets);
+      setError('');
+    } catch (err) {
+      console.error('[Budgets] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [splitId, date]);
+
+  useEffect(() => {
+    if (!splitId) {
+      setBudgets([]);
+      return;
+    }
+    reload();
+  }, [splitId, reload, changeKey]);
+
+  // Creates when the budget has no id; the progress shown stays on `date`'s period
+  const saveBudget = useCallback(
+    async ({ id, ...fields }) => {
+      if (id) await updateBudget(id, fields);
+      else await createBudget({ ...fields, split_id: splitId === 'none' ? null : splitId });
+      await reload();
+    },
+    [splitId, reload]
+  );
+
+  const removeBudget = useCallback(
+    async (id) => {
+      await deleteBudget(id);
+      setBudgets((prev) => prev.filter((b) => b.id !== id));
+    },
+    []
+  );
+
+  const byCategory = useMemo(() => new Map(budgets.map((b) => [b.category.toLowerCase(), b])), [budgets]);
+
+  return { budgets, byCategory, loading, error, saveBudget, removeBudget, reload };
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchPayoffPlan } from '../utils/debtsApi';
+
+/**
+ * useDebtPlan — snowball and avalanche payoff plans from /api/debts/plan.
+ *
+ * @param {{ extra?: number, splitId?: string, category?: string, currency?: string }} options
+ * @param {unknown} debtsKey — changes whenever the debts do, to plan again
+ * @returns {{ plan: object|null, loading: boolean, error: string, reload(): Promise<void> }}
+ */
+export default function useDebtPlan({ extra, splitId, category, currency }, debtsKey) {
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    // A split needs a category before there's anything to plan with
+    if (splitId && !category) return;
+    try {
+      setPlan(await fetchPayoffPlan({ extra, splitId, category, currency }));
+      setError('');
+    } catch (err) {
+      console.error('[Debts] Plan failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [extra, splitId, category, currency]);
+
+  useEffect(() => {
+    reload();
+  }, [reload, debtsKey]);
+
+  return { plan, loading, error, reload };
+}
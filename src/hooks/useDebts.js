@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createDebt, deleteDebt, fetchDebts, updateDebt } from '../utils/debtsApi';
+
+/**
+ * useDebts — the user's debts.
+ *
+ * @returns {{ debts: object[], loading: boolean, error: string, reload(): Promise<void>,
+ *   saveDebt(debt: object): Promise<void>, removeDebt(id: string): Promise<void> }}
+ */
+export default function useDebts() {
+  const [debts, setDebts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setDebts((await fetchDebts()).debts);
+      setError('');
+    } catch (err) {
+      console.error('[Debts] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Creates when the debt has no id
+  const saveDebt = useCallback(
+    async ({ id, ...fields }) => {
+      if (id) await updateDebt(id, fields);
+      else await createDebt(fields);
+      await reload();
+    },
+    [reload]
+  );
+
+  const removeDebt = useCallback(async (id) => {
+    await deleteDebt(id);
+    setDebts((prev) => prev.filter((d) => d.id !== id));
+  }, []);
+
+  return { debts, loading, error, reload, saveDebt, removeDebt };
+}
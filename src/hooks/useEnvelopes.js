@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  allocateIncome,
+  fetchEnvelopeIncomes,
+  fetchEnvelopeMoves,
+  fetchEnvelopes,
+  moveEnvelopeMoney,
+  setEnvelopeMode,
+} from '../utils/envelopesApi';
+
+const EMPTY = { enabled: false, envelopes: [] };
+
+/**
+ * useEnvelopes — a split's envelope mode and balances.
+ *
+ * @param {string|null} splitId — null to load nothing
+ * @param {unknown} [changeKey] — reloads when it changes (e.g. after purchases or incomes are saved)
+ * @returns {{ envelopes: object, loading: boolean, error: string, reload(): Promise<void>,
+ *   setEnabled(enabled: boolean): Promise<void>, moveMoney(move: object): Promise<void>,
+ *   loadIncomes(): Promise<object[]>, saveAllocations(purchaseId: string, allocations: object[]|null): Promise<void>,
+ *   loadMoves(): Promise<object[]> }}
+ *   envelopes is the GET /api/envelopes/:splitId response
+ */
+export default function useEnvelopes(splitId, changeKey) {
+  const [envelopes, setEnvelopes] = useState(EMPTY);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    if (!splitId) return;
+    try {
+      setEnvelopes(await fetchEnvelopes(splitId));
+      setError('');
+    } catch (err) {
+      console.error('[Envelopes] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [splitId]);
+
+  useEffect(() => {
+    if (!splitId) {
+      setEnvelopes(EMPTY);
+      return;
+    }
+    reload();
+  }, [splitId, reload, changeKey]);
+
+  const setEnabled = useCallback(
+    async (enabled) => setEnvelopes(await setEnvelopeMode(splitId, { enabled })),
+    [splitId]
+  );
+
+  const moveMoney = useCallback(
+    async (move) => {
+      await moveEnvelopeMoney(splitId, move);
+      await reload();
+    },
+    [splitId, reload]
+  );
+
+  const loadIncomes = useCallback(async () => (await fetchEnvelopeIncomes(splitId)).incomes, [splitId]);
+
+  const saveAllocations = useCallback(
+    async (purchaseId, allocations) => {
+      await allocateIncome(splitId, purchaseId, allocations);
+      await reload();
+    },
+    [splitId, reload]
+  );
+
+  const loadMoves = useCallback(async () => (await fetchEnvelopeMoves(splitId)).moves, [splitId]);
+
+  return { envelopes, loading, error, reload, setEnabled, moveMoney, loadIncomes, saveAllocations, loadMoves };
+}
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchForecast } from '../utils/forecastApi';
+
+/**
+ * useForecast — the cash-flow forecast from /api/forecast.
+ *
+ * @param {number} [days] — how far ahead to project (default 90)
+ * @param {unknown} [changeKey] — reloads when it changes (e.g. after recurring bills are reviewed)
+ * @returns {{ forecast: object|null, loading: boolean, error: string, reload(): Promise<void> }}
+ *   forecast is null until a bank account has a balance
+ */
+export default function useForecast(days, changeKey) {
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setForecast((await fetchForecast({ days })).forecast);
+      setError('');
+    } catch (err) {
+      console.error('[Forecast] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    reload();
+  }, [reload, changeKey]);
+
+  return { forecast, loading, error, reload };
+}
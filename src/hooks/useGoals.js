@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createGoal, deleteGoal, fetchGoals, updateGoal } from '../utils/goalsApi';
+
+/**
+ * useGoals — the user's savings goals with progress.
+ *
+ * @returns {{ goals: object[], loading: boolean, error: string, reload(): Promise<void>,
+ *   saveGoal(goal: object): Promise<void>, removeGoal(id: string): Promise<void> }}
+ */
+export default function useGoals() {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setGoals((await fetchGoals()).goals);
+      setError('');
+    } catch (err) {
+      console.error('[Goals] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Creates when the goal has no id
+  const saveGoal = useCallback(
+    async ({ id, ...fields }) => {
+      if (id) await updateGoal(id, fields);
+      else await createGoal(fields);
+      await reload();
+    },
+    [reload]
+  );
+
+  const removeGoal = useCallback(
+    async (id) => {
+      await deleteGoal(id);
+      setGoals((prev) => prev.filter((g) => g.id !== id));
+    },
+    []
+  );
+
+  return { goals, loading, error, reload, saveGoal, removeGoal };
+}
@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createManualAccount, deleteManualAccount, fetchManualAccounts, updateManualAccount } from '../utils/manualAccountsApi';
+
+/**
+ * useManualAccounts — the user's manual accounts with their latest values.
+ *
+ * @returns {{ accounts: object[], loading: boolean, error: string, reload(): Promise<void>,
+ *   saveAccount(account: object): Promise<void>, removeAccount(id: string): Promise<void> }}
+ */
+export default function useManualAccounts() {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setAccounts((await fetchManualAccounts()).accounts);
+      setError('');
+    } catch (err) {
+      console.error('[ManualAccounts] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Creates when the account has no id
+  const saveAccount = useCallback(
+    async ({ id, ...fields }) => {
+      if (id) await updateManualAccount(id, fields);
+      else await createManualAccount(fields);
+      await reload();
+    },
+    [reload]
+  );
+
+  const removeAccount = useCallback(async (id) => {
+    await deleteManualAccount(id);
+    setAccounts((prev) => prev.filter((a) => a.id !== id));
+  }, []);
+
+  return { accounts, loading, error, reload, saveAccount, removeAccount };
+}
@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchNetWorth } from '../utils/netWorthApi';
+
+/**
+ * useNetWorth — net worth from /api/net-worth.
+ *
+ * @param {number} months — months of history
+ * @param {string} currency — what everything is converted into
+ * @returns {{ netWorth: object|null, loading: boolean, error: string, reload(): Promise<void> }}
+ */
+export default function useNetWorth(months, currency) {
+  const [netWorth, setNetWorth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setNetWorth(await fetchNetWorth({ months, currency }));
+      setError('');
+    } catch (err) {
+      console.error('[NetWorth] Load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [months, currency]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { netWorth, loading, error, reload };
+}
@@ -1,6 +1,11 @@
 // src/hooks/useTrueLayerBanking.js
 import { useState, useEffect, useRef, useCallback } from "react";
 import { suggestCategory } from "../utils/categories";
+import { fetchAllTransactions } from "../utils/transactionsApi";
+import { toDay, addMonths, monthBounds } from "../../shared/periods.js";
+
+// The insights donut looks back 12 months at most, so older bank rows aren't fetched
+const BANK_HISTORY_MONTHS = 12;
 
 /**
  * Extracts all TrueLayer / Open-Banking state, effects, and handlers
@@ -8,7 +13,7 @@ import { suggestCategory } from "../utils/categories";
  *
  * @param {object} opts
  * @param {string}   opts.API_URL
- * @param {function} opts.getAuthHeaders   – () => { Authorization: "Bearer …" }
+ * @param {function} opts.getAuthHeaders   – async () => { Authorization: "Bearer …" }
  * @param {object}   opts.location         – react-router location
  * @param {function} opts.navigate         – react-router navigate
  * @param {function} opts.refreshTransactions
@@ -52,7 +57,7 @@ export default function useTrueLayerBanking({
     setLiveBalanceLoading(true);
     try {
       const res = await fetch(`${API_URL}/banks/truelayer/balance`, {
-        headers: getAuthHeaders(),
+        headers: await getAuthHeaders(),
         cache: "no-store",
       });
       if (!res.ok) return;
@@ -75,7 +80,7 @@ export default function useTrueLayerBanking({
     setStoredBalanceLoading(true);
     try {
       const res = await fetch(`${API_URL}/banks/truelayer/balance-cached`, {
-        headers: getAuthHeaders(),
+        headers: await getAuthHeaders(),
         cache: "no-store",
       });
       if (!res.ok) {
@@ -110,17 +115,13 @@ export default function useTrueLayerBanking({
    */
   const fetchBankTransactions = useCallback(async () => {
     try {
-      const res = await fetch(`${API_URL}/transactions`, {
-        headers: getAuthHeaders(),
-        cache: "no-store",
+      const { transactions: data } = await fetchAllTransactions({
+        apiBase: API_URL,
+        headers: await getAuthHeaders(),
+        filters: { source: "bank", from: addMonths(monthBounds(toDay()).start, -BANK_HISTORY_MONTHS) },
       });
-      if (!res.ok) return;
-
-      const data = await res.json();
-      if (!Array.isArray(data)) return;
 
       const normalized = data
-        .filter((tx) => tx.source === "bank")
         .map((tx) => ({
           date: tx.date,                                      // ISO string
           amount: Math.abs(Number(tx.amount) || 0),           // positive, major units (£)
@@ -153,7 +154,7 @@ export default function useTrueLayerBanking({
       try {
         const res = await fetch(`${API_URL}/banks/truelayer/sync`, {
           method: "POST",
-          headers: { ...getAuthHeaders(), "Content-Type": "application/json" },
+          headers: { ...(await getAuthHeaders()), "Content-Type": "application/json" },
           body: JSON.stringify({}),
           signal: controller.signal,
         });
@@ -221,7 +222,7 @@ export default function useTrueLayerBanking({
     const checkBankStatus = async () => {
       try {
         const res = await fetch(`${API_URL}/banks/truelayer/status`, {
-          headers: getAuthHeaders(),
+          headers: await getAuthHeaders(),
           signal: controller.signal,
         });
 
@@ -341,7 +342,7 @@ export default function useTrueLayerBanking({
 
     try {
       const res = await fetch(`${API_URL}/banks/truelayer/connect`, {
-        headers: getAuthHeaders(),
+        headers: await getAuthHeaders(),
         signal: controller.signal,
       });
 
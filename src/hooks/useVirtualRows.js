@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * useVirtualRows — windowing for fixed-height rows inside a scroll container.
+ *
+ * Only the rows in view (plus `overscan` on either side) are rendered; the
+ * caller pads the list with `paddingTop` / `paddingBottom` so the scrollbar
+ * still reflects the full row count.
+ *
+ * @param {object} opts
+ * @param {React.RefObject<HTMLElement>} opts.containerRef — the scrolling element
+ * @param {number} opts.count      — total number of rows
+ * @param {number} opts.rowHeight  — height of every row in px
+ * @param {number} [opts.overscan] — extra rows rendered above and below the viewport
+ * @returns {{ start: number, end: number, paddingTop: number, paddingBottom: number, onScroll: Function }}
+ */
+export default function useVirtualRows({ containerRef, count, rowHeight, overscan = 8 }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // Track the container's height so resizing the window renders enough rows
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return undefined;
+
+    setViewportHeight(el.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(() => setViewportHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [containerRef]);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  const visible = Math.ceil(viewportHeight / rowHeight);
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.floor(scrollTop / rowHeight) + visible + overscan);
+
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: Math.max(0, (count - end) * rowHeight),
+    onScroll,
+  };
+}
@@ -22,9 +22,14 @@ import Import from "./components/csv-pdf-upload";
 import SplitMaker from "./views/splitmaker";
 import { TransactionsProvider } from "./state/TransactionsContext";
 import { EntitlementsProvider } from "./state/EntitlementsContext";
+import { CategoriesProvider } from "./state/CategoriesContext";
+import { CurrencyProvider } from "./state/CurrencyContext";
+import { TagsProvider } from "./state/TagsContext";
+import { RecurringProvider } from "./state/RecurringContext";
 import WardenInsights from "./views/wardenInsights";
 import WardenInsightsCustomize from "./views/WardenInsightsCustomize";
 import Tracker from "./views/tracker";
+import Transactions from "./views/transactions";
 import Pricing from "./views/Pricing";
 import BillingSuccess from "./views/BillingSuccess";
 import AdminDashboard from "./views/AdminDashboard";
@@ -37,6 +42,7 @@ const ProtectedSplit = ProtectedRoute(SplitMaker);
 const ProtectedWardenInsights = ProtectedRoute(WardenInsights);
 const ProtectedWardenInsightsCustomize = ProtectedRoute(WardenInsightsCustomize);
 const ProtectedTracker = ProtectedRoute(Tracker);
+const ProtectedTransactions = ProtectedRoute(Transactions);
 const ProtectedPricing = ProtectedRoute(Pricing);
 const ProtectedBillingSuccess = ProtectedRoute(BillingSuccess);
 const ProtectedAdminDashboard = ProtectedRoute(AdminDashboard);
@@ -72,8 +78,12 @@ ReactDOM.createRoot(document.getElementById("root")).render(
       cacheLocation="localstorage"
     >
       <AuthSync>
+        <CurrencyProvider>
         <TransactionsProvider>
           <EntitlementsProvider>
+          <CategoriesProvider>
+          <TagsProvider>
+          <RecurringProvider>
           <BrowserRouter>
             <Routes>
               <Route path="/" element={<ProtectedHome />} />
@@ -82,6 +92,7 @@ ReactDOM.createRoot(document.getElementById("root")).render(
               <Route path="/wardeninsights" element={<ProtectedWardenInsights />} />
               <Route path="/insights/customize" element={<ProtectedWardenInsightsCustomize />} />
               <Route path="/tracker" element={<ProtectedTracker />} />
+              <Route path="/transactions" element={<ProtectedTransactions />} />
               <Route path="/pricing" element={<ProtectedPricing />} />
               <Route path="/billing/success" element={<ProtectedBillingSuccess />} />
               <Route path="/admin" element={<ProtectedAdminDashboard />} />
@@ -89,8 +100,12 @@ ReactDOM.createRoot(document.getElementById("root")).render(
               <Route path="/options" element={<ProtectedOptions />} />
             </Routes>
           </BrowserRouter>
+          </RecurringProvider>
+          </TagsProvider>
+          </CategoriesProvider>
           </EntitlementsProvider>
         </TransactionsProvider>
+        </CurrencyProvider>
       </AuthSync>
     </Auth0Provider>
 );
@@ -1,6 +1,14 @@
 // Lightweight transaction helpers
 // Canonical shape:
-// { id, type: 'income'|'expense', amount: number, date: ISO-string, category?, description? }
+// { id, type: 'income'|'expense', amount: number, currency, date: ISO-string, category?, category_manual?, description?, tags?, line_items?, attachments? }
+// amount: major units (12.34) in `currency`; add amounts up with sumMoney/addMoney from shared/money.js
+// category_manual: the user picked the category by hand, so rule re-runs leave it alone
+// tags: tag names (see TagsContext), [] when untagged
+// line_items: [{ id, amount, category, note }] when the transaction is split across categories
+//   (amounts in `currency`, adding up to `amount`), [] otherwise — see lineItemParts
+// attachments: [{ id, filename, content_type, size_bytes, created_at }] receipts / documents, [] when none
+
+import { normalizeCurrency } from '../../shared/money.js';
 
 export function generateId() {
   return `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
@@ -44,9 +52,18 @@ export function safeParseDate(input) {
   return new Date();
 }
 
+// YYYY-MM-DD in local time. Normalized dates are local midnight, so slicing
+// the ISO string would give the previous day east of UTC.
+export function toLocalDateString(input) {
+  const d = safeParseDate(input);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
 export function normalizeTransaction(t) {
   const type = (t.type || 'expense').toLowerCase() === 'income' ? 'income' : 'expense';
   const amount = Number(t.amount) || 0;
+  const currency = normalizeCurrency(t.currency);
   const rawDate = t.date || new Date().toISOString();
   const dateObj = safeParseDate(rawDate);
   const date = dateObj.toISOString();
@@ -54,8 +71,32 @@ export function normalizeTransaction(t) {
   const description = (t.description || '').toString().trim();
   const id = (t.id !== undefined && t.id !== null) ? String(t.id) : generateId();
   const source = t.source || 'manual';
+  const category_manual = Boolean(t.category_manual);
+  const tags = Array.isArray(t.tags) ? t.tags : [];
+  const line_items = Array.isArray(t.line_items) ? t.line_items : [];
+  const attachments = Array.isArray(t.attachments) ? t.attachments : [];
+
+  return { id, type, amount, currency, date, category, category_manual, description, source, tags, line_items, attachments };
+}
+
+// The parts a transaction (or a tracker purchase linked to one) counts as in
+// category totals: each line item, or the row itself when it isn't split.
+// Lines share out `row.amount` in proportion, so a row already converted into
+// the reporting currency gives converted parts.
+export function lineItemParts(row) {
+  const lines = row.line_items || [];
+  if (lines.length === 0) return [{ amount: row.amount, category: row.category, note: row.description }];
 
-  return { id, type, amount, date, category, description, source };
+  const total = lines.reduce((sum, l) => sum + (Number(l.amount) || 0), 0);
+  let assigned = 0;
+  return lines.map((l, i) => {
+    // The last line takes the remainder so the parts add up to the row exactly
+    const amount = i === lines.length - 1
+      ? row.amount - assigned
+      : total ? (row.amount * (Number(l.amount) || 0)) / total : 0;
+    assigned += amount;
+    return { amount, category: l.category || row.category, note: l.note || row.description };
+  });
 }
 
 export function validateTransaction(t) {
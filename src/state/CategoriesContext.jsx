@@ -0,0 +1,153 @@
+/**
+ * CategoriesContext — the user's categories from /api/categories.
+ *
+ * Every picker, filter and chart reads names, groups and colours from here
+ * instead of TRANSACTION_CATEGORIES / CATEGORY_COLORS, which are only used
+ * as a fallback until the first response arrives.
+ *
+ * Also moves categories saved by older builds in
+ * localStorage['walletwarden:customCategories'] to the server, once.
+ */
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { CategoriesContext } from './useCategories';
+import { useAuth0 } from '@auth0/auth0-react';
+import { TRANSACTION_CATEGORIES, CATEGORY_COLORS } from '../utils/categories';
+import {
+  fetchCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  importCategories,
+  renameCategory,
+} from '../utils/categoriesApi';
+
+const LEGACY_CUSTOM_CATEGORIES_KEY = 'walletwarden:customCategories';
+const FALLBACK_COLOR = '#CCCCCC';
+
+const FALLBACK_CATEGORIES = TRANSACTION_CATEGORIES.map((name, i) => ({
+  id: `default-${name}`,
+  name,
+  parent_id: null,
+  color: CATEGORY_COLORS[name] || FALLBACK_COLOR,
+  icon: null,
+  archived: false,
+  sort_order: i,
+}));
+
+// Custom categories saved by older builds (names only); null when there are none
+const readLegacyCategories = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(LEGACY_CUSTOM_CATEGORIES_KEY) || '[]');
+    return Array.isArray(list) && list.length ? list.filter((n) => typeof n === 'string') : null;
+  } catch {
+    return null;
+  }
+};
+
+export function CategoriesProvider({ children }) {
+  const { isAuthenticated } = useAuth0();
+  const isDevMode = import.meta.env.VITE_DEV_MODE === 'true';
+
+  const [categories, setCategories] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refreshCategories = useCallback(async () => {
+    try {
+      setCategories(await fetchCategories());
+    } catch (err) {
+      console.error('[Categories] Fetch error:', err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isDevMode && !isAuthenticated) return;
+    let cancelled = false;
+    (async () => {
+      const legacy = readLegacyCategories();
+      if (legacy) {
+        try {
+          await importCategories(legacy);
+          localStorage.removeItem(LEGACY_CUSTOM_CATEGORIES_KEY);
+        } catch (err) {
+          console.warn('[Categories] Could not migrate local custom categories:', err.message);
+        }
+      }
+      if (!cancelled) await refreshCategories();
+    })();
+    return () => { cancelled = true; };
+  }, [isAuthenticated, isDevMode, refreshCategories]);
+
+  const addCategory = useCallback(async (category) => {
+    const created = await createCategory(category);
+    await refreshCategories();
+    return created;
+  }, [refreshCategories]);
+
+  const editCategory = useCallback(async (id, updates) => {
+    const updated = await updateCategory(id, updates);
+    await refreshCategories();
+    return updated;
+  }, [refreshCategories]);
+
+  const removeCategory = useCallback(async (id) => {
+    await deleteCategory(id);
+    await refreshCategories();
+  }, [refreshCategories]);
+
+  // Preview (apply = false) or apply a rename/merge across all stored data
+  const renameOrMergeCategory = useCallback(async (from, to, { apply = false } = {}) => {
+    const result = await renameCategory(from, to, { apply });
+    if (apply) await refreshCategories();
+    return result;
+  }, [refreshCategories]);
+
+  // Make sure names used elsewhere (e.g. a split's categories) exist
+  const importCategoryNames = useCallback(async (names) => {
+    const { created } = await importCategories(names);
+    if (created > 0) await refreshCategories();
+    return created;
+  }, [refreshCategories]);
+
+  const value = useMemo(() => {
+    const list = categories || FALLBACK_CATEGORIES;
+    const byId = new Map(list.map((c) => [c.id, c]));
+    const byName = new Map(list.map((c) => [c.name.toLowerCase(), c]));
+    const find = (name) => byName.get(String(name || '').trim().toLowerCase()) || null;
+
+    const activeCategories = list.filter((c) => !c.archived);
+    const tree = list
+      .filter((c) => !c.parent_id || !byId.has(c.parent_id))
+      .map((group) => ({ ...group, children: list.filter((c) => c.parent_id === group.id) }));
+
+    return {
+      categories: list,
+      activeCategories,
+      // Names for pickers: groups followed by their children, archived ones left out
+      categoryNames: activeCategories.map((c) => c.name),
+      tree,
+      loading,
+      getCategory: find,
+      // Group a category belongs to (e.g. "Groceries" → "Food"), or null
+      getParentName: (name) => byId.get(find(name)?.parent_id)?.name || null,
+      // A category's colour, falling back to its group's
+      getCategoryColor: (name) => {
+        const category = find(name);
+        return category?.color || byId.get(category?.parent_id)?.color || FALLBACK_COLOR;
+      },
+      refreshCategories,
+      addCategory,
+      editCategory,
+      removeCategory,
+      renameOrMergeCategory,
+      importCategoryNames,
+    };
+  }, [categories, loading, refreshCategories, addCategory, editCategory, removeCategory, renameOrMergeCategory, importCategoryNames]);
+
+  return (
+    <CategoriesContext.Provider value={value}>
+      {children}
+    </CategoriesContext.Provider>
+  );
+}
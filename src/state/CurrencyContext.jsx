@@ -0,0 +1,98 @@
+/**
+ * CurrencyContext — the reporting currency and the user's FX rates.
+ *
+ * Transactions, purchases and accounts each keep their own currency; totals,
+ * charts and insights are converted into the reporting currency (picked in
+ * Options, stored in localStorage['walletwarden:currency']) with the rates
+ * imported into /api/fx-rates, at each amount's date. Conversion rules live
+ * in shared/fx.js, which the backend summary uses too.
+ */
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { CurrencyContext } from './useCurrency';
+import { useAuth0 } from '@auth0/auth0-react';
+import { DEFAULT_CURRENCY, formatMoney, normalizeCurrency } from '../../shared/money.js';
+import { createFxConverter } from '../../shared/fx.js';
+import { fetchFxRates, importFxRates, clearFxRates } from '../utils/fxRatesApi';
+
+const CURRENCY_STORAGE_KEY = 'walletwarden:currency';
+
+const readStoredCurrency = () => {
+  try {
+    return normalizeCurrency(localStorage.getItem(CURRENCY_STORAGE_KEY));
+  } catch {
+    return DEFAULT_CURRENCY;
+  }
+};
+
+export function CurrencyProvider({ children }) {
+  const { isAuthenticated } = useAuth0();
+  const isDevMode = import.meta.env.VITE_DEV_MODE === 'true';
+
+  const [reportCurrency, setReportCurrencyState] = useState(readStoredCurrency);
+  const [table, setTable] = useState({ currencies: [], pairs: [], rates: [] });
+  const [loading, setLoading] = useState(true);
+
+  const setReportCurrency = useCallback((code) => {
+    const currency = normalizeCurrency(code);
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+    setReportCurrencyState(currency);
+  }, []);
+
+  const refreshRates = useCallback(async () => {
+    try {
+      setTable(await fetchFxRates(reportCurrency));
+    } catch (err) {
+      console.error('[Currency] Fetch error:', err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportCurrency]);
+
+  useEffect(() => {
+    if (!isDevMode && !isAuthenticated) return;
+    refreshRates();
+  }, [isAuthenticated, isDevMode, refreshRates]);
+
+  const importRates = useCallback(async (content) => {
+    const result = await importFxRates(content);
+    await refreshRates();
+    return result;
+  }, [refreshRates]);
+
+  const clearRates = useCallback(async () => {
+    const result = await clearFxRates();
+    await refreshRates();
+    return result;
+  }, [refreshRates]);
+
+  const value = useMemo(() => {
+    const fx = createFxConverter(
+      table.rates.map(([rate_date, base, quote, rate]) => ({ rate_date, base, quote, rate }))
+    );
+    // Currencies the user holds money in that no rate links to the reporting currency
+    const missingRates = table.currencies.filter((c) => fx.rate(c, reportCurrency) === null);
+
+    return {
+      reportCurrency,
+      setReportCurrency,
+      // Currencies used across the user's transactions, purchases and accounts
+      currencies: table.currencies,
+      pairs: table.pairs,
+      missingRates,
+      loading,
+      // `amount` in `currency` on `date` → reporting currency, or null without a rate
+      toReporting: (amount, currency, date) => fx.convert(Number(amount) || 0, currency, reportCurrency, date),
+      // Same signature as shared/money.js formatMoney, defaulting to the reporting currency
+      formatMoney: (amount, currency = reportCurrency, options) => formatMoney(amount, currency, options),
+      refreshRates,
+      importRates,
+      clearRates,
+    };
+  }, [table, reportCurrency, setReportCurrency, loading, refreshRates, importRates, clearRates]);
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+}
@@ -35,7 +35,9 @@ export function EntitlementsProvider({ children }) {
 
   const getToken = useCallback(async () => {
     if (isDevMode) return getUserToken();
-    return await getAccessTokenSilently({ audience: import.meta.env.VITE_AUTH0_AUDIENCE });
+    return await getAccessTokenSilently({
+      authorizationParams: { audience: import.meta.env.VITE_AUTH0_AUDIENCE },
+    });
   }, [isDevMode, getAccessTokenSilently]);
 
   const fetchEntitlements = useCallback(async () => {
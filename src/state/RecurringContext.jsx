@@ -0,0 +1,82 @@
+/**
+ * RecurringContext — subscriptions and bills from /api/recurring.
+ *
+ * The backend groups expenses by merchant and amount and infers a cadence
+ * (weekly, four-weekly, monthly, annual) with the next expected charge; see
+ * backend/recurring.js. Series are re-detected once per session here (and
+ * after each bank sync on the server). Each series has a `status` the user
+ * sets: confirmed, ignored, or cancelled (a later charge is then flagged).
+ *
+ * Detection also records price changes between consecutive charges; the
+ * past year's are held here for the feed and the insights widget.
+ */
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { RecurringContext } from './useRecurring';
+import { useAuth0 } from '@auth0/auth0-react';
+import {
+  detectRecurring,
+  updateRecurringStatus,
+  fetchPriceChanges,
+  markPriceChangesSeen,
+} from '../utils/recurringApi';
+
+// Series that still cost money each period
+const ACTIVE_STATUSES = new Set(['detected', 'confirmed']);
+
+export function RecurringProvider({ children }) {
+  const { isAuthenticated } = useAuth0();
+  const isDevMode = import.meta.env.VITE_DEV_MODE === 'true';
+
+  const [series, setSeries] = useState([]);
+  const [priceChanges, setPriceChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refreshSeries = useCallback(async () => {
+    try {
+      const result = await detectRecurring();
+      setSeries(result.series);
+      setPriceChanges((await fetchPriceChanges()).changes);
+    } catch (err) {
+      console.error('[Recurring] Detect error:', err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isDevMode && !isAuthenticated) return;
+    refreshSeries();
+  }, [isAuthenticated, isDevMode, refreshSeries]);
+
+  const setSeriesStatus = useCallback(async (id, status) => {
+    const updated = await updateRecurringStatus(id, status);
+    setSeries((prev) => prev.map((s) => (s.id === id ? updated : s)));
+    return updated;
+  }, []);
+
+  // Mark price changes as seen (all of them when `ids` is omitted)
+  const dismissPriceChanges = useCallback(async (ids) => {
+    await markPriceChangesSeen(ids);
+    const dismissed = ids ? new Set(ids) : null;
+    setPriceChanges((prev) => prev.map((c) => (!dismissed || dismissed.has(c.id) ? { ...c, seen: true } : c)));
+  }, []);
+
+  const value = useMemo(() => ({
+    series,
+    // Detected or confirmed: the ones that count towards subscription costs
+    activeSeries: series.filter((s) => ACTIVE_STATUSES.has(s.status)),
+    // Price changes over the past year, newest first
+    priceChanges,
+    unseenPriceChanges: priceChanges.filter((c) => !c.seen),
+    loading,
+    refreshSeries,
+    setSeriesStatus,
+    dismissPriceChanges,
+  }), [series, priceChanges, loading, refreshSeries, setSeriesStatus, dismissPriceChanges]);
+
+  return (
+    <RecurringContext.Provider value={value}>
+      {children}
+    </RecurringContext.Provider>
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * TagsContext — the user's tags from /api/tags.
+ *
+ * Rows carry their tags as a list of names (`tags: ['holiday-2026']`); this
+ * holds the tag list itself (colours, counts) for filters, pickers and the
+ * tag manager, and the bulk add/remove used by the ledger.
+ */
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { TagsContext } from './useTags';
+import { useAuth0 } from '@auth0/auth0-react';
+import { cleanTagName } from '../../shared/tags.js';
+import { fetchTags, createTag, updateTag, deleteTag, assignTags } from '../utils/tagsApi';
+
+const FALLBACK_COLOR = '#6C757D';
+
+export function TagsProvider({ children }) {
+  const { isAuthenticated } = useAuth0();
+  const isDevMode = import.meta.env.VITE_DEV_MODE === 'true';
+
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refreshTags = useCallback(async () => {
+    try {
+      setTags(await fetchTags());
+    } catch (err) {
+      console.error('[Tags] Fetch error:', err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isDevMode && !isAuthenticated) return;
+    refreshTags();
+  }, [isAuthenticated, isDevMode, refreshTags]);
+
+  const addTag = useCallback(async (tag) => {
+    const created = await createTag(tag);
+    await refreshTags();
+    return created;
+  }, [refreshTags]);
+
+  const editTag = useCallback(async (id, updates) => {
+    const updated = await updateTag(id, updates);
+    await refreshTags();
+    return updated;
+  }, [refreshTags]);
+
+  const removeTag = useCallback(async (id) => {
+    await deleteTag(id);
+    await refreshTags();
+  }, [refreshTags]);
+
+  // Bulk add/remove by name; refreshes the list since new names become tags
+  const applyTags = useCallback(async (payload) => {
+    const result = await assignTags(payload);
+    await refreshTags();
+    return result;
+  }, [refreshTags]);
+
+  const value = useMemo(() => {
+    const byName = new Map(tags.map((t) => [t.name, t]));
+    return {
+      tags,
+      tagNames: tags.map((t) => t.name),
+      loading,
+      getTagColor: (name) => byName.get(cleanTagName(name))?.color || FALLBACK_COLOR,
+      refreshTags,
+      addTag,
+      editTag,
+      removeTag,
+      applyTags,
+    };
+  }, [tags, loading, refreshTags, addTag, editTag, removeTag, applyTags]);
+
+  return (
+    <TagsContext.Provider value={value}>
+      {children}
+    </TagsContext.Provider>
+  );
+}
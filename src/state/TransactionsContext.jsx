@@ -1,16 +1,43 @@
-import React, { createContext, useContext, useEffect, useMemo, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useMemo, useState, useCallback, useRef } from 'react';
 import { normalizeTransaction, generateId } from '../models/transaction';
 import { useAuth0 } from '@auth0/auth0-react';
-import { getUserToken, getAuth0UserEmail } from '../utils/userToken';
+import { getUserToken } from '../utils/userToken';
+import { fetchTransactionsPage } from '../utils/transactionsApi';
+import { addMoney, subtractMoney, sumMoney } from '../../shared/money.js';
+import { useCurrency } from './useCurrency';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
 
+// Rows per GET /api/transactions request when loading into memory
+const PAGE_SIZE = 500;
+
+// Build auth headers using the token from getToken()
+const buildHeaders = (token, extraHeaders = {}) => ({
+  Authorization: `Bearer ${token}`,
+  ...extraHeaders,
+});
+
+// Add (sign = 1) or remove (sign = -1) a transaction from a server summary.
+// `toReporting` converts the row into the summary's currency (null without a rate).
+const applyToSummary = (summary, tx, sign, toReporting) => {
+  if (!summary || !tx) return summary;
+  const converted = toReporting(tx.amount, tx.currency, tx.date);
+  if (converted === null) {
+    return { ...summary, count: summary.count + sign, unconverted: (summary.unconverted || 0) + sign };
+  }
+  const amount = converted * sign;
+  const { currency } = summary;
+  const income = tx.type === 'income' ? addMoney(summary.income, amount, currency) : summary.income;
+  const expense = tx.type === 'expense' ? addMoney(summary.expense, amount, currency) : summary.expense;
+  return { ...summary, count: summary.count + sign, income, expense, net: subtractMoney(income, expense, currency) };
+};
+
 
 const TransactionsContext = createContext(null);
 
 // Source of truth for transactions
 // Responsibilities:
-// - Fetch transactions
+// - Fetch transactions (first page eagerly, further pages on demand)
 // - Store transactions
 // - Expose mutation functions
 // - Notify consumers on change
@@ -19,95 +46,164 @@ const TransactionsContext = createContext(null);
  * TransactionsProvider - Supabase-only data store
  * All data comes from and goes to Supabase via the backend API.
  * No localStorage caching - always fresh from database.
+ *
+ * Only the newest PAGE_SIZE rows are loaded on mount. Views that chart a
+ * date range call loadTransactionsFrom(day) to page back to its start; lists
+ * call loadMoreTransactions() or query fetchTransactionsPage() directly with
+ * server-side filters.
  */
 export function TransactionsProvider({ children }) {
   const { isAuthenticated, getAccessTokenSilently } = useAuth0();
+  const { reportCurrency, toReporting } = useCurrency();
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+
+  // Refs so paging callbacks stay stable and never read a stale cursor
+  const cursorRef = useRef(null);
+  const loadFromRef = useRef(null); // earliest day a view asked for, kept across refreshes
+  const oldestDayRef = useRef(null); // date of the oldest row in memory (pages are newest first)
+  const generationRef = useRef(0);
+  const pendingPageRef = useRef(null);
 
   const isDevMode = import.meta.env.VITE_DEV_MODE === 'true';
 
-  // Helper to get auth token - uses unique per-browser token in dev mode
-  // creates a unique id for each browser session, allowing devs to test auth flows without Auth0
+  // Helper to get auth token - in dev mode the backend signs a token for a
+  // unique per-browser user id, allowing devs to test auth flows without Auth0
   const getToken = useCallback(async () => {
     if (isDevMode) {
-      return getUserToken(); // Generates unique ID per browser
+      return getUserToken(); // Locally signed token for a per-browser user id
     }
-    return await getAccessTokenSilently({ audience: import.meta.env.VITE_AUTH0_AUDIENCE });
+    return await getAccessTokenSilently({
+      authorizationParams: { audience: import.meta.env.VITE_AUTH0_AUDIENCE },
+    });
   }, [isDevMode, getAccessTokenSilently]);
 
-  // Build auth headers using the token from getToken()
-  const buildHeaders = (token, extraHeaders = {}) => {
-    const headers = { Authorization: `Bearer ${token}`, ...extraHeaders };
-    const email = getAuth0UserEmail();
-    if (email) headers['X-User-Email'] = email;
-    return headers;
+  const setCursor = (cursor) => {
+    cursorRef.current = cursor;
+    setNextCursor(cursor);
   };
 
-  // Load transactions from Supabase on mount
-  // 
-  useEffect(() => {
-    let aborted = false;
-
-    const loadTransactions = async () => {
-      // Wait for auth in production, or proceed in dev mode
-      if (!isDevMode && !isAuthenticated) {
-        setLoading(false);
-        return;
-      }
+  // Append the next page to the in-memory list. Concurrent callers share one request.
+  // Resolves to true when more pages remain.
+  const loadMoreTransactions = useCallback(() => {
+    if (!cursorRef.current) return Promise.resolve(false);
+    if (pendingPageRef.current) return pendingPageRef.current;
 
+    const generation = generationRef.current;
+    setLoadingMore(true);
+    pendingPageRef.current = (async () => {
       try {
         const token = await getToken();
-        console.log('[TransactionsContext] Fetching transactions from Supabase...');
-        
-        const res = await fetch(`${API_BASE}/transactions`, {
+        const page = await fetchTransactionsPage({
+          apiBase: API_BASE,
           headers: buildHeaders(token),
+          filters: { reportCurrency },
+          cursor: cursorRef.current,
+          limit: PAGE_SIZE,
         });
+        // A refresh started while this page was in flight — drop the stale page
+        if (generation !== generationRef.current) return false;
 
-        if (!aborted && res.ok) {
-          const rows = await res.json();
-          if (Array.isArray(rows)) {
-            const normalized = rows.map((r) => normalizeTransaction(r));
-            const sorted = normalized.sort((a, b) => new Date(b.date) - new Date(a.date));
-            setTransactions(sorted);
-            console.log('[TransactionsContext] Loaded', sorted.length, 'transactions from Supabase');
-          }
-        } else if (!res.ok) {
-          console.error('[TransactionsContext] Failed to load:', res.status);
-        }
+        const rows = page.transactions.map((r) => normalizeTransaction(r));
+        setTransactions((prev) => [...prev, ...rows]);
+        if (rows.length) oldestDayRef.current = rows[rows.length - 1].date.slice(0, 10);
+        setSummary(page.summary);
+        setCursor(page.nextCursor);
+        return !!page.nextCursor;
       } catch (e) {
-        console.error('[TransactionsContext] Error loading transactions:', e.message);
+        console.error('[TransactionsContext] Failed to load more transactions:', e.message);
+        return false;
       } finally {
-        if (!aborted) setLoading(false);
+        pendingPageRef.current = null;
+        setLoadingMore(false);
       }
-    };
+    })();
+    return pendingPageRef.current;
+  }, [getToken, reportCurrency]);
+
+  // Load pages until every row dated on or after `day` is in memory
+  const loadPagesFrom = useCallback(async (day) => {
+    while (cursorRef.current && oldestDayRef.current >= day) {
+      const more = await loadMoreTransactions();
+      if (!more) break;
+    }
+  }, [loadMoreTransactions]);
+
+  // Make sure rows from `day` (YYYY-MM-DD) on are in memory, for views that
+  // chart a date range. Later refreshes load back to the earliest day asked for.
+  const loadTransactionsFrom = useCallback((day) => {
+    if (!loadFromRef.current || day < loadFromRef.current) loadFromRef.current = day;
+    return loadPagesFrom(day);
+  }, [loadPagesFrom]);
+
+  // Replace the in-memory list with the newest page (plus older ones back to the day views asked for)
+  const reloadTransactions = useCallback(async () => {
+    const generation = ++generationRef.current;
+    const token = await getToken();
+    const page = await fetchTransactionsPage({
+      apiBase: API_BASE,
+      headers: buildHeaders(token),
+      filters: { reportCurrency },
+      limit: PAGE_SIZE,
+    });
+    if (generation !== generationRef.current) return;
+
+    const rows = page.transactions.map((r) => normalizeTransaction(r));
+    setTransactions(rows);
+    oldestDayRef.current = rows.length ? rows[rows.length - 1].date.slice(0, 10) : null;
+    setSummary(page.summary);
+    setCursor(page.nextCursor);
+    console.log('[TransactionsContext] Loaded', page.transactions.length, 'of', page.summary.count, 'transactions from Supabase');
+
+    if (loadFromRef.current) await loadPagesFrom(loadFromRef.current);
+  }, [getToken, loadPagesFrom, reportCurrency]);
+
+  // Load transactions from Supabase on mount (and again when the reporting currency changes)
+  useEffect(() => {
+    let aborted = false;
+
+    // Wait for auth in production, or proceed in dev mode
+    if (!isDevMode && !isAuthenticated) {
+      setLoading(false);
+      return;
+    }
+
+    console.log('[TransactionsContext] Fetching transactions from Supabase...');
+    reloadTransactions()
+      .catch((e) => console.error('[TransactionsContext] Error loading transactions:', e.message))
+      .finally(() => {
+        if (!aborted) setLoading(false);
+      });
 
-    loadTransactions();
     return () => { aborted = true; };
-  }, [isAuthenticated, isDevMode]);
+  }, [isAuthenticated, isDevMode, reloadTransactions]);
 
   // Refresh transactions from Supabase
   const refreshTransactions = async () => {
     try {
-      const token = await getToken();
-      const res = await fetch(`${API_BASE}/transactions`, {
-        headers: buildHeaders(token),
-      });
-      
-      if (res.ok) {
-        const rows = await res.json();
-        if (Array.isArray(rows)) {
-          const normalized = rows.map((r) => normalizeTransaction(r));
-          const sorted = normalized.sort((a, b) => new Date(b.date) - new Date(a.date));
-          setTransactions(sorted);
-          console.log('[TransactionsContext] Refreshed', sorted.length, 'transactions');
-        }
-      }
+      await reloadTransactions();
     } catch (e) {
       console.error('[TransactionsContext] Refresh failed:', e.message);
     }
   };
 
+  // Fetch a filtered page without touching the in-memory list (ledger views, searches).
+  // The summary is in the reporting currency unless the filters name another.
+  const queryTransactionsPage = useCallback(async (filters = {}, { cursor, limit } = {}) => {
+    const token = await getToken();
+    const page = await fetchTransactionsPage({
+      apiBase: API_BASE,
+      headers: buildHeaders(token),
+      filters: { reportCurrency, ...filters },
+      cursor,
+      limit,
+    });
+    return { ...page, transactions: page.transactions.map((r) => normalizeTransaction(r)) };
+  }, [getToken, reportCurrency]);
+
   // Add a single transaction
   const addTransaction = async (tx) => {
     const norm = normalizeTransaction({ ...tx, id: tx.id || generateId() });
@@ -123,6 +219,7 @@ export function TransactionsProvider({ children }) {
       if (res.ok) {
         // Add to local state after successful save
         setTransactions((prev) => [norm, ...prev]);
+        setSummary((prev) => applyToSummary(prev, norm, 1, toReporting));
       } else {
         console.error('Failed to add transaction:', res.status);
       }
@@ -164,7 +261,9 @@ export function TransactionsProvider({ children }) {
       });
       
       if (res.ok) {
+        const removed = transactions.find((t) => t.id === id);
         setTransactions((prev) => prev.filter((t) => t.id !== id));
+        setSummary((prev) => applyToSummary(prev, removed, -1, toReporting));
       } else {
         console.error('Failed to delete transaction:', res.status);
       }
@@ -173,7 +272,7 @@ export function TransactionsProvider({ children }) {
     }
   };
 
-  // Update a transaction
+  // Update a transaction. Resolves to true once the server accepted the change.
   const updateTransaction = async (id, updates) => {
     try {
       const token = await getToken();
@@ -184,13 +283,100 @@ export function TransactionsProvider({ children }) {
       });
       
       if (res.ok) {
-        setTransactions((prev) => prev.map((t) => t.id === id ? { ...t, ...updates } : t));
-      } else {
-        console.error('Failed to update transaction:', res.status);
+        const before = transactions.find((t) => t.id === id);
+        const patch = updates.category !== undefined ? { ...updates, category_manual: true } : updates;
+        setTransactions((prev) => prev.map((t) => t.id === id ? { ...t, ...patch } : t));
+        if (before) {
+          setSummary((prev) => applyToSummary(applyToSummary(prev, before, -1, toReporting), { ...before, ...updates }, 1, toReporting));
+        }
+        return true;
       }
+      console.error('Failed to update transaction:', res.status);
     } catch (e) {
       console.error('Failed to update transaction:', e.message);
     }
+    return false;
+  };
+
+  // Split a transaction across categories ([] removes the split). Resolves to the
+  // saved lines; throws with the server's message (e.g. the lines don't add up).
+  const saveLineItems = async (id, items) => {
+    const token = await getToken();
+    const res = await fetch(`${API_BASE}/transactions/${encodeURIComponent(id)}/line-items`, {
+      method: 'PUT',
+      headers: buildHeaders(token, { 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ items }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || `Failed to save line items: ${res.status}`);
+    setTransactions((prev) => prev.map((t) => t.id === id ? { ...t, line_items: data.line_items } : t));
+    return data.line_items;
+  };
+
+  // Apply the same { category?, type? } change to many transactions at once.
+  // Resolves to true once the server accepted the change.
+  const bulkUpdateTransactions = async (ids, updates) => {
+    try {
+      const token = await getToken();
+      const res = await fetch(`${API_BASE}/transactions/bulk`, {
+        method: 'PATCH',
+        headers: buildHeaders(token, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ ids, updates }),
+      });
+
+      if (!res.ok) {
+        console.error('Failed to bulk update transactions:', res.status);
+        return false;
+      }
+
+      const idSet = new Set(ids);
+      const affected = transactions.filter((t) => idSet.has(t.id));
+      const patch = updates.category !== undefined ? { ...updates, category_manual: !!updates.category } : updates;
+      setTransactions((prev) => prev.map((t) => idSet.has(t.id) ? { ...t, ...patch } : t));
+      if (affected.length < ids.length) {
+        // Some rows aren't in memory, so the summary can't be patched locally
+        await refreshTransactions();
+      } else if (updates.type !== undefined) {
+        setSummary((prev) => affected.reduce(
+          (acc, t) => applyToSummary(applyToSummary(acc, t, -1, toReporting), { ...t, ...updates }, 1, toReporting),
+          prev
+        ));
+      }
+      return true;
+    } catch (e) {
+      console.error('Failed to bulk update transactions:', e.message);
+      return false;
+    }
+  };
+
+  // Delete many transactions at once. Resolves to true once the server accepted the change.
+  const bulkDeleteTransactions = async (ids) => {
+    try {
+      const token = await getToken();
+      const res = await fetch(`${API_BASE}/transactions/bulk-delete`, {
+        method: 'POST',
+        headers: buildHeaders(token, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ ids }),
+      });
+
+      if (!res.ok) {
+        console.error('Failed to bulk delete transactions:', res.status);
+        return false;
+      }
+
+      const idSet = new Set(ids);
+      const removed = transactions.filter((t) => idSet.has(t.id));
+      setTransactions((prev) => prev.filter((t) => !idSet.has(t.id)));
+      if (removed.length < ids.length) {
+        await refreshTransactions();
+      } else {
+        setSummary((prev) => removed.reduce((acc, t) => applyToSummary(acc, t, -1, toReporting), prev));
+      }
+      return true;
+    } catch (e) {
+      console.error('Failed to bulk delete transactions:', e.message);
+      return false;
+    }
   };
 
   // Clear all transactions - single bulk delete call
@@ -212,27 +398,45 @@ export function TransactionsProvider({ children }) {
       }
       
       // Clear local state regardless
+      generationRef.current++;
       setTransactions([]);
+      setSummary({ count: 0, income: 0, expense: 0, net: 0, currency: reportCurrency, unconverted: 0 });
+      setCursor(null);
     } catch (e) {
       console.error('Failed to clear transactions:', e.message);
     }
   };
 
-  // Calculate totals
+  // Calculate totals - from the server summary, so they cover rows not yet loaded
+  // (in the reporting currency; rows without a rate count as 0 until one is imported)
   const totals = useMemo(() => {
-    const income = transactions.filter((t) => t.type === 'income').reduce((acc, t) => acc + t.amount, 0);
-    const expense = transactions.filter((t) => t.type === 'expense').reduce((acc, t) => acc + t.amount, 0);
-    return { income, expense, balance: income - expense };
-  }, [transactions]);
+    if (summary) return { income: summary.income, expense: summary.expense, balance: summary.net };
+    const sumType = (type) => sumMoney(
+      transactions.filter((t) => t.type === type).map((t) => toReporting(t.amount, t.currency, t.date) ?? 0),
+      reportCurrency
+    );
+    const income = sumType('income');
+    const expense = sumType('expense');
+    return { income, expense, balance: subtractMoney(income, expense, reportCurrency) };
+  }, [transactions, summary, toReporting, reportCurrency]);
 
   return (
     <TransactionsContext.Provider value={{ 
       transactions, 
       loading,
+      loadingMore,
+      hasMoreTransactions: !!nextCursor,
+      transactionsSummary: summary,
+      loadMoreTransactions,
+      loadTransactionsFrom,
+      fetchTransactionsPage: queryTransactionsPage,
       addTransaction, 
       bulkAddTransactions, 
       deleteTransaction, 
       updateTransaction, 
+      saveLineItems,
+      bulkUpdateTransactions,
+      bulkDeleteTransactions,
       clearTransactions, 
       refreshTransactions, 
       totals 
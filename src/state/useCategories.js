@@ -0,0 +1,16 @@
+import { createContext, useContext } from 'react';
+
+// Provided by CategoriesProvider (CategoriesContext.jsx), which only exports the component
+export const CategoriesContext = createContext(null);
+
+/**
+ * useCategories() — categories for pickers, filters and charts.
+ *
+ * Usage:
+ *   const { categoryNames, tree, getCategoryColor, addCategory } = useCategories();
+ */
+export function useCategories() {
+  const ctx = useContext(CategoriesContext);
+  if (!ctx) throw new Error('useCategories must be used inside CategoriesProvider');
+  return ctx;
+}
@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+// Provided by CurrencyProvider (CurrencyContext.jsx), which only exports the component
+export const CurrencyContext = createContext(null);
+
+/**
+ * useCurrency() — reporting currency, conversion and formatting.
+ *
+ * Usage:
+ *   const { reportCurrency, toReporting, formatMoney } = useCurrency();
+ *   const total = sumMoney(rows.map((r) => toReporting(r.amount, r.currency, r.date) ?? 0), reportCurrency);
+ */
+export function useCurrency() {
+  const ctx = useContext(CurrencyContext);
+  if (!ctx) throw new Error('useCurrency must be used inside CurrencyProvider');
+  return ctx;
+}
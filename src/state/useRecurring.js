@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+// Provided by RecurringProvider (RecurringContext.jsx), which only exports the component
+export const RecurringContext = createContext(null);
+
+/**
+ * useRecurring() — detected subscriptions and bills.
+ *
+ * Usage:
+ *   const { activeSeries, setSeriesStatus } = useRecurring();
+ *   await setSeriesStatus(series.id, 'ignored');
+ */
+export function useRecurring() {
+  const ctx = useContext(RecurringContext);
+  if (!ctx) throw new Error('useRecurring must be used inside RecurringProvider');
+  return ctx;
+}
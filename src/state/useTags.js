@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react';
+
+// Provided by TagsProvider (TagsContext.jsx), which only exports the component
+export const TagsContext = createContext(null);
+
+/**
+ * useTags() — tags for filters, pickers and bulk tagging.
+ *
+ * Usage:
+ *   const { tagNames, getTagColor, applyTags } = useTags();
+ *   await applyTags({ transactionIds: ids, add: ['holiday-2026'] });
+ */
+export function useTags() {
+  const ctx = useContext(TagsContext);
+  if (!ctx) throw new Error('useTags must be used inside TagsProvider');
+  return ctx;
+}
@@ -0,0 +1,25 @@
+/**
+ * API request helper
+ * Sends an authenticated JSON request to the backend and parses the reply.
+ */
+
+import { getAuthHeaders } from './userToken';
+
+export const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+/**
+ * @param {string} path — under /api, e.g. `/goals/${id}`
+ * @param {RequestInit} [options]
+ * @param {string} action — what failed, for the error ("Failed to <action>: 500")
+ * @returns {Promise<any>} the JSON body
+ * @throws {Error} with the server's `message` when it doesn't answer 2xx
+ */
+export async function apiRequest(path, options = {}, action) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || `Failed to ${action}: ${res.status}`);
+  return data;
+}
@@ -0,0 +1,66 @@
+/**
+ * Attachments API helpers
+ * Wrappers around /api/attachments — receipts and documents (images / PDFs)
+ * on transactions and purchases. File contents need the auth header, so they
+ * are fetched as blobs rather than linked directly.
+ */
+
+import { getAuthHeaders } from './userToken';
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+// Accepted by the server (it checks the file's bytes, not this list)
+export const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/gif,image/webp,image/heic,.heic,application/pdf';
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+async function request(path, options = {}, action) {
+  const res = await fetch(`${API_BASE}/attachments${path}`, {
+    ...options,
+    headers: { ...options.headers, ...(await getAuthHeaders()) },
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.message || `Failed to ${action}: ${res.status}`);
+  }
+  return res;
+}
+
+const ownerQuery = ({ transactionId, purchaseId }) =>
+  new URLSearchParams(transactionId ? { transactionId } : { purchaseId });
+
+/**
+ * Attachments on one transaction or purchase, oldest first.
+ * @param {{ transactionId?: string, purchaseId?: string }} owner
+ * @returns {Promise<{ id, transaction_id, purchase_id, filename, content_type, size_bytes, created_at }[]>}
+ */
+export async function fetchAttachments(owner) {
+  const res = await request(`?${ownerQuery(owner)}`, {}, 'load attachments');
+  return res.json();
+}
+
+/**
+ * Upload one file to a transaction or purchase.
+ * @param {File} file
+ * @param {{ transactionId?: string, purchaseId?: string }} owner
+ */
+export async function uploadAttachment(file, owner) {
+  const params = ownerQuery(owner);
+  params.set('filename', file.name);
+  const res = await request(`?${params}`, {
+    method: 'POST',
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    body: file,
+  }, 'upload attachment');
+  return res.json();
+}
+
+/** The attachment's file as a Blob. */
+export async function fetchAttachmentBlob(id) {
+  const res = await request(`/${id}/content`, {}, 'load attachment');
+  return res.blob();
+}
+
+export async function deleteAttachment(id) {
+  const res = await request(`/${id}`, { method: 'DELETE' }, 'delete attachment');
+  return res.json();
+}
@@ -0,0 +1,23 @@
+/**
+ * Balance History API helpers
+ * Wrapper around /api/balance-history — each bank account's balance day by
+ * day, as recorded on every bank sync.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * Daily balances from `from` to `to` (YYYY-MM-DD; default the last 90 days).
+ * @param {{ from?: string, to?: string, accountId?: string }} [range]
+ * @returns {Promise<{ from, to, main_account_id: string|null, accounts: { id, account_name, currency, first_recorded,
+ *   points: { date, balance, available_balance, recorded }[] }[] }>}
+ *   days without a sync carry the last recorded balance (recorded false)
+ */
+export function fetchBalanceHistory({ from, to, accountId } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  if (accountId) params.set('accountId', accountId);
+  const query = params.toString();
+  return apiRequest(`/balance-history${query ? `?${query}` : ''}`, {}, 'load balance history');
+}
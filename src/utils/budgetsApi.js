@@ -0,0 +1,52 @@
+/**
+ * Budgets API helpers
+ * Wrappers around /api/budgets — per-category spending limits. Every budget
+ * that comes back carries the progress of the period it was asked about.
+ */
+
+import { apiRequest } from './api';
+
+export const BUDGET_PERIOD_LABELS = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  payday: 'Payday to payday',
+};
+
+// "£40 left this month"
+export const BUDGET_PERIOD_NOUNS = {
+  weekly: 'week',
+  monthly: 'month',
+  payday: 'pay period',
+};
+
+/**
+ * Budgets with progress for the period containing `date` (YYYY-MM-DD, default today).
+ * @param {{ date?: string, splitId?: string }} [options] — splitId 'none' for standalone budgets
+ * `available` is the period's limit (`period_amount`) plus what a rollover
+ * budget carried in from the one before; `remaining` counts down from it.
+ * @returns {Promise<{ date: string, budgets: { id, split_id, category, amount, currency, period,
+ *   rollover, rollover_cap, rollover_since, period_start, period_end, payday_missing, period_amount,
+ *   carried_in, available, spent, remaining, projected, percent_used, over_budget, projected_over,
+ *   unconverted }[] }>}
+ */
+export function fetchBudgets({ date, splitId } = {}) {
+  const params = new URLSearchParams();
+  if (date) params.set('date', date);
+  if (splitId) params.set('splitId', splitId);
+  const query = params.toString();
+  return apiRequest(`/budgets${query ? `?${query}` : ''}`, {}, 'load budgets');
+}
+
+/** @param {{ category, amount, period?, currency?, split_id?, rollover?, rollover_cap? }} budget */
+export function createBudget(budget) {
+  return apiRequest('/budgets', { method: 'POST', body: JSON.stringify(budget) }, 'create budget');
+}
+
+/** @param {{ category?, amount?, period?, currency?, rollover?, rollover_cap? }} changes */
+export function updateBudget(id, changes) {
+  return apiRequest(`/budgets/${id}`, { method: 'PATCH', body: JSON.stringify(changes) }, 'update budget');
+}
+
+export function deleteBudget(id) {
+  return apiRequest(`/budgets/${id}`, { method: 'DELETE' }, 'delete budget');
+}
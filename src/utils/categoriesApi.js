@@ -0,0 +1,52 @@
+/**
+ * Categories API helpers
+ * Wrappers around /api/categories — the one list every view reads category
+ * names, groups, colours and icons from. Use them through CategoriesContext
+ * so all views share one copy.
+ */
+
+import { apiRequest } from './api';
+
+// Surface the server's message (e.g. "\"Food\" already exists") when there is one
+/**
+ * Fetch the user's categories (archived included), groups first and each
+ * followed by its children. The server seeds the defaults on first call.
+ * @returns {Promise<{ id, name, parent_id, color, icon, archived, sort_order }[]>}
+ */
+export function fetchCategories() {
+  return apiRequest('/categories', {}, 'load categories');
+}
+
+/** @param {{ name: string, parent_id?: string, color?: string, icon?: string }} category */
+export function createCategory(category) {
+  return apiRequest('/categories', { method: 'POST', body: JSON.stringify(category) }, 'create category');
+}
+
+/** @param {string} id @param {{ parent_id?, color?, icon?, archived?, sort_order? }} updates */
+export function updateCategory(id, updates) {
+  return apiRequest(`/categories/${id}`, { method: 'PATCH', body: JSON.stringify(updates) }, 'update category');
+}
+
+export function deleteCategory(id) {
+  return apiRequest(`/categories/${id}`, { method: 'DELETE' }, 'delete category');
+}
+
+/**
+ * Create any names the user doesn't have yet (case-insensitive).
+ * @param {string[]} names
+ * @returns {Promise<{ created: number }>}
+ */
+export function importCategories(names) {
+  return apiRequest('/categories/import', { method: 'POST', body: JSON.stringify({ names }) }, 'import categories');
+}
+
+/**
+ * Rename a category, or merge it into an existing one, everywhere it is
+ * stored (transactions, purchases, rules, splits). Without `apply` nothing is
+ * written and the response is a preview.
+ * @returns {Promise<{ applied, merge, from, to,
+ *   counts: { transactions, purchases, rules, splits }, splits: { id, name }[] }>}
+ */
+export function renameCategory(from, to, { apply = false } = {}) {
+  return apiRequest('/categories/rename', { method: 'POST', body: JSON.stringify({ from, to, apply }) }, 'rename category');
+}
@@ -0,0 +1,55 @@
+/**
+ * Category rules API helpers
+ * Wrappers around /api/category-rules. Rules are evaluated server-side on
+ * every import (see backend/categorization.js); these helpers let the UI
+ * read them, save merchant rules and preview categories before importing.
+ */
+
+import { getAuthHeaders } from './userToken';
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+// Lower-case, trim and collapse whitespace — matches the server's exact_merchant normalisation
+export const normalizeMerchant = (desc = '') => String(desc).toLowerCase().trim().replace(/\s+/g, ' ');
+
+/**
+ * Fetch the user's rules in evaluation order.
+ * @returns {Promise<object[]>}
+ */
+export async function fetchCategoryRules() {
+  const res = await fetch(`${API_BASE}/category-rules`, { headers: await getAuthHeaders() });
+  if (!res.ok) throw new Error(`Failed to load category rules: ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Create or update exact-merchant rules.
+ * @param {Record<string, string>} rules — description → category
+ */
+export async function saveMerchantRules(rules) {
+  const res = await fetch(`${API_BASE}/category-rules/merchants`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+    body: JSON.stringify({ rules }),
+  });
+  if (!res.ok) throw new Error(`Failed to save category rules: ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Ask the rule engine which category each row would get, without saving anything.
+ * @param {{ description: string, amount: number, type: string }[]} transactions
+ * @returns {Promise<string[]>} categories in the same order
+ */
+export async function suggestCategories(transactions) {
+  const res = await fetch(`${API_BASE}/category-rules/suggest`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+    body: JSON.stringify({
+      transactions: transactions.map(({ description, amount, type }) => ({ description, amount, type })),
+    }),
+  });
+  if (!res.ok) throw new Error(`Failed to suggest categories: ${res.status}`);
+  const { suggestions } = await res.json();
+  return suggestions.map((s) => s.category);
+}
@@ -0,0 +1,55 @@
+/**
+ * Debts API helpers
+ * Wrappers around /api/debts — loans and cards, and snowball / avalanche
+ * plans to pay them off.
+ */
+
+import { apiRequest } from './api';
+
+// Keys are STRATEGIES in backend/debts.js
+export const STRATEGY_LABELS = {
+  snowball: 'Snowball',
+  avalanche: 'Avalanche',
+};
+
+/** @returns {Promise<{ debts: { id, name, balance, currency, apr, minimum_payment, due_day }[] }>} */
+export function fetchDebts() {
+  return apiRequest('/debts', {}, 'load debts');
+}
+
+/** @param {{ name, balance, apr, minimum_payment, due_day, currency? }} debt */
+export function createDebt(debt) {
+  return apiRequest('/debts', { method: 'POST', body: JSON.stringify(debt) }, 'create debt');
+}
+
+/** @param {{ name?, balance?, apr?, minimum_payment?, due_day?, currency? }} changes */
+export function updateDebt(id, changes) {
+  return apiRequest(`/debts/${id}`, { method: 'PATCH', body: JSON.stringify(changes) }, 'update debt');
+}
+
+export function deleteDebt(id) {
+  return apiRequest(`/debts/${id}`, { method: 'DELETE' }, 'delete debt');
+}
+
+/**
+ * Snowball and avalanche plans. The monthly extra is `extra`, or what a
+ * split sets aside for `category` when `splitId` is given.
+ * @param {{ extra?: number, splitId?: string, category?: string, currency?: string }} [options]
+ * @returns {Promise<{ currency, start_month, total_balance, monthly_minimums, unconverted,
+ *   extra: { amount, split_id, split_name, category }, debts: object[],
+ *   plans: Record<'snowball'|'avalanche', { complete, months, payoff_date, order: string[], total_interest,
+ *     total_paid, debts: { id, payoff_date, interest, paid }[],
+ *     schedule: { month, payments: { debt_id, date, interest, payment, balance }[], payment, interest, balance }[] }> }>}
+ */
+export function fetchPayoffPlan({ extra, splitId, category, currency } = {}) {
+  const params = new URLSearchParams();
+  if (splitId) {
+    params.set('splitId', splitId);
+    params.set('category', category || '');
+  } else if (extra) {
+    params.set('extra', String(extra));
+  }
+  if (currency) params.set('currency', currency);
+  const query = params.toString();
+  return apiRequest(`/debts/plan${query ? `?${query}` : ''}`, {}, 'load payoff plan');
+}
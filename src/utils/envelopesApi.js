@@ -0,0 +1,58 @@
+/**
+ * Envelopes API helpers
+ * Wrappers around /api/envelopes — a split's envelope mode, where income is
+ * shared out into per-category envelopes that purchases draw down.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * Envelope mode and balances for a split.
+ * @returns {Promise<{ split_id, enabled: boolean, since: string|null, currency?, income?, allocated?,
+ *   unallocated?, unconverted?, envelopes: { category, percent, in_split, allocated, moved_in, moved_out,
+ *   spent, balance, overspent }[] }>}
+ */
+export function fetchEnvelopes(splitId) {
+  return apiRequest(`/envelopes/${splitId}`, {}, 'load envelopes');
+}
+
+/**
+ * Switch envelope mode on or off. Counting starts today the first time it is
+ * switched on, or from `since` (YYYY-MM-DD).
+ * @param {{ enabled: boolean, since?: string }} mode
+ */
+export function setEnvelopeMode(splitId, mode) {
+  return apiRequest(`/envelopes/${splitId}`, { method: 'PATCH', body: JSON.stringify(mode) }, 'switch envelope mode');
+}
+
+/**
+ * The incomes shared out, newest first.
+ * @returns {Promise<{ incomes: { purchase_id, date, description, amount, currency, manual, allocated,
+ *   unallocated, allocations: { category, amount, currency }[] }[] }>}
+ */
+export function fetchEnvelopeIncomes(splitId) {
+  return apiRequest(`/envelopes/${splitId}/incomes`, {}, 'load incomes');
+}
+
+/**
+ * Share one income out by hand, or by the split's percentages again (`allocations` null).
+ * @param {{ category: string, amount: number }[]|null} allocations
+ */
+export function allocateIncome(splitId, purchaseId, allocations) {
+  return apiRequest(
+    `/envelopes/${splitId}/incomes/${purchaseId}/allocations`,
+    { method: 'PUT', body: JSON.stringify({ allocations }) },
+    'allocate income'
+  );
+}
+
+/** @returns {Promise<{ moves: { id, from, to, amount, currency, note, created_at }[] }>} newest first */
+export function fetchEnvelopeMoves(splitId, { limit } = {}) {
+  const query = limit ? `?limit=${limit}` : '';
+  return apiRequest(`/envelopes/${splitId}/moves${query}`, {}, 'load moves');
+}
+
+/** @param {{ from: string, to: string, amount: number, note?: string }} move */
+export function moveEnvelopeMoney(splitId, move) {
+  return apiRequest(`/envelopes/${splitId}/moves`, { method: 'POST', body: JSON.stringify(move) }, 'move money');
+}
@@ -0,0 +1,23 @@
+/**
+ * Forecast API helpers
+ * Wrapper around /api/forecast — the main bank account's balance projected
+ * day by day with expected income and recurring bills.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * The cash-flow forecast for the next `days` days (default 90).
+ * @param {{ days?: number, splitId?: string }} [options] — splitId counts only that split's expected income
+ * @returns {Promise<{ forecast: null | { currency, account_name, balance_as_of, start_date, end_date,
+ *   start_balance, end_balance, total_income, total_bills, lowest: { date, balance }, overdraft_dates: string[],
+ *   unconverted, daily: { date, income, bills, balance, overdrawn, events: { type, name, amount }[] }[] } }>}
+ *   forecast is null until a bank account has a balance
+ */
+export function fetchForecast({ days, splitId } = {}) {
+  const params = new URLSearchParams();
+  if (days) params.set('days', String(days));
+  if (splitId) params.set('splitId', splitId);
+  const query = params.toString();
+  return apiRequest(`/forecast${query ? `?${query}` : ''}`, {}, 'load forecast');
+}
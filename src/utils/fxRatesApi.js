@@ -0,0 +1,29 @@
+/**
+ * FX rates API helpers
+ * Wrappers around /api/fx-rates — the per-user rate table used to convert
+ * totals into the reporting currency. Use them through CurrencyContext.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * Rates linking the user's currencies and `currency` (the reporting currency).
+ * @returns {Promise<{ currencies: string[],
+ *   pairs: { base, quote, count, from, to }[],
+ *   rates: [date: string, base: string, quote: string, rate: number][] }>}
+ */
+export function fetchFxRates(currency) {
+  return apiRequest(`/fx-rates?currency=${encodeURIComponent(currency)}`, {}, 'load FX rates');
+}
+
+/**
+ * Import an ECB XML/CSV file or a date,base,quote,rate CSV (file text).
+ * @returns {Promise<{ imported: number, currencies: string[], from: string, to: string }>}
+ */
+export function importFxRates(content) {
+  return apiRequest('/fx-rates/import', { method: 'POST', body: JSON.stringify({ content }) }, 'import FX rates');
+}
+
+export function clearFxRates() {
+  return apiRequest('/fx-rates', { method: 'DELETE' }, 'clear FX rates');
+}
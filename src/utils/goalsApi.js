@@ -0,0 +1,53 @@
+/**
+ * Goals API helpers
+ * Wrappers around /api/goals — savings goals filled from one category. Every
+ * goal that comes back carries its progress.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * The user's goals with progress, soonest target first.
+ * @returns {Promise<{ goals: { id, split_id, name, category, currency, target_amount, target_date, starts_on,
+ *   saved, remaining, percent, complete, completed_on, months_left, monthly_needed, monthly_saving,
+ *   projected_completion, on_track, contributions, unconverted }[] }>}
+ */
+export function fetchGoals() {
+  return apiRequest('/goals', {}, 'load goals');
+}
+
+/** @param {{ name, category, target_amount, target_date, currency?, starts_on?, split_id? }} goal */
+export function createGoal(goal) {
+  return apiRequest('/goals', { method: 'POST', body: JSON.stringify(goal) }, 'create goal');
+}
+
+/** @param {{ name?, category?, target_amount?, target_date?, currency?, starts_on? }} changes */
+export function updateGoal(id, changes) {
+  return apiRequest(`/goals/${id}`, { method: 'PATCH', body: JSON.stringify(changes) }, 'update goal');
+}
+
+export function deleteGoal(id) {
+  return apiRequest(`/goals/${id}`, { method: 'DELETE' }, 'delete goal');
+}
+
+/**
+ * What has been counted towards a goal, newest first.
+ * @returns {Promise<{ goal: object, contributions: { id, transaction_id, purchase_id, date, amount, currency,
+ *   description, category, manual, excluded }[] }>}
+ */
+export function fetchGoalContributions(id) {
+  return apiRequest(`/goals/${id}/contributions`, {}, 'load goal contributions');
+}
+
+/**
+ * Link a transaction (or, for a split goal, a purchase) to a goal, or count an excluded one again.
+ * @param {{ transaction_id?: string, purchase_id?: string }} source
+ */
+export function linkGoalContribution(id, source) {
+  return apiRequest(`/goals/${id}/contributions`, { method: 'POST', body: JSON.stringify(source) }, 'link contribution');
+}
+
+/** Take a contribution out of its goal. */
+export function removeGoalContribution(id, contributionId) {
+  return apiRequest(`/goals/${id}/contributions/${contributionId}`, { method: 'DELETE' }, 'remove contribution');
+}
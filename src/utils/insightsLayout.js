@@ -6,8 +6,15 @@ export const INSIGHT_WIDGET_CATALOG = [
   { type: "line",             label: "Monthly Trend Line Chart",   icon: "📈" },
   { type: "topExpenses",      label: "Top Expense Categories",     icon: "📊" },
   { type: "topMerchants",     label: "Top Merchants & Vendors",    icon: "🏪" },
-  { type: "spendingForecast", label: "Spending Forecast",          icon: "🔮" },
+  // Type kept from the old spending forecast so saved layouts still show it
+  { type: "spendingForecast", label: "Cash-Flow Forecast",         icon: "🔮" },
   { type: "potentialSavings", label: "Where You Could Save",       icon: "💰" },
+  { type: "tagBreakdown",     label: "Spending by Tag",            icon: "🏷️" },
+  { type: "subscriptions",    label: "Subscriptions & Bills",      icon: "🔁" },
+  { type: "priceIncreases",   label: "Price Increases This Year",  icon: "💸" },
+  { type: "goals",            label: "Savings Goals",              icon: "🎯" },
+  { type: "balanceHistory",   label: "Balance History",            icon: "🏦" },
+  { type: "netWorth",         label: "Net Worth",                  icon: "⚖️" },
 ];
 
 export const DEFAULT_INSIGHTS_LAYOUT = [
@@ -0,0 +1,66 @@
+/**
+ * Manual Accounts API helpers
+ * Wrappers around /api/manual-accounts — cash, ISAs, pensions, property and
+ * debts the bank connection doesn't see, valued by hand.
+ */
+
+import { apiRequest } from './api';
+
+// Keys are ACCOUNT_KINDS in backend/manual-accounts.js
+export const ASSET_KIND_LABELS = {
+  cash: 'Cash',
+  isa: 'ISA',
+  pension: 'Pension',
+  property: 'Property',
+  other_asset: 'Other asset',
+};
+
+export const LIABILITY_KIND_LABELS = {
+  car_finance: 'Car finance',
+  credit_card: 'Credit card',
+  student_loan: 'Student loan',
+  other_liability: 'Other debt',
+};
+
+export const MANUAL_ACCOUNT_KIND_LABELS = { ...ASSET_KIND_LABELS, ...LIABILITY_KIND_LABELS };
+
+/**
+ * @returns {Promise<{ accounts: { id, name, kind, side: 'asset'|'liability', currency, value, value_currency,
+ *   value_date }[] }>} value is the latest valuation (what is owed for a liability), null before the first
+ */
+export function fetchManualAccounts() {
+  return apiRequest('/manual-accounts', {}, 'load accounts');
+}
+
+/** @param {{ name, kind, currency?, value?, date? }} account — value and date make a first valuation */
+export function createManualAccount(account) {
+  return apiRequest('/manual-accounts', { method: 'POST', body: JSON.stringify(account) }, 'create account');
+}
+
+/** @param {{ name?, kind?, currency? }} changes */
+export function updateManualAccount(id, changes) {
+  return apiRequest(`/manual-accounts/${id}`, { method: 'PATCH', body: JSON.stringify(changes) }, 'update account');
+}
+
+export function deleteManualAccount(id) {
+  return apiRequest(`/manual-accounts/${id}`, { method: 'DELETE' }, 'delete account');
+}
+
+/** @returns {Promise<{ valuations: { id, date, value, currency, note }[] }>} newest first */
+export function fetchValuations(id) {
+  return apiRequest(`/manual-accounts/${id}/valuations`, {}, 'load valuations');
+}
+
+/**
+ * Value an account on a day (default today), replacing that day's valuation.
+ * @param {{ value: number, date?: string, note?: string }} valuation
+ * @returns {Promise<{ account: object, valuations: object[] }>}
+ */
+export function addValuation(id, valuation) {
+  return apiRequest(`/manual-accounts/${id}/valuations`, { method: 'POST', body: JSON.stringify(valuation) }, 'save valuation');
+}
+
+/** @returns {Promise<{ account: object, valuations: object[] }>} */
+export function deleteValuation(id, valuationId) {
+  return apiRequest(`/manual-accounts/${id}/valuations/${valuationId}`, { method: 'DELETE' }, 'delete valuation');
+}
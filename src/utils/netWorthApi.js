@@ -0,0 +1,21 @@
+/**
+ * Net Worth API helpers
+ * Wrapper around /api/net-worth — bank balances plus manual accounts, now
+ * and at the end of each past month.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * @param {{ months?: number, currency?: string }} [options] — months of history (default 12)
+ * @returns {Promise<{ currency, as_of, assets, liabilities, net_worth, unconverted,
+ *   accounts: { source: 'bank'|'manual', id, name, kind, side, currency, value, value_date, converted }[],
+ *   history: { date, assets, liabilities, net_worth }[] }>}
+ */
+export function fetchNetWorth({ months, currency } = {}) {
+  const params = new URLSearchParams();
+  if (months) params.set('months', String(months));
+  if (currency) params.set('currency', currency);
+  const query = params.toString();
+  return apiRequest(`/net-worth${query ? `?${query}` : ''}`, {}, 'load net worth');
+}
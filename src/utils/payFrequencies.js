@@ -0,0 +1,9 @@
+// Pay frequency labels; keys are PAY_FREQUENCIES in shared/periods.js
+export const PAY_FREQUENCY_LABELS = {
+  weekly: 'Weekly',
+  fortnightly: 'Fortnightly',
+  four_weekly: 'Every four weeks',
+  monthly: 'Monthly (same date)',
+  last_working_day: 'Monthly (last working day)',
+  yearly: 'Yearly',
+};
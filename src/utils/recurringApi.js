@@ -0,0 +1,43 @@
+/**
+ * Recurring API helpers
+ * Wrappers around /api/recurring — subscriptions and bills detected from the
+ * user's expenses. Use them through RecurringContext.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * The user's recurring series, next expected charge first.
+ * @returns {Promise<{ series: { id, name, category, cadence, currency, amount, monthly_cost, annual_cost,
+ *   next_expected_date, last_date, occurrences, status, charged_after_cancel }[] }>}
+ */
+export function fetchRecurring() {
+  return apiRequest('/recurring', {}, 'load recurring payments');
+}
+
+/**
+ * Re-detect recurring series from the user's expenses.
+ * @returns {Promise<{ detected, created, updated, removed, series }>}
+ */
+export function detectRecurring() {
+  return apiRequest('/recurring/detect', { method: 'POST' }, 'detect recurring payments');
+}
+
+/**
+ * Price changes on recurring charges since `from` (YYYY-MM-DD, default a year ago), newest first.
+ * @returns {Promise<{ changes: { id, series_id, name, cadence, charge_date, currency, old_amount, new_amount,
+ *   change_percent, seen }[], unseen: number }>}
+ */
+export function fetchPriceChanges(from) {
+  return apiRequest(from ? `/recurring/price-changes?from=${from}` : '/recurring/price-changes', {}, 'load price changes');
+}
+
+/** Dismiss price changes from the feed (all unseen ones when `ids` is omitted). */
+export function markPriceChangesSeen(ids) {
+  return apiRequest('/recurring/price-changes/seen', { method: 'POST', body: JSON.stringify(ids ? { ids } : {}) }, 'dismiss price changes');
+}
+
+/** @param {'detected'|'confirmed'|'ignored'|'cancelled'} status */
+export function updateRecurringStatus(id, status) {
+  return apiRequest(`/recurring/${id}`, { method: 'PATCH', body: JSON.stringify({ status }) }, 'update recurring payment');
+}
@@ -0,0 +1,39 @@
+/**
+ * Tags API helpers
+ * Wrappers around /api/tags — free-form labels on transactions and
+ * purchases. Use them through TagsContext so all views share one list.
+ */
+
+import { apiRequest } from './api';
+
+/**
+ * Fetch the user's tags, by name, with how many rows carry each.
+ * @returns {Promise<{ id, name, color, transaction_count, purchase_count }[]>}
+ */
+export function fetchTags() {
+  return apiRequest('/tags', {}, 'load tags');
+}
+
+/** @param {{ name: string, color?: string }} tag */
+export function createTag(tag) {
+  return apiRequest('/tags', { method: 'POST', body: JSON.stringify(tag) }, 'create tag');
+}
+
+/** @param {string} id @param {{ name?, color? }} updates */
+export function updateTag(id, updates) {
+  return apiRequest(`/tags/${id}`, { method: 'PATCH', body: JSON.stringify(updates) }, 'update tag');
+}
+
+export function deleteTag(id) {
+  return apiRequest(`/tags/${id}`, { method: 'DELETE' }, 'delete tag');
+}
+
+/**
+ * Add and/or remove tags (by name) on many transactions and purchases.
+ * Names the user doesn't have yet are created.
+ * @param {{ transactionIds?: string[], purchaseIds?: string[], add?: string[], remove?: string[] }} payload
+ * @returns {Promise<{ ok: boolean, transactions: { rows, added, removed }, purchases: { rows, added, removed } }>}
+ */
+export function assignTags(payload) {
+  return apiRequest('/tags/assign', { method: 'POST', body: JSON.stringify(payload) }, 'update tags');
+}
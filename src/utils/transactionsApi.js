@@ -0,0 +1,69 @@
+/**
+ * Transactions API helpers
+ * Thin wrappers around the paginated GET /api/transactions endpoint.
+ *
+ * Filters (all optional):
+ *   { from, to, type, categories: string[], tags: string[], source, minAmount, maxAmount, q, unlinked, unlinkedSplit,
+ *     sort, dir, reportCurrency }
+ * Response page: { transactions, nextCursor,
+ *   summary: { count, income, expense, net, currency, unconverted } } — summary amounts in reportCurrency
+ */
+
+const FILTER_PARAMS = [
+  'from', 'to', 'type', 'source', 'minAmount', 'maxAmount', 'q', 'unlinked', 'unlinkedSplit', 'sort', 'dir', 'reportCurrency',
+];
+
+/**
+ * Build the query string for a filter object + page options.
+ */
+export function buildTransactionsQuery(filters = {}, { cursor, limit } = {}) {
+  const params = new URLSearchParams();
+
+  for (const key of FILTER_PARAMS) {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  }
+  if (filters.categories?.length) params.set('category', filters.categories.join(','));
+  if (filters.tags?.length) params.set('tag', filters.tags.join(','));
+  if (limit) params.set('limit', String(limit));
+  if (cursor) params.set('cursor', cursor);
+
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
+/**
+ * Fetch a single page of transactions.
+ * @returns {Promise<{transactions: object[], nextCursor: string|null, summary: object}>}
+ */
+export async function fetchTransactionsPage({ apiBase, headers, filters, cursor, limit, signal }) {
+  const res = await fetch(`${apiBase}/transactions${buildTransactionsQuery(filters, { cursor, limit })}`, {
+    headers,
+    signal,
+    cache: 'no-store',
+  });
+
+  if (!res.ok) {
+    throw new Error(`Failed to load transactions: ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * Follow `nextCursor` until every matching transaction has been fetched.
+ * Use sparingly — prefer single pages for lists the user scrolls through.
+ */
+export async function fetchAllTransactions({ apiBase, headers, filters, limit = 500, signal }) {
+  const all = [];
+  let cursor = null;
+  let summary = null;
+
+  do {
+    const page = await fetchTransactionsPage({ apiBase, headers, filters, cursor, limit, signal });
+    all.push(...page.transactions);
+    summary = page.summary;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return { transactions: all, summary };
+}
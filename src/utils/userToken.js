@@ -1,12 +1,40 @@
 /**
  * User Token Utility
- * Uses Auth0 user ID when logged in, falls back to browser-generated ID for dev mode.
+ * Supplies the Bearer access token for API requests.
+ * - Production: the Auth0 access token (provider registered by AuthSync).
+ * - Dev mode (VITE_DEV_MODE=true): a token signed by the backend's local dev
+ *   issuer for a browser-generated user ID.
  */
 
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+const isDevMode = import.meta.env.VITE_DEV_MODE === 'true';
+
 const TOKEN_KEY = 'walletwarden-token';
 const AUTH0_USER_KEY = 'walletwarden-auth0-user';
 const AUTH0_USER_DATA_KEY = 'walletwarden-auth0-user-data';
 
+// Refresh dev tokens a minute before they expire
+const DEV_TOKEN_EXPIRY_BUFFER_MS = 60 * 1000;
+// How long a request waits for AuthSync to register the Auth0 provider
+const PROVIDER_WAIT_MS = 10 * 1000;
+
+let accessTokenProvider = null;
+let providerWaiters = [];
+let devToken = null; // { token, expiresAt }
+let devTokenRequest = null;
+
+/**
+ * Register the function that returns a fresh Auth0 access token
+ * (AuthSync passes getAccessTokenSilently). Pass null on logout.
+ */
+export function setAccessTokenProvider(provider) {
+  accessTokenProvider = provider;
+  if (provider) {
+    providerWaiters.forEach((resolve) => resolve(provider));
+    providerWaiters = [];
+  }
+}
+
 /**
  * Set the Auth0 user when user logs in.
  * Stores both ID and full user data (including email).
@@ -31,6 +59,8 @@ export function setAuth0User(user) {
 export function clearAuth0User() {
   localStorage.removeItem(AUTH0_USER_KEY);
   localStorage.removeItem(AUTH0_USER_DATA_KEY);
+  setAccessTokenProvider(null);
+  devToken = null;
   // Also clear Auth0 SDK's cached tokens to prevent stale token errors on re-login
   Object.keys(localStorage)
     .filter(k => k.startsWith('@@auth0spajs@@'))
@@ -54,28 +84,87 @@ export function getAuth0UserEmail() {
 }
 
 /**
- * Get the user token - prioritizes Auth0 user ID, falls back to browser ID.
- * This ensures data is tied to the Auth0 account when logged in.
+ * Get the browser-generated user ID used as `sub` for dev-mode tokens.
  */
-export function getUserToken() {
-  // First, check if we have an Auth0 user ID
-  const auth0UserId = localStorage.getItem(AUTH0_USER_KEY);
-  if (auth0UserId) {
-    return auth0UserId;
-  }
-  
-  // Fall back to browser-generated token for dev mode / not logged in
-  let token = localStorage.getItem(TOKEN_KEY);
-  
-  // Only create a NEW token if one doesn't exist at all
+function getDevUserId() {
+  let userId = localStorage.getItem(TOKEN_KEY);
+
+  // Only create a NEW id if one doesn't exist at all
   // Don't replace 'dev-user' to avoid creating multiple entries
-  if (!token) {
-    token = `user-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
-    localStorage.setItem(TOKEN_KEY, token);
-    console.log('[Auth] Created new browser token:', token);
+  if (!userId) {
+    userId = `user-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    localStorage.setItem(TOKEN_KEY, userId);
+    console.log('[Auth] Created new browser user id:', userId);
   }
-  
-  return token;
+
+  return userId;
+}
+
+/**
+ * Request a locally signed token from the backend dev issuer (AUTH_DEV_MODE).
+ * Cached until shortly before expiry; concurrent callers share one request.
+ */
+async function getDevAccessToken() {
+  if (devToken && Date.now() < devToken.expiresAt - DEV_TOKEN_EXPIRY_BUFFER_MS) {
+    return devToken.token;
+  }
+
+  if (!devTokenRequest) {
+    devTokenRequest = (async () => {
+      const res = await fetch(`${API_BASE}/auth/dev/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sub: getDevUserId(), email: getAuth0UserEmail() }),
+      });
+      if (!res.ok) throw new Error(`Dev token request failed: ${res.status}`);
+
+      const data = await res.json();
+      devToken = {
+        token: data.access_token,
+        expiresAt: Date.now() + data.expires_in * 1000,
+      };
+      return devToken.token;
+    })().finally(() => {
+      devTokenRequest = null;
+    });
+  }
+
+  return devTokenRequest;
+}
+
+/**
+ * Wait up to PROVIDER_WAIT_MS for AuthSync to register the Auth0 provider.
+ * @returns {Promise<Function|null>} null when none is registered in time (logged out)
+ */
+function waitForProvider() {
+  return new Promise((resolve) => {
+    const waiter = (provider) => {
+      clearTimeout(timer);
+      resolve(provider);
+    };
+    const timer = setTimeout(() => {
+      providerWaiters = providerWaiters.filter((w) => w !== waiter);
+      resolve(null);
+    }, PROVIDER_WAIT_MS);
+    providerWaiters.push(waiter);
+  });
+}
+
+/**
+ * Get the access token to send as `Authorization: Bearer …`.
+ * Waits for AuthSync to register the Auth0 provider if called before login
+ * has finished syncing; null when no provider turns up (the request then
+ * goes without a token and the API answers 401).
+ */
+export async function getUserToken() {
+  if (isDevMode) return getDevAccessToken();
+
+  const provider = accessTokenProvider || await waitForProvider();
+  if (!provider) {
+    console.warn('[Auth] No access token provider registered; sending the request without a token');
+    return null;
+  }
+  return provider();
 }
 
 /**
@@ -85,22 +174,15 @@ export function clearUserToken() {
   localStorage.removeItem(TOKEN_KEY);
   localStorage.removeItem(AUTH0_USER_KEY);
   localStorage.removeItem(AUTH0_USER_DATA_KEY);
+  setAccessTokenProvider(null);
+  devToken = null;
 }
 
 /**
- * Get authorization headers for API requests
+ * Get authorization headers for API requests.
+ * Identity (sub, email, role) is read by the backend from the verified token.
  */
-export function getAuthHeaders() {
-  const headers = {
-    Authorization: `Bearer ${getUserToken()}`
-  };
-  
-  // Include email if available (from Auth0)
-  const email = getAuth0UserEmail();
-  console.log('[Auth] Getting headers, email:', email);
-  if (email) {
-    headers['X-User-Email'] = email;
-  }
-  
-  return headers;
+export async function getAuthHeaders() {
+  const token = await getUserToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
 }
@@ -42,7 +42,7 @@ export default function AdminDashboard() {
   async function fetchData() {
     try {
       setLoading(true);
-      const token = getUserToken();
+      const token = await getUserToken();
       const headers = { Authorization: `Bearer ${token}` };
 
       const [usersRes, statsRes] = await Promise.all([
@@ -73,7 +73,7 @@ export default function AdminDashboard() {
     const key = `${userId}-plan`;
     try {
       setActionLoading(prev => ({ ...prev, [key]: true }));
-      const token = getUserToken();
+      const token = await getUserToken();
 
       const response = await fetch(`${API_URL}/admin/users/${userId}/plan`, {
         method: 'POST',
@@ -107,7 +107,7 @@ export default function AdminDashboard() {
 
     try {
       setActionLoading(prev => ({ ...prev, [key]: true }));
-      const token = getUserToken();
+      const token = await getUserToken();
 
       const response = await fetch(`${API_URL}/admin/users/${userId}/plan`, {
         method: 'DELETE',
@@ -140,7 +140,7 @@ export default function AdminDashboard() {
     const key = `${userId}-role`;
     try {
       setActionLoading(prev => ({ ...prev, [key]: true }));
-      const token = getUserToken();
+      const token = await getUserToken();
 
       const response = await fetch(`${API_URL}/admin/users/${userId}/role`, {
         method: 'POST',
@@ -13,7 +13,7 @@ export default function BillingSuccess() {
   const [loading, setLoading] = useState(true);
 
   const getAuthHeaders = useCallback(
-    () => ({ Authorization: `Bearer ${getUserToken()}` }),
+    async () => ({ Authorization: `Bearer ${await getUserToken()}` }),
     []
   );
 
@@ -25,7 +25,7 @@ export default function BillingSuccess() {
     // Poll a few times because the webhook may arrive after the redirect
     async function fetchPlan() {
       try {
-        const res = await fetch(`${API_URL}/billing/me`, { headers: getAuthHeaders() });
+        const res = await fetch(`${API_URL}/billing/me`, { headers: await getAuthHeaders() });
         if (!res.ok) throw new Error("Failed to fetch plan");
         const data = await res.json();
         if (!cancelled) {
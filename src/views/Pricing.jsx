@@ -56,7 +56,7 @@ export default function Pricing() {
   const [actionLoading, setActionLoading] = useState(null); // tier or 'portal'
 
   const getAuthHeaders = useCallback(
-    () => ({ Authorization: `Bearer ${getUserToken()}`, "Content-Type": "application/json" }),
+    async () => ({ Authorization: `Bearer ${await getUserToken()}`, "Content-Type": "application/json" }),
     []
   );
 
@@ -65,7 +65,7 @@ export default function Pricing() {
     let cancelled = false;
     (async () => {
       try {
-        const res = await fetch(`${API_URL}/billing/me`, { headers: getAuthHeaders() });
+        const res = await fetch(`${API_URL}/billing/me`, { headers: await getAuthHeaders() });
         if (!res.ok) throw new Error("Failed to fetch plan");
         const data = await res.json();
         if (!cancelled) setCurrentTier(data.plan_tier || "free");
@@ -84,7 +84,7 @@ export default function Pricing() {
     try {
       const res = await fetch(`${API_URL}/billing/checkout`, {
         method: "POST",
-        headers: getAuthHeaders(),
+        headers: await getAuthHeaders(),
         body: JSON.stringify({ tier }),
       });
       const data = await res.json();
@@ -108,7 +108,7 @@ export default function Pricing() {
     try {
       const res = await fetch(`${API_URL}/billing/portal`, {
         method: "POST",
-        headers: getAuthHeaders(),
+        headers: await getAuthHeaders(),
       });
       const data = await res.json();
       if (data.url) {
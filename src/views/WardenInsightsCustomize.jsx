@@ -25,7 +25,7 @@ export default function WardenInsightsCustomize() {
     (async () => {
       try {
         const res = await fetch(`${API_URL}/entitlements`, {
-          headers: { Authorization: `Bearer ${getUserToken()}` },
+          headers: { Authorization: `Bearer ${await getUserToken()}` },
         });
         if (!res.ok) throw new Error("entitlements fetch failed");
         const ent = await res.json();
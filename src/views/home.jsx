@@ -1,5 +1,6 @@
 import Navbar from "../components/navbar.jsx";
 import WelcomePopup from "../components/welcome-popup.jsx";
+import PriceChangeFeed from "../components/recurring/PriceChangeFeed.jsx";
 import { useNavigate } from "react-router-dom";
 import { useState } from "react";
 
@@ -114,6 +115,8 @@ export default function Home() {
           </div>
         </div>
 
+        <PriceChangeFeed />
+
         {/* Split Presets Container - Horizontal Cards */}
         <div style={{ background: "rgba(15, 23, 42, 0.5)", border: "1px solid rgba(71, 85, 105, 0.3)", borderRadius: "1rem", padding: "2rem", backdropFilter: "blur(10px)" }}>
           <h2 className="h5 fw-bold mb-1" style={{ color: "#fff" }}>Get Started with Split Presets</h2>
@@ -3,29 +3,23 @@ import Navbar from "../components/navbar.jsx";
 import CsvPdfUpload from "../components/csv-pdf-upload.jsx";
 import { useTransactions } from "../state/TransactionsContext";
 import { useAuth0 } from "@auth0/auth0-react";
-import { TRANSACTION_CATEGORIES } from "../utils/categories";
-import { getUserToken, clearAuth0User } from "../utils/userToken";
+import CategoryManager from "../components/categories/CategoryManager.jsx";
+import CurrencySettings from "../components/currency/CurrencySettings.jsx";
+import BudgetManager from "../components/budgets/BudgetManager.jsx";
+import GoalManager from "../components/goals/GoalManager.jsx";
+import ManualAccountManager from "../components/networth/ManualAccountManager.jsx";
+import DebtManager from "../components/debts/DebtManager.jsx";
+import TagManager from "../components/tags/TagManager.jsx";
+import { getAuthHeaders, clearAuth0User } from "../utils/userToken";
+import { PAY_FREQUENCY_LABELS } from "../utils/payFrequencies";
 import { useAdminRole } from "../hooks/useAdminRole";
 import { useNavigate } from "react-router-dom";
+import { formatMoney } from "../../shared/money.js";
 
-const CURRENCY_OPTIONS = [
-  { code: 'GBP', symbol: '£', name: 'British Pound' },
-  { code: 'USD', symbol: '$', name: 'US Dollar' },
-  { code: 'EUR', symbol: '€', name: 'Euro' },
-  { code: 'JPY', symbol: '¥', name: 'Japanese Yen' },
-  { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar' },
-  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar' },
-];
-
-const CURRENCY_STORAGE_KEY = 'walletwarden:currency';
-const CUSTOM_CATEGORIES_KEY = 'walletwarden:customCategories';
 const PROFILE_PICTURE_KEY = 'walletwarden:profilePicture';
 
 const API_URL = "http://localhost:4000/api";
 
-// Helper to get auth headers with unique user token
-const getAuthHeaders = () => ({ Authorization: `Bearer ${getUserToken()}` });
-
 export default function Options() {
   const { clearTransactions } = useTransactions();
   const { user, logout } = useAuth0();
@@ -41,15 +35,6 @@ export default function Options() {
   const [showImportModal, setShowImportModal] = useState(false);
   const [resetMessage, setResetMessage] = useState("");
   const [isResetting, setIsResetting] = useState(false);
-  const [selectedCurrency, setSelectedCurrency] = useState(() => {
-    return localStorage.getItem(CURRENCY_STORAGE_KEY) || 'GBP';
-  });
-  const [customCategories, setCustomCategories] = useState(() => {
-    const stored = localStorage.getItem(CUSTOM_CATEGORIES_KEY);
-    return stored ? JSON.parse(stored) : [];
-  });
-  const [newCategory, setNewCategory] = useState("");
-  const [categoryError, setCategoryError] = useState("");
   const [activeTab, setActiveTab] = useState("account");
   const [uploadedProfilePicture, setUploadedProfilePicture] = useState(() => {
     return localStorage.getItem(PROFILE_PICTURE_KEY) || null;
@@ -76,11 +61,6 @@ export default function Options() {
   const [incomeSaveMessage, setIncomeSaveMessage] = useState("");
   const [isLoadingIncome, setIsLoadingIncome] = useState(false);
 
-  // Save currency to localStorage when it changes
-  useEffect(() => {
-    localStorage.setItem(CURRENCY_STORAGE_KEY, selectedCurrency);
-  }, [selectedCurrency]);
-
   // Load bank connection status on mount
   useEffect(() => {
     // Reset loading state on mount (in case user navigated back)
@@ -93,7 +73,7 @@ export default function Options() {
     const checkBankStatus = async () => {
       try {
         const res = await fetch(`${API_URL}/banks/truelayer/status`, {
-          headers: { ...getAuthHeaders() },
+          headers: { ...(await getAuthHeaders()) },
           signal: controller.signal,
         });
         clearTimeout(timeoutId);
@@ -119,14 +99,9 @@ export default function Options() {
     };
   }, []);
 
-  // Save custom categories to localStorage when they change
-  useEffect(() => {
-    localStorage.setItem(CUSTOM_CATEGORIES_KEY, JSON.stringify(customCategories));
-  }, [customCategories]);
-
-  // Load splits and income settings when Income tab is active
+  // Load splits and income settings when the Income, Goals or Debts tab is active
   useEffect(() => {
-    if (activeTab === "income") {
+    if (activeTab === "income" || activeTab === "goals" || activeTab === "debts") {
       loadSplitsAndIncomeSettings();
     }
   }, [activeTab]);
@@ -159,7 +134,7 @@ export default function Options() {
     try {
       // Load splits
       const splitsResponse = await fetch(`${API_URL}/splits`, {
-        headers: { ...getAuthHeaders() },
+        headers: { ...(await getAuthHeaders()) },
       });
 
       if (splitsResponse.ok) {
@@ -172,7 +147,7 @@ export default function Options() {
 
       // Load income settings
       const incomeSettingsResponse = await fetch(`${API_URL}/income-settings`, {
-        headers: { ...getAuthHeaders() },
+        headers: { ...(await getAuthHeaders()) },
       });
 
       if (incomeSettingsResponse.ok) {
@@ -202,7 +177,7 @@ export default function Options() {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeaders(),
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify(payload),
       });
@@ -246,7 +221,7 @@ export default function Options() {
       // Call the comprehensive reset endpoint that deletes everything
       const res = await fetch(`${API_URL}/reset`, {
         method: 'POST',
-        headers: { ...getAuthHeaders() },
+        headers: { ...(await getAuthHeaders()) },
       });
 
       if (!res.ok) {
@@ -286,29 +261,6 @@ export default function Options() {
     }
   };
 
-  const handleAddCategory = () => {
-    const trimmed = newCategory.trim();
-    
-    if (!trimmed) {
-      setCategoryError("Category name cannot be empty");
-      return;
-    }
-
-    const allCategories = [...TRANSACTION_CATEGORIES, ...customCategories];
-    if (allCategories.some(cat => cat.toLowerCase() === trimmed.toLowerCase())) {
-      setCategoryError("Category already exists");
-      return;
-    }
-
-    setCustomCategories([...customCategories, trimmed]);
-    setNewCategory("");
-    setCategoryError("");
-  };
-
-  const handleRemoveCategory = (category) => {
-    setCustomCategories(customCategories.filter(cat => cat !== category));
-  };
-
   const handleProfilePictureUpload = (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -358,7 +310,7 @@ export default function Options() {
     try {
       const res = await fetch(`${API_URL}/banks/truelayer/disconnect`, {
         method: "DELETE",
-        headers: { ...getAuthHeaders() },
+        headers: { ...(await getAuthHeaders()) },
       });
       if (res.ok) {
         setBankStatus({ connected: false });
@@ -385,7 +337,7 @@ export default function Options() {
     
     try {
       const res = await fetch(`${API_URL}/banks/truelayer/connect`, {
-        headers: { ...getAuthHeaders() },
+        headers: { ...(await getAuthHeaders()) },
         signal: controller.signal,
       });
       
@@ -417,8 +369,6 @@ export default function Options() {
     }
   };
 
-  const currencyInfo = CURRENCY_OPTIONS.find(c => c.code === selectedCurrency);
-
   return (
     <div className="container py-4 mt-5" style={{ maxWidth: 700, minHeight: "100vh" }}>
       <Navbar />
@@ -457,6 +407,54 @@ export default function Options() {
             Categories
           </button>
         </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === "tags" ? "active" : ""}`}
+            onClick={() => setActiveTab("tags")}
+          >
+            Tags
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === "budgets" ? "active" : ""}`}
+            onClick={() => setActiveTab("budgets")}
+          >
+            Budgets
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === "goals" ? "active" : ""}`}
+            onClick={() => setActiveTab("goals")}
+          >
+            Goals
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === "networth" ? "active" : ""}`}
+            onClick={() => setActiveTab("networth")}
+          >
+            Net Worth
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === "debts" ? "active" : ""}`}
+            onClick={() => setActiveTab("debts")}
+          >
+            Debts
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === "currency" ? "active" : ""}`}
+            onClick={() => setActiveTab("currency")}
+          >
+            Currency
+          </button>
+        </li>
         <li className="nav-item">
           <button
             className={`nav-link ${activeTab === "income" ? "active" : ""}`}
@@ -589,66 +587,73 @@ export default function Options() {
           <div className="card-body">
             <h5 className="card-title mb-4">Manage Categories</h5>
 
-            <div className="mb-4">
-              <label className="form-label">Add Custom Category</label>
-              <div className="input-group">
-                <input
-                  type="text"
-                  className={`form-control ${categoryError ? "is-invalid" : ""}`}
-                  placeholder="e.g., Home Improvement"
-                  value={newCategory}
-                  onChange={(e) => {
-                    setNewCategory(e.target.value);
-                    setCategoryError("");
-                  }}
-                  onKeyPress={(e) => {
-                    if (e.key === "Enter") handleAddCategory();
-                  }}
-                />
-                <button
-                  className="segmented-control__segment segmented-control__segment--active"
-                  style={{ borderRadius: '0 20px 20px 0', padding: '6px 14px', fontSize: '0.85rem' }}
-                  type="button"
-                  onClick={handleAddCategory}
-                >
-                  Add
-                </button>
-              </div>
-              {categoryError && (
-                <div className="invalid-feedback d-block">{categoryError}</div>
-              )}
-            </div>
+            <CategoryManager />
+          </div>
+        </div>
+      )}
 
-            <div>
-              <h6 className="mb-3">Default Categories</h6>
-              <div className="mb-3" style={{ maxHeight: '200px', overflowY: 'auto' }}>
-                {TRANSACTION_CATEGORIES.map(cat => (
-                  <span key={cat} className="badge bg-secondary me-2 mb-2">
-                    {cat}
-                  </span>
-                ))}
-              </div>
-            </div>
+      {/* Tags Tab */}
+      {activeTab === "tags" && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-body">
+            <h5 className="card-title mb-4">Manage Tags</h5>
 
-            {customCategories.length > 0 && (
-              <div>
-                <h6 className="mb-3">Custom Categories</h6>
-                <div className="mb-3" style={{ maxHeight: '200px', overflowY: 'auto' }}>
-                  {customCategories.map(cat => (
-                    <div key={cat} className="d-flex align-items-center gap-2 mb-2">
-                      <span className="badge bg-info">{cat}</span>
-                      <button
-                        className="btn btn-sm btn-outline-danger"
-                        onClick={() => handleRemoveCategory(cat)}
-                        title="Remove category"
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+            <TagManager />
+          </div>
+        </div>
+      )}
+
+      {/* Budgets Tab */}
+      {activeTab === "budgets" && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-body">
+            <h5 className="card-title mb-4">Category Budgets</h5>
+
+            <BudgetManager />
+          </div>
+        </div>
+      )}
+
+      {/* Goals Tab */}
+      {activeTab === "goals" && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-body">
+            <h5 className="card-title mb-4">Savings Goals</h5>
+
+            <GoalManager splits={savedSplits} />
+          </div>
+        </div>
+      )}
+
+      {/* Net Worth Tab */}
+      {activeTab === "networth" && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-body">
+            <h5 className="card-title mb-4">Manual Accounts</h5>
+
+            <ManualAccountManager />
+          </div>
+        </div>
+      )}
+
+      {/* Debts Tab */}
+      {activeTab === "debts" && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-body">
+            <h5 className="card-title mb-4">Debts</h5>
+
+            <DebtManager splits={savedSplits} />
+          </div>
+        </div>
+      )}
+
+      {/* Currency Tab */}
+      {activeTab === "currency" && (
+        <div className="card shadow-sm mb-4">
+          <div className="card-body">
+            <h5 className="card-title mb-4">Currency</h5>
+
+            <CurrencySettings />
           </div>
         </div>
       )}
@@ -744,9 +749,9 @@ export default function Options() {
                       frequency: e.target.value
                     }))}
                   >
-                    <option value="weekly">Weekly</option>
-                    <option value="fortnightly">Fortnightly</option>
-                    <option value="monthly">Monthly</option>
+                    {Object.entries(PAY_FREQUENCY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
                   </select>
                 </div>
 
@@ -769,7 +774,8 @@ export default function Options() {
                 {selectedIncomeSettings && (
                   <div className="alert alert-info py-2 small mb-4">
                     <i className="bi bi-info-circle me-1"></i>
-                    Current settings: £{Number(selectedIncomeSettings.expected_amount || 0).toFixed(2)} {selectedIncomeSettings.frequency}
+                    Current settings: {formatMoney(selectedIncomeSettings.expected_amount, selectedIncomeSettings.currency)}{" "}
+                    {(PAY_FREQUENCY_LABELS[selectedIncomeSettings.frequency] || selectedIncomeSettings.frequency).toLowerCase()}
                   </div>
                 )}
 
@@ -2,13 +2,11 @@ import React, { useEffect, useMemo, useState } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import Navbar from "../components/navbar.jsx";
 import { useTransactions } from "../state/TransactionsContext";
-import { getUserToken } from "../utils/userToken";
+import { useCategories } from "../state/useCategories";
+import { getAuthHeaders } from "../utils/userToken";
 
 const API_URL = "http://localhost:4000/api";
 
-// Helper to get auth headers with unique user token
-const getAuthHeaders = () => ({ Authorization: `Bearer ${getUserToken()}` });
-
 // Rebalance percentages to total 100%, staying close to preset shape when adding/removing
 const rebalancePercents = ({ people, presets, selectedPreset, keepIdZero = null }) => {
   if (people.length === 0) return [];
@@ -147,6 +145,7 @@ export default function SplitMaker() {
   const incomingPreset = location.state?.preset;
   const skipPresetSelection = location.state?.skipPresetSelection;
   const { addTransaction } = useTransactions?.() ?? {};
+  const { refreshCategories } = useCategories();
 
   // Presets: mapping from category name -> percent
   const presets = [
@@ -352,7 +351,7 @@ export default function SplitMaker() {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeaders(),
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({
           id: savedSplit.id,
@@ -371,6 +370,9 @@ export default function SplitMaker() {
         // Set the newly created split as selected so tracker page shows it
         localStorage.setItem("walletwardenSelectedSplit", savedSplit.id);
 
+        // The server adds the split's category names to the user's categories
+        refreshCategories();
+
         setMessage({ type: "success", text: `Split saved as "${savedSplit.name}"! 💾` });
         setShowFrequencyModal(false);
         
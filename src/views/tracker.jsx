@@ -4,9 +4,14 @@ import { Link, useLocation } from "react-router-dom";
 import Navbar from "../components/navbar.jsx";
 import CsvPdfUpload from "../components/csv-pdf-upload.jsx";
 import { useTransactions } from "../state/TransactionsContext";
-import { generateId } from "../models/transaction";
-import { getUserToken } from "../utils/userToken";
+import { useCurrency } from "../state/useCurrency";
+import { useCategories } from "../state/useCategories";
+import { generateId, lineItemParts } from "../models/transaction";
+import { getAuthHeaders } from "../utils/userToken";
 import { suggestCategory } from "../utils/categories";
+import { fetchCategoryRules, saveMerchantRules } from "../utils/categoryRulesApi";
+import { addMoney, formatMoney as formatAmount, sumMoney } from "../../shared/money.js";
+import { addDays, paydayBounds, PAY_PERIODS_PER_YEAR } from "../../shared/periods.js";
 import { motion, AnimatePresence, useReducedMotion } from "framer-motion";
 import "./tracker.css";
 
@@ -15,16 +20,16 @@ import TrackerHeader from "../components/tracker/TrackerHeader.jsx";
 import PeriodNavigation from "../components/tracker/PeriodNavigation.jsx";
 import SummaryCard from "../components/tracker/SummaryCard.jsx";
 import IncomeCard from "../components/tracker/IncomeCard.jsx";
+import EnvelopesCard from "../components/tracker/EnvelopesCard.jsx";
 import PurchasesPivotTable from "../components/tracker/PurchasesPivotTable.jsx";
 import AddPurchaseModal from "../components/tracker/AddPurchaseModal.jsx";
 import ImportModal from "../components/tracker/ImportModal.jsx";
 import ExpectedIncomeModal from "../components/tracker/ExpectedIncomeModal.jsx";
+import BudgetModal from "../components/tracker/BudgetModal.jsx";
+import useBudgets from "../hooks/useBudgets";
 
 const API_URL = "http://localhost:4000/api";
 
-// Helper to get auth headers with unique user token
-const getAuthHeaders = () => ({ Authorization: `Bearer ${getUserToken()}` });
-
 // Keep dates as day-only strings to avoid timezone shifts
 const formatDateParts = (year, month, day) => {
   return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
@@ -70,6 +75,7 @@ const sanitizeIncome = (entry) => {
     transaction_id: entry.transaction_id || null,
     date,
     amount,
+    currency: entry.currency,
     category: entry.category || "Income",
     description: (entry.description || "").toString().trim(),
     type: "income",
@@ -77,8 +83,9 @@ const sanitizeIncome = (entry) => {
 };
 
 export default function Tracker() {
-  const { addTransaction, bulkAddTransactions, updateTransaction, transactions: globalTransactions = [] } =
-    useTransactions?.() ?? {};
+  const { addTransaction, bulkAddTransactions, updateTransaction, fetchTransactionsPage } = useTransactions?.() ?? {};
+  const { getParentName, refreshCategories } = useCategories();
+  const { reportCurrency, toReporting } = useCurrency();
 
   const location = useLocation();
   const prefersReducedMotion = useReducedMotion();
@@ -89,7 +96,7 @@ export default function Tracker() {
     'standing_order', 'faster_payment', 'bacs', 'unknown', 'other',
   ]), []);
 
-  // Map suggestCategory() outputs → common split category names
+  // Fallback for split names that aren't a category's group (groups come from useCategories)
   const CATEGORY_ALIAS_MAP = useMemo(() => ({
     'groceries': 'food',
     'restaurants': 'food',
@@ -106,7 +113,7 @@ export default function Tracker() {
 
   const [savedSplits, setSavedSplits] = useState([]);
   const [selectedSplit, setSelectedSplit] = useState(null);
-  const [viewMode, setViewMode] = useState("weekly"); // "weekly", "monthly", or "yearly"
+  const [viewMode, setViewMode] = useState("weekly"); // "weekly", "monthly", "yearly" or "payday"
   const [currentDate, setCurrentDate] = useState(new Date());
   const [purchases, setPurchases] = useState([]);
   const [showAddModal, setShowAddModal] = useState(false);
@@ -129,9 +136,18 @@ export default function Tracker() {
     frequency: "monthly",
     use_expected_when_no_actual: true,
   });
+  const [budgetCategory, setBudgetCategory] = useState(null); // split category whose budget is being edited
+  // Bumped when purchases, incomes or the payday change on the server, so
+  // budget progress and envelope balances reload
+  const [serverChangeKey, setServerChangeKey] = useState(0);
+  const {
+    budgets,
+    byCategory: budgetsByCategory,
+    saveBudget,
+    removeBudget,
+  } = useBudgets(selectedSplit, toDateOnlyString(currentDate), serverChangeKey);
 
   const splitIncomesLoaded = useRef(false);
-  const categoryRulesLoaded = useRef(false);
   const incomeSettingsLoaded = useRef(false);
   const dataLoadedFromBackend = useRef(false);
   const purchasesLoadedFromBackend = useRef(false);
@@ -170,27 +186,39 @@ export default function Tracker() {
     [selectedSplit, savedSplits]
   );
 
-  // Load persisted category rules
+  // Load merchant category rules from the server. Rules saved by older
+  // versions in localStorage are uploaded once, then removed.
   useEffect(() => {
-    try {
-      const raw = localStorage.getItem("walletwardenCategoryRules");
-      if (raw) setCategoryRules(JSON.parse(raw));
-    } catch (e) {
-      console.warn("Failed to load category rules", e);
-    } finally {
-      categoryRulesLoaded.current = true;
-    }
-  }, []);
+    let cancelled = false;
 
-  // Persist category rules
-  useEffect(() => {
-    if (!categoryRulesLoaded.current) return;
-    try {
-      localStorage.setItem("walletwardenCategoryRules", JSON.stringify(categoryRules));
-    } catch (e) {
-      console.warn("Failed to save category rules", e);
-    }
-  }, [categoryRules]);
+    const loadCategoryRules = async () => {
+      try {
+        const legacyRaw = localStorage.getItem("walletwardenCategoryRules");
+        const legacy = legacyRaw ? JSON.parse(legacyRaw) : {};
+        if (Object.keys(legacy).length > 0) {
+          await saveMerchantRules(legacy);
+          console.log(`[Tracker] Migrated ${Object.keys(legacy).length} category rules to the server`);
+        }
+        localStorage.removeItem("walletwardenCategoryRules");
+
+        const rules = await fetchCategoryRules();
+        if (cancelled) return;
+        const merchantRules = {};
+        rules
+          .filter((r) => r.enabled && r.match_type === "exact_merchant")
+          .forEach((r) => {
+            // Rules arrive in priority order — the first one for a merchant wins
+            if (!(r.pattern in merchantRules)) merchantRules[r.pattern] = r.category;
+          });
+        setCategoryRules(merchantRules);
+      } catch (e) {
+        console.warn("Failed to load category rules", e);
+      }
+    };
+
+    loadCategoryRules();
+    return () => { cancelled = true; };
+  }, []);
 
   // Load persisted split incomes from localStorage (backup only)
   useEffect(() => {
@@ -241,7 +269,7 @@ export default function Tracker() {
           // Use batch endpoint
           const response = await fetch(`${API_URL}/purchases/batch`, {
             method: "POST",
-            headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+            headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
             body: JSON.stringify({
               purchases: toSync.map(income => ({
                 id: income.id,
@@ -249,6 +277,7 @@ export default function Tracker() {
                 transaction_id: income.transaction_id,
                 date: income.date,
                 amount: income.amount,
+                currency: income.currency,
                 category: income.category || "Income",
                 description: income.description,
               }))
@@ -258,6 +287,7 @@ export default function Tracker() {
           if (response.ok) {
             toSync.forEach(i => dirtyIncomeIds.current.delete(i.id));
             console.log(`[Tracker] Batch synced ${toSync.length} incomes`);
+            setServerChangeKey(Date.now());
           }
         } catch (err) {
           console.error("Error syncing incomes to backend:", err);
@@ -295,10 +325,11 @@ export default function Tracker() {
 
       try {
         // Fetch all data in PARALLEL for much faster loading
+        const authHeaders = await getAuthHeaders();
         const [splitsResult, purchasesResult, incomeSettingsResult] = await Promise.allSettled([
-          fetch(`${API_URL}/splits`, { headers: { ...getAuthHeaders() } }),
-          fetch(`${API_URL}/purchases`, { headers: { ...getAuthHeaders() } }),
-          fetch(`${API_URL}/income-settings`, { headers: { ...getAuthHeaders() } }),
+          fetch(`${API_URL}/splits`, { headers: { ...authHeaders } }),
+          fetch(`${API_URL}/purchases`, { headers: { ...authHeaders } }),
+          fetch(`${API_URL}/income-settings`, { headers: { ...authHeaders } }),
         ]);
 
         let loadedSplits = [];
@@ -368,7 +399,7 @@ export default function Tracker() {
             console.log("[Tracker] Cleaning up duplicates in backend...");
             fetch(`${API_URL}/purchases/deduplicate`, {
               method: "POST",
-              headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+              headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
             }).then(res => res.json())
               .then(data => console.log("[Tracker] Backend dedup result:", data))
               .catch(err => console.error("[Tracker] Backend dedup error:", err));
@@ -439,6 +470,7 @@ export default function Tracker() {
                   transaction_id: p.transaction_id,
                   date: p.date,
                   amount: p.amount,
+                  currency: p.currency,
                   category: p.category || "Income",
                   description: p.description,
                   type: "income",
@@ -496,7 +528,7 @@ export default function Tracker() {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeaders(),
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({
           id: updatedSplit.id,
@@ -516,13 +548,15 @@ export default function Tracker() {
         const updated = current.map((s) => (s.id === updatedSplit.id ? updatedSplit : s));
         localStorage.setItem("walletwardenSplits", JSON.stringify(updated));
         console.log("[Tracker] Split updated:", updatedSplit.name);
+        // New split category names are added to the user's categories server-side
+        refreshCategories();
       } else {
         console.error("[Tracker] Failed to update split:", response.status);
       }
     } catch (err) {
       console.error("[Tracker] Error updating split:", err);
     }
-  }, []);
+  }, [refreshCategories]);
 
   // Handler to delete a split
   const handleDeleteSplit = useCallback(async (splitId) => {
@@ -538,7 +572,7 @@ export default function Tracker() {
       // Delete from backend
       const response = await fetch(`${API_URL}/splits/${encodeURIComponent(splitId)}`, {
         method: "DELETE",
-        headers: getAuthHeaders(),
+        headers: await getAuthHeaders(),
       });
 
       if (response.ok) {
@@ -565,17 +599,24 @@ export default function Tracker() {
   }, [savedSplits]);
 
 
-  // Normalize transactions (Warden Insights) - with stable reference
-  const normalizedTransactions = useMemo(() => {
-    if (!Array.isArray(globalTransactions)) return [];
-    return globalTransactions.map((t) => {
-      const rawType = (t?.type || "").toString().trim().toLowerCase();
-      const amount = Number(t?.amount) || 0;
-      const type = rawType === "income" ? "income" : "expense";
-      const description = (t?.description || "").toString().trim();
-      return { ...t, type, amount, description };
-    });
-  }, [globalTransactions]);
+  // Every page of a server-side filtered query (Warden Insights rows), normalized
+  const fetchEveryTransaction = useCallback(
+    async (filters) => {
+      const rows = [];
+      let cursor = null;
+      do {
+        const page = await fetchTransactionsPage(filters, { cursor, limit: 500 });
+        rows.push(...page.transactions);
+        cursor = page.nextCursor;
+      } while (cursor);
+      return rows.map((t) => ({
+        ...t,
+        amount: Number(t?.amount) || 0,
+        description: (t?.description || "").toString().trim(),
+      }));
+    },
+    [fetchTransactionsPage]
+  );
 
   // Note: Category sync from Insights → Tracker now happens at load time
   // (inline in loadDataFromBackend) to avoid reactive chains that corrupt state.
@@ -603,8 +644,15 @@ export default function Tracker() {
     return map;
   }, [splitIncomes]);
 
+  // Purchases and incomes keep their own currency in state (that's what syncs back);
+  // every view below works on copies converted into the reporting currency
+  const inReportingCurrency = useCallback(
+    (row) => ({ ...row, amount: toReporting(row.amount, row.currency, row.date) ?? 0, currency: reportCurrency }),
+    [toReporting, reportCurrency]
+  );
+
   // All purchases (split just defines category columns / budget, not a filter)
-  const filteredPurchases = useMemo(() => purchases, [purchases]);
+  const filteredPurchases = useMemo(() => purchases.map(inReportingCurrency), [purchases, inReportingCurrency]);
 
   // All incomes
   const filteredIncomes = useMemo(() => {
@@ -614,7 +662,15 @@ export default function Tracker() {
       .filter((i) => (Number(i.amount) || 0) > 0);
   }, [splitIncomes]);
 
-  const incomeTransactions = useMemo(() => filteredIncomes, [filteredIncomes]);
+  const incomeTransactions = useMemo(
+    () => filteredIncomes.map(inReportingCurrency),
+    [filteredIncomes, inReportingCurrency]
+  );
+
+  const selectedIncomeSettings = useMemo(() => {
+    if (!selectedSplit) return null;
+    return incomeSettings.find((s) => s.split_id === selectedSplit) || null;
+  }, [incomeSettings, selectedSplit]);
 
   // Week helpers
   const getWeekStart = useCallback((date) => {
@@ -686,6 +742,25 @@ export default function Tracker() {
   const nextYear = () => setCurrentDate(new Date(currentDate.getFullYear() + 1, 0, 1));
   const goToCurrentYear = () => setCurrentDate(new Date());
 
+  // Pay period helpers: payday to the day before the next, from the split's
+  // income settings (next payday + frequency); null until a payday is set
+  const payPeriod = useMemo(() => {
+    if (!selectedIncomeSettings?.next_payday) return null;
+    const bounds = paydayBounds(toDateOnlyString(currentDate), selectedIncomeSettings);
+    return bounds && { start: toLocalDate(bounds.start), end: toLocalDate(bounds.end) };
+  }, [currentDate, selectedIncomeSettings]);
+  const payPeriodStart = payPeriod?.start ?? null;
+  const payPeriodEnd = payPeriod?.end ?? null;
+
+  // Without a payday there are no pay periods to show
+  useEffect(() => {
+    if (viewMode === "payday" && !payPeriod && !isLoading) setViewMode("monthly");
+  }, [viewMode, payPeriod, isLoading]);
+
+  const previousPayPeriod = () => payPeriod && setCurrentDate(toLocalDate(addDays(toDateOnlyString(payPeriod.start), -1)));
+  const nextPayPeriod = () => payPeriod && setCurrentDate(toLocalDate(addDays(toDateOnlyString(payPeriod.end), 1)));
+  const goToCurrentPayPeriod = () => setCurrentDate(new Date());
+
   // Weeks in month (for monthly view row labels)
   const monthWeeks = useMemo(() => {
     const weeks = [];
@@ -717,11 +792,26 @@ export default function Tracker() {
     return weeks;
   }, [monthStart, getWeekStart]);
 
+  // Weeks of the pay period, counted from payday (for pay period view row labels)
+  const payPeriodWeeks = useMemo(() => {
+    if (!payPeriod) return [];
+    const weeks = [];
+    let start = payPeriod.start;
+    for (let num = 1; start <= payPeriod.end; num++) {
+      const sixLater = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+      const end = sixLater < payPeriod.end ? sixLater : payPeriod.end;
+      weeks.push({ num, start, end, label: `Week ${num}` });
+      start = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+    }
+    return weeks;
+  }, [payPeriod]);
+
   const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
 
-  // Period bounds based on split frequency (budgeting)
+  // Period bounds based on split frequency (budgeting); the pay period while viewing pay periods
   const periodBounds = useMemo(() => {
     if (!selectedSplitData) return { start: null, end: null, frequency: null };
+    if (viewMode === "payday" && payPeriod) return { ...payPeriod, frequency: "payday" };
     const freq = selectedSplitData.frequency;
     const base = toLocalDate(currentDate);
 
@@ -741,7 +831,7 @@ export default function Tracker() {
       return { start, end, frequency: freq };
     }
     return { start: null, end: null, frequency: freq };
-  }, [selectedSplitData, currentDate, getWeekStart]);
+  }, [selectedSplitData, currentDate, getWeekStart, viewMode, payPeriod]);
 
   const isInCurrentPeriod = useCallback(
     (dateValue) => {
@@ -777,11 +867,20 @@ export default function Tracker() {
     });
   }, [incomeTransactions, selectedSplit, yearStart, yearEnd]);
 
+  const payPeriodIncomeTransactions = useMemo(() => {
+    if (!selectedSplit || !payPeriod) return [];
+    return incomeTransactions.filter((tx) => {
+      const txDate = toLocalDate(tx.date);
+      return txDate >= payPeriod.start && txDate <= payPeriod.end;
+    });
+  }, [incomeTransactions, selectedSplit, payPeriod]);
+
   const viewIncomeTransactions = useMemo(() => {
+    if (viewMode === "payday") return payPeriodIncomeTransactions;
     if (viewMode === "yearly") return yearIncomeTransactions;
     if (viewMode === "monthly") return monthIncomeTransactions;
     return weekIncomeTransactions;
-  }, [viewMode, yearIncomeTransactions, monthIncomeTransactions, weekIncomeTransactions]);
+  }, [viewMode, payPeriodIncomeTransactions, yearIncomeTransactions, monthIncomeTransactions, weekIncomeTransactions]);
 
   // Income filtered by split period (weekly/monthly/yearly) for budget calculations
   const periodIncomeTransactions = useMemo(() => {
@@ -796,25 +895,26 @@ export default function Tracker() {
   }, [incomeTransactions, selectedSplit, periodBounds]);
 
   const periodIncomeTotal = useMemo(() => {
-    return periodIncomeTransactions.reduce((sum, tx) => sum + (Number(tx.amount) || 0), 0);
-  }, [periodIncomeTransactions]);
+    return sumMoney(periodIncomeTransactions.map((tx) => tx.amount), reportCurrency);
+  }, [periodIncomeTransactions, reportCurrency]);
 
-  const selectedIncomeSettings = useMemo(() => {
-    if (!selectedSplit) return null;
-    return incomeSettings.find((s) => s.split_id === selectedSplit) || null;
-  }, [incomeSettings, selectedSplit]);
+  // Expected income in the reporting currency (at the latest rate)
+  const expectedIncomeAmount = useMemo(() => {
+    if (!selectedIncomeSettings) return 0;
+    return toReporting(selectedIncomeSettings.expected_amount, selectedIncomeSettings.currency) ?? 0;
+  }, [selectedIncomeSettings, toReporting]);
 
   const budgetIncomeTotal = useMemo(() => {
     if (periodIncomeTotal > 0) return periodIncomeTotal;
     if (
       selectedIncomeSettings &&
       selectedIncomeSettings.use_expected_when_no_actual &&
-      selectedIncomeSettings.expected_amount > 0
+      expectedIncomeAmount > 0
     ) {
-      return selectedIncomeSettings.expected_amount;
+      return expectedIncomeAmount;
     }
     return 0;
-  }, [periodIncomeTotal, selectedIncomeSettings]);
+  }, [periodIncomeTotal, selectedIncomeSettings, expectedIncomeAmount]);
 
   const isUsingExpectedIncome = useMemo(() => {
     return (
@@ -841,7 +941,7 @@ export default function Tracker() {
         for (const split of savedSplits) {
           await fetch(`${API_URL}/splits`, {
             method: "POST",
-            headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+            headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
             body: JSON.stringify({
               id: split.id,
               name: split.name,
@@ -882,7 +982,7 @@ export default function Tracker() {
         // Use batch endpoint for much better performance
         const response = await fetch(`${API_URL}/purchases/batch`, {
           method: "POST",
-          headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+          headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
           body: JSON.stringify({
             purchases: toSync.map(p => ({
               id: p.id,
@@ -890,6 +990,7 @@ export default function Tracker() {
               transaction_id: p.transaction_id,
               date: p.date,
               amount: p.amount,
+              currency: p.currency,
               category: p.category,
               description: p.description,
             }))
@@ -903,6 +1004,7 @@ export default function Tracker() {
             syncedPurchaseIds.current.add(p.id);
           });
           console.log(`[Tracker] Batch synced ${toSync.length} purchases`);
+          setServerChangeKey(Date.now());
         }
       } catch (err) {
         console.error("Error syncing purchases:", err);
@@ -965,11 +1067,12 @@ export default function Tracker() {
     try {
       const response = await fetch(`${API_URL}/purchases/${purchaseId}`, {
         method: "DELETE",
-        headers: { ...getAuthHeaders() },
+        headers: { ...(await getAuthHeaders()) },
       });
 
       if (response.ok) {
         setPurchases((prev) => prev.filter((p) => p.id !== purchaseId));
+        setServerChangeKey(Date.now());
       }
     } catch (err) {
       console.error("Error deleting purchase:", err);
@@ -984,6 +1087,7 @@ export default function Tracker() {
     if (!desc || !category) return;
     const key = normalizeDescriptionKey(desc);
     setCategoryRules((prev) => ({ ...prev, [key]: category }));
+    saveMerchantRules({ [key]: category }).catch((e) => console.warn("Failed to save category rule", e));
   };
 
   const handleUpdatePurchaseCategory = (purchaseId, newCategory) => {
@@ -1015,6 +1119,9 @@ export default function Tracker() {
       const lower = catName.toLowerCase();
       // Direct match
       if (splitLookup.has(lower)) return splitLookup.get(lower);
+      // Category group match (e.g. "Groceries" → group "Food")
+      const group = getParentName(catName)?.toLowerCase();
+      if (group && splitLookup.has(group)) return splitLookup.get(group);
       // Alias match (e.g. "Groceries" → "food" → "Food")
       const alias = CATEGORY_ALIAS_MAP[lower];
       if (alias && splitLookup.has(alias)) return splitLookup.get(alias);
@@ -1046,7 +1153,7 @@ export default function Tracker() {
 
     if (splitCats.length > 0) return splitCats[0].name;
     return "Other";
-  }, [categoryRules, selectedSplitData, CATEGORY_ALIAS_MAP, RAW_BANK_CATEGORIES]);
+  }, [categoryRules, selectedSplitData, getParentName, CATEGORY_ALIAS_MAP, RAW_BANK_CATEGORIES]);
 
   // Category matching – unified across the app via suggestCategory.
   const matchCategory = useCallback((importedCat, description = "") => {
@@ -1101,7 +1208,7 @@ export default function Tracker() {
     // This prevents creating duplicates when the local state is out of sync
     let backendTransactionIds = new Set();
     try {
-      const res = await fetch(`${API_URL}/purchases`, { headers: { ...getAuthHeaders() } });
+      const res = await fetch(`${API_URL}/purchases`, { headers: { ...(await getAuthHeaders()) } });
       if (res.ok) {
         const backendPurchases = await res.json();
         backendTransactionIds = new Set(backendPurchases.map((p) => p.transaction_id).filter(Boolean));
@@ -1121,13 +1228,21 @@ export default function Tracker() {
       splitIncomes.filter((i) => i.split_id === splitId).map((i) => i.transaction_id).filter(Boolean)
     );
 
-    const unlinkedTransactions = normalizedTransactions.filter(
-      (t) => t.type === "expense" && !linkedTransactionIds.has(t.id)
-    );
-
-    const unlinkedIncomeTx = normalizedTransactions.filter(
-      (t) => t.type === "income" && (Number(t.amount) || 0) > 0 && !linkedIncomeIds.has(t.id)
-    );
+    // Only rows nothing links to yet come back from the server: expenses no
+    // purchase links to, and income this split hasn't recorded
+    let unlinkedTransactions = [];
+    let unlinkedIncomeTx = [];
+    try {
+      const [expenseRows, incomeRows] = await Promise.all([
+        fetchEveryTransaction({ type: "expense", unlinked: true }),
+        fetchEveryTransaction({ type: "income", unlinkedSplit: splitId }),
+      ]);
+      unlinkedTransactions = expenseRows.filter((t) => !linkedTransactionIds.has(t.id));
+      unlinkedIncomeTx = incomeRows.filter((t) => t.amount > 0 && !linkedIncomeIds.has(t.id));
+    } catch (err) {
+      console.error("[Tracker] Auto-import: Could not fetch unlinked transactions", err);
+      return;
+    }
 
     if (unlinkedTransactions.length === 0 && unlinkedIncomeTx.length === 0) {
       console.log("[Tracker] No unlinked transactions found in Warden Insights for auto-import");
@@ -1161,6 +1276,7 @@ export default function Tracker() {
         transaction_id: t.id,
         date: toDateOnlyString(t.date),
         amount: Math.abs(Number(t.amount) || 0),
+        currency: t.currency,
         category: category,
         description: t.description || "",
       };
@@ -1172,6 +1288,7 @@ export default function Tracker() {
       transaction_id: t.id,
       date: toDateOnlyString(t.date),
       amount: Math.abs(Number(t.amount) || 0),
+      currency: t.currency,
       category: "Income",
       description: t.description || "",
       type: "income",
@@ -1182,7 +1299,7 @@ export default function Tracker() {
         try {
           await fetch(`${API_URL}/purchases`, {
             method: "POST",
-            headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+            headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
             body: JSON.stringify(purchase),
           });
         } catch (err) {
@@ -1198,13 +1315,14 @@ export default function Tracker() {
         try {
           await fetch(`${API_URL}/purchases`, {
             method: "POST",
-            headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+            headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
             body: JSON.stringify({
               id: income.id,
               split_id: income.split_id,
               transaction_id: income.transaction_id,
               date: income.date,
               amount: income.amount,
+              currency: income.currency,
               category: "Income",
               description: income.description,
             }),
@@ -1224,8 +1342,7 @@ export default function Tracker() {
   useEffect(() => {
     if (autoSyncDone.current) return;
     if (isLoading || !dataLoadedFromBackend.current) return;
-    if (!selectedSplit || !selectedSplitData) return;
-    if (normalizedTransactions.length === 0) return;
+    if (!selectedSplit || !selectedSplitData || !fetchTransactionsPage) return;
 
     autoSyncDone.current = true;
     console.log("[Tracker] Auto-syncing from Warden Insights...");
@@ -1238,7 +1355,7 @@ export default function Tracker() {
         }
       })
       .catch((err) => console.error("[Tracker] Auto-sync failed:", err));
-  }, [isLoading, selectedSplit, selectedSplitData, normalizedTransactions]);
+  }, [isLoading, selectedSplit, selectedSplitData, fetchTransactionsPage]);
 
   // =========================
   // NEW: Pivot-table helpers
@@ -1247,13 +1364,24 @@ export default function Tracker() {
     return (selectedSplitData?.categories || []).map((c) => c.name);
   }, [selectedSplitData]);
 
-  // Pre-compute purchase dates for faster range queries
+  // Pre-compute purchase dates for faster range queries. A purchase whose
+  // transaction is split into line items counts once per line, under the
+  // split category each line's own category maps to.
   const purchasesWithDates = useMemo(() => {
-    return filteredPurchases.map((p) => ({
-      ...p,
-      _dateObj: toLocalDate(p.date),
-    }));
-  }, [filteredPurchases]);
+    return filteredPurchases.flatMap((p) => {
+      const _dateObj = toLocalDate(p.date);
+      if (!p.line_items?.length) return [{ ...p, _dateObj }];
+      return lineItemParts(p).map((part, i) => ({
+        ...p,
+        id: `${p.id}:${i}`,
+        purchase_id: p.id,
+        amount: part.amount,
+        category: resolveCategoryForSplit(part.category, ""),
+        description: part.note,
+        _dateObj,
+      }));
+    });
+  }, [filteredPurchases, resolveCategoryForSplit]);
 
   const getPurchasesInRange = useCallback(
     (start, end) => {
@@ -1283,19 +1411,19 @@ export default function Tracker() {
           totals[cat] = 0;
           counts[cat] = 0;
         }
-        totals[cat] += Number(p.amount) || 0;
+        totals[cat] = addMoney(totals[cat], p.amount, reportCurrency);
         counts[cat] += 1;
       }
 
       return { totals, counts };
     },
-    [splitCategoryNames]
+    [splitCategoryNames, reportCurrency]
   );
 
-  const formatMoney = useCallback((n) => `£${Number(n || 0).toFixed(2)}`, []);
+  const formatMoney = useCallback((n) => formatAmount(n, reportCurrency), [reportCurrency]);
 
   // alias because your tooltip uses money(...)
-  const money = useCallback((n) => `£${Number(n || 0).toFixed(2)}`, []);
+  const money = formatMoney;
 
   //  returns the purchases inside a cell (period range + category) - memoized with cache
   const cellItemsCache = useRef(new Map());
@@ -1331,6 +1459,8 @@ export default function Tracker() {
           amount: Number(p.amount) || 0,
           category: p.category || "Other",
           transaction_id: p.transaction_id || null,
+          // One line of a split transaction; its category is edited on the transaction
+          line_item: Boolean(p.purchase_id),
         }));
 
       // Cache the result (limit cache size to prevent memory issues)
@@ -1355,7 +1485,10 @@ export default function Tracker() {
     });
   }, [purchasesWithDates, weekStart, weekEnd]);
 
-  const getWeekTotal = useMemo(() => getWeekPurchases().reduce((sum, p) => sum + p.amount, 0), [getWeekPurchases]);
+  const getWeekTotal = useMemo(
+    () => sumMoney(getWeekPurchases().map((p) => p.amount), reportCurrency),
+    [getWeekPurchases, reportCurrency]
+  );
 
   const getMonthPurchases = useCallback(() => {
     const startTime = monthStart.getTime();
@@ -1367,8 +1500,8 @@ export default function Tracker() {
   }, [purchasesWithDates, monthStart, monthEnd]);
 
   const getMonthTotal = useMemo(
-    () => getMonthPurchases().reduce((sum, p) => sum + p.amount, 0),
-    [getMonthPurchases]
+    () => sumMoney(getMonthPurchases().map((p) => p.amount), reportCurrency),
+    [getMonthPurchases, reportCurrency]
   );
 
   const getYearPurchases = useCallback(() => {
@@ -1380,23 +1513,43 @@ export default function Tracker() {
     });
   }, [purchasesWithDates, yearStart, yearEnd]);
 
-  const getYearTotal = useMemo(() => getYearPurchases().reduce((sum, p) => sum + p.amount, 0), [getYearPurchases]);
+  const getYearTotal = useMemo(
+    () => sumMoney(getYearPurchases().map((p) => p.amount), reportCurrency),
+    [getYearPurchases, reportCurrency]
+  );
+
+  const getPayPeriodPurchases = useCallback(() => {
+    if (!payPeriod) return [];
+    const startTime = payPeriod.start.getTime();
+    const endTime = payPeriod.end.getTime();
+    return purchasesWithDates.filter((p) => {
+      const t = p._dateObj.getTime();
+      return t >= startTime && t <= endTime;
+    });
+  }, [purchasesWithDates, payPeriod]);
+
+  const getPayPeriodTotal = useMemo(
+    () => sumMoney(getPayPeriodPurchases().map((p) => p.amount), reportCurrency),
+    [getPayPeriodPurchases, reportCurrency]
+  );
 
   const getViewPurchases = useCallback(() => {
+    if (viewMode === "payday") return getPayPeriodPurchases();
     if (viewMode === "yearly") return getYearPurchases();
     if (viewMode === "monthly") return getMonthPurchases();
     return getWeekPurchases();
-  }, [viewMode, getYearPurchases, getMonthPurchases, getWeekPurchases]);
+  }, [viewMode, getPayPeriodPurchases, getYearPurchases, getMonthPurchases, getWeekPurchases]);
 
   const getViewTotal = useMemo(() => {
+    if (viewMode === "payday") return getPayPeriodTotal;
     if (viewMode === "yearly") return getYearTotal;
     if (viewMode === "monthly") return getMonthTotal;
     return getWeekTotal;
-  }, [viewMode, getYearTotal, getMonthTotal, getWeekTotal]);
+  }, [viewMode, getPayPeriodTotal, getYearTotal, getMonthTotal, getWeekTotal]);
 
   const viewIncomeTotal = useMemo(
-    () => viewIncomeTransactions.reduce((sum, tx) => sum + (Number(tx.amount) || 0), 0),
-    [viewIncomeTransactions]
+    () => sumMoney(viewIncomeTransactions.map((tx) => tx.amount), reportCurrency),
+    [viewIncomeTransactions, reportCurrency]
   );
 
   const viewBudgetIncome = useMemo(() => {
@@ -1404,34 +1557,15 @@ export default function Tracker() {
     if (
       viewIncomeTotal === 0 &&
       selectedIncomeSettings?.use_expected_when_no_actual &&
-      selectedIncomeSettings?.expected_amount > 0
+      expectedIncomeAmount > 0
     ) {
-      const expectedFreq = selectedIncomeSettings.frequency;
-      if (viewMode === "weekly") {
-        budgetIncome =
-          expectedFreq === "monthly"
-            ? selectedIncomeSettings.expected_amount / 4.33
-            : expectedFreq === "yearly"
-            ? selectedIncomeSettings.expected_amount / 52
-            : selectedIncomeSettings.expected_amount;
-      } else if (viewMode === "monthly") {
-        budgetIncome =
-          expectedFreq === "weekly"
-            ? selectedIncomeSettings.expected_amount * 4.33
-            : expectedFreq === "yearly"
-            ? selectedIncomeSettings.expected_amount / 12
-            : selectedIncomeSettings.expected_amount;
-      } else {
-        budgetIncome =
-          expectedFreq === "weekly"
-            ? selectedIncomeSettings.expected_amount * 52
-            : expectedFreq === "monthly"
-            ? selectedIncomeSettings.expected_amount * 12
-            : selectedIncomeSettings.expected_amount;
-      }
+      // One expected payment per pay period; otherwise scaled by paydays per year
+      const paydaysPerYear = PAY_PERIODS_PER_YEAR[selectedIncomeSettings.frequency] ?? PAY_PERIODS_PER_YEAR.monthly;
+      const viewsPerYear = { weekly: 52, monthly: 12, yearly: 1 }[viewMode];
+      budgetIncome = viewMode === "payday" ? expectedIncomeAmount : (expectedIncomeAmount * paydaysPerYear) / viewsPerYear;
     }
     return budgetIncome;
-  }, [viewIncomeTotal, selectedIncomeSettings, viewMode]);
+  }, [viewIncomeTotal, selectedIncomeSettings, expectedIncomeAmount, viewMode]);
 
   const viewUsingExpectedIncome = useMemo(
     () => viewIncomeTotal === 0 && viewBudgetIncome > 0,
@@ -1477,7 +1611,7 @@ export default function Tracker() {
 
       const response = await fetch(`${API_URL}/income-settings`, {
         method: "POST",
-        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        headers: { "Content-Type": "application/json", ...(await getAuthHeaders()) },
         body: JSON.stringify(payload),
       });
 
@@ -1492,6 +1626,7 @@ export default function Tracker() {
           }
           return [...prev, saved];
         });
+        setServerChangeKey(Date.now());
         setShowExpectedIncomeModal(false);
       } else {
         console.error("Failed to save expected income");
@@ -1534,6 +1669,12 @@ export default function Tracker() {
             previousYear={previousYear}
             nextYear={nextYear}
             goToCurrentYear={goToCurrentYear}
+            payPeriodStart={payPeriodStart}
+            payPeriodEnd={payPeriodEnd}
+            previousPayPeriod={previousPayPeriod}
+            nextPayPeriod={nextPayPeriod}
+            goToCurrentPayPeriod={goToCurrentPayPeriod}
+            budgets={budgets}
           />
 
           {/* Summary Box */}
@@ -1545,6 +1686,8 @@ export default function Tracker() {
             viewBudgetIncome={viewBudgetIncome}
             viewUsingExpectedIncome={viewUsingExpectedIncome}
             getViewPurchases={getViewPurchases}
+            budgetsByCategory={budgetsByCategory}
+            onEditBudget={setBudgetCategory}
           />
 
           <div className="row g-3">
@@ -1563,6 +1706,13 @@ export default function Tracker() {
                     formatDisplayDate={formatDisplayDate}
                   />
                 </div>
+                <div className="tracker-sidebar-item">
+                  <EnvelopesCard
+                    splitId={selectedSplit}
+                    changeKey={serverChangeKey}
+                    prefersReducedMotion={prefersReducedMotion}
+                  />
+                </div>
 
               </div>
             </div>
@@ -1576,6 +1726,8 @@ export default function Tracker() {
                 weekDays={weekDays}
                 dayNames={dayNames}
                 monthWeeks={monthWeeks}
+                payPeriodWeeks={payPeriodWeeks}
+                hasPayPeriods={Boolean(payPeriod)}
                 monthNames={monthNames}
                 yearStart={yearStart}
                 splitCategoryNames={splitCategoryNames}
@@ -1590,6 +1742,7 @@ export default function Tracker() {
                 editingPurchaseId={editingPurchaseId}
                 setEditingPurchaseId={setEditingPurchaseId}
                 allCategoryNames={splitCategoryNames}
+                budgetsByCategory={budgetsByCategory}
               />
             </div>
           </div>
@@ -1621,6 +1774,19 @@ export default function Tracker() {
             selectedIncomeSettings={selectedIncomeSettings}
             handleSaveExpectedIncome={handleSaveExpectedIncome}
           />
+
+          {/* Budget Modal */}
+          {budgetCategory && (
+            <BudgetModal
+              key={budgetCategory}
+              category={budgetCategory}
+              budget={budgetsByCategory.get(budgetCategory.toLowerCase()) || null}
+              hasPayday={Boolean(selectedIncomeSettings?.next_payday)}
+              onSave={saveBudget}
+              onDelete={removeBudget}
+              onClose={() => setBudgetCategory(null)}
+            />
+          )}
         </>
       )}
     </div>
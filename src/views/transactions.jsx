@@ -0,0 +1,453 @@
+// src/views/transactions.jsx
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import Navbar from "../components/navbar.jsx";
+import LedgerFilters from "../components/transactions/LedgerFilters.jsx";
+import LedgerTable from "../components/transactions/LedgerTable.jsx";
+import BulkActionBar from "../components/transactions/BulkActionBar.jsx";
+import LineItemsModal from "../components/transactions/LineItemsModal.jsx";
+import AttachmentsModal from "../components/attachments/AttachmentsModal.jsx";
+import { useTransactions } from "../state/TransactionsContext";
+import { normalizeTransaction, toLocalDateString } from "../models/transaction";
+import { useCategories } from "../state/useCategories";
+import { useTags } from "../state/useTags";
+import { getAuthHeaders } from "../utils/userToken";
+import { formatMoney, subtractMoney, sumMoney } from "../../shared/money.js";
+import { cleanTagName } from "../../shared/tags.js";
+import { useCurrency } from "../state/useCurrency";
+import "./transactions.css";
+
+const API_URL = "http://localhost:4000/api";
+
+const PAGE_SIZE = 200;
+const DEFAULT_SORT = "date";
+// Text columns read naturally A→Z; dates and amounts biggest/newest first
+const DEFAULT_DIR = { date: "desc", amount: "desc", category: "asc", description: "asc", type: "asc" };
+
+// Read the ledger filters out of the URL so a filtered view can be bookmarked
+const filtersFromParams = (params) => ({
+  from: params.get("from") || "",
+  to: params.get("to") || "",
+  type: params.get("type") || "",
+  source: params.get("source") || "",
+  minAmount: params.get("minAmount") || "",
+  maxAmount: params.get("maxAmount") || "",
+  q: params.get("q") || "",
+  categories: (params.get("category") || "").split(",").filter(Boolean),
+  tags: (params.get("tag") || "").split(",").filter(Boolean),
+  sort: params.get("sort") || DEFAULT_SORT,
+  dir: params.get("dir") || DEFAULT_DIR[params.get("sort") || DEFAULT_SORT] || "desc",
+});
+
+// Shift a summary from `before` to `after` (either may be null for add/remove).
+// `toReporting` converts a row into the summary's currency (null without a rate).
+const adjustSummary = (summary, before, after, toReporting) => {
+  if (!summary) return summary;
+  const signed = (tx, sign) => {
+    const amount = tx ? toReporting(tx.amount, tx.currency, tx.date) : 0;
+    return {
+      count: tx ? sign : 0,
+      unconverted: amount === null ? sign : 0,
+      income: tx?.type === "income" ? (amount ?? 0) * sign : 0,
+      expense: tx?.type === "expense" ? (amount ?? 0) * sign : 0,
+    };
+  };
+  const a = signed(before, -1);
+  const b = signed(after, 1);
+  const { currency } = summary;
+  const income = sumMoney([summary.income, a.income, b.income], currency);
+  const expense = sumMoney([summary.expense, a.expense, b.expense], currency);
+  return {
+    ...summary,
+    count: summary.count + a.count + b.count,
+    unconverted: (summary.unconverted || 0) + a.unconverted + b.unconverted,
+    income,
+    expense,
+    net: subtractMoney(income, expense, currency),
+  };
+};
+
+/**
+ * Transactions — full ledger of every transaction, with server-side
+ * filtering/sorting, inline edits and bulk actions.
+ */
+export default function Transactions() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const {
+    fetchTransactionsPage,
+    updateTransaction,
+    bulkUpdateTransactions,
+    bulkDeleteTransactions,
+    saveLineItems,
+  } = useTransactions();
+  const { categoryNames } = useCategories();
+  const { toReporting } = useCurrency();
+  const { tagNames, getTagColor, applyTags } = useTags();
+
+  const filters = useMemo(() => filtersFromParams(searchParams), [searchParams]);
+  const queryKey = searchParams.toString();
+
+  // The loaded result set, tagged with the query it belongs to
+  const [ledger, setLedger] = useState({ key: null, rows: [], cursor: null, summary: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [splits, setSplits] = useState(null);
+  const [splitting, setSplitting] = useState(null); // row whose line items are being edited
+  const [attaching, setAttaching] = useState(null); // row whose attachments are open
+  const requestRef = useRef(0);
+
+  const loading = ledger.key !== queryKey;
+  const rows = loading ? [] : ledger.rows;
+
+  // Fetch the first page whenever the filters in the URL change
+  useEffect(() => {
+    const request = ++requestRef.current;
+    (async () => {
+      try {
+        const page = await fetchTransactionsPage(filters, { limit: PAGE_SIZE });
+        if (request !== requestRef.current) return;
+        setLedger({ key: queryKey, rows: page.transactions, cursor: page.nextCursor, summary: page.summary });
+        setSelectedIds(new Set());
+        setError("");
+      } catch (e) {
+        if (request !== requestRef.current) return;
+        console.error("[Transactions] Failed to load ledger:", e.message);
+        setLedger({ key: queryKey, rows: [], cursor: null, summary: null });
+        setError("Couldn't load transactions. Check your connection and try again.");
+      }
+    })();
+  }, [queryKey, filters, fetchTransactionsPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!ledger.cursor || loadingMore) return;
+    const request = requestRef.current;
+    setLoadingMore(true);
+    try {
+      const page = await fetchTransactionsPage(filters, { cursor: ledger.cursor, limit: PAGE_SIZE });
+      if (request !== requestRef.current) return;
+      setLedger((prev) => ({
+        ...prev,
+        rows: [...prev.rows, ...page.transactions],
+        cursor: page.nextCursor,
+        summary: page.summary,
+      }));
+    } catch (e) {
+      console.error("[Transactions] Failed to load more:", e.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [ledger.cursor, loadingMore, filters, fetchTransactionsPage]);
+
+  // ── URL-backed filters ───────────────────────────────────────────────
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    for (const [key, value] of Object.entries(changes)) {
+      const str = Array.isArray(value) ? value.join(",") : value;
+      if (str) next.set(key, str);
+      else next.delete(key);
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleFilterChange = (key, value) => updateParams({ [key]: value });
+
+  const handleResetFilters = () => {
+    const next = new URLSearchParams();
+    if (searchParams.get("sort")) next.set("sort", searchParams.get("sort"));
+    if (searchParams.get("dir")) next.set("dir", searchParams.get("dir"));
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleSort = (key) => {
+    const dir = filters.sort === key
+      ? (filters.dir === "asc" ? "desc" : "asc")
+      : DEFAULT_DIR[key];
+    const isDefault = key === DEFAULT_SORT && dir === DEFAULT_DIR[DEFAULT_SORT];
+    updateParams({ sort: isDefault ? "" : key, dir: isDefault ? "" : dir });
+  };
+
+  // ── Inline edits ─────────────────────────────────────────────────────
+  const handleEdit = async (row, field, value) => {
+    const ok = await updateTransaction(row.id, { [field]: value });
+    if (!ok) return false;
+
+    const updated = normalizeTransaction({
+      ...row,
+      [field]: value,
+      ...(field === "category" ? { category_manual: true } : {}),
+    });
+    setLedger((prev) => ({
+      ...prev,
+      rows: prev.rows.map((r) => (r.id === row.id ? updated : r)),
+      summary: adjustSummary(prev.summary, row, updated, toReporting),
+    }));
+    return true;
+  };
+
+  // Line items don't change the row's total, so the summary stays as it is
+  const handleSaveLineItems = async (items) => {
+    const lineItems = await saveLineItems(splitting.id, items);
+    setLedger((prev) => ({
+      ...prev,
+      rows: prev.rows.map((r) => (r.id === splitting.id ? { ...r, line_items: lineItems } : r)),
+    }));
+  };
+
+  const handleAttachmentsChange = (attachments) => {
+    setAttaching((prev) => ({ ...prev, attachments }));
+    setLedger((prev) => ({
+      ...prev,
+      rows: prev.rows.map((r) => (r.id === attaching.id ? { ...r, attachments } : r)),
+    }));
+  };
+
+  // ── Selection ────────────────────────────────────────────────────────
+  const toggleRow = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = (select) => {
+    setSelectedIds(select ? new Set(rows.map((r) => r.id)) : new Set());
+  };
+
+  const selectedRows = rows.filter((r) => selectedIds.has(r.id));
+
+  // ── Bulk actions ─────────────────────────────────────────────────────
+  const runBulk = async (action, successMessage) => {
+    setBusy(true);
+    setNotice("");
+    try {
+      const ok = await action();
+      setNotice(ok ? successMessage : "That didn't save — please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const applyBulkUpdate = (updates) => {
+    const ids = selectedRows.map((r) => r.id);
+    return runBulk(async () => {
+      const ok = await bulkUpdateTransactions(ids, updates);
+      if (!ok) return false;
+      const idSet = new Set(ids);
+      setLedger((prev) => {
+        let summary = prev.summary;
+        const nextRows = prev.rows.map((r) => {
+          if (!idSet.has(r.id)) return r;
+          const updated = {
+            ...r,
+            ...updates,
+            ...(updates.category !== undefined ? { category_manual: !!updates.category } : {}),
+          };
+          summary = adjustSummary(summary, r, updated, toReporting);
+          return updated;
+        });
+        return { ...prev, rows: nextRows, summary };
+      });
+      return true;
+    }, `Updated ${ids.length} transaction${ids.length === 1 ? "" : "s"}.`);
+  };
+
+  const handleBulkDelete = () => {
+    const ids = selectedRows.map((r) => r.id);
+    return runBulk(async () => {
+      const ok = await bulkDeleteTransactions(ids);
+      if (!ok) return false;
+      const idSet = new Set(ids);
+      setLedger((prev) => ({
+        ...prev,
+        rows: prev.rows.filter((r) => !idSet.has(r.id)),
+        summary: prev.rows.filter((r) => idSet.has(r.id)).reduce((s, r) => adjustSummary(s, r, null, toReporting), prev.summary),
+      }));
+      setSelectedIds(new Set());
+      return true;
+    }, `Deleted ${ids.length} transaction${ids.length === 1 ? "" : "s"}.`);
+  };
+
+  // Tag names are normalised by the server, so patch rows with what it would store
+  const handleBulkTag = ({ add = [], remove = [] }) => {
+    const ids = selectedRows.map((r) => r.id);
+    const [added, removed] = [add.map(cleanTagName), remove.map(cleanTagName)];
+    return runBulk(async () => {
+      try {
+        await applyTags({ transactionIds: ids, add: added, remove: removed });
+      } catch (e) {
+        console.error("[Transactions] Failed to update tags:", e.message);
+        return false;
+      }
+      const idSet = new Set(ids);
+      setLedger((prev) => ({
+        ...prev,
+        rows: prev.rows.map((r) => {
+          if (!idSet.has(r.id)) return r;
+          const tags = new Set([...(r.tags || []), ...added]);
+          removed.forEach((t) => tags.delete(t));
+          return { ...r, tags: [...tags].sort() };
+        }),
+      }));
+      return true;
+    }, `Updated tags on ${ids.length} transaction${ids.length === 1 ? "" : "s"}.`);
+  };
+
+  const loadSplits = async () => {
+    try {
+      const res = await fetch(`${API_URL}/splits`, { headers: { ...(await getAuthHeaders()) } });
+      setSplits(res.ok ? await res.json() : []);
+    } catch (e) {
+      console.error("[Transactions] Failed to load splits:", e.message);
+      setSplits([]);
+    }
+  };
+
+  // Link the selected transactions to a split as tracker purchases/incomes.
+  // Transactions already linked somewhere keep their purchase id, so they move rather than duplicate.
+  const handleAssignToSplit = (splitId, category) => {
+    const selected = selectedRows;
+    return runBulk(async () => {
+      const authHeaders = await getAuthHeaders();
+      const existingRes = await fetch(`${API_URL}/purchases`, { headers: { ...authHeaders } });
+      if (!existingRes.ok) return false;
+      const existing = await existingRes.json();
+      const purchaseIdByTx = new Map(existing.filter((p) => p.transaction_id).map((p) => [p.transaction_id, p.id]));
+
+      const res = await fetch(`${API_URL}/purchases/batch`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders },
+        body: JSON.stringify({
+          purchases: selected.map((t) => ({
+            id: purchaseIdByTx.get(t.id) || crypto.randomUUID(),
+            split_id: splitId,
+            transaction_id: t.id,
+            date: toLocalDateString(t.date),
+            amount: Math.abs(Number(t.amount) || 0),
+            category: t.type === "income" ? "Income" : category,
+            description: t.description || "",
+          })),
+        }),
+      });
+      return res.ok;
+    }, `Assigned ${selected.length} transaction${selected.length === 1 ? "" : "s"} to the split.`);
+  };
+
+  const summary = loading ? null : ledger.summary;
+
+  return (
+    <div className="container-fluid py-4" style={{ maxWidth: "100%", minHeight: "100vh", marginTop: "80px" }}>
+      <Navbar />
+
+      <div className="d-flex flex-wrap align-items-end justify-content-between gap-3 mb-3">
+        <div>
+          <h2 className="mb-1">Transactions</h2>
+          <div className="text-muted small">
+            {summary
+              ? `${summary.count.toLocaleString()} transaction${summary.count === 1 ? "" : "s"} · showing ${rows.length.toLocaleString()}`
+              : "Loading…"}
+          </div>
+        </div>
+        {summary && (
+          <div className="d-flex gap-4 ledger-summary">
+            <div>
+              <div className="small text-muted">Income</div>
+              <div className="fw-semibold text-success">{formatMoney(summary.income, summary.currency)}</div>
+            </div>
+            <div>
+              <div className="small text-muted">Expenses</div>
+              <div className="fw-semibold text-danger">{formatMoney(summary.expense, summary.currency)}</div>
+            </div>
+            <div>
+              <div className="small text-muted">Net</div>
+              <div className={`fw-semibold ${summary.net >= 0 ? "text-success" : "text-danger"}`}>
+                {formatMoney(summary.net, summary.currency)}
+              </div>
+            </div>
+            {summary.unconverted > 0 && (
+              <div className="small text-warning align-self-end" title="Import FX rates in Options → Currency">
+                {summary.unconverted.toLocaleString()} without an FX rate
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <LedgerFilters
+        filters={filters}
+        categories={categoryNames}
+        tags={tagNames}
+        onChange={handleFilterChange}
+        onReset={handleResetFilters}
+      />
+
+      {error && <div className="alert alert-danger py-2">{error}</div>}
+      {notice && (
+        <div className="alert alert-info py-2 d-flex justify-content-between align-items-center">
+          <span>{notice}</span>
+          <button type="button" className="btn-close" aria-label="Dismiss" onClick={() => setNotice("")} />
+        </div>
+      )}
+
+      {selectedRows.length > 0 && (
+        <BulkActionBar
+          count={selectedRows.length}
+          busy={busy}
+          categories={categoryNames}
+          tags={tagNames}
+          splits={splits}
+          onLoadSplits={loadSplits}
+          onRecategorize={(category) => applyBulkUpdate({ category })}
+          onChangeType={(type) => applyBulkUpdate({ type })}
+          onDelete={handleBulkDelete}
+          onAssignToSplit={handleAssignToSplit}
+          onTag={handleBulkTag}
+          onClearSelection={() => setSelectedIds(new Set())}
+        />
+      )}
+
+      <LedgerTable
+        rows={rows}
+        loading={loading}
+        loadingMore={loadingMore}
+        hasMore={!loading && !!ledger.cursor}
+        onLoadMore={loadMore}
+        sort={filters.sort}
+        dir={filters.dir}
+        onSort={handleSort}
+        selectedIds={selectedIds}
+        onToggleRow={toggleRow}
+        onToggleAll={toggleAll}
+        onEdit={handleEdit}
+        categories={categoryNames}
+        getTagColor={getTagColor}
+        onSplit={setSplitting}
+        onAttachments={setAttaching}
+      />
+
+      {splitting && (
+        <LineItemsModal
+          key={splitting.id}
+          transaction={splitting}
+          categories={categoryNames}
+          onSave={handleSaveLineItems}
+          onClose={() => setSplitting(null)}
+        />
+      )}
+
+      {attaching && (
+        <AttachmentsModal
+          title={attaching.description || "this transaction"}
+          owner={{ transactionId: attaching.id }}
+          attachments={attaching.attachments || []}
+          onChange={handleAttachmentsChange}
+          onClose={() => setAttaching(null)}
+        />
+      )}
+    </div>
+  );
+}
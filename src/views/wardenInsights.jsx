@@ -8,15 +8,28 @@ import { useTransactions } from "../state/TransactionsContext";
 import { useEntitlements } from "../state/EntitlementsContext";
 import FeatureGate from "../components/FeatureGate";
 import UpgradePrompt from "../components/UpgradePrompt";
-import { TRANSACTION_CATEGORIES } from "../utils/categories";
+import { useCategories } from "../state/useCategories";
+import { lineItemParts } from "../models/transaction";
 import { getUserToken } from "../utils/userToken";
 
 import Donut from "../components/charts/Donut.jsx";
 import LineChart from "../components/charts/LineChart.jsx";
 import Bars from "../components/charts/Bars.jsx";
+import CashFlowForecast from "../components/forecast/CashFlowForecast.jsx";
+import GoalsCard from "../components/goals/GoalsCard.jsx";
+import BalanceHistoryCard from "../components/balances/BalanceHistoryCard.jsx";
+import NetWorthCard from "../components/networth/NetWorthCard.jsx";
 
 import useTrueLayerBanking from "../hooks/useTrueLayerBanking.js";
 import { loadInsightsLayout } from "../utils/insightsLayout.js";
+import { addMoney, subtractMoney, sumMoney, toMinor, fromMinor } from "../../shared/money.js";
+import { useCurrency } from "../state/useCurrency";
+import { useTags } from "../state/useTags";
+import { useRecurring } from "../state/useRecurring";
+import { toDay } from "../../shared/periods.js";
+
+const CADENCE_LABELS = { weekly: "Weekly", four_weekly: "Every 4 weeks", monthly: "Monthly", annual: "Yearly" };
+const CHARGES_PER_YEAR = { weekly: 52, four_weekly: 13, monthly: 12, annual: 1 };
 
 export default function WardenInsights() {
   const location = useLocation();
@@ -32,13 +45,24 @@ export default function WardenInsights() {
     bulkAddTransactions,
     updateTransaction,
     refreshTransactions,
+    loadTransactionsFrom,
+    loadMoreTransactions,
+    hasMoreTransactions,
+    loadingMore,
+    transactionsSummary,
   } = useTransactions();
 
-  const categories = TRANSACTION_CATEGORIES;
+  const { categoryNames: categories, getCategoryColor, getParentName } = useCategories();
+  const { reportCurrency, toReporting, formatMoney } = useCurrency();
+  const { getTagColor } = useTags();
+  const { series: recurringSeries, priceChanges, refreshSeries, setSeriesStatus } = useRecurring();
+
+  const updateSeriesStatus = (id, status) =>
+    setSeriesStatus(id, status).catch((err) => alert(`Couldn't update that payment: ${err.message}`));
 
   const API_URL = "http://localhost:4000/api";
   const getAuthHeaders = useCallback(
-    () => ({ Authorization: `Bearer ${getUserToken()}` }),
+    async () => ({ Authorization: `Bearer ${await getUserToken()}` }),
     []
   );
 
@@ -72,15 +96,38 @@ export default function WardenInsights() {
   const monthsBack = timeFilter === "cumulative" ? 12 : parseInt(timeFilter, 10);
   const [transactionFilter, setTransactionFilter] = useState(30);
 
+  // Only the range on screen is loaded: back to the start of the charts'
+  // window or the recent list's, whichever is earlier ("All" pages back on demand)
+  const loadFromDay = useMemo(() => {
+    const now = new Date();
+    const chartStart = new Date(now.getFullYear(), now.getMonth() - monthsBack, 1);
+    const listStart =
+      transactionFilter === null ? chartStart : new Date(now.getFullYear(), now.getMonth(), now.getDate() - transactionFilter);
+    return toDay(chartStart < listStart ? chartStart : listStart);
+  }, [monthsBack, transactionFilter]);
+
+  useEffect(() => {
+    loadTransactionsFrom(loadFromDay);
+  }, [loadTransactionsFrom, loadFromDay]);
+
   // Running net effect of manual Quick Add transactions this session
   const [manualBalanceDelta, setManualBalanceDelta] = useState(0);
 
   // ── balance derivation (view-level, includes manual delta) ───────────
 
+  // The bank balance in the reporting currency; kept in the account's own
+  // currency (and shown that way) when no FX rate links the two
+  const bankCurrency = banking.bankBalance?.currency;
+  const convertedBaseBalance =
+    banking.baseBalanceValue !== null && Number.isFinite(banking.baseBalanceValue)
+      ? toReporting(banking.baseBalanceValue, bankCurrency)
+      : null;
+  const balanceCurrency = convertedBaseBalance === null ? bankCurrency : reportCurrency;
+
   // Effective balance includes manual Quick Add delta
   const effectiveBalanceValue =
     banking.baseBalanceValue !== null && Number.isFinite(banking.baseBalanceValue)
-      ? banking.baseBalanceValue + manualBalanceDelta
+      ? addMoney(convertedBaseBalance ?? banking.baseBalanceValue, manualBalanceDelta, balanceCurrency)
       : banking.baseBalanceValue;
 
   const isNegative =
@@ -90,10 +137,8 @@ export default function WardenInsights() {
     if (banking.balanceIsLoading) return "Loading…";
     if (banking.noBalanceAvailable) return "—";
     if (effectiveBalanceValue === null) return "—";
-    const b = Number(effectiveBalanceValue ?? 0);
-    const sign = b < 0 ? "-" : "";
-    return `${sign}£${Math.abs(b).toFixed(2)}`;
-  }, [banking.balanceIsLoading, effectiveBalanceValue, banking.noBalanceAvailable]);
+    return formatMoney(effectiveBalanceValue, balanceCurrency);
+  }, [banking.balanceIsLoading, effectiveBalanceValue, banking.noBalanceAvailable, balanceCurrency, formatMoney]);
 
   const handleAddTransaction = (type) => {
     const value = Number(amount);
@@ -108,6 +153,7 @@ export default function WardenInsights() {
       id: Date.now(),
       type: normalizedType,
       amount: value,
+      currency: reportCurrency,
       date: new Date().toISOString(),
       category: category || "Other",
       description: description || "",
@@ -138,6 +184,8 @@ export default function WardenInsights() {
     return new Date();
   };
 
+  // Amounts are converted into the reporting currency here, so every chart and
+  // total below adds like with like; the list still shows the original amount
   const parsed = useMemo(() => {
     return (transactions || []).map((t) => {
       const date = safeParseDate(t.date);
@@ -146,9 +194,19 @@ export default function WardenInsights() {
         (t.type || "expense").toLowerCase() === "income" ? "income" : "expense";
       const desc = (t.description || "").trim();
       const source = t.source || "manual";
-      return { ...t, date, amount: amt, type, description: desc, source };
+      return {
+        ...t,
+        date,
+        amount: toReporting(amt, t.currency, date) ?? 0,
+        currency: reportCurrency,
+        originalAmount: amt,
+        originalCurrency: t.currency,
+        type,
+        description: desc,
+        source,
+      };
     });
-  }, [transactions]);
+  }, [transactions, toReporting, reportCurrency]);
 
   // When bank is connected, only use bank transactions for charts (to avoid double-counting old CSV imports)
   const chartTransactions = useMemo(() => {
@@ -191,11 +249,11 @@ export default function WardenInsights() {
     let expense = 0;
     chartTransactions.forEach((t) => {
       if (t.date < cutoff) return;           // outside selected window
-      if (t.type === "income") income += t.amount;
-      else expense += t.amount;
+      if (t.type === "income") income = addMoney(income, t.amount, reportCurrency);
+      else expense = addMoney(expense, t.amount, reportCurrency);
     });
     return { income, expense };
-  }, [chartTransactions, monthsBack]);
+  }, [chartTransactions, monthsBack, reportCurrency]);
 
   // ── Donut totals from TrueLayer bank feed (with local fallback) ────────
   const donutTotals = useMemo(() => {
@@ -218,12 +276,13 @@ export default function WardenInsights() {
     banking.bankTransactions.forEach((tx) => {
       const txDate = new Date(tx.date);
       if (isNaN(txDate) || txDate < cutoff) return;
-      if (tx.direction === "CREDIT") income += tx.amount;
-      else expense += tx.amount;
+      const amount = toReporting(tx.amount, tx.currency, txDate) ?? 0;
+      if (tx.direction === "CREDIT") income = addMoney(income, amount, reportCurrency);
+      else expense = addMoney(expense, amount, reportCurrency);
     });
 
     return { income, expense };
-  }, [banking.isBankConnected, banking.bankTransactions, monthsBack, totals]);
+  }, [banking.isBankConnected, banking.bankTransactions, monthsBack, totals, toReporting, reportCurrency]);
 
   const monthly = useMemo(() => {
     const now = new Date();
@@ -244,24 +303,24 @@ export default function WardenInsights() {
     chartTransactions.forEach((t) => {
       const key = t.date.toISOString().slice(0, 7);
       if (!map[key]) return;
-      if (t.type === "income") map[key].income += t.amount;
-      else map[key].expense += t.amount;
+      if (t.type === "income") map[key].income = addMoney(map[key].income, t.amount, reportCurrency);
+      else map[key].expense = addMoney(map[key].expense, t.amount, reportCurrency);
     });
 
     const list = months.map((m) => ({
       ...m,
       ...map[m.key],
-      net: map[m.key].income - map[m.key].expense,
+      net: subtractMoney(map[m.key].income, map[m.key].expense, reportCurrency),
     }));
 
     if (!showCumulative) return list;
 
     let cum = 0;
     return list.map((l) => {
-      cum += l.net;
+      cum = addMoney(cum, l.net, reportCurrency);
       return { ...l, cum };
     });
-  }, [chartTransactions, monthsBack, showCumulative]);
+  }, [chartTransactions, monthsBack, showCumulative, reportCurrency]);
 
   const topExpenses = useMemo(() => {
     const now = new Date();
@@ -296,29 +355,34 @@ export default function WardenInsights() {
       if (t.type !== "expense") return;
       if (t.date < cutoff) return;           // outside selected window
 
-      let key = null;
-
-      if (t.category) {
-        const found = buckets.find(
-          (b) => b.key.toLowerCase() === String(t.category).toLowerCase()
-        );
-        if (found) key = found.key;
-      }
+      // A split transaction counts each line under its own category
+      lineItemParts(t).forEach((part) => {
+        let key = null;
+
+        if (part.category) {
+          // A category or its group (e.g. "Groceries" counts towards "Food")
+          const names = [part.category, getParentName(part.category)]
+            .filter(Boolean)
+            .map((n) => String(n).toLowerCase());
+          const found = buckets.find((b) => names.includes(b.key.toLowerCase()));
+          if (found) key = found.key;
+        }
 
-      if (!key) {
-        const desc = (t.description || "").toLowerCase();
-        const found = buckets.find((b) => b.re.test(desc));
-        key = found?.key || "Other";
-      }
+        if (!key) {
+          const desc = (part.note || "").toLowerCase();
+          const found = buckets.find((b) => b.re.test(desc));
+          key = found?.key || "Other";
+        }
 
-      map[key] = (map[key] || 0) + t.amount;
+        map[key] = addMoney(map[key], part.amount, reportCurrency);
+      });
     });
 
     return Object.entries(map)
       .map(([category, amount]) => ({ category, amount }))
       .sort((a, b) => b.amount - a.amount)
       .slice(0, 6);
-  }, [chartTransactions, monthsBack]);
+  }, [chartTransactions, monthsBack, getParentName, reportCurrency]);
 
   const topMerchants = useMemo(() => {
     const now = new Date();
@@ -333,33 +397,69 @@ export default function WardenInsights() {
         .slice(0, 2)
         .join(" ")
         .substring(0, 30);
-      map[vendor] = (map[vendor] || 0) + t.amount;
+      map[vendor] = addMoney(map[vendor], t.amount, reportCurrency);
     });
 
     return Object.entries(map)
       .map(([vendor, amount]) => ({ vendor, amount }))
       .sort((a, b) => b.amount - a.amount)
       .slice(0, 8);
-  }, [chartTransactions, monthsBack]);
-
-  const spendingForecast = useMemo(() => {
-    if (monthly.length === 0) return null;
+  }, [chartTransactions, monthsBack, reportCurrency]);
 
-    const lastMonth = monthly[monthly.length - 1];
-    const avgMonthly =
-      monthly.reduce((sum, m) => sum + m.expense, 0) / monthly.length;
+  // Expenses per tag; a transaction with several tags counts towards each
+  const tagBreakdown = useMemo(() => {
+    const now = new Date();
+    const cutoff = new Date(now.getFullYear(), now.getMonth() - monthsBack, 1);
 
-    const last3Avg =
-      monthly.slice(-3).reduce((sum, m) => sum + m.expense, 0) /
-      Math.min(3, monthly.length);
+    const map = {};
+    chartTransactions.forEach((t) => {
+      if (t.type !== "expense" || !t.tags?.length) return;
+      if (t.date < cutoff) return;           // outside selected window
+      t.tags.forEach((tag) => {
+        map[tag] = addMoney(map[tag], t.amount, reportCurrency);
+      });
+    });
 
+    return Object.entries(map)
+      .map(([tag, amount]) => ({ tag, amount }))
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, 8);
+  }, [chartTransactions, monthsBack, reportCurrency]);
+
+  // Detected subscriptions and bills (see RecurringContext), costs in the
+  // reporting currency at today's rate. Ignored series are left out, and
+  // cancelled ones don't count towards the totals.
+  const subscriptions = useMemo(() => {
+    const today = new Date();
+    const rows = recurringSeries
+      .filter((s) => s.status !== "ignored")
+      .map((s) => ({
+        ...s,
+        monthly: toReporting(s.monthly_cost, s.currency, today),
+        annual: toReporting(s.annual_cost, s.currency, today),
+      }));
+    const active = rows.filter((r) => r.status !== "cancelled");
     return {
-      lastMonth: lastMonth.expense,
-      average: avgMonthly,
-      forecast: last3Avg,
-      trend: last3Avg > avgMonthly ? "increasing" : "decreasing",
+      rows,
+      count: active.length,
+      monthly: sumMoney(active.map((r) => r.monthly ?? 0), reportCurrency),
+      annual: sumMoney(active.map((r) => r.annual ?? 0), reportCurrency),
     };
-  }, [monthly]);
+  }, [recurringSeries, toReporting, reportCurrency]);
+
+  // This year's price rises on recurring charges, with what each adds per
+  // year in the reporting currency
+  const priceIncreases = useMemo(() => {
+    const today = new Date();
+    const year = String(today.getFullYear());
+    const rows = priceChanges
+      .filter((c) => c.change_percent > 0 && c.charge_date.startsWith(year))
+      .map((c) => {
+        const extra = toMinor(subtractMoney(c.new_amount, c.old_amount, c.currency), c.currency);
+        return { ...c, yearlyExtra: toReporting(fromMinor(extra * CHARGES_PER_YEAR[c.cadence], c.currency), c.currency, today) };
+      });
+    return { rows, yearlyExtra: sumMoney(rows.map((r) => r.yearlyExtra ?? 0), reportCurrency) };
+  }, [priceChanges, toReporting, reportCurrency]);
 
   // Calculate potential savings by category
   const potentialSavings = useMemo(() => {
@@ -374,11 +474,6 @@ export default function WardenInsights() {
         re: /\b(coffee|cafe|espresso|latte|cappuccino|starbucks)\b/i,
         description: "Skip daily coffee",
       },
-      {
-        key: "Subscriptions",
-        re: /\b(netflix|spotify|prime|subscription|membership|apple|google play|disney)\b/i,
-        description: "Cancel unused subscriptions",
-      },
       {
         key: "Takeaway/Delivery",
         re: /\b(uber eats|deliveroo|just eat|grubhub|takeaway|delivery)\b/i,
@@ -406,21 +501,34 @@ export default function WardenInsights() {
             count: 0,
           };
         }
-        map[found.key].amount += t.amount;
+        map[found.key].amount = addMoney(map[found.key].amount, t.amount, reportCurrency);
         map[found.key].count += 1;
       }
     });
 
-    return Object.entries(map)
-      .map(([category, data]) => ({
-        category,
-        ...data,
-        monthlyAvg: data.amount / Math.max(1, monthsBack),
-        yearlyPotential: (data.amount / Math.max(1, monthsBack)) * 12,
-      }))
+    const items = Object.entries(map).map(([category, data]) => ({
+      category,
+      ...data,
+      monthlyAvg: data.amount / Math.max(1, monthsBack),
+      yearlyPotential: (data.amount / Math.max(1, monthsBack)) * 12,
+    }));
+
+    // Subscriptions come from the recurring detector rather than name matching
+    if (subscriptions.count > 0) {
+      items.push({
+        category: "Subscriptions",
+        description: "Cancel unused subscriptions",
+        amount: subscriptions.annual,
+        count: subscriptions.count,
+        monthlyAvg: subscriptions.monthly,
+        yearlyPotential: subscriptions.annual,
+      });
+    }
+
+    return items
       .sort((a, b) => b.yearlyPotential - a.yearlyPotential)
       .slice(0, 5);
-  }, [chartTransactions, monthsBack]);
+  }, [chartTransactions, monthsBack, reportCurrency, subscriptions]);
 
   // ── Debug: log TrueLayer transactions & donut totals (DEV only) ────────
   useEffect(() => {
@@ -604,7 +712,7 @@ export default function WardenInsights() {
                       banking.bankBalance.availableBalance - banking.bankBalance.totalBalance
                     ) > 0.01 && (
                       <div className="text-muted small mt-1">
-                        Available: £{banking.bankBalance.availableBalance.toFixed(2)}
+                        Available: {formatMoney(banking.bankBalance.availableBalance, banking.bankBalance.currency)}
                       </div>
                     )}
                 </div>
@@ -717,7 +825,7 @@ export default function WardenInsights() {
               No transactions to show. Import some transactions to see insights.
             </div>
           ) : (() => {
-            const DETAIL = new Set(["topExpenses", "topMerchants", "spendingForecast", "potentialSavings"]);
+            const DETAIL = new Set(["topExpenses", "topMerchants", "spendingForecast", "potentialSavings", "tagBreakdown", "subscriptions", "priceIncreases", "goals", "balanceHistory", "netWorth"]);
             const hasDonut = insightsLayout.some(w => w.type === "donut");
             const hasLine  = insightsLayout.some(w => w.type === "line");
             const bothCharts = hasDonut && hasLine;
@@ -822,7 +930,11 @@ export default function WardenInsights() {
                         <div className="text-muted">No expense data available.</div>
                       ) : (
                         <div style={{ minHeight: 220 }}>
-                          <Bars items={topExpenses} width={400} height={180} />
+                          <Bars
+                            items={topExpenses.map((e) => ({ ...e, color: getCategoryColor(e.category) }))}
+                            width={400}
+                            height={180}
+                          />
                         </div>
                       )}
                     </div>
@@ -863,101 +975,187 @@ export default function WardenInsights() {
                 return out;
               }
 
-              /* ── Spending Forecast ── */
-              if (widget.type === "spendingForecast") {
-                if (!spendingForecast) return out;
+              /* ── Spending by Tag ── */
+              if (widget.type === "tagBreakdown") {
                 out.push(
-                  <div key={widget.id} className="col-12">
-                    <div className="card p-3 mb-3">
-                      <div className="mb-3">
-                        <strong>Spending Forecast</strong>
-                        <div className="text-muted small">Next month projection</div>
+                  <div key={widget.id} className="col-12 col-lg-6">
+                    <div className="card p-2">
+                      <div className="d-flex align-items-center justify-content-between mb-2">
+                        <div>
+                          <strong>Spending by Tag</strong>
+                          <div className="text-muted small">Tagged expenses</div>
+                        </div>
+                        <div className="text-muted small">{tagBreakdown.length}</div>
                       </div>
-                      <div className="row g-3">
-                        <div className="col-12 col-sm-6">
-                          <div
-                            className="p-3 rounded"
-                            style={{
-                              backgroundColor: "var(--card-border)",
-                              color: "var(--text)",
-                            }}
-                          >
-                            <div className="text-muted small mb-1">Forecast</div>
-                            <div className="h5 mb-0 text-primary">
-                              £{spendingForecast.forecast.toFixed(2)}
-                            </div>
-                            <small className="text-muted d-block">
-                              Based on last 3 months avg
-                            </small>
-                          </div>
+                      {tagBreakdown.length === 0 ? (
+                        <div className="text-muted">No tagged expenses. Tag transactions from the Transactions page.</div>
+                      ) : (
+                        <div style={{ minHeight: 220 }}>
+                          <Bars
+                            items={tagBreakdown.map((t) => ({
+                              category: `#${t.tag}`,
+                              amount: t.amount,
+                              color: getTagColor(t.tag),
+                            }))}
+                            width={400}
+                            height={180}
+                          />
                         </div>
+                      )}
+                    </div>
+                  </div>
+                );
+                return out;
+              }
 
-                        <div className="col-12 col-sm-6">
-                          <div
-                            className="p-3 rounded"
-                            style={{
-                              backgroundColor: "var(--card-border)",
-                              color: "var(--text)",
-                            }}
-                          >
-                            <div className="text-muted small mb-1">Trend</div>
+              /* ── Subscriptions & Bills ── */
+              if (widget.type === "subscriptions") {
+                out.push(
+                  <div key={widget.id} className="col-12">
+                    <div className="card p-2 mb-3">
+                      <div className="d-flex align-items-center justify-content-between mb-2">
+                        <div>
+                          <strong>Subscriptions & Bills</strong>
+                          <div className="text-muted small">Recurring charges found in your expenses</div>
+                        </div>
+                        <div className="d-flex align-items-center gap-2">
+                          <div className="text-end small">
+                            <div className="fw-semibold">{formatMoney(subscriptions.monthly)}/mo</div>
+                            <div className="text-muted">{formatMoney(subscriptions.annual, undefined, { decimals: 0 })}/yr</div>
+                          </div>
+                          <button className="btn btn-sm btn-outline-secondary" title="Detect again" onClick={refreshSeries}>
+                            ↻
+                          </button>
+                        </div>
+                      </div>
+                      {subscriptions.rows.length === 0 ? (
+                        <div className="text-muted">No recurring payments found yet.</div>
+                      ) : (
+                        <div style={{ maxHeight: 280, overflowY: "auto" }}>
+                          {subscriptions.rows.map((s) => (
                             <div
-                              className={`h5 mb-0 ${
-                                spendingForecast.trend === "increasing"
-                                  ? "text-danger"
-                                  : "text-success"
-                              }`}
+                              key={s.id}
+                              className={`d-flex align-items-center justify-content-between gap-2 py-1 px-2 border-bottom ${s.status === "cancelled" ? "text-muted" : ""}`}
                             >
-                              {spendingForecast.trend === "increasing"
-                                ? "📈 Increasing"
-                                : "📉 Decreasing"}
+                              <div style={{ flex: 1, minWidth: 0 }}>
+                                <div className="text-truncate" style={{ fontSize: "0.85rem", fontWeight: 500 }}>
+                                  {s.name}
+                                  {s.status === "confirmed" && <span className="badge text-bg-success ms-2">Confirmed</span>}
+                                  {s.status === "cancelled" && (
+                                    <span className={`badge ms-2 ${s.charged_after_cancel ? "text-bg-danger" : "text-bg-secondary"}`}>
+                                      {s.charged_after_cancel ? "Charged after cancelling" : "Cancelled"}
+                                    </span>
+                                  )}
+                                </div>
+                                <div className="text-muted" style={{ fontSize: "0.7rem" }}>
+                                  {CADENCE_LABELS[s.cadence]} · {formatMoney(s.amount, s.currency)}
+                                  {s.status !== "cancelled" && ` · next ${new Date(s.next_expected_date).toLocaleDateString(undefined, { day: "numeric", month: "short" })}`}
+                                </div>
+                              </div>
+                              <div className="text-end" style={{ fontSize: "0.75rem", minWidth: 70 }}>
+                                {s.monthly === null ? "—" : `${formatMoney(s.monthly)}/mo`}
+                              </div>
+                              <div className="btn-group btn-group-sm">
+                                {s.status !== "confirmed" && s.status !== "cancelled" && (
+                                  <button className="btn btn-outline-success" title="Confirm" onClick={() => updateSeriesStatus(s.id, "confirmed")}>✓</button>
+                                )}
+                                {s.status !== "cancelled" ? (
+                                  <button className="btn btn-outline-secondary" title="I cancelled this — flag any further charges" onClick={() => updateSeriesStatus(s.id, "cancelled")}>Cancelled</button>
+                                ) : (
+                                  <button className="btn btn-outline-secondary" title="Still paying for this" onClick={() => updateSeriesStatus(s.id, "confirmed")}>Undo</button>
+                                )}
+                                <button className="btn btn-outline-secondary" title="Not a subscription — hide it" onClick={() => updateSeriesStatus(s.id, "ignored")}>✕</button>
+                              </div>
                             </div>
-                            <small className="text-muted d-block">
-                              vs historical average (£{spendingForecast.average.toFixed(2)})
-                            </small>
-                          </div>
+                          ))}
                         </div>
+                      )}
+                    </div>
+                  </div>
+                );
+                return out;
+              }
 
-                        <div className="col-12 col-sm-6">
-                          <div
-                            className="p-3 rounded"
-                            style={{
-                              backgroundColor: "var(--card-border)",
-                              color: "var(--text)",
-                            }}
-                          >
-                            <div className="text-muted small mb-1">Last Month</div>
-                            <div className="h5 mb-0">
-                              £{spendingForecast.lastMonth.toFixed(2)}
-                            </div>
-                            <small className="text-muted d-block">Actual spending</small>
-                          </div>
+              /* ── Price Increases This Year ── */
+              if (widget.type === "priceIncreases") {
+                out.push(
+                  <div key={widget.id} className="col-12 col-lg-6">
+                    <div className="card p-2 mb-3">
+                      <div className="d-flex align-items-center justify-content-between mb-2">
+                        <div>
+                          <strong>Price Increases This Year</strong>
+                          <div className="text-muted small">Subscriptions and bills that went up</div>
                         </div>
-
-                        <div className="col-12 col-sm-6">
-                          <div
-                            className="p-3 rounded"
-                            style={{
-                              backgroundColor: "var(--card-border)",
-                              color: "var(--text)",
-                            }}
-                          >
-                            <div className="text-muted small mb-1">Average</div>
-                            <div className="h5 mb-0">
-                              £{spendingForecast.average.toFixed(2)}
-                            </div>
-                            <small className="text-muted d-block">
-                              Over {monthsBack} months
-                            </small>
+                        {priceIncreases.rows.length > 0 && (
+                          <div className="text-danger small fw-semibold">
+                            +{formatMoney(priceIncreases.yearlyExtra, undefined, { decimals: 0 })}/yr
                           </div>
-                        </div>
+                        )}
                       </div>
+                      {priceIncreases.rows.length === 0 ? (
+                        <div className="text-muted">No price rises on your recurring payments this year.</div>
+                      ) : (
+                        <div style={{ maxHeight: 240, overflowY: "auto" }}>
+                          {priceIncreases.rows.map((c) => (
+                            <div key={c.id} className="d-flex align-items-center justify-content-between gap-2 py-1 px-2 border-bottom">
+                              <div style={{ flex: 1, minWidth: 0 }}>
+                                <div className="text-truncate" style={{ fontSize: "0.85rem", fontWeight: 500 }}>{c.name}</div>
+                                <div className="text-muted" style={{ fontSize: "0.7rem" }}>
+                                  {new Date(`${c.charge_date}T00:00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short" })} ·{" "}
+                                  {formatMoney(c.old_amount, c.currency)} → {formatMoney(c.new_amount, c.currency)}
+                                </div>
+                              </div>
+                              <span className="badge text-bg-danger">+{c.change_percent}%</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   </div>
                 );
                 return out;
               }
 
+              /* ── Cash-Flow Forecast (backend projection of the bank balance) ── */
+              if (widget.type === "spendingForecast") {
+                out.push(
+                  <div key={widget.id} className="col-12">
+                    <CashFlowForecast changeKey={recurringSeries} />
+                  </div>
+                );
+                return out;
+              }
+
+              /* ── Savings Goals ── */
+              if (widget.type === "goals") {
+                out.push(
+                  <div key={widget.id} className="col-12">
+                    <GoalsCard />
+                  </div>
+                );
+                return out;
+              }
+
+              /* ── Balance History (recorded on every bank sync) ── */
+              if (widget.type === "balanceHistory") {
+                out.push(
+                  <div key={widget.id} className="col-12">
+                    <BalanceHistoryCard />
+                  </div>
+                );
+                return out;
+              }
+
+              /* ── Net Worth (bank balances plus manual accounts) ── */
+              if (widget.type === "netWorth") {
+                out.push(
+                  <div key={widget.id} className="col-12">
+                    <NetWorthCard />
+                  </div>
+                );
+                return out;
+              }
+
               /* ── Where You Could Save ── */
               if (widget.type === "potentialSavings") {
                 if (potentialSavings.length === 0) return out;
@@ -972,7 +1170,7 @@ export default function WardenInsights() {
                           </span>
                         </div>
                         <div className="text-success" style={{ fontSize: '0.85rem', fontWeight: 600 }}>
-                          £{potentialSavings.reduce((sum, item) => sum + item.yearlyPotential, 0).toFixed(0)}/yr
+                          {formatMoney(sumMoney(potentialSavings.map((item) => item.yearlyPotential), reportCurrency), undefined, { decimals: 0 })}/yr
                         </div>
                       </div>
                       <div style={{ maxHeight: 200, overflowY: "auto" }}>
@@ -1027,7 +1225,7 @@ export default function WardenInsights() {
               <div className="d-flex align-items-center justify-content-between mb-3">
                 <h2 className="h6 mb-0">Recent Transactions</h2>
                 <span className="text-muted small">
-                  {filteredRecentTransactions.length} / {transactions.length} total
+                  {filteredRecentTransactions.length} / {transactionsSummary?.count ?? transactions.length} total
                 </span>
               </div>
 
@@ -1094,8 +1292,8 @@ export default function WardenInsights() {
                                   : "text-danger fw-semibold"
                               }
                             >
-                              {t.type === "income" ? "+ " : "− "}£
-                              {Number(t.amount).toFixed(2)}
+                              {t.type === "income" ? "+ " : "− "}
+                              {formatMoney(t.originalAmount, t.originalCurrency)}
                             </span>
 
                             {editingCategoryId === t.id ? (
@@ -1149,6 +1347,14 @@ export default function WardenInsights() {
                 </ul>
                 </div>
               )}
+
+              {transactionFilter === null && hasMoreTransactions && (
+                <div className="text-center mt-2">
+                  <button className="btn btn-sm btn-outline-secondary" disabled={loadingMore} onClick={() => loadMoreTransactions()}>
+                    {loadingMore ? "Loading…" : "Load older transactions"}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
 